@@ -5,13 +5,22 @@
 // Constants
 const APP_NAME = 'Prompt Vault';
 const APP_VERSION = '2.1';
-const STORAGE_KEYS = {
+// Every workspace keeps its own copy of these keys (see Workspaces)
+const BASE_STORAGE_KEYS = {
     PROMPTS: 'promptVault_v2',
     FAVORITES: 'promptFavorites_v2',
     TEMPLATES: 'promptTemplates_v2',
     SETTINGS: 'promptSettings_v2',
-    CATEGORIES: 'promptCategories_v2'
+    CATEGORIES: 'promptCategories_v2',
+    SCHEMA: 'promptSchema_v2',
+    LOCK: 'promptLock_v2',
+    TRASH: 'promptTrash_v2',
+    QUARANTINE: 'promptQuarantine_v2'
 };
+const WORKSPACES_KEY = 'promptWorkspaces_v2';
+const DEFAULT_WORKSPACE_ID = 'default';
+const activeWorkspaceId = getActiveWorkspaceId();
+const STORAGE_KEYS = getWorkspaceStorageKeys(activeWorkspaceId);
 
 const DEFAULT_CATEGORIES = {
     'art': { name: 'Art & Images', color: '#ef476f', icon: 'fas fa-palette' },
@@ -27,6 +36,7 @@ let state = {
     prompts: [],
     favorites: [],
     templates: [],
+    trash: [],
     categories: new Map(),
     currentFilter: 'all',
     currentSort: 'newest',
@@ -46,7 +56,15 @@ let state = {
         enableAnimations: true,
         showImages: true,
         compactMode: false,
-        itemsPerPage: 12
+        itemsPerPage: 12,
+        snapshotLimit: 20,
+        snapshotMaxAgeDays: 30,
+        snapshotIntervalHours: 24,
+        autoLockMinutes: 15,
+        trashRetentionDays: 30,
+        imageFormat: 'webp',
+        imageMaxDimension: 2048,
+        imageQuality: 0.85
     }
 };
 
@@ -56,12 +74,15 @@ const elements = {};
 // Initialize App
 document.addEventListener('DOMContentLoaded', initializeApp);
 
-function initializeApp() {
+async function initializeApp() {
     console.log(`🚀 ${APP_NAME} v${APP_VERSION} Initializing...`);
     
     try {
+        // The unlock screen can ask for confirmation before the rest is set up
+        setupConfirmModal();
+        
         // Load state from storage
-        loadState();
+        await loadState();
         
         // Cache DOM elements
         cacheElements();
@@ -77,10 +98,26 @@ function initializeApp() {
         
         // Update UI
         updateUI();
+        updateStorageUsage();
+        
+        // Take scheduled snapshots of the vault
+        startSnapshotSchedule();
+        
+        // Lock an encrypted vault again after a while without activity
+        startAutoLock();
+        
+        // Share changes with other open tabs
+        startTabSync();
+        
+        // Purge prompts that have been in the trash for too long
+        startTrashPurge();
         
         console.log('✅ App initialized successfully');
         showToast('Welcome to Prompt Vault!', 'success');
         
+        // Preview a prompt opened from a ?shared= link
+        handleSharedLink();
+        
     } catch (error) {
         console.error('❌ Initialization failed:', error);
         showToast('Failed to initialize app', 'error');
@@ -88,9 +125,9 @@ function initializeApp() {
 }
 
 // State Management
-function loadState() {
+async function loadState() {
     try {
-        // Load settings
+        // Settings stay in localStorage so the theme can be applied synchronously
         const settings = localStorage.getItem(STORAGE_KEYS.SETTINGS);
         if (settings) {
             state.settings = { ...state.settings, ...JSON.parse(settings) };
@@ -99,3926 +136,12353 @@ function loadState() {
         // Apply theme
         document.documentElement.setAttribute('data-theme', state.settings.theme);
         
-        // Load prompts
-        const promptsData = localStorage.getItem(STORAGE_KEYS.PROMPTS);
-        if (promptsData) {
-            state.prompts = JSON.parse(promptsData);
+        // Encrypted vaults stay closed until the passphrase is entered
+        if (isVaultEncrypted()) {
+            await showUnlockScreen();
+        }
+        
+        // Load prompts, favorites, templates and categories
+        let data = null;
+        let migrated = false;
+        try {
+            db = await openDatabase();
+            data = await readVault();
+            if (!data) {
+                // First run on IndexedDB: pick up an existing localStorage vault
+                data = await readLegacyStorage();
+                migrated = Boolean(data);
+            }
+        } catch (error) {
+            console.warn('⚠️ IndexedDB unavailable, falling back to localStorage:', error);
+            db = null;
+            data = await readLegacyStorage();
         }
         
-        // Load favorites
-        const favoritesData = localStorage.getItem(STORAGE_KEYS.FAVORITES);
-        if (favoritesData) {
-            state.favorites = JSON.parse(favoritesData);
+        let report = null;
+        if (data) {
+            // Upgrade older data and repair or skip malformed records
+            const prepared = prepareData(data, data.schemaVersion);
+            report = prepared.report;
+            
+            state.prompts = prepared.data.prompts;
+            state.favorites = prepared.data.favorites;
+            state.templates = prepared.data.templates;
+            state.trash = prepared.data.trash;
+            prepared.data.categories.forEach(cat => state.categories.set(cat.id, cat));
         }
         
-        // Load templates
-        const templatesData = localStorage.getItem(STORAGE_KEYS.TEMPLATES);
-        if (templatesData) {
-            state.templates = JSON.parse(templatesData);
+        // Encrypted vaults from before image ids were keyed (see
+        // hashImageData) still have plain hashes in the image store
+        if (db && imageHashKey && [...persistedImageIds].some(id => !isImageHash(id.replace(/-thumb$/, '')))) {
+            await reencryptStorage(vaultKey, vaultKey, imageHashKey);
         }
         
-        // Load categories
-        const categoriesData = localStorage.getItem(STORAGE_KEYS.CATEGORIES);
-        if (categoriesData) {
-            const categories = JSON.parse(categoriesData);
-            categories.forEach(cat => state.categories.set(cat.id, cat));
-        } else {
+        if (state.categories.size === 0) {
             // Initialize default categories
-            Object.entries(DEFAULT_CATEGORIES).forEach(([id, data]) => {
-                state.categories.set(id, {
-                    id,
-                    name: data.name,
-                    color: data.color,
-                    icon: data.icon,
-                    count: 0,
-                    createdAt: new Date().toISOString()
-                });
+            getDefaultCategories().forEach(cat => state.categories.set(cat.id, cat));
+            saveCategories();
+        }
+        
+        // Skipped records are set aside before the next save drops them.
+        // A record is only set aside once, even if a save failed before.
+        const quarantine = await readQuarantine();
+        if (report && report.rejected.length > 0) {
+            const quarantined = new Set(quarantine.map(getQuarantineKey));
+            report.rejected.filter(item => !quarantined.has(getQuarantineKey(item))).forEach(item => {
+                quarantined.add(getQuarantineKey(item));
+                quarantine.push({ ...item, quarantinedAt: new Date().toISOString() });
             });
+            await writeQuarantine(quarantine);
+        }
+        
+        if (migrated) {
+            await migrateLegacyStorage();
+        } else if (report && (report.migrations.length > 0 || report.issues.length > 0)) {
+            // Write the upgraded and checked data back so migrations,
+            // repairs and skips only happen once
+            saveState();
             saveCategories();
         }
         
+        if (report && report.issues.length > 0) {
+            console.warn('⚠️ Data check found problems:', report.issues);
+        }
+        if (quarantine.length > 0) {
+            // Shown on every start until the records are discarded
+            showDataReport(report && report.rejected.length > 0 ? report : getQuarantineReport(quarantine), {
+                title: 'Library Check',
+                quarantine
+            });
+        } else if (report && report.issues.length > 0) {
+            showToast(`Repaired ${report.repaired} record${report.repaired === 1 ? '' : 's'} with invalid data`, 'warning');
+        }
+        
         // Add sample data if empty
         if (state.prompts.length === 0) {
             addSampleData();
         }
         
-        console.log('📦 State loaded successfully');
+        console.log(`📦 State loaded successfully (${db ? 'IndexedDB' : 'localStorage'})`);
     } catch (error) {
         console.error('❌ Failed to load state:', error);
     }
 }
 
+function getDefaultCategories() {
+    return Object.entries(DEFAULT_CATEGORIES).map(([id, data]) => ({
+        id,
+        name: data.name,
+        color: data.color,
+        icon: data.icon,
+        count: 0,
+        createdAt: new Date().toISOString()
+    }));
+}
+
 function saveState() {
+    if (storageSuspended || isVaultKeyMissing()) return;
+    
     try {
-        // Save to localStorage
-        localStorage.setItem(STORAGE_KEYS.PROMPTS, JSON.stringify(state.prompts));
-        localStorage.setItem(STORAGE_KEYS.FAVORITES, JSON.stringify(state.favorites));
-        localStorage.setItem(STORAGE_KEYS.TEMPLATES, JSON.stringify(state.templates));
         localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(state.settings));
+    } catch (error) {
+        console.error('❌ Failed to save settings:', error);
+    }
+    
+    queueSyncBroadcast();
+    
+    if (db) {
+        queueVaultWrite();
+        return;
+    }
+    
+    try {
+        // Save to localStorage
+        writeLegacyStorage([
+            [STORAGE_KEYS.PROMPTS, state.prompts],
+            [STORAGE_KEYS.FAVORITES, state.favorites],
+            [STORAGE_KEYS.TEMPLATES, state.templates],
+            [STORAGE_KEYS.TRASH, state.trash],
+            [STORAGE_KEYS.SCHEMA, SCHEMA_VERSION]
+        ]);
         
         console.log('💾 State saved');
+        updateStorageUsage();
     } catch (error) {
-        console.error('❌ Failed to save state:', error);
+        reportStorageError(error);
     }
 }
 
 function saveCategories() {
+    if (storageSuspended || isVaultKeyMissing()) return;
+    queueSyncBroadcast();
+    
+    if (db) {
+        queueVaultWrite();
+        return;
+    }
+    
     try {
         const categoriesArray = Array.from(state.categories.values());
-        localStorage.setItem(STORAGE_KEYS.CATEGORIES, JSON.stringify(categoriesArray));
+        writeLegacyStorage([[STORAGE_KEYS.CATEGORIES, categoriesArray]]);
         console.log('📁 Categories saved');
     } catch (error) {
-        console.error('❌ Failed to save categories:', error);
+        reportStorageError(error);
     }
 }
 
-// DOM Elements Caching
-function cacheElements() {
-    elements.promptsContainer = document.getElementById('promptsContainer');
-    elements.searchInput = document.getElementById('searchInput');
-    elements.searchSuggestions = document.getElementById('searchSuggestions');
-    elements.categoryList = document.getElementById('categoriesList');
-    elements.totalPrompts = document.getElementById('totalPrompts');
-    elements.totalFavorites = document.getElementById('totalFavorites');
-    elements.totalCategories = document.getElementById('totalCategories');
-    elements.promptsToday = document.getElementById('promptsToday');
-    elements.showingCount = document.getElementById('showingCount');
-    elements.totalCount = document.getElementById('totalCount');
-    elements.totalWords = document.getElementById('totalWords');
-    elements.totalTokens = document.getElementById('totalTokens');
-    
-    console.log('🔍 DOM elements cached');
+// Storage (IndexedDB)
+// Prompts, favorites, templates and categories live in the "vault" store.
+// Image data is kept in its own "images" store; prompt records only hold
+// { id, type, index } references, which are hydrated back on load.
+// Each workspace has a database of its own.
+const DB_BASE_NAME = 'promptVaultDB';
+const DB_NAME = getWorkspaceDbName(activeWorkspaceId);
+const DB_VERSION = 2;
+const DB_STORES = {
+    VAULT: 'vault',
+    IMAGES: 'images',
+    SNAPSHOTS: 'snapshots'
+};
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+let db = null;
+let persistedImageIds = new Set();
+let vaultWriteQueued = false;
+let vaultWriteChain = Promise.resolve();
+let pendingVaultWrites = 0;
+let snapshotIndex = [];
+
+function openDatabase(name = DB_NAME) {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+        
+        const request = indexedDB.open(name, DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            if (!database.objectStoreNames.contains(DB_STORES.VAULT)) {
+                database.createObjectStore(DB_STORES.VAULT);
+            }
+            if (!database.objectStoreNames.contains(DB_STORES.IMAGES)) {
+                database.createObjectStore(DB_STORES.IMAGES, { keyPath: 'id' });
+            }
+            if (!database.objectStoreNames.contains(DB_STORES.SNAPSHOTS)) {
+                database.createObjectStore(DB_STORES.SNAPSHOTS, { keyPath: 'id' });
+            }
+        };
+        
+        request.onsuccess = () => {
+            const database = request.result;
+            // Let a newer version of the app in another tab upgrade the schema
+            database.onversionchange = () => database.close();
+            
+            // Ask the browser not to evict the vault under storage pressure
+            navigator.storage?.persist?.().catch(() => {});
+            resolve(database);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database is blocked by another tab'));
+    });
 }
 
-// UI Initialization
-function initializeUI() {
-    // Initialize theme
-    updateTheme();
-    
-    // Initialize categories dropdown
-    initializeCategoriesDropdown();
-    
-    // Initialize view mode
-    setViewMode(state.settings.compactMode ? 'compact' : 'grid');
-    
-    // Set active filter button
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.filter === state.currentFilter);
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
-    
-    // Set active sort option
-    const sortSelect = document.getElementById('sortSelect');
-    if (sortSelect) {
-        sortSelect.value = state.currentSort;
-    }
-    
-    console.log('🎨 UI initialized');
 }
 
-function initializeCategoriesDropdown() {
-    const select = document.getElementById('promptCategory');
-    if (!select) return;
-    
-    // Clear existing options except the first one
-    while (select.options.length > 1) {
-        select.remove(1);
-    }
-    
-    // Add categories
-    state.categories.forEach((category, id) => {
-        const option = document.createElement('option');
-        option.value = id;
-        option.textContent = category.name;
-        select.appendChild(option);
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
     });
 }
 
-// Event Listeners
-function setupEventListeners() {
-    // Search
-    if (elements.searchInput) {
-        elements.searchInput.addEventListener('input', debounce(handleSearch, 300));
-        elements.searchInput.addEventListener('keydown', handleSearchKeydown);
-    }
+// Raw copies of every store, for re-encrypting or duplicating a database.
+// Writing them back replaces everything that was in the stores.
+async function readDatabaseContents(database) {
+    const transaction = database.transaction(Object.values(DB_STORES), 'readonly');
+    const vault = transaction.objectStore(DB_STORES.VAULT);
+    const [keys, values, images, snapshots] = await Promise.all([
+        idbRequest(vault.getAllKeys()),
+        idbRequest(vault.getAll()),
+        idbRequest(transaction.objectStore(DB_STORES.IMAGES).getAll()),
+        idbRequest(transaction.objectStore(DB_STORES.SNAPSHOTS).getAll())
+    ]);
+    
+    return { vault: keys.map((key, index) => [key, values[index]]), images, snapshots };
+}
 
-    // Category management
-    document.getElementById('addCategoryBtn')?.addEventListener('click', showAddCategoryForm);
-    document.getElementById('manageCategoriesBtn')?.addEventListener('click', showManageCategoriesModal);
-    document.getElementById('saveCategoryBtn')?.addEventListener('click', saveNewCategory);
-    document.getElementById('cancelCategoryBtn')?.addEventListener('click', hideAddCategoryForm);
-    
-    // Filter buttons
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.addEventListener('click', () => handleFilterChange(btn.dataset.filter));
+async function writeDatabaseContents(database, contents) {
+    const transaction = database.transaction(Object.values(DB_STORES), 'readwrite');
+    Object.values(DB_STORES).forEach(store => transaction.objectStore(store).clear());
+    contents.vault.forEach(([key, value]) => transaction.objectStore(DB_STORES.VAULT).put(value, key));
+    contents.images.forEach(image => transaction.objectStore(DB_STORES.IMAGES).put(image));
+    contents.snapshots.forEach(snapshot => transaction.objectStore(DB_STORES.SNAPSHOTS).put(snapshot));
+    await idbTransactionDone(transaction);
+}
+
+async function readVault() {
+    const transaction = db.transaction([DB_STORES.VAULT, DB_STORES.IMAGES], 'readonly');
+    const vault = transaction.objectStore(DB_STORES.VAULT);
+    
+    const [prompts, favorites, templates, trash, categories, schemaVersion, snapshots, imageIds] = await Promise.all([
+        idbRequest(vault.get('prompts')),
+        idbRequest(vault.get('favorites')),
+        idbRequest(vault.get('templates')),
+        idbRequest(vault.get('trash')),
+        idbRequest(vault.get('categories')),
+        idbRequest(vault.get('schemaVersion')),
+        idbRequest(vault.get('snapshotIndex')),
+        idbRequest(transaction.objectStore(DB_STORES.IMAGES).getAllKeys())
+    ]);
+    
+    snapshotIndex = (await openValue(snapshots)) || [];
+    
+    // Nothing has been written to IndexedDB yet
+    if (prompts === undefined) return null;
+    
+    persistedImageIds = new Set(imageIds);
+    const records = await openValue(prompts);
+    const trashed = (await openValue(trash)) || [];
+    
+    // Only images in use are read; ones that only snapshots need stay on disk
+    const usedIds = [...new Set([...records, ...trashed].flatMap(prompt =>
+        (prompt.images || []).flatMap(img => [img.id, getThumbnailId(img.id)])
+    ))].filter(id => persistedImageIds.has(id));
+    const imageStore = db.transaction(DB_STORES.IMAGES, 'readonly').objectStore(DB_STORES.IMAGES);
+    const images = await Promise.all(usedIds.map(id => idbRequest(imageStore.get(id))));
+    const imageData = new Map(await Promise.all(images.filter(Boolean).map(async image => [image.id, await openValue(image.url)])));
+    
+    const withImages = prompt => ({
+        ...prompt,
+        images: (prompt.images || [])
+            .map(img => withImageData(img, imageData))
+            .filter(img => img.url)
     });
     
-    // View controls
-    document.getElementById('gridViewBtn')?.addEventListener('click', () => setViewMode('grid'));
-    document.getElementById('listViewBtn')?.addEventListener('click', () => setViewMode('list'));
-    document.getElementById('compactViewBtn')?.addEventListener('click', () => setViewMode('compact'));
-    
-    // Sort controls
-    document.getElementById('sortSelect')?.addEventListener('change', handleSortChange);
-    
-    // Add prompt buttons
-    document.getElementById('addPromptBtn')?.addEventListener('click', showAddPromptModal);
-    document.getElementById('addFirstPromptBtn')?.addEventListener('click', showAddPromptModal);
-    document.getElementById('fabButton')?.addEventListener('click', showAddPromptModal);
-    
-    // Import/Export
-    document.getElementById('importBtn')?.addEventListener('click', handleImportClick);
-    document.getElementById('exportBtn')?.addEventListener('click', handleExport);
-    document.getElementById('importSampleBtn')?.addEventListener('click', importSampleData);
-    document.getElementById('importFile')?.addEventListener('change', handleFileImport);
-    
-    // Theme toggle
-    document.getElementById('themeToggle')?.addEventListener('click', toggleTheme);
-    
-    // Category management
-    document.getElementById('addCategoryBtn')?.addEventListener('click', showAddCategoryForm);
-    document.getElementById('saveCategoryBtn')?.addEventListener('click', saveNewCategory);
-    document.getElementById('cancelCategoryBtn')?.addEventListener('click', hideAddCategoryForm);
-    
-    // Bulk actions
-    document.getElementById('selectAllBtn')?.addEventListener('click', toggleSelectAll);
-    document.getElementById('bulkDeleteBtn')?.addEventListener('click', deleteSelectedPrompts);
-    document.getElementById('bulkEditBtn')?.addEventListener('click', showBulkEditModal);
-    document.getElementById('findDuplicatesBtn')?.addEventListener('click', findDuplicatePrompts);
-    document.getElementById('clearCacheBtn')?.addEventListener('click', clearAllCaches);
-    document.getElementById('backupBtn')?.addEventListener('click', createBackup);
-    
-    // Clear search
-    document.getElementById('clearSearchBtn')?.addEventListener('click', clearSearch);
-    
-    // Modal events
-    setupModalEvents();
-    // Image preview setup (zoom/controls)
-    setupImagePreview();
+    return {
+        prompts: records.map(withImages),
+        favorites: (await openValue(favorites)) || [],
+        templates: (await openValue(templates)) || [],
+        trash: trashed.map(withImages),
+        categories: (await openValue(categories)) || [],
+        schemaVersion: await openValue(schemaVersion)
+    };
+}
+
+// Splits image data out of the prompt records. Images get a stable id the
+// first time they are written so unchanged images are never rewritten.
+// Thumbnails are stored next to their image under getThumbnailId().
+function splitPromptImages(prompts) {
+    const images = new Map();
     
-    // Keyboard shortcuts
-    document.addEventListener('keydown', handleKeyboardShortcuts);
+    const records = prompts.map(prompt => {
+        if (!prompt.images || prompt.images.length === 0) return prompt;
+        
+        return {
+            ...prompt,
+            images: prompt.images.map(img => {
+                if (!img.id) img.id = `img-${generateId()}`;
+                images.set(img.id, img.url);
+                if (img.thumbnail) images.set(getThumbnailId(img.id), img.thumbnail);
+                const { url, thumbnail, ...ref } = img;
+                return ref;
+            })
+        };
+    });
     
-    // Window events
-    window.addEventListener('beforeunload', handleBeforeUnload);
+    return { records, images };
+}
 
-    // Image uploads
-    setupImageUploads();
-    
-    console.log('🎯 Event listeners set up');
+function getThumbnailId(imageId) {
+    return `${imageId}-thumb`;
 }
 
-// Event Handlers
-function handleSearch(event) {
-    state.searchQuery = event.target.value.trim().toLowerCase();
-    state.currentPage = 1;
-    
-    // Update search suggestions
-    updateSearchSuggestions();
-    
-    // Re-render prompts
-    renderPrompts();
+// Puts the stored data back into an image reference
+function withImageData(img, imageData) {
+    const image = { ...img, url: imageData.get(img.id) || img.url };
+    const thumbnail = imageData.get(getThumbnailId(img.id));
+    if (thumbnail) image.thumbnail = thumbnail;
+    return image;
 }
 
-function handleSearchKeydown(event) {
-    if (event.key === 'Escape') {
-        clearSearch();
+// Image ids are the SHA-256 hash of the image data, so an image attached
+// to several prompts (or imported again) is stored once and shared. A
+// stored image is deleted when no prompt, deleted prompt or snapshot
+// refers to it any more. In an encrypted vault the ids are an HMAC keyed
+// with the passphrase instead: the image store's keys aren't encrypted,
+// and a plain hash would show which known images the vault holds.
+const IMAGE_HASH_PREFIX = 'sha256-';
+const IMAGE_HMAC_PREFIX = 'hmac-';
+
+async function hashImageData(dataUrl, key = imageHashKey) {
+    const data = new TextEncoder().encode(dataUrl);
+    const digest = key
+        ? await crypto.subtle.sign('HMAC', key, data)
+        : await crypto.subtle.digest('SHA-256', data);
+    return (key ? IMAGE_HMAC_PREFIX : IMAGE_HASH_PREFIX) + Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function isImageHash(id, key = imageHashKey) {
+    return typeof id === 'string' && id.startsWith(key ? IMAGE_HMAC_PREFIX : IMAGE_HASH_PREFIX);
+}
+
+// Hashes images that don't have a content id yet: imported ones, ones
+// stored by older versions under a random id, and ones hashed for a vault
+// with(out) encryption. Like splitPromptImages(), this sets the ids in place.
+async function assignImageHashes(prompts, key = imageHashKey) {
+    const hashes = new Map();
+    for (const img of prompts.flatMap(prompt => prompt.images || [])) {
+        if (isImageHash(img.id, key) || !img.url) continue;
+        if (!hashes.has(img.url)) hashes.set(img.url, await hashImageData(img.url, key));
+        img.id = hashes.get(img.url);
     }
 }
 
-function handleFilterChange(filter) {
-    state.currentFilter = filter;
-    state.currentPage = 1;
-    state.selectedPrompts.clear();
-    
-    // Update active filter button
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.filter === filter);
-    });
+// Renames image references in place, after the stored images were re-keyed
+function renameImageIds(prompts, imageIds) {
+    prompts.forEach(prompt => (prompt.images || []).forEach(img => {
+        if (imageIds.has(img.id)) img.id = imageIds.get(img.id);
+    }));
+}
+
+// Number of references to each stored image and thumbnail
+function countImageReferences(records) {
+    const counts = new Map();
+    const add = id => counts.set(id, (counts.get(id) || 0) + 1);
+    
+    records.forEach(record => (record.images || []).forEach(img => {
+        add(img.id);
+        add(getThumbnailId(img.id));
+    }));
+    snapshotIndex.forEach(entry => entry.imageIds.forEach(add));
+    return counts;
+}
+
+async function writeVault() {
+    if (isVaultKeyMissing()) throw new Error('The vault is locked');
+    await assignImageHashes([...state.prompts, ...state.trash]);
+    
+    // Deleted prompts keep their images until they are purged from the trash
+    const { records, images } = splitPromptImages(state.prompts);
+    const trashed = splitPromptImages(state.trash);
+    trashed.images.forEach((url, id) => images.set(id, url));
+    const newImageIds = [...images.keys()].filter(id => !persistedImageIds.has(id));
+    // Images that only a snapshot still uses are kept for restoring it
+    const references = countImageReferences([...records, ...trashed.records]);
+    const orphanedImageIds = [...persistedImageIds].filter(id => !references.has(id));
+    
+    // Encrypted before the transaction opens, which would otherwise
+    // auto-commit while waiting on WebCrypto
+    const [prompts, favorites, templates, trash, categories, schemaVersion, imageData] = await Promise.all([
+        sealValue(records),
+        sealValue(state.favorites),
+        sealValue(state.templates),
+        sealValue(trashed.records),
+        sealValue(Array.from(state.categories.values())),
+        sealValue(SCHEMA_VERSION),
+        Promise.all(newImageIds.map(id => sealValue(images.get(id))))
+    ]);
+    
+    const transaction = db.transaction([DB_STORES.VAULT, DB_STORES.IMAGES], 'readwrite');
+    const vault = transaction.objectStore(DB_STORES.VAULT);
+    const imageStore = transaction.objectStore(DB_STORES.IMAGES);
+    
+    vault.put(prompts, 'prompts');
+    vault.put(favorites, 'favorites');
+    vault.put(templates, 'templates');
+    vault.put(trash, 'trash');
+    vault.put(categories, 'categories');
+    vault.put(schemaVersion, 'schemaVersion');
+    newImageIds.forEach((id, index) => imageStore.put({ id, url: imageData[index] }));
+    orphanedImageIds.forEach(id => imageStore.delete(id));
+    
+    await idbTransactionDone(transaction);
+    
+    newImageIds.forEach(id => persistedImageIds.add(id));
+    orphanedImageIds.forEach(id => persistedImageIds.delete(id));
+    console.log(`💾 State saved (${newImageIds.length} new image${newImageIds.length === 1 ? '' : 's'})`);
+}
+
+// Several saveState()/saveCategories() calls in one tick collapse into a
+// single write, and writes never overlap.
+function queueVaultWrite() {
+    if (vaultWriteQueued) return vaultWriteChain;
+    vaultWriteQueued = true;
+    pendingVaultWrites++;
     
-    // Update bulk delete button visibility
-    updateBulkDeleteButton();
+    vaultWriteChain = vaultWriteChain
+        .then(() => {
+            vaultWriteQueued = false;
+            return writeVault();
+        })
+        .then(() => updateStorageUsage())
+        .catch(reportStorageError)
+        .finally(() => pendingVaultWrites--);
     
-    // Re-render prompts
-    renderPrompts();
+    return vaultWriteChain;
 }
 
-function handleSortChange(event) {
-    state.currentSort = event.target.value;
-    renderPrompts();
+async function readLegacyStorage() {
+    const promptsData = localStorage.getItem(STORAGE_KEYS.PROMPTS);
+    const categoriesData = localStorage.getItem(STORAGE_KEYS.CATEGORIES);
+    if (!promptsData && !categoriesData) return null;
+    
+    return {
+        prompts: await readLocalValue(STORAGE_KEYS.PROMPTS, []),
+        favorites: await readLocalValue(STORAGE_KEYS.FAVORITES, []),
+        templates: await readLocalValue(STORAGE_KEYS.TEMPLATES, []),
+        trash: await readLocalValue(STORAGE_KEYS.TRASH, []),
+        categories: await readLocalValue(STORAGE_KEYS.CATEGORIES, []),
+        schemaVersion: await readLocalValue(STORAGE_KEYS.SCHEMA, undefined)
+    };
 }
 
-function handleImportClick() {
-    document.getElementById('importFile').click();
+// Plain values are written straight away. Encryption is asynchronous, so
+// encrypted writes go through the write chain to keep them in order.
+function writeLegacyStorage(entries) {
+    if (isVaultKeyMissing()) throw new Error('The vault is locked');
+    if (!vaultKey) {
+        entries.forEach(([key, value]) => localStorage.setItem(key, JSON.stringify(value)));
+        return;
+    }
+    
+    const sealed = Promise.all(entries.map(([, value]) => encryptJson(value, vaultKey)));
+    pendingVaultWrites++;
+    vaultWriteChain = vaultWriteChain
+        .then(async () => {
+            const envelopes = await sealed;
+            entries.forEach(([key], index) => localStorage.setItem(key, envelopeToText(envelopes[index])));
+        })
+        .catch(reportStorageError)
+        .finally(() => pendingVaultWrites--);
 }
 
-async function handleExport() {
+// Copies the localStorage vault into IndexedDB, then frees the old keys.
+// The old keys are only removed once the write has committed.
+async function migrateLegacyStorage() {
     try {
-        const exportData = {
-            prompts: state.prompts,
-            templates: state.templates,
-            categories: Array.from(state.categories.values()),
-            exportedAt: new Date().toISOString(),
-            version: APP_VERSION
-        };
+        await vaultWriteChain;
+        await writeVault();
+        [STORAGE_KEYS.PROMPTS, STORAGE_KEYS.FAVORITES, STORAGE_KEYS.TEMPLATES, STORAGE_KEYS.TRASH, STORAGE_KEYS.CATEGORIES, STORAGE_KEYS.SCHEMA]
+            .forEach(key => localStorage.removeItem(key));
         
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        
-        a.href = url;
-        a.download = `prompt-vault-${formatDate(new Date())}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        showToast('Data exported successfully', 'success');
+        console.log(`📦 Migrated ${state.prompts.length} prompts from localStorage to IndexedDB`);
+        showToast(`Moved ${state.prompts.length} prompt${state.prompts.length === 1 ? '' : 's'} to IndexedDB storage`, 'success');
     } catch (error) {
-        console.error('❌ Export failed:', error);
-        showToast('Export failed', 'error');
+        console.error('❌ Migration to IndexedDB failed, keeping localStorage data:', error);
+        showToast('Could not migrate your library to IndexedDB', 'error');
     }
 }
 
-function importSampleData() {
-    const samplePrompts = [
-        {
-            id: generateId(),
-            title: "Fantasy Landscape Generator",
-            category: "art",
-            content: "Create a breathtaking fantasy landscape with towering mountains, mystical forests, and a crystal-clear river flowing through a magical valley. Digital painting style, highly detailed, epic scale, cinematic lighting, 8K resolution, trending on ArtStation.",
-            tags: ["fantasy", "landscape", "digital painting", "detailed"],
-            images: [],
-            notes: "Works best with DALL-E 3 or Midjourney v6. Use --ar 16:9 for widescreen.",
-            rating: 5,
-            engine: "Midjourney",
-            complexity: 4,
-            usageCount: 12,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        },
-        {
-            id: generateId(),
-            title: "Python Data Analysis Template",
-            category: "code",
-            content: "Create a comprehensive Python script for data analysis using pandas and matplotlib. Include data loading, cleaning, exploratory analysis, visualization, and statistical summaries. Add docstrings and comments for each function.",
-            tags: ["python", "data analysis", "pandas", "matplotlib", "automation"],
-            images: [],
-            notes: "Adjust column names and data types based on your dataset. Install required packages: pandas, matplotlib, seaborn.",
-            rating: 4,
-            engine: "ChatGPT",
-            complexity: 3,
-            usageCount: 8,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        },
-        {
-            id: generateId(),
-            title: "Marketing Copy Generator",
-            category: "writing",
-            content: "Generate compelling marketing copy for a [product/service]. Include: 1) Attention-grabbing headline, 2) Key benefits (3-5 points), 3) Social proof/testimonial section, 4) Clear call-to-action, 5) SEO keywords. Tone should be [professional/casual/enthusiastic].",
-            tags: ["marketing", "copywriting", "seo", "conversion"],
-            images: [],
-            notes: "Replace [brackets] with specific details. Aim for 300-500 words.",
-            rating: 4,
-            engine: "ChatGPT",
-            complexity: 3,
-            usageCount: 15,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+// Records skipped on load, kept apart from the library until the user
+// discards them. They live next to the vault: in IndexedDB, or in
+// localStorage when falling back to it.
+async function readQuarantine() {
+    try {
+        if (db) {
+            const stored = await idbRequest(db.transaction(DB_STORES.VAULT, 'readonly').objectStore(DB_STORES.VAULT).get('quarantine'));
+            // Set aside before the vault moved to IndexedDB
+            if (stored === undefined) return readLocalValue(STORAGE_KEYS.QUARANTINE, []);
+            return (await openValue(stored)) || [];
         }
-    ];
-    
-    state.prompts = [...samplePrompts, ...state.prompts];
-    saveState();
-    
-    // Update UI
-    updateCategoryCounts();
-    updateStats();
-    renderPrompts();
-    
-    showToast('Sample data imported successfully', 'success');
+        return await readLocalValue(STORAGE_KEYS.QUARANTINE, []);
+    } catch (error) {
+        console.error('❌ Failed to read skipped records:', error);
+        return [];
+    }
 }
 
-function handleFileImport(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    if (!file.name.endsWith('.json')) {
-        showToast('Please select a JSON file', 'error');
-        return;
-    }
-    
-    const reader = new FileReader();
-    
-    reader.onload = function(e) {
+function getQuarantineKey(item) {
+    return hashString(JSON.stringify([item.kind, item.record]));
+}
+
+function writeQuarantine(entries) {
+    if (!db) {
         try {
-            const importedData = JSON.parse(e.target.result);
-            
-            // Validate imported data
-            if (!importedData.prompts || !Array.isArray(importedData.prompts)) {
-                throw new Error('Invalid file format');
+            if (entries.length === 0) {
+                localStorage.removeItem(STORAGE_KEYS.QUARANTINE);
+            } else {
+                writeLegacyStorage([[STORAGE_KEYS.QUARANTINE, entries]]);
             }
-            
-            showConfirmModal(
-                'Import Data',
-                `This will import ${importedData.prompts.length} prompts. Your current data will be preserved. Continue?`,
-                () => {
-                    // Merge prompts
-                    importedData.prompts.forEach(prompt => {
-                        // Check if prompt already exists
-                        const exists = state.prompts.some(p => p.id === prompt.id);
-                        if (!exists) {
-                            state.prompts.push(prompt);
-                        }
-                    });
-                    
-                    // Merge templates if they exist
-                    if (importedData.templates && Array.isArray(importedData.templates)) {
-                        importedData.templates.forEach(template => {
-                            const exists = state.templates.some(t => t.id === template.id);
-                            if (!exists) {
-                                state.templates.push(template);
-                            }
-                        });
-                    }
-                    
-                    // Merge categories if they exist
-                    if (importedData.categories && Array.isArray(importedData.categories)) {
-                        importedData.categories.forEach(category => {
-                            if (!state.categories.has(category.id)) {
-                                state.categories.set(category.id, category);
-                            }
-                        });
-                    }
-                    
-                    // Save state
-                    saveState();
-                    saveCategories();
-                    
-                    // Update UI
-                    updateCategoryCounts();
-                    updateStats();
-                    renderPrompts();
-                    initializeCategoriesDropdown();
-                    
-                    showToast(`Successfully imported ${importedData.prompts.length} prompts!`, 'success');
-                    
-                    // Reset file input
-                    event.target.value = '';
-                }
-            );
         } catch (error) {
-            console.error('Import error:', error);
-            showToast('Error importing file. Please check the file format.', 'error');
+            reportStorageError(error);
         }
+        return vaultWriteChain;
+    }
+    
+    vaultWriteChain = vaultWriteChain
+        .then(async () => {
+            if (isVaultKeyMissing()) throw new Error('The vault is locked');
+            const sealed = await sealValue(entries);
+            const transaction = db.transaction(DB_STORES.VAULT, 'readwrite');
+            if (entries.length === 0) {
+                transaction.objectStore(DB_STORES.VAULT).delete('quarantine');
+            } else {
+                transaction.objectStore(DB_STORES.VAULT).put(sealed, 'quarantine');
+            }
+            await idbTransactionDone(transaction);
+            localStorage.removeItem(STORAGE_KEYS.QUARANTINE);
+        })
+        .catch(reportStorageError);
+    return vaultWriteChain;
+}
+
+// Rebuilds the report for records set aside on an earlier start
+function getQuarantineReport(entries) {
+    return {
+        issues: entries.map((entry, index) => {
+            const schema = DATA_SCHEMA[entry.kind];
+            const record = entry.record && typeof entry.record === 'object' ? entry.record : {};
+            return {
+                kind: entry.kind,
+                index,
+                id: record.id,
+                name: record[schema.nameField] || `${schema.label} #${index + 1}`,
+                messages: entry.messages || [],
+                rejected: true
+            };
+        }),
+        rejected: entries,
+        repaired: 0,
+        migrations: []
     };
+}
+
+function reportStorageError(error) {
+    console.error('❌ Failed to save state:', error);
     
-    reader.readAsText(file);
+    const quotaExceeded = error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    showToast(
+        quotaExceeded
+            ? 'Storage is full. Your latest changes were not saved — remove some images or prompts.'
+            : 'Failed to save your changes. Check console for details.',
+        'error'
+    );
+    updateStorageUsage();
 }
 
-// Data Loading
-function loadData() {
+async function getStorageEstimate() {
+    if (db) {
+        if (!navigator.storage?.estimate) return null;
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota, backend: 'IndexedDB' };
+    }
+    
+    // localStorage stores UTF-16, so every character costs two bytes
+    let usage = 0;
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+    }
+    return { usage, quota: LOCAL_STORAGE_QUOTA, backend: 'localStorage' };
+}
+
+async function updateStorageUsage() {
+    const label = document.getElementById('storageUsage');
+    const meter = document.getElementById('storageMeter');
+    if (!label || !meter) return;
+    
     try {
-        showLoading(true);
-        
-        // Update category counts
-        updateCategoryCounts();
-        
-        // Update stats
-        updateStats();
+        const estimate = await getStorageEstimate();
+        if (!estimate) {
+            label.textContent = 'IndexedDB';
+            meter.title = 'This browser does not report storage usage';
+            return;
+        }
         
-        // Render prompts
-        renderPrompts();
+        const { usage, quota, backend } = estimate;
+        const percent = quota ? Math.min(100, (usage / quota) * 100) : 0;
         
-        console.log('📊 Data loaded');
+        label.textContent = quota ? `${formatBytes(usage)} / ${formatBytes(quota)}` : formatBytes(usage);
+        meter.querySelector('.storage-meter-fill').style.width = `${percent}%`;
+        meter.classList.toggle('warning', percent >= 80);
+        meter.title = `${backend}: ${percent.toFixed(1)}% used`;
     } catch (error) {
-        console.error('❌ Failed to load data:', error);
-        showToast('Failed to load data', 'error');
-    } finally {
-        showLoading(false);
+        console.error('❌ Failed to estimate storage:', error);
+        label.textContent = 'Unknown';
     }
 }
 
-// Prompt Rendering
-function renderPrompts() {
-    if (!elements.promptsContainer) return;
-    
-    // Get filtered and sorted prompts
-    const filteredPrompts = getFilteredPrompts();
-    const sortedPrompts = sortPrompts(filteredPrompts);
-    const paginatedPrompts = paginatePrompts(sortedPrompts);
-    
-    // Clear container
-    elements.promptsContainer.innerHTML = '';
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB', 'TB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+// Clears the open workspace; other workspaces are left alone
+function clearStoredData() {
+    Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+    if (db) db.close();
+    if (typeof indexedDB === 'undefined') return Promise.resolve();
     
-    if (paginatedPrompts.length === 0) {
-        showEmptyState();
-        return;
+    return new Promise(resolve => {
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = request.onerror = request.onblocked = () => resolve();
+    });
+}
+
+// Vault Lock
+// With a passphrase set, every value written to IndexedDB (or the
+// localStorage fallback) is encrypted with AES-GCM, using a key derived
+// from the passphrase with PBKDF2. Settings stay readable so the theme and
+// the lock screen can be shown before unlocking. The key only lives in
+// memory; locking reloads the page to drop it along with the decrypted data.
+const LOCK_KDF_ITERATIONS = 600000;
+const LOCK_CHECK_TEXT = 'prompt-vault';
+const MIN_PASSPHRASE_LENGTH = 8;
+const AUTO_LOCK_OPTIONS = [0, 5, 15, 30, 60];
+const AUTO_LOCK_CHECK_INTERVAL = 30 * 1000;
+
+let vaultKey = null;
+let imageHashKey = null;
+let lastActivityAt = Date.now();
+
+function getLockConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEYS.LOCK) || 'null');
+    } catch (error) {
+        return null;
+    }
+}
+
+function isVaultEncrypted() {
+    return Boolean(getLockConfig());
+}
+
+// Without the key sealValue would pass the decrypted data straight through,
+// so nothing is written while an encrypted vault is locked or locking
+function isVaultKeyMissing() {
+    return !vaultKey && isVaultEncrypted();
+}
+
+function bytesToBase64(bytes) {
+    const array = new Uint8Array(bytes);
+    let binary = '';
+    // Chunked so large images don't overflow the argument list
+    for (let i = 0; i < array.length; i += 0x8000) {
+        binary += String.fromCharCode(...array.subarray(i, i + 0x8000));
     }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveVaultKey(passphrase, salt, iterations = LOCK_KDF_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
     
-    // Create document fragment for better performance
-    const fragment = document.createDocumentFragment();
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// The vault's AES key and the HMAC key for image ids (see hashImageData)
+// from one PBKDF2 run. The first 256 bits are the same key
+// deriveVaultKey() gives, so vaults encrypted before keep opening.
+async function deriveVaultKeys(passphrase, salt, iterations = LOCK_KDF_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
     
-    // Render each prompt
-    paginatedPrompts.forEach(prompt => {
-        const promptElement = createPromptElement(prompt);
-        fragment.appendChild(promptElement);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        512
+    ));
+    const [key, imageKey] = await Promise.all([
+        crypto.subtle.importKey('raw', bits.slice(0, 32), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']),
+        crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    ]);
+    return { key, imageKey };
+}
+
+async function encryptJson(value, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { encrypted: true, iv, data };
+}
+
+async function decryptJson(envelope, key) {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: envelope.iv }, key, envelope.data);
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+function isEnvelope(value) {
+    return Boolean(value && typeof value === 'object' && value.encrypted === true && value.iv && value.data);
+}
+
+// localStorage only holds strings, so envelopes are stored as base64 JSON
+function envelopeToText(envelope) {
+    return JSON.stringify({
+        encrypted: true,
+        iv: bytesToBase64(envelope.iv),
+        data: bytesToBase64(envelope.data)
     });
+}
+
+function textToEnvelope(parsed) {
+    return {
+        encrypted: true,
+        iv: base64ToBytes(parsed.iv),
+        data: base64ToBytes(parsed.data)
+    };
+}
+
+// Every stored value passes through these. Plain values are read as they
+// are, so a vault can hold a mix while it is being encrypted.
+function sealValue(value, key = vaultKey) {
+    return key ? encryptJson(value, key) : Promise.resolve(value);
+}
+
+async function openValue(stored, key = vaultKey) {
+    if (!isEnvelope(stored)) return stored;
+    if (!key) throw new Error('The vault is locked');
+    return decryptJson(stored, key);
+}
+
+async function readLocalValue(storageKey, fallback) {
+    const text = localStorage.getItem(storageKey);
+    if (text === null) return fallback;
     
-    // Append to container
-    elements.promptsContainer.appendChild(fragment);
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        // Set aside so the next save doesn't overwrite it, and load the rest
+        console.error(`❌ Unreadable data in ${storageKey}:`, error);
+        try {
+            localStorage.setItem(`${storageKey}_unreadable`, text);
+            localStorage.removeItem(storageKey);
+        } catch (copyError) {
+            console.error('❌ Failed to set aside unreadable data:', copyError);
+        }
+        showToast(`Some saved data could not be read and was kept as ${storageKey}_unreadable`, 'error');
+        return fallback;
+    }
+    return isEnvelope(parsed) ? openValue(textToEnvelope(parsed)) : parsed;
+}
+
+async function createLockConfig(key, salt) {
+    return {
+        salt: bytesToBase64(salt),
+        iterations: LOCK_KDF_ITERATIONS,
+        check: envelopeToText(await encryptJson(LOCK_CHECK_TEXT, key)),
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Resolves with the keys when the passphrase matches the stored check value
+async function verifyPassphrase(passphrase) {
+    const config = getLockConfig();
+    if (!config) return null;
     
-    // Update pagination
-    updatePagination(filteredPrompts.length);
+    const keys = await deriveVaultKeys(passphrase, base64ToBytes(config.salt), config.iterations);
+    try {
+        const check = await decryptJson(textToEnvelope(JSON.parse(config.check)), keys.key);
+        return check === LOCK_CHECK_TEXT ? keys : null;
+    } catch (error) {
+        // AES-GCM fails to decrypt with the wrong key
+        return null;
+    }
+}
+
+// Decrypts everything in storage with oldKey and writes it back encrypted
+// with newKey (or as plain data when newKey is null), with the image ids
+// hashed again for newImageKey. Runs on the write chain so no save can
+// interleave; later saves use the new keys.
+function reencryptStorage(oldKey, newKey, newImageKey = null) {
+    const run = vaultWriteChain.then(async () => {
+        if (db) {
+            const contents = await readDatabaseContents(db);
+            const open = value => openValue(value, oldKey);
+            const vault = new Map(await Promise.all(contents.vault.map(async ([key, value]) => [key, await open(value)])));
+            const images = await Promise.all(contents.images.map(async image => ({ ...image, url: await open(image.url) })));
+            const snapshots = await Promise.all(contents.snapshots.map(async snapshot => ({ ...snapshot, data: await open(snapshot.data) })));
+            
+            // Old image id -> new one, for every stored image and its thumbnail
+            const imageIds = new Map();
+            for (const image of images.filter(image => !image.id.endsWith(getThumbnailId('')))) {
+                const id = await hashImageData(image.url, newImageKey);
+                imageIds.set(image.id, id);
+                imageIds.set(getThumbnailId(image.id), getThumbnailId(id));
+            }
+            const rename = id => imageIds.get(id) || id;
+            renameImageIds([...(vault.get('prompts') || []), ...(vault.get('trash') || [])], imageIds);
+            snapshots.forEach(snapshot => renameImageIds([...snapshot.data.prompts, ...(snapshot.data.trash || [])], imageIds));
+            const index = (vault.get('snapshotIndex') || []).map(entry => ({ ...entry, imageIds: entry.imageIds.map(rename) }));
+            if (vault.has('snapshotIndex')) vault.set('snapshotIndex', index);
+            
+            const reseal = value => sealValue(value, newKey);
+            await writeDatabaseContents(db, {
+                vault: await Promise.all([...vault].map(async ([key, value]) => [key, await reseal(value)])),
+                images: await Promise.all(images.map(async image => ({ ...image, id: rename(image.id), url: await reseal(image.url) }))),
+                snapshots: await Promise.all(snapshots.map(async snapshot => ({ ...snapshot, data: await reseal(snapshot.data) })))
+            });
+            
+            // The library in memory (and its undo history) follows the store
+            [state, ...[...state.undoStack, ...state.redoStack].map(entry => entry.snapshot)]
+                .forEach(library => renameImageIds([...library.prompts, ...library.trash], imageIds));
+            persistedImageIds = new Set(images.map(image => rename(image.id)));
+            snapshotIndex = index;
+        } else {
+            const keys = [STORAGE_KEYS.PROMPTS, STORAGE_KEYS.FAVORITES, STORAGE_KEYS.TEMPLATES, STORAGE_KEYS.TRASH, STORAGE_KEYS.CATEGORIES, STORAGE_KEYS.SCHEMA, STORAGE_KEYS.QUARANTINE]
+                .filter(key => localStorage.getItem(key) !== null);
+            const values = await Promise.all(keys.map(async key => {
+                const parsed = JSON.parse(localStorage.getItem(key));
+                const value = isEnvelope(parsed) ? await openValue(textToEnvelope(parsed), oldKey) : parsed;
+                return newKey ? envelopeToText(await encryptJson(value, newKey)) : JSON.stringify(value);
+            }));
+            keys.forEach((key, index) => localStorage.setItem(key, values[index]));
+        }
+        
+        vaultKey = newKey;
+        imageHashKey = newImageKey;
+    });
     
-    // Update showing count
-    updateShowingCount(paginatedPrompts.length, filteredPrompts.length);
+    vaultWriteChain = run.catch(() => {});
+    return run;
 }
 
-function createPromptElement(prompt) {
-    const element = document.createElement('div');
-    element.className = `prompt-card ${state.currentView}-view`;
-    element.dataset.id = prompt.id;
+async function enableVaultEncryption(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const { key, imageKey } = await deriveVaultKeys(passphrase, salt);
     
-    if (state.selectedPrompts.has(prompt.id)) {
-        element.classList.add('selected');
+    // Saved first: a half-encrypted vault can still be read with the key,
+    // but encrypted data without the salt could never be opened again
+    localStorage.setItem(STORAGE_KEYS.LOCK, JSON.stringify(await createLockConfig(key, salt)));
+    try {
+        await reencryptStorage(null, key, imageKey);
+    } catch (error) {
+        // IndexedDB rolls the whole write back, localStorage may be half done
+        if (db) {
+            localStorage.removeItem(STORAGE_KEYS.LOCK);
+        } else {
+            vaultKey = key;
+            imageHashKey = imageKey;
+        }
+        throw error;
     }
+    console.log('🔒 Vault encryption enabled');
+}
+
+async function changeVaultPassphrase(newPassphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const { key, imageKey } = await deriveVaultKeys(newPassphrase, salt);
+    const config = await createLockConfig(key, salt);
     
-    // Calculate stats
-    const wordCount = calculateWordCount(prompt.content);
-    const tokenCount = estimateTokenCount(prompt.content);
-    const complexity = prompt.complexity || calculateComplexity(prompt);
+    await reencryptStorage(vaultKey, key, imageKey);
+    localStorage.setItem(STORAGE_KEYS.LOCK, JSON.stringify(config));
+    console.log('🔑 Vault passphrase changed');
+}
+
+async function disableVaultEncryption() {
+    await reencryptStorage(vaultKey, null);
+    localStorage.removeItem(STORAGE_KEYS.LOCK);
+    console.log('🔓 Vault encryption disabled');
+}
+
+async function lockVault() {
+    if (!vaultKey) return;
     
-    // Create element HTML with images
-    element.innerHTML = `
-        <div class="prompt-card-header">
-            <div class="prompt-header-content">
-                <div class="prompt-title">${escapeHtml(prompt.title)}</div>
-                <span class="prompt-category" style="background: ${getCategoryColor(prompt.category)}">
-                    <i class="${getCategoryIcon(prompt.category)}"></i>
-                    ${getCategoryName(prompt.category)}
-                </span>
-            </div>
-            <div class="prompt-card-actions">
-                <button class="action-btn select-btn" data-action="select" title="Select prompt">
-                    <i class="fas ${state.selectedPrompts.has(prompt.id) ? 'fa-check-square' : 'fa-square'}"></i>
-                </button>
-                <button class="action-btn favorite-btn ${isFavorite(prompt.id) ? 'active' : ''}" 
-                        data-action="favorite" title="${isFavorite(prompt.id) ? 'Remove from favorites' : 'Add to favorites'}">
-                    <i class="fas ${isFavorite(prompt.id) ? 'fa-heart' : 'fa-heart'}"></i>
-                </button>
-            </div>
-        </div>
-        
-        <div class="prompt-card-body">
-            <div class="prompt-preview">${escapeHtml(prompt.content).substring(0, 200)}${prompt.content.length > 200 ? '...' : ''}</div>
-            
-            ${prompt.images && prompt.images.length > 0 ? `
-                <div class="prompt-images">
-                    ${prompt.images.slice(0, 3).map((img, idx) => `
-                        <div class="image-thumb-wrapper">
-                            <img src="${img.url}" alt="${img.type} ${idx + 1}" 
-                                 class="image-thumb ${img.type}" 
-                                 data-action="preview" 
-                                 data-src="${img.url}"
-                                 onerror="this.style.display='none'">
-                            <span class="image-indicator ${img.type}">${img.type === 'input' ? 'I' : 'O'}</span>
-                        </div>
-                    `).join('')}
-                    ${prompt.images.length > 3 ? `
-                        <div class="image-thumb-wrapper">
-                            <div class="image-thumb" style="background: var(--bg-tertiary); display: flex; align-items: center; justify-content: center;">
-                                <span style="color: var(--text-tertiary); font-size: 0.75rem; font-weight: 600;">+${prompt.images.length - 3}</span>
-                            </div>
-                        </div>
-                    ` : ''}
-                </div>
-            ` : ''}
+    // Let pending saves finish before the key is dropped
+    await vaultWriteChain;
+    vaultKey = null;
+    imageHashKey = null;
+    location.reload();
+}
+
+function startAutoLock() {
+    const markActive = () => {
+        lastActivityAt = Date.now();
+    };
+    ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'].forEach(type => {
+        document.addEventListener(type, markActive, { passive: true });
+    });
+    
+    setInterval(() => {
+        const minutes = state.settings.autoLockMinutes;
+        if (vaultKey && minutes > 0 && Date.now() - lastActivityAt > minutes * 60 * 1000) {
+            lockVault();
+        }
+    }, AUTO_LOCK_CHECK_INTERVAL);
+    
+    updateLockButton();
+}
+
+function updateLockButton() {
+    const button = document.getElementById('lockBtn');
+    if (!button) return;
+    
+    const encrypted = isVaultEncrypted();
+    button.querySelector('i').className = `fas ${encrypted ? 'fa-lock' : 'fa-lock-open'}`;
+    button.title = encrypted ? 'Vault is encrypted' : 'Encrypt vault with a passphrase';
+}
+
+function showUnlockScreen() {
+    return new Promise(resolve => {
+        const screen = document.createElement('div');
+        screen.className = 'lock-screen';
+        screen.innerHTML = `
+            <form class="lock-card">
+                <i class="fas fa-lock lock-icon"></i>
+                <h2>${APP_NAME} is locked</h2>
+                <p class="help-text">Enter your passphrase to open ${getWorkspaces().list.length > 1 ? `the workspace <strong>${escapeHtml(getWorkspace(activeWorkspaceId).name)}</strong>` : 'your library'}.</p>
+                <input type="password" id="unlockPassphrase" placeholder="Passphrase" autocomplete="current-password" required>
+                <p class="lock-error" id="unlockError" hidden></p>
+                <button type="submit" class="btn btn-primary" id="unlockBtn">
+                    <i class="fas fa-unlock"></i> <span>Unlock</span>
+                </button>
+                <button type="button" class="btn-text small danger" id="resetLockedVaultBtn">Forgot your passphrase?</button>
+            </form>
+        `;
+        document.body.appendChild(screen);
+        
+        const input = screen.querySelector('#unlockPassphrase');
+        const error = screen.querySelector('#unlockError');
+        const button = screen.querySelector('#unlockBtn');
+        input.focus();
+        
+        screen.querySelector('form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            button.disabled = true;
+            button.querySelector('span').textContent = 'Unlocking...';
+            error.hidden = true;
             
-            <div class="prompt-stats">
-                <span class="stat-badge" title="Word count">
-                    <i class="fas fa-font"></i> ${wordCount}
-                </span>
-                <span class="stat-badge" title="Token estimate">
-                    <i class="fas fa-microchip"></i> ${tokenCount}
-                </span>
-                <span class="stat-badge" title="Complexity level">
-                    <i class="fas fa-chart-line"></i> ${complexity}/5
-                </span>
-                ${prompt.rating > 0 ? `
-                    <span class="stat-badge" title="Rating">
-                        <i class="fas fa-star"></i> ${prompt.rating}/5
-                    </span>
-                ` : ''}
-            </div>
+            const keys = await verifyPassphrase(input.value);
+            if (keys) {
+                vaultKey = keys.key;
+                imageHashKey = keys.imageKey;
+                lastActivityAt = Date.now();
+                screen.remove();
+                resolve();
+                return;
+            }
             
-            ${prompt.tags && prompt.tags.length > 0 ? `
-                <div class="prompt-tags">
-                    ${prompt.tags.slice(0, 5).map(tag => `
-                        <span class="tag">${escapeHtml(tag)}</span>
-                    `).join('')}
-                    ${prompt.tags.length > 5 ? `<span class="tag">+${prompt.tags.length - 5}</span>` : ''}
+            error.textContent = 'Wrong passphrase';
+            error.hidden = false;
+            button.disabled = false;
+            button.querySelector('span').textContent = 'Unlock';
+            input.select();
+        });
+        
+        screen.querySelector('#resetLockedVaultBtn').addEventListener('click', () => {
+            showConfirmModal(
+                'Delete Workspace Data',
+                'Without the passphrase this workspace cannot be decrypted. Delete all of its data and start over?',
+                () => clearStoredData().then(() => location.reload())
+            );
+        });
+    });
+}
+
+function showVaultLockPanel() {
+    let modal = document.getElementById('vaultLockModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'vaultLockModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3><i class="fas fa-user-shield"></i> Vault Encryption</h3>
+                    <button class="close-modal">&times;</button>
                 </div>
-            ` : ''}
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('vaultLockModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('vaultLockModal');
+        });
+    }
+    
+    renderVaultLockPanel();
+    showModal('vaultLockModal');
+}
+
+function renderVaultLockPanel() {
+    const body = document.querySelector('#vaultLockModal .modal-body');
+    const encrypted = isVaultEncrypted();
+    
+    body.innerHTML = encrypted ? `
+        <p class="lock-status">
+            <i class="fas fa-lock"></i> Your library is encrypted with AES-GCM.
+            The key is derived from your passphrase with PBKDF2 (${getLockConfig().iterations.toLocaleString()} iterations).
+        </p>
+        <div class="form-group">
+            <label for="autoLockMinutes">Lock after inactivity</label>
+            <select id="autoLockMinutes">
+                ${AUTO_LOCK_OPTIONS.map(minutes => `
+                    <option value="${minutes}" ${state.settings.autoLockMinutes === minutes ? 'selected' : ''}>
+                        ${minutes === 0 ? 'Never' : `${minutes} minutes`}
+                    </option>
+                `).join('')}
+            </select>
         </div>
+        <button class="btn btn-outline" data-lock-action="lock"><i class="fas fa-lock"></i> Lock now</button>
         
-        <div class="prompt-card-footer">
-            <div class="prompt-meta">
-                <span title="Created">
-                    <i class="far fa-calendar"></i> ${formatDate(prompt.createdAt)}
-                </span>
-                ${prompt.engine ? `
-                    <span title="AI Engine">
-                        <i class="fas fa-robot"></i> ${prompt.engine}
-                    </span>
-                ` : ''}
-            </div>
-            <div class="prompt-actions">
-                <button class="action-btn copy-btn" data-action="copy" title="Copy prompt">
-                    <i class="fas fa-copy"></i>
-                </button>
-                <button class="action-btn edit-btn" data-action="edit" title="Edit prompt">
-                    <i class="fas fa-edit"></i>
-                </button>
-                <button class="action-btn view-btn" data-action="view" title="View details">
-                    <i class="fas fa-eye"></i>
-                </button>
-                <button class="action-btn delete-btn" data-action="delete" title="Delete prompt">
-                    <i class="fas fa-trash"></i>
-                </button>
-            </div>
+        <h4 class="lock-section-title">Passphrase</h4>
+        <div class="form-group">
+            <input type="password" id="currentPassphrase" placeholder="Current passphrase" autocomplete="current-password">
+        </div>
+        <div class="form-group">
+            <input type="password" id="newPassphrase" placeholder="New passphrase" autocomplete="new-password">
+        </div>
+        <div class="form-group">
+            <input type="password" id="confirmPassphrase" placeholder="Repeat new passphrase" autocomplete="new-password">
         </div>
+        <button class="btn btn-primary" data-lock-action="change"><i class="fas fa-key"></i> <span>Change passphrase</span></button>
+        <button class="btn btn-danger" data-lock-action="disable"><i class="fas fa-lock-open"></i> <span>Turn off encryption</span></button>
+        <p class="help-text">Changing the passphrase re-encrypts everything. Turning encryption off only needs the current one.</p>
+    ` : `
+        <p>
+            Your prompts, notes, images and snapshots are stored unencrypted in this browser.
+            Set a passphrase to encrypt them. You will need it every time you open ${APP_NAME}.
+        </p>
+        <p class="import-warning">
+            <i class="fas fa-exclamation-triangle"></i>
+            A forgotten passphrase cannot be recovered. Download a backup first.
+        </p>
+        <div class="form-group">
+            <input type="password" id="newPassphrase" placeholder="Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)" autocomplete="new-password">
+        </div>
+        <div class="form-group">
+            <input type="password" id="confirmPassphrase" placeholder="Repeat passphrase" autocomplete="new-password">
+        </div>
+        <button class="btn btn-primary" data-lock-action="enable"><i class="fas fa-lock"></i> <span>Encrypt vault</span></button>
     `;
     
-    // Add event listeners
-    addPromptEventListeners(element, prompt);
+    body.querySelector('#autoLockMinutes')?.addEventListener('change', (e) => {
+        state.settings.autoLockMinutes = parseInt(e.target.value);
+        saveState();
+    });
     
-    return element;
+    body.querySelectorAll('[data-lock-action]').forEach(button => {
+        button.addEventListener('click', () => handleVaultLockAction(button));
+    });
 }
 
-function addPromptEventListeners(element, prompt) {
-    // Select button
-    const selectBtn = element.querySelector('.select-btn');
-    if (selectBtn) {
-        selectBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            togglePromptSelection(prompt.id);
-        });
+async function handleVaultLockAction(button) {
+    const body = document.querySelector('#vaultLockModal .modal-body');
+    const action = button.dataset.lockAction;
+    const value = id => body.querySelector(`#${id}`)?.value || '';
+    
+    if (action === 'lock') {
+        lockVault();
+        return;
     }
     
-    // Favorite button
-    const favoriteBtn = element.querySelector('.favorite-btn');
-    if (favoriteBtn) {
-        favoriteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            toggleFavorite(prompt.id);
-            // Update button state
-            favoriteBtn.classList.toggle('active');
-            favoriteBtn.title = isFavorite(prompt.id) ? 'Remove from favorites' : 'Add to favorites';
-        });
+    if (action === 'enable' || action === 'change') {
+        if (value('newPassphrase').length < MIN_PASSPHRASE_LENGTH) {
+            showToast(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`, 'warning');
+            return;
+        }
+        if (value('newPassphrase') !== value('confirmPassphrase')) {
+            showToast('The passphrases do not match', 'warning');
+            return;
+        }
     }
     
-    // Action buttons
-    const actionButtons = element.querySelectorAll('.prompt-actions .action-btn');
-    actionButtons.forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const action = btn.dataset.action;
-            handlePromptAction(action, prompt);
-        });
+    const label = button.querySelector('span');
+    const originalLabel = label.textContent;
+    body.querySelectorAll('button').forEach(btn => {
+        btn.disabled = true;
     });
+    label.textContent = action === 'disable' ? 'Decrypting...' : 'Encrypting...';
     
-    // Image preview in prompt cards
-    const imageThumbs = element.querySelectorAll('.image-thumb[src]');
-    imageThumbs.forEach(img => {
-        img.addEventListener('click', (e) => {
-            e.stopPropagation();
-            showImagePreview(img.src, prompt.title);
+    let reencrypting = false;
+    try {
+        if (action !== 'enable' && !(await verifyPassphrase(value('currentPassphrase')))) {
+            showToast('The current passphrase is wrong', 'error');
+            return;
+        }
+        
+        // Other tabs stop saving until the vault has been re-encrypted
+        postSyncMessage({ type: 'encryptionChanging' });
+        reencrypting = true;
+        
+        if (action === 'enable') {
+            await enableVaultEncryption(value('newPassphrase'));
+            showToast('Your vault is now encrypted', 'success');
+        } else if (action === 'change') {
+            await changeVaultPassphrase(value('newPassphrase'));
+            showToast('Passphrase changed and vault re-encrypted', 'success');
+        } else {
+            await disableVaultEncryption();
+            showToast('Encryption turned off', 'success');
+        }
+        
+        renderVaultLockPanel();
+        updateLockButton();
+    } catch (error) {
+        console.error('❌ Vault encryption failed:', error);
+        showToast('Could not re-encrypt the vault. Check console for details.', 'error');
+    } finally {
+        if (reencrypting) postSyncMessage({ type: 'encryptionChanged' });
+        body.querySelectorAll('button').forEach(btn => {
+            btn.disabled = false;
         });
-    });
+        label.textContent = originalLabel;
+    }
+}
 
+// Workspaces
+// Separate libraries in one browser. The registry in localStorage lists
+// them; each one stores its data under its own keys and in its own
+// database, so switching simply reloads the page. The default workspace
+// uses the original key and database names, so existing libraries carry on.
+function getWorkspaces() {
+    try {
+        const registry = JSON.parse(localStorage.getItem(WORKSPACES_KEY) || 'null');
+        if (registry && Array.isArray(registry.list) && registry.list.length > 0) return registry;
+    } catch (error) {
+        console.warn('⚠️ Workspace list is unreadable, starting over:', error);
+    }
     
-    // Click on card to view details
-    element.addEventListener('click', (e) => {
-        if (!e.target.closest('.action-btn') && !e.target.closest('.select-btn')) {
-            showPromptDetails(prompt);
-        }
-    });
+    return {
+        active: DEFAULT_WORKSPACE_ID,
+        list: [{ id: DEFAULT_WORKSPACE_ID, name: 'My Vault', createdAt: new Date().toISOString() }]
+    };
 }
 
-// Helper function to ensure image data is properly stored
-function storeImageData(type, index, imageData) {
-    const cacheId = `image-${type}-${index}`;
-    // Store as base64 string
-    state.imageCache.set(cacheId, imageData);
-    return cacheId;
+function saveWorkspaces(registry) {
+    localStorage.setItem(WORKSPACES_KEY, JSON.stringify(registry));
 }
 
-function handlePromptAction(action, prompt) {
-    switch (action) {
-        case 'copy':
-            copyPrompt(prompt);
-            break;
-        case 'edit':
-            editPrompt(prompt.id);
-            break;
-        case 'view':
-            showPromptDetails(prompt);
-            break;
-        case 'delete':
-            deletePrompt(prompt.id);
-            break;
-    }
+// A tab stays in the workspace it opened, even if another tab switches
+function getActiveWorkspaceId() {
+    const { active, list } = getWorkspaces();
+    const id = sessionStorage.getItem(WORKSPACES_KEY) || active;
+    return list.some(workspace => workspace.id === id) ? id : list[0].id;
 }
 
-// Prompt CRUD Operations
-function showAddPromptModal() {
-    resetPromptForm();
-    state.editingPromptId = null;
-    document.getElementById('modalTitle').textContent = 'Create New Prompt';
-    showModal('promptModal');
+function getWorkspace(workspaceId) {
+    return getWorkspaces().list.find(workspace => workspace.id === workspaceId);
 }
 
-function editPrompt(promptId) {
-    const prompt = state.prompts.find(p => p.id === promptId);
-    if (!prompt) return;
-    
-    state.editingPromptId = promptId;
-    
-    // Fill form with prompt data
-    document.getElementById('promptTitle').value = prompt.title;
-    document.getElementById('promptCategory').value = prompt.category;
-    document.getElementById('promptText').value = prompt.content;
-    document.getElementById('promptNotes').value = prompt.notes || '';
-    document.getElementById('promptRating').value = prompt.rating || 0;
-    document.getElementById('promptEngine').value = prompt.engine || '';
-    document.getElementById('promptComplexity').value = prompt.complexity || 3;
-    document.getElementById('promptUsageCount').value = prompt.usageCount || 0;
-    document.getElementById('promptId').value = promptId;
-    
-    // Load tags
-    if (prompt.tags && prompt.tags.length > 0) {
-        loadTags(prompt.tags);
-    }
+function getWorkspaceStorageKeys(workspaceId) {
+    if (workspaceId === DEFAULT_WORKSPACE_ID) return { ...BASE_STORAGE_KEYS };
     
-    // Load images
-    if (prompt.images && prompt.images.length > 0) {
-        loadPromptImages(prompt.images);
-    }
+    return Object.fromEntries(
+        Object.entries(BASE_STORAGE_KEYS).map(([name, key]) => [name, `${key}:${workspaceId}`])
+    );
+}
+
+function getWorkspaceDbName(workspaceId) {
+    return workspaceId === DEFAULT_WORKSPACE_ID ? DB_BASE_NAME : `${DB_BASE_NAME}-${workspaceId}`;
+}
+
+function isWorkspaceEncrypted(workspaceId) {
+    return localStorage.getItem(getWorkspaceStorageKeys(workspaceId).LOCK) !== null;
+}
+
+function switchWorkspace(workspaceId) {
+    const registry = getWorkspaces();
+    registry.active = workspaceId;
+    saveWorkspaces(registry);
+    sessionStorage.setItem(WORKSPACES_KEY, workspaceId);
     
-    // Update character count
-    updateCharCount();
+    // Reloading drops every cache and the undo history of the old workspace
+    vaultWriteChain.then(() => location.reload());
+}
+
+function createWorkspace(name) {
+    const registry = getWorkspaces();
+    const workspace = { id: `ws-${generateId()}`, name, createdAt: new Date().toISOString() };
+    registry.list.push(workspace);
+    saveWorkspaces(registry);
     
-    // Update rating
-    updateRatingStars(prompt.rating || 0);
+    // Start with the same theme as the current workspace
+    localStorage.setItem(getWorkspaceStorageKeys(workspace.id).SETTINGS, JSON.stringify({ theme: state.settings.theme }));
+    console.log(`🗂️ Workspace "${name}" created`);
+    return workspace;
+}
+
+function renameWorkspace(workspaceId, name) {
+    const registry = getWorkspaces();
+    const workspace = registry.list.find(ws => ws.id === workspaceId);
+    if (!workspace) return;
     
-    document.getElementById('modalTitle').textContent = 'Edit Prompt';
-    showModal('promptModal');
+    workspace.name = name;
+    saveWorkspaces(registry);
+    updateWorkspaceSwitcher();
 }
 
-function savePrompt(event) {
-    event.preventDefault();
+// Copies everything, encrypted data and the passphrase included
+async function duplicateWorkspace(workspaceId, name) {
+    const copy = createWorkspace(name);
     
     try {
-        // Get form data
-        const formData = getPromptFormData();
+        if (workspaceId === activeWorkspaceId) await vaultWriteChain;
         
-        // Get images - This is the key fix
-        const images = getFormImages();
+        const from = getWorkspaceStorageKeys(workspaceId);
+        const to = getWorkspaceStorageKeys(copy.id);
+        Object.keys(from).forEach(key => {
+            const value = localStorage.getItem(from[key]);
+            if (value !== null) localStorage.setItem(to[key], value);
+        });
         
-        if (state.editingPromptId) {
-            // Update existing prompt WITH images
-            updatePrompt(state.editingPromptId, { ...formData, images });
-            showToast('Prompt updated successfully', 'success');
-        } else {
-            // Create new prompt WITH images
-            createPrompt({ ...formData, images });
-            showToast('Prompt created successfully', 'success');
+        if (db) {
+            const source = workspaceId === activeWorkspaceId ? db : await openDatabase(getWorkspaceDbName(workspaceId));
+            const target = await openDatabase(getWorkspaceDbName(copy.id));
+            try {
+                await writeDatabaseContents(target, await readDatabaseContents(source));
+            } finally {
+                if (source !== db) source.close();
+                target.close();
+            }
         }
         
-        // Save state
-        saveState();
-        
-        // Update UI
-        updateCategoryCounts();
-        updateStats();
-        renderPrompts();
-        
-        // Close modal
-        closeModal('promptModal');
-        
+        return copy;
     } catch (error) {
-        console.error('❌ Failed to save prompt:', error);
-        showToast('Failed to save prompt', 'error');
+        await deleteWorkspace(copy.id);
+        throw error;
     }
 }
 
-function getPromptFormData() {
-    const title = document.getElementById('promptTitle').value.trim();
-    const category = document.getElementById('promptCategory').value;
-    const content = document.getElementById('promptText').value.trim();
-    const notes = document.getElementById('promptNotes').value.trim();
-    const rating = parseInt(document.getElementById('promptRating').value) || 0;
-    const engine = document.getElementById('promptEngine').value;
-    const complexity = parseInt(document.getElementById('promptComplexity').value) || 3;
-    const usageCount = parseInt(document.getElementById('promptUsageCount').value) || 0;
+async function deleteWorkspace(workspaceId) {
+    if (workspaceId === activeWorkspaceId) {
+        throw new Error('The open workspace cannot be deleted');
+    }
     
-    // Get tags from tags container
-    const tags = [];
-    const tagElements = document.querySelectorAll('#tagsContainer .tag-input');
-    tagElements.forEach(tagEl => {
-        const tagName = tagEl.textContent.replace('×', '').trim();
-        if (tagName) tags.push(tagName);
+    Object.values(getWorkspaceStorageKeys(workspaceId)).forEach(key => localStorage.removeItem(key));
+    const registry = getWorkspaces();
+    registry.list = registry.list.filter(workspace => workspace.id !== workspaceId);
+    saveWorkspaces(registry);
+    
+    if (typeof indexedDB !== 'undefined') {
+        await new Promise(resolve => {
+            const request = indexedDB.deleteDatabase(getWorkspaceDbName(workspaceId));
+            request.onsuccess = request.onerror = request.onblocked = () => resolve();
+        });
+    }
+    console.log(`🗑️ Workspace ${workspaceId} deleted`);
+}
+
+// Prepares copies of prompts for another workspace: their categories (and
+// parents) come along, and ids already used there are replaced
+function mergeIntoLibrary(library, prompts) {
+    const categories = library.categories.length > 0 ? [...library.categories] : getDefaultCategories();
+    const categoryIds = new Set(categories.map(cat => cat.id));
+    const promptIds = new Set(library.prompts.map(prompt => prompt.id));
+    
+    const added = prompts.map(prompt => {
+        let categoryId = prompt.category;
+        while (categoryId && !categoryIds.has(categoryId) && state.categories.has(categoryId)) {
+            const category = state.categories.get(categoryId);
+            categories.push({ ...category });
+            categoryIds.add(categoryId);
+            categoryId = category.parentId;
+        }
+        
+        const id = promptIds.has(prompt.id) ? generateId() : prompt.id;
+        promptIds.add(id);
+        return { ...prompt, id };
     });
     
-    return {
-        title,
-        category,
-        content,
-        notes,
-        rating,
-        engine,
-        complexity,
-        usageCount,
-        tags
-    };
+    return { prompts: added, categories };
 }
 
-function createPrompt(formData) {
-    const newPrompt = {
-        id: generateId(),
-        ...formData,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-    };
+// A tab that has the other workspace open would write its own library
+// over the copies, so they are sent to it like another tab's edits
+function postWorkspaceChanges(workspaceId, prompts, categories) {
+    if (typeof BroadcastChannel === 'undefined') return;
     
-    // Ensure images array exists
-    if (!newPrompt.images) {
-        newPrompt.images = [];
-    }
+    const channel = new BroadcastChannel(`${getWorkspaceDbName(workspaceId)}-sync`);
+    const changes = { upserts: {}, deletes: {}, favorites: { added: [], removed: [] } };
+    SYNC_KINDS.forEach(kind => {
+        changes.upserts[kind] = [];
+        changes.deletes[kind] = [];
+    });
+    changes.upserts.prompts = prompts;
+    changes.upserts.categories = categories;
     
-    state.prompts.unshift(newPrompt);
+    channel.postMessage({ type: 'changes', sentAt: Date.now(), tabId: TAB_ID, ...changes });
+    channel.close();
 }
 
-function updatePrompt(promptId, formData) {
-    const index = state.prompts.findIndex(p => p.id === promptId);
-    if (index !== -1) {
-        // Preserve existing images if none are provided
-        const images = formData.images || state.prompts[index].images || [];
+// Writes prompts straight into a workspace that isn't open in this tab.
+// Encrypted workspaces can't be written to without their passphrase.
+async function copyPromptsToWorkspace(workspaceId, prompts) {
+    if (isWorkspaceEncrypted(workspaceId)) {
+        throw new Error('The workspace is encrypted');
+    }
+    
+    const copies = cloneData(prompts);
+    const keys = getWorkspaceStorageKeys(workspaceId);
+    // Hashed for the unencrypted workspace, not with this vault's key
+    await assignImageHashes(copies, null);
+    
+    if (!db) {
+        const existing = JSON.parse(localStorage.getItem(keys.PROMPTS) || '[]');
+        const categories = JSON.parse(localStorage.getItem(keys.CATEGORIES) || '[]');
+        const library = mergeIntoLibrary({ prompts: existing, categories }, copies);
         
-        state.prompts[index] = {
-            ...state.prompts[index],
-            ...formData,
-            images, // Ensure images are included
-            updatedAt: new Date().toISOString()
-        };
+        localStorage.setItem(keys.PROMPTS, JSON.stringify([...existing, ...library.prompts]));
+        localStorage.setItem(keys.CATEGORIES, JSON.stringify(library.categories));
+        if (localStorage.getItem(keys.SCHEMA) === null) {
+            localStorage.setItem(keys.SCHEMA, JSON.stringify(SCHEMA_VERSION));
+        }
+        postWorkspaceChanges(workspaceId, library.prompts, getAddedCategories(categories, library.categories));
+        return;
+    }
+    
+    const target = await openDatabase(getWorkspaceDbName(workspaceId));
+    try {
+        const vault = target.transaction(DB_STORES.VAULT, 'readonly').objectStore(DB_STORES.VAULT);
+        const [existing, categories] = await Promise.all([
+            idbRequest(vault.get('prompts')),
+            idbRequest(vault.get('categories'))
+        ]);
+        const library = mergeIntoLibrary({ prompts: existing || [], categories: categories || [] }, copies);
+        const { records, images } = splitPromptImages(library.prompts);
+        
+        const transaction = target.transaction([DB_STORES.VAULT, DB_STORES.IMAGES], 'readwrite');
+        const store = transaction.objectStore(DB_STORES.VAULT);
+        store.put([...(existing || []), ...records], 'prompts');
+        store.put(library.categories, 'categories');
+        if (existing === undefined) {
+            // A workspace that has never been opened
+            store.put([], 'favorites');
+            store.put([], 'templates');
+            store.put(SCHEMA_VERSION, 'schemaVersion');
+        }
+        images.forEach((url, id) => transaction.objectStore(DB_STORES.IMAGES).put({ id, url }));
+        await idbTransactionDone(transaction);
+        postWorkspaceChanges(workspaceId, library.prompts, getAddedCategories(categories || [], library.categories));
+    } finally {
+        target.close();
     }
 }
 
-function deletePrompt(promptId) {
-    showConfirmModal(
-        'Delete Prompt',
-        'Are you sure you want to delete this prompt? This action cannot be undone.',
-        () => {
-            // Remove prompt
-            state.prompts = state.prompts.filter(p => p.id !== promptId);
-            
-            // Remove from favorites
-            state.favorites = state.favorites.filter(id => id !== promptId);
-            
-            // Remove from selected
-            state.selectedPrompts.delete(promptId);
-            
-            // Save state
-            saveState();
-            
-            // Update UI
-            updateCategoryCounts();
-            updateStats();
-            renderPrompts();
-            updateBulkDeleteButton();
-            
-            showToast('Prompt deleted', 'success');
-        }
-    );
+function getAddedCategories(before, after) {
+    const ids = new Set(before.map(cat => cat.id));
+    return after.filter(cat => !ids.has(cat.id));
 }
 
-function copyPrompt(prompt) {
-    navigator.clipboard.writeText(prompt.content)
-        .then(() => {
-            showToast('Prompt copied to clipboard!', 'success');
-        })
-        .catch(err => {
-            console.error('Failed to copy:', err);
-            showToast('Failed to copy prompt', 'error');
-        });
+async function transferPromptsToWorkspace(workspaceId, promptIds, move) {
+    const workspace = getWorkspace(workspaceId);
+    const prompts = state.prompts.filter(p => promptIds.includes(p.id));
+    const count = `${prompts.length} prompt${prompts.length === 1 ? '' : 's'}`;
+    
+    try {
+        await copyPromptsToWorkspace(workspaceId, prompts);
+    } catch (error) {
+        console.error('❌ Failed to copy prompts to workspace:', error);
+        showToast(`Could not copy prompts to "${workspace.name}"`, 'error');
+        return false;
+    }
+    
+    if (move) {
+        // Not undoable: undo could not take the copies back out of the other
+        // workspace, so the moved prompts are dropped from the history as well
+        const moved = new Set(promptIds);
+        const keep = library => {
+            library.prompts = library.prompts.filter(p => !moved.has(p.id));
+            library.favorites = library.favorites.filter(id => !moved.has(id));
+        };
+        keep(state);
+        [...state.undoStack, ...state.redoStack].forEach(entry => keep(entry.snapshot));
+        state.selectedPrompts.clear();
+        saveState();
+        refreshAllViews();
+    }
+    
+    showToast(`${move ? 'Moved' : 'Copied'} ${count} to "${workspace.name}"`, 'success');
+    return true;
 }
 
-function showPromptDetails(prompt) {
-    const modalContent = document.querySelector('#promptDetailsModal .modal-body');
-    if (!modalContent) return;
+function updateWorkspaceSwitcher() {
+    const label = document.getElementById('workspaceName');
+    if (label) label.textContent = getWorkspace(activeWorkspaceId)?.name || 'My Vault';
+    
+    const menu = document.getElementById('workspaceMenu');
+    if (!menu) return;
+    
+    menu.innerHTML = `
+        ${getWorkspaces().list.map(workspace => `
+            <button class="workspace-menu-item ${workspace.id === activeWorkspaceId ? 'active' : ''}" data-workspace="${workspace.id}">
+                <i class="fas ${workspace.id === activeWorkspaceId ? 'fa-check' : 'fa-briefcase'}"></i>
+                <span>${escapeHtml(workspace.name)}</span>
+                ${isWorkspaceEncrypted(workspace.id) ? '<i class="fas fa-lock workspace-lock" title="Encrypted"></i>' : ''}
+            </button>
+        `).join('')}
+        <div class="workspace-menu-divider"></div>
+        <button class="workspace-menu-item" data-workspace-action="manage">
+            <i class="fas fa-cog"></i> <span>Manage workspaces</span>
+        </button>
+    `;
+}
+
+function setupWorkspaceSwitcher() {
+    const button = document.getElementById('workspaceBtn');
+    const menu = document.getElementById('workspaceMenu');
+    if (!button || !menu) return;
     
-    const wordCount = calculateWordCount(prompt.content);
-    const tokenCount = estimateTokenCount(prompt.content);
-    const complexity = prompt.complexity || calculateComplexity(prompt);
+    updateWorkspaceSwitcher();
     
-    // Separate input and result images
-    const inputImages = prompt.images ? prompt.images.filter(img => img.type === 'input') : [];
-    const resultImages = prompt.images ? prompt.images.filter(img => img.type === 'result') : [];
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        menu.classList.toggle('active');
+    });
+    document.addEventListener('click', () => menu.classList.remove('active'));
     
-    modalContent.innerHTML = `
-        <div class="prompt-details">
-            <div class="details-header">
-                <h3>${escapeHtml(prompt.title)}</h3>
-                <span class="category-badge" style="background: ${getCategoryColor(prompt.category)}">
-                    <i class="${getCategoryIcon(prompt.category)}"></i>
-                    ${getCategoryName(prompt.category)}
-                </span>
-            </div>
-            
-            <div class="details-content">
-                <div class="section">
-                    <h4><i class="fas fa-comment-dots"></i> Prompt Content</h4>
-                    <div class="content-box">${escapeHtml(prompt.content).replace(/\n/g, '<br>')}</div>
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('.workspace-menu-item');
+        if (!item) return;
+        
+        menu.classList.remove('active');
+        if (item.dataset.workspaceAction === 'manage') {
+            showWorkspacesPanel();
+        } else if (item.dataset.workspace !== activeWorkspaceId) {
+            switchWorkspace(item.dataset.workspace);
+        }
+    });
+}
+
+function showWorkspacesPanel() {
+    let modal = document.getElementById('workspacesModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'workspacesModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content modal-lg">
+                <div class="modal-header">
+                    <h3><i class="fas fa-briefcase"></i> Workspaces</h3>
+                    <button class="close-modal">&times;</button>
                 </div>
-                
-                ${prompt.notes ? `
-                    <div class="section">
-                        <h4><i class="fas fa-sticky-note"></i> Notes</h4>
-                        <div class="notes-box">${escapeHtml(prompt.notes).replace(/\n/g, '<br>')}</div>
-                    </div>
-                ` : ''}
-                
-                <!-- Input Images Section -->
-                ${inputImages.length > 0 ? `
-                    <div class="section">
-                        <h4><i class="fas fa-upload"></i> Input Reference Images (${inputImages.length})</h4>
-                        <div class="images-grid">
-                            ${inputImages.map((img, idx) => `
-                                <div style="position: relative;">
-                                    <img src="${img.url}" alt="Input ${idx + 1}" 
-                                         class="image-thumb input" 
-                                         data-action="preview" 
-                                         data-src="${img.url}"
-                                         style="cursor: pointer; width: 100%; height: 150px; object-fit: cover; border-radius: 8px;">
-                                    <span class="image-indicator input" style="position: absolute; top: 8px; left: 8px;">INPUT</span>
-                                </div>
-                            `).join('')}
-                        </div>
-                    </div>
-                ` : ''}
-                
-                <!-- Result Images Section -->
-                ${resultImages.length > 0 ? `
-                    <div class="section">
-                        <h4><i class="fas fa-image"></i> Result Reference Images (${resultImages.length})</h4>
-                        <div class="images-grid">
-                            ${resultImages.map((img, idx) => `
-                                <div style="position: relative;">
-                                    <img src="${img.url}" alt="Result ${idx + 1}" 
-                                         class="image-thumb result" 
-                                         data-action="preview" 
-                                         data-src="${img.url}"
-                                         style="cursor: pointer; width: 100%; height: 150px; object-fit: cover; border-radius: 8px;">
-                                    <span class="image-indicator result" style="position: absolute; top: 8px; left: 8px;">OUTPUT</span>
-                                </div>
-                            `).join('')}
-                        </div>
-                    </div>
-                ` : ''}
-                
-                <div class="details-stats">
-                    <div class="stat-item">
-                        <span class="stat-label">Words:</span>
-                        <span class="stat-value">${wordCount}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Tokens:</span>
-                        <span class="stat-value">${tokenCount}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Complexity:</span>
-                        <span class="stat-value">${complexity}/5</span>
-                    </div>
-                    ${prompt.rating > 0 ? `
-                        <div class="stat-item">
-                            <span class="stat-label">Rating:</span>
-                            <span class="stat-value">${'★'.repeat(prompt.rating)}${'☆'.repeat(5 - prompt.rating)}</span>
-                        </div>
-                    ` : ''}
-                    ${prompt.engine ? `
-                        <div class="stat-item">
-                            <span class="stat-label">AI Engine:</span>
-                            <span class="stat-value">${prompt.engine}</span>
-                        </div>
-                    ` : ''}
-                    ${prompt.usageCount > 0 ? `
-                        <div class="stat-item">
-                            <span class="stat-label">Usage Count:</span>
-                            <span class="stat-value">${prompt.usageCount}</span>
-                        </div>
-                    ` : ''}
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Close</button>
                 </div>
-                
-                ${prompt.tags && prompt.tags.length > 0 ? `
-                    <div class="section">
-                        <h4><i class="fas fa-tags"></i> Tags</h4>
-                        <div class="tags-list">
-                            ${prompt.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('workspacesModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('workspacesModal');
+        });
+    }
+    
+    renderWorkspacesPanel();
+    showModal('workspacesModal');
+}
+
+function renderWorkspacesPanel() {
+    const body = document.querySelector('#workspacesModal .modal-body');
+    const { list } = getWorkspaces();
+    
+    body.innerHTML = `
+        <p class="help-text">
+            Each workspace has its own prompts, favorites, templates, categories, settings and snapshots.
+            Use <strong>Move to Workspace</strong> in the sidebar to move or copy selected prompts between them.
+        </p>
+        <div class="workspace-list">
+            ${list.map(workspace => {
+                const current = workspace.id === activeWorkspaceId;
+                return `
+                    <div class="workspace-row ${current ? 'current' : ''}" data-workspace="${workspace.id}">
+                        <input type="text" class="workspace-name-input" value="${escapeHtml(workspace.name)}" aria-label="Workspace name">
+                        <span class="workspace-meta">
+                            ${current ? '<span class="workspace-badge">Open</span>' : ''}
+                            ${isWorkspaceEncrypted(workspace.id) ? '<i class="fas fa-lock" title="Encrypted"></i>' : ''}
+                            Created ${formatDate(workspace.createdAt)}
+                        </span>
+                        <div class="workspace-actions">
+                            ${current ? '' : '<button class="btn-text small primary" data-action="open">Open</button>'}
+                            <button class="btn-text small" data-action="duplicate">Duplicate</button>
+                            <button class="btn-text small danger" data-action="delete" ${current ? 'disabled title="Open another workspace to delete this one"' : ''}>Delete</button>
                         </div>
                     </div>
-                ` : ''}
-                
-                <div class="details-meta">
-                    <div class="meta-item">
-                        <i class="far fa-calendar"></i>
-                        <span>Created: ${formatDate(prompt.createdAt)}</span>
-                    </div>
-                    <div class="meta-item">
-                        <i class="far fa-calendar-check"></i>
-                        <span>Updated: ${formatDate(prompt.updatedAt)}</span>
-                    </div>
-                </div>
-            </div>
+                `;
+            }).join('')}
         </div>
+        <form class="workspace-create" id="createWorkspaceForm">
+            <input type="text" id="newWorkspaceName" placeholder="New workspace name" maxlength="60" required>
+            <button type="submit" class="btn btn-primary"><i class="fas fa-plus"></i> Create</button>
+        </form>
     `;
     
-    // Add click handlers for images in the details modal
-    modalContent.querySelectorAll('.image-thumb').forEach(img => {
-        img.addEventListener('click', () => {
-            showImagePreview(img.src, prompt.title);
+    body.querySelector('#createWorkspaceForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const name = body.querySelector('#newWorkspaceName').value.trim();
+        if (!name) return;
+        
+        createWorkspace(name);
+        renderWorkspacesPanel();
+        updateWorkspaceSwitcher();
+        showToast(`Workspace "${name}" created`, 'success');
+    });
+    
+    body.querySelectorAll('.workspace-row').forEach(row => {
+        const workspaceId = row.dataset.workspace;
+        const workspace = list.find(ws => ws.id === workspaceId);
+        
+        row.querySelector('.workspace-name-input').addEventListener('change', (e) => {
+            const name = e.target.value.trim();
+            if (!name) {
+                e.target.value = workspace.name;
+                return;
+            }
+            renameWorkspace(workspaceId, name);
+            showToast('Workspace renamed', 'success');
+        });
+        
+        row.querySelector('[data-action="open"]')?.addEventListener('click', () => switchWorkspace(workspaceId));
+        
+        row.querySelector('[data-action="duplicate"]').addEventListener('click', async (e) => {
+            e.target.disabled = true;
+            try {
+                const copy = await duplicateWorkspace(workspaceId, `${workspace.name} (copy)`);
+                showToast(`Created "${copy.name}"`, 'success');
+            } catch (error) {
+                console.error('❌ Failed to duplicate workspace:', error);
+                showToast('Could not duplicate the workspace', 'error');
+            }
+            renderWorkspacesPanel();
+            updateWorkspaceSwitcher();
+        });
+        
+        row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            showConfirmModal(
+                'Delete Workspace',
+                `Delete "${workspace.name}" with all of its prompts, templates, categories and snapshots? This cannot be undone.`,
+                async () => {
+                    await deleteWorkspace(workspaceId);
+                    renderWorkspacesPanel();
+                    updateWorkspaceSwitcher();
+                    showToast(`Workspace "${workspace.name}" deleted`, 'success');
+                }
+            );
         });
     });
+}
+
+function showMoveToWorkspaceModal() {
+    const promptIds = [...state.selectedPrompts];
+    if (promptIds.length === 0) {
+        showToast('Select one or more prompts to move', 'warning');
+        return;
+    }
     
-    // Set edit button action
-    const editBtn = document.getElementById('editDetailsBtn');
-    if (editBtn) {
-        editBtn.onclick = () => {
-            closeModal('promptDetailsModal');
-            editPrompt(prompt.id);
-        };
+    let modal = document.getElementById('moveToWorkspaceModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'moveToWorkspaceModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3><i class="fas fa-share-square"></i> Move to Workspace</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Cancel</button>
+                    <button class="btn btn-primary" id="confirmMoveToWorkspaceBtn">
+                        <i class="fas fa-check"></i> <span>Move</span>
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('moveToWorkspaceModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('moveToWorkspaceModal');
+        });
     }
     
-    // Set share button action
-    const shareBtn = document.getElementById('shareDetailsBtn');
-    if (shareBtn) {
-        shareBtn.onclick = () => {
-            sharePrompt(prompt);
-        };
+    const targets = getWorkspaces().list.filter(workspace => workspace.id !== activeWorkspaceId);
+    const confirmBtn = modal.querySelector('#confirmMoveToWorkspaceBtn');
+    const body = modal.querySelector('.modal-body');
+    
+    if (targets.length === 0) {
+        body.innerHTML = `
+            <p class="panel-empty">There is no other workspace yet.</p>
+            <button class="btn btn-outline" id="openWorkspacesBtn"><i class="fas fa-plus"></i> Create a workspace</button>
+        `;
+        body.querySelector('#openWorkspacesBtn').addEventListener('click', () => {
+            closeModal('moveToWorkspaceModal');
+            showWorkspacesPanel();
+        });
+        confirmBtn.disabled = true;
+        showModal('moveToWorkspaceModal');
+        return;
     }
     
-    showModal('promptDetailsModal');
-}
-
-function sharePrompt(prompt) {
-    const shareData = {
-        title: prompt.title,
-        category: prompt.category,
-        content: prompt.content,
-        tags: prompt.tags,
-        notes: prompt.notes,
-        rating: prompt.rating
-    };
+    body.innerHTML = `
+        <p>${promptIds.length} selected prompt${promptIds.length === 1 ? '' : 's'}, with ${promptIds.length === 1 ? 'its' : 'their'} categories.</p>
+        <div class="form-group">
+            <label for="targetWorkspace">Workspace</label>
+            <select id="targetWorkspace">
+                ${targets.map(workspace => `
+                    <option value="${workspace.id}" ${isWorkspaceEncrypted(workspace.id) ? 'disabled' : ''}>
+                        ${escapeHtml(workspace.name)}${isWorkspaceEncrypted(workspace.id) ? ' (encrypted, open it to add prompts)' : ''}
+                    </option>
+                `).join('')}
+            </select>
+        </div>
+        <div class="export-scopes">
+            <label class="export-scope">
+                <input type="radio" name="workspaceTransfer" value="move" checked>
+                Move <span class="help-text">(remove them here, can't be undone)</span>
+            </label>
+            <label class="export-scope">
+                <input type="radio" name="workspaceTransfer" value="copy">
+                Copy <span class="help-text">(keep them here too)</span>
+            </label>
+        </div>
+        <p class="help-text">Favorites are not carried over.</p>
+        ${vaultKey ? `<p class="import-warning"><i class="fas fa-exclamation-triangle"></i> This workspace is encrypted. Prompts copied to an unencrypted workspace are stored unencrypted.</p>` : ''}
+    `;
     
-    const encoded = btoa(JSON.stringify(shareData));
-    const shareUrl = `${window.location.origin}${window.location.pathname}?shared=${encoded}`;
+    const select = body.querySelector('#targetWorkspace');
+    if (select.selectedOptions[0]?.disabled) {
+        select.value = targets.find(workspace => !isWorkspaceEncrypted(workspace.id))?.id || '';
+    }
     
-    navigator.clipboard.writeText(shareUrl)
-        .then(() => {
-            showToast('Share link copied to clipboard!', 'success');
-        })
-        .catch(() => {
-            // Fallback
-            prompt('Share URL:', shareUrl);
-        });
+    const updateButton = () => {
+        const move = body.querySelector('input[name="workspaceTransfer"]:checked').value === 'move';
+        confirmBtn.querySelector('span').textContent = move ? 'Move' : 'Copy';
+        confirmBtn.disabled = !select.value;
+    };
+    body.onchange = updateButton;
+    updateButton();
+    
+    confirmBtn.onclick = async () => {
+        const move = body.querySelector('input[name="workspaceTransfer"]:checked').value === 'move';
+        confirmBtn.disabled = true;
+        if (await transferPromptsToWorkspace(select.value, promptIds, move)) {
+            closeModal('moveToWorkspaceModal');
+        }
+        confirmBtn.disabled = false;
+    };
+    
+    showModal('moveToWorkspaceModal');
 }
 
-// Favorites
-function toggleFavorite(promptId) {
-    const index = state.favorites.indexOf(promptId);
-    
-    if (index === -1) {
-        state.favorites.push(promptId);
-        showToast('Added to favorites', 'success');
-    } else {
-        state.favorites.splice(index, 1);
-        showToast('Removed from favorites', 'info');
+// Tab Sync
+// Every open tab holds the whole library in memory. After saving, a tab
+// broadcasts the records that changed since its last broadcast, and the
+// other tabs merge them into their state and into their undo history (so
+// undoing a local edit doesn't revert another tab's). Each record carries
+// the time of its last broadcast change; when two tabs change the same
+// record at once, the later change wins in both.
+const SYNC_KINDS = ['prompts', 'templates', 'trash', 'categories'];
+const TAB_ID = generateId();
+
+let syncChannel = null;
+let syncBaseline = null;
+let syncVersions = null;
+let syncQueued = false;
+let storageSuspended = false;
+
+// Images are compared by id; only ones that haven't been stored yet (and
+// so have no id) are hashed with their data and thumbnail
+function getSyncFingerprint(kind, record) {
+    if (kind === 'prompts' || kind === 'trash') {
+        record = { ...record, images: (record.images || []).map(img => img.id ? { ...img, url: undefined, thumbnail: undefined } : img) };
+    } else if (kind === 'categories') {
+        // Counts are recalculated by every tab
+        record = { ...record, count: undefined };
     }
+    return hashString(JSON.stringify(record));
+}
+
+function getSyncRecords(kind) {
+    return kind === 'categories' ? Array.from(state.categories.values()) : state[kind];
+}
+
+function getSyncFingerprints() {
+    const fingerprints = { favorites: new Set(state.favorites) };
+    SYNC_KINDS.forEach(kind => {
+        fingerprints[kind] = new Map(getSyncRecords(kind).map(record => [record.id, getSyncFingerprint(kind, record)]));
+    });
+    return fingerprints;
+}
+
+function collectLocalChanges() {
+    const current = getSyncFingerprints();
+    const changes = { upserts: {}, deletes: {}, favorites: { added: [], removed: [] } };
+    let count = 0;
+    
+    SYNC_KINDS.forEach(kind => {
+        const before = syncBaseline[kind];
+        const changedIds = new Set([...current[kind]].filter(([id, hash]) => before.get(id) !== hash).map(([id]) => id));
+        changes.upserts[kind] = getSyncRecords(kind).filter(record => changedIds.has(record.id));
+        changes.deletes[kind] = [...before.keys()].filter(id => !current[kind].has(id));
+        count += changes.upserts[kind].length + changes.deletes[kind].length;
+    });
     
-    saveState();
-    updateStats();
+    changes.favorites.added = [...current.favorites].filter(id => !syncBaseline.favorites.has(id));
+    changes.favorites.removed = [...syncBaseline.favorites].filter(id => !current.favorites.has(id));
+    count += changes.favorites.added.length + changes.favorites.removed.length;
     
-    // Update UI if in favorites view
-    if (state.currentFilter === 'favorites') {
-        renderPrompts();
-    }
+    return { changes, current, count };
 }
 
-function isFavorite(promptId) {
-    return state.favorites.includes(promptId);
+function postSyncMessage(message) {
+    syncChannel?.postMessage({ ...message, tabId: TAB_ID });
 }
 
-// Category Management
-function showAddCategoryForm() {
-    document.getElementById('addCategoryForm').style.display = 'block';
-    document.getElementById('newCategoryName').focus();
+// Called by saveState() and saveCategories(); saves in the same tick are
+// sent as one message
+function queueSyncBroadcast() {
+    if (!syncChannel || syncQueued) return;
+    syncQueued = true;
+    
+    setTimeout(() => {
+        syncQueued = false;
+        broadcastChanges();
+    }, 0);
 }
 
-function hideAddCategoryForm() {
-    const form = document.getElementById('addCategoryForm');
-    if (form) {
-        form.style.display = 'none';
-    }
-    document.getElementById('newCategoryName').value = '';
-    document.getElementById('newCategoryParent').value = '';
-    document.getElementById('newCategoryColor').value = '#6366f1';
+function broadcastChanges() {
+    const { changes, current, count } = collectLocalChanges();
+    syncBaseline = current;
+    if (count === 0) return;
+    
+    const sentAt = Date.now();
+    SYNC_KINDS.forEach(kind => {
+        [...changes.upserts[kind].map(record => record.id), ...changes.deletes[kind]]
+            .forEach(id => syncVersions[kind].set(id, { at: sentAt, tabId: TAB_ID }));
+    });
+    
+    postSyncMessage({ type: 'changes', sentAt, ...changes });
 }
 
-function saveNewCategory() {
-    const name = document.getElementById('newCategoryName').value.trim();
-    const parentId = document.getElementById('newCategoryParent').value;
-    const color = document.getElementById('newCategoryColor').value;
+function startTabSync() {
+    // Workspace names and the workspace list are shared by every tab
+    window.addEventListener('storage', (e) => {
+        if (e.key === WORKSPACES_KEY) updateWorkspaceSwitcher();
+    });
     
-    if (!name) {
-        showToast('Please enter a category name', 'warning');
+    if (typeof BroadcastChannel === 'undefined') {
+        console.warn('⚠️ BroadcastChannel is not supported, open tabs will not sync');
         return;
     }
     
-    // Generate ID based on whether it has a parent
-    let id;
-    if (parentId) {
-        id = `${parentId}-${name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')}`;
-    } else {
-        id = name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
-    }
-    
-    if (state.categories.has(id)) {
-        showToast('Category already exists', 'warning');
-        return;
+    syncBaseline = getSyncFingerprints();
+    syncVersions = Object.fromEntries(SYNC_KINDS.map(kind => [kind, new Map()]));
+    syncChannel = new BroadcastChannel(`${DB_NAME}-sync`);
+    syncChannel.onmessage = (e) => handleSyncMessage(e.data);
+}
+
+function handleSyncMessage(message) {
+    switch (message.type) {
+        case 'changes':
+            applyRemoteChanges(message);
+            break;
+        case 'snapshots':
+            snapshotIndex = message.index;
+            if (document.getElementById('backupsModal')?.classList.contains('active')) {
+                renderBackupsPanel();
+            }
+            break;
+        case 'encryptionChanging':
+            suspendStorage();
+            break;
+        case 'encryptionChanged':
+            location.reload();
+            break;
     }
-    
-    const category = {
-        id,
-        name,
-        parentId: parentId || null,
-        color,
-        icon: 'fas fa-folder',
-        count: 0,
-        createdAt: new Date().toISOString()
-    };
-    
-    state.categories.set(id, category);
-    saveCategories();
-    
-    // Update categories dropdown
-    initializeCategoriesDropdown();
-    
-    // Update category list
-    updateCategoryList();
-    
-    // Hide form
-    hideAddCategoryForm();
-    
-    showToast('Category added', 'success');
 }
 
-function editCategory(categoryId) {
-    const category = state.categories.get(categoryId);
-    if (!category) return;
-    
-    const newName = prompt('Edit category name:', category.name);
-    if (!newName || newName.trim() === category.name) return;
-    
-    const newId = newName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+// Another tab wins a conflict if its change was sent later than ours
+function isRemoteNewer(kind, id, message) {
+    const local = syncVersions[kind].get(id) || { at: 0, tabId: '' };
+    return message.sentAt > local.at || (message.sentAt === local.at && message.tabId > local.tabId);
+}
+
+function applyRemoteChanges(message) {
+    // Local edits that haven't been broadcast yet are the newest version
+    // of their record; they are sent right after this
+    const pending = collectLocalChanges().changes;
+    const accepted = { upserts: {}, deletes: {}, favorites: message.favorites };
     
-    if (state.categories.has(newId) && newId !== categoryId) {
-        showToast('Category name already exists', 'warning');
-        return;
-    }
+    SYNC_KINDS.forEach(kind => {
+        const unsent = new Set([...pending.upserts[kind].map(record => record.id), ...pending.deletes[kind]]);
+        const wins = id => !unsent.has(id) && isRemoteNewer(kind, id, message);
+        
+        accepted.upserts[kind] = message.upserts[kind].filter(record => wins(record.id));
+        accepted.deletes[kind] = message.deletes[kind].filter(wins);
+        [...accepted.upserts[kind].map(record => record.id), ...accepted.deletes[kind]]
+            .forEach(id => syncVersions[kind].set(id, { at: message.sentAt, tabId: message.tabId }));
+    });
     
-    // Update category
-    category.name = newName.trim();
-    category.id = newId;
+    const library = mergeRemoteChanges({
+        prompts: state.prompts,
+        favorites: state.favorites,
+        templates: state.templates,
+        trash: state.trash,
+        categories: Array.from(state.categories.values())
+    }, accepted);
+    state.prompts = library.prompts;
+    state.favorites = library.favorites;
+    state.templates = library.templates;
+    state.trash = library.trash;
+    state.categories = new Map(library.categories.map(cat => [cat.id, cat]));
+    
+    [...state.undoStack, ...state.redoStack].forEach(entry => {
+        entry.snapshot = mergeRemoteChanges(entry.snapshot, cloneData(accepted));
+    });
     
-    // Update all prompts with this category
-    state.prompts.forEach(prompt => {
-        if (prompt.category === categoryId) {
-            prompt.category = newId;
-        }
+    // What was just merged is now in sync
+    SYNC_KINDS.forEach(kind => {
+        accepted.upserts[kind].forEach(record => syncBaseline[kind].set(record.id, getSyncFingerprint(kind, record)));
+        accepted.deletes[kind].forEach(id => syncBaseline[kind].delete(id));
     });
+    accepted.favorites.added.forEach(id => syncBaseline.favorites.add(id));
+    accepted.favorites.removed.forEach(id => syncBaseline.favorites.delete(id));
     
-    // Save changes
-    state.categories.delete(categoryId);
-    state.categories.set(newId, category);
+    [...accepted.deletes.prompts, ...accepted.deletes.trash].forEach(id => state.selectedPrompts.delete(id));
+    warnAboutEditedPrompt(accepted);
     
+    // Saved here as well, so the stored library has every tab's changes
+    // whichever tab wrote last
     saveState();
     saveCategories();
+    refreshAllViews();
+    console.log('🔄 Merged changes from another tab');
+}
+
+function mergeRemoteChanges(library, changes) {
+    const merged = { ...library };
     
-    // Update UI
-    initializeCategoriesDropdown();
-    updateCategoryList();
-    renderPrompts();
+    SYNC_KINDS.forEach(kind => {
+        const deleted = new Set(changes.deletes[kind]);
+        const records = library[kind].filter(record => !deleted.has(record.id));
+        const indexById = new Map(records.map((record, index) => [record.id, index]));
+        
+        changes.upserts[kind].forEach(record => {
+            if (indexById.has(record.id)) {
+                records[indexById.get(record.id)] = record;
+            } else {
+                indexById.set(record.id, records.length);
+                records.push(record);
+            }
+        });
+        merged[kind] = records;
+    });
     
-    showToast('Category updated', 'success');
+    const removed = new Set(changes.favorites.removed);
+    merged.favorites = [
+        ...library.favorites.filter(id => !removed.has(id)),
+        ...changes.favorites.added.filter(id => !library.favorites.includes(id))
+    ];
+    return merged;
 }
 
-function deleteCategory(categoryId) {
-    // Don't allow deletion of default categories
-    if (Object.keys(DEFAULT_CATEGORIES).includes(categoryId)) {
-        showToast('Cannot delete default categories', 'warning');
-        return;
+function warnAboutEditedPrompt(accepted) {
+    const promptId = state.editingPromptId;
+    if (!promptId || !document.getElementById('promptModal')?.classList.contains('active')) return;
+    
+    if (accepted.deletes.prompts.includes(promptId)) {
+        showPromptConflictWarning('This prompt was deleted in another tab. Saving will add it back as a new prompt.', false);
+    } else if (accepted.upserts.prompts.some(record => record.id === promptId)) {
+        showPromptConflictWarning('This prompt was changed in another tab. Saving will overwrite those changes.', true);
+    }
+}
+
+function showPromptConflictWarning(message, canReload) {
+    let warning = document.getElementById('promptConflictWarning');
+    if (!warning) {
+        warning = document.createElement('div');
+        warning.id = 'promptConflictWarning';
+        warning.className = 'conflict-warning';
+        document.querySelector('#promptForm .modal-body').prepend(warning);
     }
     
-    showConfirmModal(
-        'Delete Category',
-        'Are you sure you want to delete this category? All prompts in this category will be moved to "Other".',
-        () => {
-            // Move prompts to "other" category
-            state.prompts.forEach(prompt => {
-                if (prompt.category === categoryId) {
-                    prompt.category = 'other';
+    warning.innerHTML = `
+        <i class="fas fa-exclamation-triangle"></i>
+        <span>${message}</span>
+        ${canReload ? '<button type="button" class="btn-text small primary" id="loadRemotePromptBtn">Load their version</button>' : ''}
+    `;
+    warning.querySelector('#loadRemotePromptBtn')?.addEventListener('click', () => {
+        const promptId = state.editingPromptId;
+        resetPromptForm();
+        editPrompt(promptId);
+    });
+}
+
+function clearPromptConflictWarning() {
+    document.getElementById('promptConflictWarning')?.remove();
+}
+
+// Used while another tab re-encrypts the vault: writing with the old key
+// now would leave records nobody can decrypt
+function suspendStorage() {
+    storageSuspended = true;
+    
+    const screen = document.createElement('div');
+    screen.className = 'lock-screen';
+    screen.innerHTML = `
+        <div class="lock-card">
+            <i class="fas fa-sync fa-spin lock-icon"></i>
+            <h2>Encryption settings are changing</h2>
+            <p class="help-text">Another tab is re-encrypting this workspace. This tab reloads when it is done.</p>
+        </div>
+    `;
+    document.body.appendChild(screen);
+}
+
+// Data Schema
+// Stored and imported data carries a schemaVersion. Older data is upgraded
+// by the migrations below, one version at a time, and every record is then
+// checked against DATA_SCHEMA. Fields with a bad value fall back to their
+// default; records missing a required field are left out and reported.
+const SCHEMA_VERSION = 4;
+
+// Each migration upgrades data from version - 1 to version. Data written
+// before schema versions existed counts as version 1.
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Store tags as arrays and ratings as numbers',
+        migrate(data) {
+            const fixRecord = record => {
+                if (!record || typeof record !== 'object') return record;
+                const fixed = { ...record };
+                if (typeof fixed.tags === 'string') {
+                    fixed.tags = fixed.tags.split(',').map(tag => tag.trim()).filter(Boolean);
                 }
-            });
-            
-            // Remove category
-            state.categories.delete(categoryId);
+                ['rating', 'complexity', 'usageCount'].forEach(field => {
+                    if (typeof fixed[field] === 'string' && fixed[field].trim() !== '') {
+                        fixed[field] = Number(fixed[field]);
+                    }
+                });
+                return fixed;
+            };
             
-            // Save changes
-            saveState();
-            saveCategories();
+            return {
+                ...data,
+                prompts: (data.prompts || []).map(fixRecord),
+                templates: (data.templates || []).map(fixRecord)
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Keep detected {{variables}} with each prompt and template',
+        migrate(data) {
+            const addVariables = record => record && typeof record.content === 'string' && !Array.isArray(record.variables)
+                ? { ...record, variables: extractVariables(record.content) }
+                : record;
             
-            // Update UI
-            initializeCategoriesDropdown();
-            updateCategoryList();
-            updateCategoryCounts();
-            renderPrompts();
+            return {
+                ...data,
+                prompts: (data.prompts || []).map(addVariables),
+                templates: (data.templates || []).map(addVariables)
+            };
+        }
+    },
+    {
+        version: 4,
+        description: 'Detect variables again, without [brackets] that are code or links',
+        migrate(data) {
+            const redetect = record => record && typeof record.content === 'string'
+                ? { ...record, variables: extractVariables(record.content) }
+                : record;
             
-            showToast('Category deleted', 'success');
+            return {
+                ...data,
+                prompts: (data.prompts || []).map(redetect),
+                templates: (data.templates || []).map(redetect),
+                trash: (data.trash || []).map(redetect)
+            };
         }
-    );
-}
+    }
+];
+
+const DATA_SCHEMA = {
+    categories: {
+        label: 'Category',
+        nameField: 'name',
+        fields: {
+            id: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            parentId: { type: 'string', nullable: true, default: null },
+            color: { type: 'string', default: '#6c757d' },
+            icon: { type: 'string', default: 'fas fa-folder' },
+            count: { type: 'integer', min: 0, default: 0 },
+            createdAt: { type: 'date' }
+        }
+    },
+    prompts: {
+        label: 'Prompt',
+        nameField: 'title',
+        fields: {
+            id: { type: 'string', generated: true },
+            title: { type: 'string', default: 'Untitled' },
+            content: { type: 'string', required: true },
+            category: { type: 'category', default: 'other' },
+            tags: { type: 'tags', default: [] },
+            notes: { type: 'string', default: '' },
+            rating: { type: 'integer', min: 0, max: 5, default: 0 },
+            engine: { type: 'string', default: '' },
+            complexity: { type: 'integer', min: 1, max: 5, default: 3 },
+            usageCount: { type: 'integer', min: 0, default: 0 },
+            images: { type: 'images', default: [] },
+            variables: { type: 'array', default: [] },
+            revisions: { type: 'array', optional: true },
+            createdAt: { type: 'date' },
+            updatedAt: { type: 'date' }
+        }
+    },
+    templates: {
+        label: 'Template',
+        nameField: 'name',
+        fields: {
+            id: { type: 'string', generated: true },
+            name: { type: 'string', default: 'Untitled template' },
+            description: { type: 'string', default: '' },
+            content: { type: 'string', required: true },
+            category: { type: 'category', default: 'other' },
+            tags: { type: 'tags', default: [] },
+            notes: { type: 'string', default: '' },
+            engine: { type: 'string', default: '' },
+            complexity: { type: 'integer', min: 1, max: 5, default: 3 },
+            variables: { type: 'array', default: [] },
+            createdAt: { type: 'date' },
+            updatedAt: { type: 'date' }
+        }
+    }
+};
 
-function filterByCategory(categoryId) {
-    // Remove active class from all categories
-    document.querySelectorAll('.category-item').forEach(item => {
-        item.classList.remove('active');
-    });
+// Deleted prompts keep every prompt field. Their category may have been
+// deleted since, so it is only checked when they are restored.
+DATA_SCHEMA.trash = {
+    label: 'Deleted prompt',
+    nameField: 'title',
+    fields: {
+        ...DATA_SCHEMA.prompts.fields,
+        category: { type: 'string', default: 'other' },
+        deletedAt: { type: 'date' },
+        wasFavorite: { type: 'boolean', default: false }
+    }
+};
+
+function migrateData(data, fromVersion) {
+    let version = Number(fromVersion) || 1;
+    let migrated = data;
     
-    // Add active class to selected category
-    const selectedItem = document.querySelector(`.category-item[data-category="${categoryId}"]`);
-    if (selectedItem) {
-        selectedItem.classList.add('active');
+    if (version > SCHEMA_VERSION) {
+        console.warn(`⚠️ Data uses schema v${version}, newer than this app (v${SCHEMA_VERSION})`);
+        return { data: migrated, version, applied: [] };
     }
     
-    // Update current filter
-    state.currentFilter = 'category';
-    state.currentPage = 1;
+    const applied = [];
+    SCHEMA_MIGRATIONS
+        .filter(migration => migration.version > version)
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            migrated = migration.migrate(migrated);
+            version = migration.version;
+            applied.push(migration);
+            console.log(`🔄 Migrated data to schema v${version}: ${migration.description}`);
+        });
     
-    // Re-render prompts
-    renderPrompts();
+    return { data: migrated, version, applied };
 }
 
-// Bulk Operations
-function toggleSelectAll() {
-    const filteredPrompts = getFilteredPrompts();
-    const allSelected = filteredPrompts.every(p => state.selectedPrompts.has(p.id));
+// Returns the repaired data plus a per-record report. Categories are checked
+// first so prompts and templates can be checked against the known ids.
+function validateData(data, knownCategories = new Map()) {
+    const report = { issues: [], rejected: [], repaired: 0 };
+    const categoryIds = new Set(knownCategories.keys());
+    const result = { favorites: [] };
     
-    if (allSelected) {
-        // Deselect all
-        filteredPrompts.forEach(p => state.selectedPrompts.delete(p.id));
-    } else {
-        // Select all
-        filteredPrompts.forEach(p => state.selectedPrompts.add(p.id));
-    }
+    ['categories', 'prompts', 'templates', 'trash'].forEach(kind => {
+        const seenIds = new Set();
+        result[kind] = [];
+        
+        (Array.isArray(data[kind]) ? data[kind] : []).forEach((record, index) => {
+            const { value, messages, valid } = validateRecord(kind, record, categoryIds);
+            
+            if (valid && seenIds.has(value.id)) {
+                messages.push(`Duplicate id "${value.id}" was replaced`);
+                value.id = generateId();
+            }
+            
+            if (messages.length > 0) {
+                const schema = DATA_SCHEMA[kind];
+                report.issues.push({
+                    kind,
+                    index,
+                    id: record && typeof record === 'object' ? record.id : undefined,
+                    name: (record && typeof record === 'object' && record[schema.nameField]) || `${schema.label} #${index + 1}`,
+                    messages,
+                    rejected: !valid
+                });
+            }
+            
+            if (!valid) {
+                report.rejected.push({ kind, record, messages });
+                return;
+            }
+            if (messages.length > 0) report.repaired++;
+            
+            seenIds.add(value.id);
+            if (kind === 'categories') categoryIds.add(value.id);
+            result[kind].push(value);
+        });
+    });
     
-    renderPrompts();
-    updateBulkDeleteButton();
+    // Subcategories whose parent is gone move to the top level
+    result.categories.forEach((category, index) => {
+        if (category.parentId && !categoryIds.has(category.parentId)) {
+            report.issues.push({
+                kind: 'categories',
+                index,
+                id: category.id,
+                name: category.name,
+                messages: [`Parent category "${category.parentId}" is missing, moved to the top level`],
+                rejected: false
+            });
+            report.repaired++;
+            category.parentId = null;
+        }
+    });
+    
+    const promptIds = new Set(result.prompts.map(prompt => prompt.id));
+    result.favorites = Array.isArray(data.favorites)
+        ? data.favorites.filter((id, index, all) => promptIds.has(id) && all.indexOf(id) === index)
+        : [];
+    
+    return { data: result, report };
 }
 
-function togglePromptSelection(promptId) {
-    if (state.selectedPrompts.has(promptId)) {
-        state.selectedPrompts.delete(promptId);
-    } else {
-        state.selectedPrompts.add(promptId);
+function validateRecord(kind, record, categoryIds) {
+    const messages = [];
+    
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { value: null, messages: ['Not an object'], valid: false };
     }
     
-    renderPrompts();
-    updateBulkDeleteButton();
+    const value = { ...record };
+    const fields = DATA_SCHEMA[kind].fields;
+    let valid = true;
+    
+    Object.entries(fields).forEach(([field, rule]) => {
+        const current = value[field];
+        const missing = current === undefined || current === null || current === '';
+        
+        if (missing) {
+            if (rule.required) {
+                messages.push(`Missing required field "${field}"`);
+                valid = false;
+            } else if (rule.generated) {
+                value[field] = generateId();
+                messages.push(`Missing "${field}", a new one was generated`);
+            } else if (rule.nullable || rule.optional) {
+                if (current === '') value[field] = null;
+            } else if (rule.type === 'date') {
+                value[field] = value.createdAt && field !== 'createdAt' ? value.createdAt : new Date().toISOString();
+            } else if ('default' in rule) {
+                value[field] = cloneData(rule.default);
+            }
+            return;
+        }
+        
+        const checked = checkFieldValue(rule, current, categoryIds);
+        if (checked.error) {
+            if (rule.required) {
+                valid = false;
+            } else {
+                value[field] = checked.value !== undefined ? checked.value : cloneData(rule.default ?? null);
+            }
+            messages.push(`"${field}" ${checked.error}`);
+        } else if (checked.value !== undefined) {
+            value[field] = checked.value;
+        }
+    });
+    
+    if (valid && kind !== 'categories' && typeof value.content === 'string' && !value.content.trim()) {
+        messages.push('Content is empty');
+        valid = false;
+    }
+    
+    return { value, messages, valid };
 }
 
-function updateBulkDeleteButton() {
-    const bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
-    if (bulkDeleteBtn) {
-        if (state.selectedPrompts.size > 0) {
-            bulkDeleteBtn.style.display = 'inline-flex';
-            bulkDeleteBtn.innerHTML = `<i class="fas fa-trash"></i> Delete Selected (${state.selectedPrompts.size})`;
-        } else {
-            bulkDeleteBtn.style.display = 'none';
+// Returns { error } for a bad value, optionally with a repaired value
+function checkFieldValue(rule, value, categoryIds) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value === 'number') return { value: String(value) };
+            return typeof value === 'string' ? {} : { error: 'is not text' };
+        case 'integer': {
+            const number = Number(value);
+            if (!Number.isFinite(number)) return { error: 'is not a number' };
+            const clamped = Math.min(rule.max ?? Infinity, Math.max(rule.min ?? -Infinity, Math.round(number)));
+            return clamped === value ? {} : { value: clamped, error: `was changed from ${JSON.stringify(value)} to ${clamped}` };
         }
+        case 'date':
+            return typeof value === 'string' && !Number.isNaN(Date.parse(value))
+                ? {}
+                : { value: new Date().toISOString(), error: 'is not a valid date' };
+        case 'boolean':
+            return typeof value === 'boolean' ? {} : { value: Boolean(value), error: 'is not true or false' };
+        case 'category':
+            if (typeof value !== 'string') return { error: 'is not a category id' };
+            return categoryIds.size === 0 || categoryIds.has(value)
+                ? {}
+                : { value: 'other', error: `refers to unknown category "${value}" and was moved to Other` };
+        case 'tags': {
+            if (!Array.isArray(value)) return { error: 'is not a list' };
+            const tags = value.filter(tag => typeof tag === 'string' && tag.trim());
+            return tags.length === value.length ? {} : { value: tags, error: 'contained invalid tags' };
+        }
+        case 'images': {
+            if (!Array.isArray(value)) return { error: 'is not a list' };
+            const images = value.filter(img =>
+                img && typeof img === 'object' && typeof img.url === 'string' && ['input', 'result'].includes(img.type)
+            );
+            return images.length === value.length ? {} : { value: images, error: 'contained invalid images' };
+        }
+        case 'array':
+            return Array.isArray(value) ? {} : { error: 'is not a list' };
+        default:
+            return {};
     }
 }
 
-function deleteSelectedPrompts() {
-    if (state.selectedPrompts.size === 0) return;
+// Migrates and validates data read from storage or an import file.
+// Imports pass the vault's categories so prompts may refer to them.
+function prepareData(data, schemaVersion, knownCategories) {
+    const migration = migrateData(data, schemaVersion);
+    const validation = validateData(migration.data, knownCategories);
     
-    showConfirmModal(
-        'Delete Selected Prompts',
-        `Are you sure you want to delete ${state.selectedPrompts.size} selected prompt(s)? This action cannot be undone.`,
-        () => {
-            // Remove selected prompts
-            state.prompts = state.prompts.filter(p => !state.selectedPrompts.has(p.id));
-            
-            // Remove from favorites
-            state.favorites = state.favorites.filter(id => !state.selectedPrompts.has(id));
-            
-            // Clear selection
-            state.selectedPrompts.clear();
-            
-            // Save state
-            saveState();
-            
-            // Update UI
-            updateCategoryCounts();
-            updateStats();
-            renderPrompts();
-            updateBulkDeleteButton();
-            
-            showToast(`Deleted ${state.selectedPrompts.size} prompt(s)`, 'success');
+    return {
+        data: validation.data,
+        report: {
+            ...validation.report,
+            fromVersion: Number(schemaVersion) || 1,
+            toVersion: migration.version,
+            migrations: migration.applied.map(m => m.description)
         }
-    );
-}
-
-function showBulkEditModal() {
-    showToast('Bulk edit feature coming soon!', 'info');
+    };
 }
 
-function findDuplicatePrompts() {
-    const duplicates = [];
-    const seenContent = new Map();
+function showDataReport(report, options = {}) {
+    let modal = document.getElementById('dataReportModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'dataReportModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content modal-lg">
+                <div class="modal-header">
+                    <h3><i class="fas fa-clipboard-check"></i> <span class="data-report-title"></span></h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline" id="downloadRejectedBtn">
+                        <i class="fas fa-download"></i> Download skipped records
+                    </button>
+                    <button class="btn btn-outline" id="discardRejectedBtn">
+                        <i class="fas fa-trash"></i> Discard skipped records
+                    </button>
+                    <button class="btn btn-outline close-modal">Close</button>
+                    <button class="btn btn-primary" id="continueDataReportBtn">Continue</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('dataReportModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('dataReportModal');
+        });
+    }
     
-    state.prompts.forEach(prompt => {
-        const contentHash = prompt.content.substring(0, 100).toLowerCase();
-        if (seenContent.has(contentHash)) {
-            duplicates.push({
-                prompt1: seenContent.get(contentHash),
-                prompt2: prompt,
-                similarity: 'High'
-            });
-        } else {
-            seenContent.set(contentHash, prompt);
-        }
-    });
+    const rejected = report.issues.filter(issue => issue.rejected);
+    const repaired = report.issues.filter(issue => !issue.rejected);
+    
+    modal.querySelector('.data-report-title').textContent = options.title || 'Data Check';
+    modal.querySelector('.modal-body').innerHTML = `
+        <p>
+            ${rejected.length > 0 ? `<strong>${rejected.length} record${rejected.length === 1 ? ' was' : 's were'} skipped</strong> because required data is missing.` : ''}
+            ${repaired.length > 0 ? `${repaired.length} record${repaired.length === 1 ? ' was' : 's were'} repaired.` : ''}
+        </p>
+        ${options.quarantine ? `
+            <p class="help-text">
+                Skipped records are kept aside, outside your library, until you discard them.
+            </p>
+        ` : ''}
+        ${report.migrations.length > 0 ? `
+            <p class="help-text">
+                Upgraded from schema v${report.fromVersion} to v${report.toVersion}: ${report.migrations.map(escapeHtml).join('; ')}
+            </p>
+        ` : ''}
+        <div class="data-report-list">
+            ${report.issues.map(issue => `
+                <div class="data-report-item ${issue.rejected ? 'rejected' : ''}">
+                    <div class="data-report-name">
+                        <i class="fas ${issue.rejected ? 'fa-times-circle' : 'fa-wrench'}"></i>
+                        ${DATA_SCHEMA[issue.kind].label}: ${escapeHtml(String(issue.name))}
+                        ${issue.id ? `<span class="help-text">(${escapeHtml(String(issue.id))})</span>` : ''}
+                    </div>
+                    <ul>${issue.messages.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>
+                </div>
+            `).join('')}
+        </div>
+    `;
     
-    if (duplicates.length === 0) {
-        showToast('No duplicates found', 'info');
-    } else {
-        showToast(`Found ${duplicates.length} possible duplicate(s)`, 'warning');
-        console.log('Duplicates:', duplicates);
-    }
+    const downloadBtn = modal.querySelector('#downloadRejectedBtn');
+    downloadBtn.style.display = report.rejected.length > 0 ? '' : 'none';
+    downloadBtn.onclick = () => {
+        downloadFile(
+            JSON.stringify({ rejected: options.quarantine || report.rejected, exportedAt: new Date().toISOString() }, null, 2),
+            `prompt-vault-skipped-records-${formatDate(new Date())}.json`,
+            'application/json'
+        );
+    };
+    
+    const discardBtn = modal.querySelector('#discardRejectedBtn');
+    discardBtn.style.display = options.quarantine ? '' : 'none';
+    discardBtn.onclick = () => {
+        const count = options.quarantine.length;
+        showConfirmModal(
+            'Discard Skipped Records',
+            `Delete the ${count} skipped record${count === 1 ? '' : 's'} for good? Download them first if you may want to repair them.`,
+            () => {
+                writeQuarantine([]);
+                closeModal('dataReportModal');
+                showToast(`Discarded ${count} skipped record${count === 1 ? '' : 's'}`, 'info');
+            }
+        );
+    };
+    
+    const continueBtn = modal.querySelector('#continueDataReportBtn');
+    continueBtn.style.display = options.onContinue ? '' : 'none';
+    continueBtn.onclick = () => {
+        closeModal('dataReportModal');
+        options.onContinue();
+    };
+    
+    showModal('dataReportModal');
 }
 
-function clearAllCaches() {
-    showConfirmModal(
-        'Clear All Caches',
-        'Are you sure you want to clear all caches? This will improve performance but search suggestions will be reset.',
-        () => {
-            state.imageCache.clear();
-            showToast('All caches cleared', 'success');
-        }
-    );
-}
+// History (Undo/Redo)
+const HISTORY_LIMIT = 50;
+let activeCommand = null;
 
-function createBackup() {
-    handleExport(); // Use export function for backup
+// Deep-copies plain data (arrays/objects). Strings such as base64 image
+// URLs are immutable, so snapshots share them instead of duplicating them.
+function cloneData(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneData);
+    }
+    if (value && typeof value === 'object') {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = cloneData(value[key]);
+        });
+        return copy;
+    }
+    return value;
 }
 
-function clearSearch() {
-    if (elements.searchInput) {
-        elements.searchInput.value = '';
-        state.searchQuery = '';
-        updateSearchSuggestions();
-        renderPrompts();
-    }
+function captureSnapshot() {
+    return {
+        prompts: cloneData(state.prompts),
+        favorites: [...state.favorites],
+        templates: cloneData(state.templates),
+        trash: cloneData(state.trash),
+        categories: cloneData(Array.from(state.categories.values()))
+    };
 }
 
-// UI Updates
-function updateUI() {
-    updateStats();
-    updateCategoryList();
-    updateViewControls();
-    updateSearchSuggestions();
+function restoreSnapshot(snapshot) {
+    state.prompts = snapshot.prompts;
+    state.favorites = snapshot.favorites;
+    state.templates = snapshot.templates;
+    state.trash = snapshot.trash;
+    state.categories = new Map(snapshot.categories.map(cat => [cat.id, cat]));
+
+    // Drop selections that point at prompts which no longer exist
+    const existingIds = new Set([...state.prompts, ...state.trash].map(p => p.id));
+    Array.from(state.selectedPrompts).forEach(id => {
+        if (!existingIds.has(id)) state.selectedPrompts.delete(id);
+    });
+
+    saveState();
+    saveCategories();
+    refreshAllViews();
 }
 
-function updateStats() {
-    // Update sidebar stats
-    if (elements.totalPrompts) {
-        elements.totalPrompts.textContent = state.prompts.length;
+// Runs a state mutation as a single undoable step. Nested calls (e.g. an
+// import that calls createPrompt for every row) fold into the outer command.
+function runCommand(label, mutate) {
+    if (activeCommand) {
+        return mutate();
     }
-    
-    if (elements.totalFavorites) {
-        elements.totalFavorites.textContent = state.favorites.length;
+
+    activeCommand = {
+        label,
+        timestamp: new Date().toISOString(),
+        snapshot: captureSnapshot()
+    };
+
+    try {
+        const result = mutate();
+
+        state.undoStack.push(activeCommand);
+        if (state.undoStack.length > HISTORY_LIMIT) {
+            state.undoStack.shift();
+        }
+        state.redoStack = [];
+
+        updateHistoryControls();
+        return result;
+    } finally {
+        activeCommand = null;
     }
-    
-    if (elements.totalCategories) {
-        elements.totalCategories.textContent = state.categories.size;
+}
+
+function undo() {
+    const entry = state.undoStack.pop();
+    if (!entry) {
+        showToast('Nothing to undo', 'info');
+        return;
     }
-    
-    if (elements.promptsToday) {
-        const today = new Date().toDateString();
-        const todayCount = state.prompts.filter(p => 
-            new Date(p.createdAt).toDateString() === today
-        ).length;
-        elements.promptsToday.textContent = todayCount;
+
+    state.redoStack.push({ ...entry, snapshot: captureSnapshot() });
+    restoreSnapshot(entry.snapshot);
+    updateHistoryControls();
+
+    showToast(`Undone: ${entry.label}`, 'info');
+}
+
+function redo() {
+    const entry = state.redoStack.pop();
+    if (!entry) {
+        showToast('Nothing to redo', 'info');
+        return;
     }
-    
-    // Update filter counts
-    updateFilterCounts();
-    
-    // Update main stats bar
-    updateStatsBar();
+
+    state.undoStack.push({ ...entry, snapshot: captureSnapshot() });
+    restoreSnapshot(entry.snapshot);
+    updateHistoryControls();
+
+    showToast(`Redone: ${entry.label}`, 'info');
 }
 
-function updateFilterCounts() {
-    // All prompts
-    document.getElementById('countAll').textContent = state.prompts.length;
-    
-    // Favorites
-    document.getElementById('countFavorites').textContent = state.favorites.length;
-    
-    // Recent (last 7 days)
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    const recentCount = state.prompts.filter(p => 
-        new Date(p.createdAt) > weekAgo
-    ).length;
-    document.getElementById('countRecent').textContent = recentCount;
-    
-    // With images
-    const withImagesCount = state.prompts.filter(p => 
-        p.images && p.images.length > 0
-    ).length;
-    document.getElementById('countImages').textContent = withImagesCount;
+// Undoes or redoes every entry from `index` to the top of that stack. The
+// entries move one by one, but the library is restored and saved once.
+function jumpToHistory(stack, index) {
+    const from = stack === 'undo' ? state.undoStack : state.redoStack;
+    const to = stack === 'undo' ? state.redoStack : state.undoStack;
+    const moved = from.splice(index).reverse();
+    if (moved.length === 0) return;
+
+    // Each entry takes the state it leads back to onto the other stack
+    let snapshot = captureSnapshot();
+    moved.forEach(entry => {
+        to.push({ ...entry, snapshot });
+        snapshot = entry.snapshot;
+    });
+    restoreSnapshot(snapshot);
+    updateHistoryControls();
+
+    const verb = stack === 'undo' ? 'Undone' : 'Redone';
+    showToast(moved.length === 1 ? `${verb}: ${moved[0].label}` : `${verb} ${moved.length} changes`, 'info');
 }
 
-function updateStatsBar() {
-    const filteredPrompts = getFilteredPrompts();
+function refreshAllViews() {
+    updateCategoryCounts();
+    initializeCategoriesDropdown();
+    updateStats();
+    renderPrompts();
+    updateBulkDeleteButton();
     
-    if (elements.showingCount && elements.totalCount) {
-        elements.showingCount.textContent = filteredPrompts.length;
-        elements.totalCount.textContent = state.prompts.length;
+    if (document.getElementById('templatesModal')?.classList.contains('active')) {
+        renderTemplatesList(document.getElementById('templateSearchInput')?.value || '');
     }
-    
-    if (elements.totalWords) {
-        const totalWords = filteredPrompts.reduce((sum, p) => 
-            sum + calculateWordCount(p.content), 0
-        );
-        elements.totalWords.textContent = totalWords.toLocaleString();
+}
+
+function updateHistoryControls() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const lastUndo = state.undoStack[state.undoStack.length - 1];
+    const lastRedo = state.redoStack[state.redoStack.length - 1];
+
+    if (undoBtn) {
+        undoBtn.disabled = !lastUndo;
+        undoBtn.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
     }
-    
-    if (elements.totalTokens) {
-        const totalTokens = filteredPrompts.reduce((sum, p) => 
-            sum + estimateTokenCount(p.content), 0
-        );
-        elements.totalTokens.textContent = totalTokens.toLocaleString();
+
+    if (redoBtn) {
+        redoBtn.disabled = !lastRedo;
+        redoBtn.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Y)` : 'Nothing to redo';
+    }
+
+    if (document.getElementById('historyModal')?.classList.contains('active')) {
+        renderHistoryPanel();
     }
 }
 
-function updateCategoryCounts() {
-    // Reset all counts
-    state.categories.forEach(cat => cat.count = 0);
-    
-    // Count prompts per category
-    state.prompts.forEach(prompt => {
-        const category = state.categories.get(prompt.category);
-        if (category) {
-            category.count++;
-        }
-    });
-    
-    saveCategories();
-    updateCategoryList();
+function showHistoryPanel() {
+    renderHistoryPanel();
+    showModal('historyModal');
 }
 
-function updateCategoryList() {
-    if (!elements.categoryList) return;
-    
-    elements.categoryList.innerHTML = '';
-    
-    // Add default categories first
-    const defaultCategories = ['art', 'writing', 'code', 'analysis', 'creative', 'other'];
-    const otherCategories = Array.from(state.categories.entries())
-        .filter(([id]) => !defaultCategories.includes(id))
-        .sort((a, b) => a[1].name.localeCompare(b[1].name));
-    
-    // Render categories
-    [...defaultCategories, ...otherCategories.map(([id]) => id)].forEach(categoryId => {
-        const category = state.categories.get(categoryId);
-        if (!category) return;
-        
-        const item = document.createElement('div');
-        item.className = 'category-item';
-        item.dataset.category = categoryId;
-        
-        item.innerHTML = `
-            <div class="category-name">
-                <span class="category-badge" style="background: ${category.color}"></span>
-                <span>${category.name}</span>
-            </div>
-            <span class="category-count">${category.count}</span>
-            <div class="category-actions">
-                <button class="btn-icon small edit-category-btn" title="Edit category">
-                    <i class="fas fa-edit"></i>
-                </button>
-                ${!defaultCategories.includes(categoryId) ? `
-                    <button class="btn-icon small delete-category-btn" title="Delete category">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                ` : ''}
+function renderHistoryPanel() {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+
+    if (state.undoStack.length === 0 && state.redoStack.length === 0) {
+        list.innerHTML = `
+            <div class="panel-empty">
+                <i class="fas fa-history"></i>
+                <p>No changes yet. Everything you add, edit or delete will show up here.</p>
             </div>
         `;
-        
-        // Add event listeners
-        item.addEventListener('click', (e) => {
-            if (!e.target.closest('.category-actions')) {
-                filterByCategory(categoryId);
-            }
+        return;
+    }
+
+    // Redo entries are "in the future": show them above the current position
+    const redoItems = state.redoStack.map((entry, index) => `
+        <div class="history-item redo" data-stack="redo" data-index="${index}" title="Redo up to here">
+            <i class="fas fa-redo"></i>
+            <span class="history-label">${escapeHtml(entry.label)}</span>
+            <span class="history-time">${formatTime(entry.timestamp)}</span>
+        </div>
+    `).join('');
+
+    const undoItems = state.undoStack.map((entry, index) => `
+        <div class="history-item" data-stack="undo" data-index="${index}" title="Undo back to before this change">
+            <i class="fas fa-check"></i>
+            <span class="history-label">${escapeHtml(entry.label)}</span>
+            <span class="history-time">${formatTime(entry.timestamp)}</span>
+        </div>
+    `).reverse().join('');
+
+    list.innerHTML = `
+        ${redoItems}
+        <div class="history-current"><i class="fas fa-map-marker-alt"></i> Current state</div>
+        ${undoItems}
+    `;
+
+    list.querySelectorAll('.history-item').forEach(item => {
+        item.addEventListener('click', () => {
+            // Undo this entry and everything after it, or redo up to it
+            jumpToHistory(item.dataset.stack, parseInt(item.dataset.index));
         });
-        
-        const editBtn = item.querySelector('.edit-category-btn');
-        if (editBtn) {
-            editBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                editCategory(categoryId);
-            });
-        }
-        
-        const deleteBtn = item.querySelector('.delete-category-btn');
-        if (deleteBtn) {
-            deleteBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                deleteCategory(categoryId);
-            });
-        }
-        
-        elements.categoryList.appendChild(item);
     });
 }
 
-function updateSearchSuggestions() {
-    if (!elements.searchSuggestions) return;
+// DOM Elements Caching
+function cacheElements() {
+    elements.promptsContainer = document.getElementById('promptsContainer');
+    elements.searchInput = document.getElementById('searchInput');
+    elements.searchSuggestions = document.getElementById('searchSuggestions');
+    elements.categoryList = document.getElementById('categoriesList');
+    elements.totalPrompts = document.getElementById('totalPrompts');
+    elements.totalFavorites = document.getElementById('totalFavorites');
+    elements.totalCategories = document.getElementById('totalCategories');
+    elements.promptsToday = document.getElementById('promptsToday');
+    elements.showingCount = document.getElementById('showingCount');
+    elements.totalCount = document.getElementById('totalCount');
+    elements.totalWords = document.getElementById('totalWords');
+    elements.totalTokens = document.getElementById('totalTokens');
     
-    const query = state.searchQuery.toLowerCase();
-    if (query.length < 2) {
-        elements.searchSuggestions.classList.remove('active');
-        return;
-    }
+    console.log('🔍 DOM elements cached');
+}
+
+// UI Initialization
+function initializeUI() {
+    // Initialize theme
+    updateTheme();
     
-    const suggestions = new Set();
+    // Initialize categories dropdown
+    initializeCategoriesDropdown();
     
-    // Search in prompts
-    state.prompts.forEach(prompt => {
-        if (prompt.title.toLowerCase().includes(query)) {
-            suggestions.add(prompt.title);
-        }
-        if (prompt.tags) {
-            prompt.tags.forEach(tag => {
-                if (tag.toLowerCase().includes(query)) {
-                    suggestions.add(`Tag: ${tag}`);
-                }
-            });
-        }
-        if (prompt.content.toLowerCase().includes(query)) {
-            // Extract matching sentence
-            const sentences = prompt.content.split(/[.!?]+/);
-            const matchingSentence = sentences.find(s => 
-                s.toLowerCase().includes(query)
-            );
-            if (matchingSentence) {
-                suggestions.add(matchingSentence.trim().substring(0, 50) + '...');
-            }
-        }
-    });
+    // Initialize view mode
+    setViewMode(state.settings.compactMode ? 'compact' : 'grid');
     
-    // Search in categories
-    state.categories.forEach(category => {
-        if (category.name.toLowerCase().includes(query)) {
-            suggestions.add(`Category: ${category.name}`);
-        }
+    // Set active filter button
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.filter === state.currentFilter);
     });
     
-    const suggestionsArray = Array.from(suggestions).slice(0, 8);
-    
-    if (suggestionsArray.length > 0) {
-        elements.searchSuggestions.innerHTML = suggestionsArray.map(suggestion => `
-            <div class="suggestion-item">${escapeHtml(suggestion)}</div>
-        `).join('');
-        elements.searchSuggestions.classList.add('active');
-        
-        // Add click listeners
-        elements.searchSuggestions.querySelectorAll('.suggestion-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const text = item.textContent.replace(/^(Tag:|Category:)\s*/, '');
-                elements.searchInput.value = text;
-                handleSearch({ target: elements.searchInput });
-            });
-        });
-    } else {
-        elements.searchSuggestions.classList.remove('active');
+    // Set active sort option
+    const sortSelect = document.getElementById('sortSelect');
+    if (sortSelect) {
+        sortSelect.value = state.currentSort;
     }
+    
+    console.log('🎨 UI initialized');
 }
 
-function navigateSuggestions(direction) {
-    const suggestions = document.getElementById('searchSuggestions');
-    const items = suggestions.querySelectorAll('.suggestion-item');
-    if (items.length === 0) return;
-    
-    const current = suggestions.querySelector('.suggestion-item.highlighted');
-    let nextIndex = 0;
+function initializeCategoriesDropdown() {
+    const select = document.getElementById('promptCategory');
+    if (!select) return;
     
-    if (current) {
-        const currentIndex = Array.from(items).indexOf(current);
-        nextIndex = currentIndex + direction;
-        
-        // Wrap around
-        if (nextIndex < 0) nextIndex = items.length - 1;
-        if (nextIndex >= items.length) nextIndex = 0;
-        
-        current.classList.remove('highlighted');
+    // Clear existing options except the first one
+    while (select.options.length > 1) {
+        select.remove(1);
     }
     
-    items[nextIndex].classList.add('highlighted');
-    items[nextIndex].scrollIntoView({ block: 'nearest' });
+    // Add categories
+    state.categories.forEach((category, id) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = category.name;
+        select.appendChild(option);
+    });
 }
 
-function updateShowingCount(showing, total) {
-    if (elements.showingCount && elements.totalCount) {
-        elements.showingCount.textContent = showing;
-        elements.totalCount.textContent = total;
+// Event Listeners
+function setupEventListeners() {
+    // Search
+    if (elements.searchInput) {
+        elements.searchInput.addEventListener('input', debounce(handleSearch, 300));
+        elements.searchInput.addEventListener('keydown', handleSearchKeydown);
     }
-}
 
-function showEmptyState() {
-    if (!elements.promptsContainer) return;
+    // Category management
+    document.getElementById('addCategoryBtn')?.addEventListener('click', showAddCategoryForm);
+    document.getElementById('manageCategoriesBtn')?.addEventListener('click', showManageCategoriesModal);
+    document.getElementById('saveCategoryBtn')?.addEventListener('click', saveNewCategory);
+    document.getElementById('cancelCategoryBtn')?.addEventListener('click', hideAddCategoryForm);
     
-    let message = '';
-    let action = '';
+    // Filter buttons
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+        btn.addEventListener('click', () => handleFilterChange(btn.dataset.filter));
+    });
     
-    if (state.searchQuery) {
-        message = `No prompts found for "${state.searchQuery}"`;
-        action = 'Try a different search term or clear search';
-    } else if (state.currentFilter === 'favorites') {
-        message = 'No favorite prompts yet';
-        action = 'Add some prompts to your favorites first';
-    } else {
-        message = 'Your Prompt Library is Empty';
-        action = 'Start by adding your first AI prompt';
-    }
+    // View controls
+    document.getElementById('gridViewBtn')?.addEventListener('click', () => setViewMode('grid'));
+    document.getElementById('listViewBtn')?.addEventListener('click', () => setViewMode('list'));
+    document.getElementById('compactViewBtn')?.addEventListener('click', () => setViewMode('compact'));
     
-    elements.promptsContainer.innerHTML = `
-        <div class="empty-state">
-            <div class="empty-illustration">
-                <i class="fas fa-comment-alt"></i>
-            </div>
-            <h3>${message}</h3>
-            <p>${action}</p>
-            <div class="empty-actions">
-                ${state.searchQuery ? `
-                    <button id="clearSearchEmptyBtn" class="btn btn-outline">
-                        <i class="fas fa-times"></i> Clear Search
-                    </button>
-                ` : ''}
-                <button id="addPromptEmptyBtn" class="btn btn-primary">
-                    <i class="fas fa-plus-circle"></i> Add New Prompt
-                </button>
-            </div>
-        </div>
-    `;
+    // Sort controls
+    document.getElementById('sortSelect')?.addEventListener('change', handleSortChange);
     
-    // Add event listeners to empty state buttons
-    const clearBtn = document.getElementById('clearSearchEmptyBtn');
-    if (clearBtn) {
-        clearBtn.addEventListener('click', clearSearch);
-    }
+    // Add prompt buttons
+    document.getElementById('addPromptBtn')?.addEventListener('click', showAddPromptModal);
+    document.getElementById('addFirstPromptBtn')?.addEventListener('click', showAddPromptModal);
+    document.getElementById('fabButton')?.addEventListener('click', showAddPromptModal);
     
-    const addBtn = document.getElementById('addPromptEmptyBtn');
-    if (addBtn) {
-        addBtn.addEventListener('click', showAddPromptModal);
-    }
+    // Import/Export
+    document.getElementById('importBtn')?.addEventListener('click', handleImportClick);
+    document.getElementById('exportBtn')?.addEventListener('click', showExportModal);
     
-    // Update pagination
-    document.getElementById('pagination').style.display = 'none';
-}
-
-function updateViewControls() {
-    // Update view buttons
-    document.querySelectorAll('.view-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
+    // Templates
+    document.getElementById('templatesBtn')?.addEventListener('click', showTemplatesModal);
+    document.getElementById('saveAsTemplateBtn')?.addEventListener('click', saveFormAsTemplate);
     
-    const activeBtn = document.getElementById(`${state.currentView}ViewBtn`);
-    if (activeBtn) {
-        activeBtn.classList.add('active');
-    }
-}
-
-// Form Handling
-function resetPromptForm() {
-    const form = document.getElementById('promptForm');
-    if (form) {
-        form.reset();
-    }
+    // Analytics
+    document.getElementById('statsBtn')?.addEventListener('click', showAnalytics);
+    document.getElementById('importSampleBtn')?.addEventListener('click', importSampleData);
+    document.getElementById('importFile')?.addEventListener('change', handleFileImport);
     
-    // Reset tags
-    const tagsContainer = document.getElementById('tagsContainer');
-    if (tagsContainer) {
-        tagsContainer.innerHTML = '';
-    }
+    // Theme toggle
+    document.getElementById('themeToggle')?.addEventListener('click', toggleTheme);
     
-    // Reset images
-    document.querySelectorAll('.image-upload-card').forEach(card => {
-        removeImage(card);
-    });
+    // Vault encryption
+    document.getElementById('lockBtn')?.addEventListener('click', showVaultLockPanel);
     
-    // Reset result images to just one
-    const imagesGrid = document.getElementById('imagesGrid');
-    if (imagesGrid) {
-        const resultCards = imagesGrid.querySelectorAll('.image-upload-card[data-type="result"]');
-        // Keep only the first result card
-        for (let i = 1; i < resultCards.length; i++) {
-            resultCards[i].remove();
-        }
-        
-        // Reset the "Add more" button
-        const addMoreBtn = document.getElementById('addResultImageBtn');
-        if (addMoreBtn) {
-            addMoreBtn.querySelector('span').textContent = 'Add Result Image';
-            addMoreBtn.style.opacity = '1';
-            addMoreBtn.style.cursor = 'pointer';
-        }
-    }
+    // Workspaces
+    setupWorkspaceSwitcher();
+    document.getElementById('moveToWorkspaceBtn')?.addEventListener('click', showMoveToWorkspaceModal);
     
-    // Clear image cache for this form
-    Array.from(state.imageCache.keys()).forEach(key => {
-        if (key.startsWith('image-')) {
-            state.imageCache.delete(key);
-        }
-    });
+    // Undo/Redo history
+    document.getElementById('undoBtn')?.addEventListener('click', undo);
+    document.getElementById('redoBtn')?.addEventListener('click', redo);
+    document.getElementById('historyBtn')?.addEventListener('click', showHistoryPanel);
+    updateHistoryControls();
     
-    // Reset rating
-    updateRatingStars(0);
+    // Category management
+    document.getElementById('addCategoryBtn')?.addEventListener('click', showAddCategoryForm);
+    document.getElementById('saveCategoryBtn')?.addEventListener('click', saveNewCategory);
+    document.getElementById('cancelCategoryBtn')?.addEventListener('click', hideAddCategoryForm);
     
-    // Reset character count
-    updateCharCount();
+    // Bulk actions
+    document.getElementById('selectAllBtn')?.addEventListener('click', toggleSelectAll);
+    document.getElementById('bulkDeleteBtn')?.addEventListener('click', deleteSelectedPrompts);
+    document.getElementById('bulkEditBtn')?.addEventListener('click', showBulkEditModal);
+    document.getElementById('findDuplicatesBtn')?.addEventListener('click', findDuplicatePrompts);
+    document.getElementById('clearCacheBtn')?.addEventListener('click', clearAllCaches);
+    document.getElementById('backupBtn')?.addEventListener('click', showBackupsPanel);
     
-    // Reset hidden ID
-    document.getElementById('promptId').value = '';
-}
-
-function loadTags(tags) {
-    const container = document.getElementById('tagsContainer');
-    if (!container) return;
+    // Clear search
+    document.getElementById('clearSearchBtn')?.addEventListener('click', clearSearch);
     
-    container.innerHTML = '';
+    // Modal events
+    setupModalEvents();
+    // Image preview setup (zoom/controls)
+    setupImagePreview();
     
-    tags.forEach(tag => {
-        const tagEl = document.createElement('span');
-        tagEl.className = 'tag-input';
-        tagEl.innerHTML = `
-            ${escapeHtml(tag)}
-            <button class="remove-tag" type="button">&times;</button>
-        `;
-        container.appendChild(tagEl);
-    });
+    // Keyboard shortcuts
+    document.addEventListener('keydown', handleKeyboardShortcuts);
     
-    // Add remove listeners
-    container.querySelectorAll('.remove-tag').forEach(btn => {
-        btn.addEventListener('click', function() {
-            this.parentElement.remove();
-        });
-    });
-}
+    // Window events
+    window.addEventListener('beforeunload', handleBeforeUnload);
 
-function updateCharCount() {
-    const textarea = document.getElementById('promptText');
-    const charCount = document.getElementById('charCount');
-    const wordCount = document.getElementById('wordCount');
-    const tokenCount = document.getElementById('tokenCount');
-    
-    if (!textarea || !charCount) return;
-    
-    const text = textarea.value;
-    const chars = text.length;
-    const words = calculateWordCount(text);
-    const tokens = estimateTokenCount(text);
+    // Image uploads
+    setupImageUploads();
     
-    charCount.textContent = chars;
-    if (wordCount) wordCount.textContent = words;
-    if (tokenCount) tokenCount.textContent = tokens;
+    console.log('🎯 Event listeners set up');
 }
 
-function updateRatingStars(rating) {
-    const stars = document.querySelectorAll('#ratingStars .star');
-    stars.forEach((star, index) => {
-        if (index < rating) {
-            star.classList.add('active');
-            star.innerHTML = '<i class="fas fa-star"></i>';
-        } else {
-            star.classList.remove('active');
-            star.innerHTML = '<i class="far fa-star"></i>';
-        }
-    });
+// Event Handlers
+function handleSearch(event) {
+    state.searchQuery = event.target.value.trim();
+    state.currentPage = 1;
     
-    // Update rating label
-    const label = document.getElementById('ratingLabel');
-    if (label) {
-        label.textContent = rating === 0 ? 'Not rated' : `${rating}/5`;
-    }
-}
-
-// Setup rating stars interaction
-function setupRatingStars() {
-    const stars = document.querySelectorAll('#ratingStars .star');
-    stars.forEach(star => {
-        star.addEventListener('click', () => {
-            const rating = parseInt(star.dataset.value);
-            document.getElementById('promptRating').value = rating;
-            updateRatingStars(rating);
-        });
-        
-        star.addEventListener('mouseover', () => {
-            const rating = parseInt(star.dataset.value);
-            const stars = document.querySelectorAll('#ratingStars .star');
-            stars.forEach((s, index) => {
-                if (index < rating) {
-                    s.innerHTML = '<i class="fas fa-star"></i>';
-                } else {
-                    s.innerHTML = '<i class="far fa-star"></i>';
-                }
-            });
-        });
-        
-        star.addEventListener('mouseout', () => {
-            const currentRating = parseInt(document.getElementById('promptRating').value) || 0;
-            updateRatingStars(currentRating);
-        });
-    });
+    // Update search suggestions
+    updateSearchSuggestions();
+    
+    // Re-render prompts
+    renderPrompts();
 }
 
-// Filtering and Sorting
-function getFilteredPrompts() {
-    let filtered = [...state.prompts];
-    
-    // Apply search filter
-    if (state.searchQuery) {
-        filtered = filtered.filter(prompt => 
-            prompt.title.toLowerCase().includes(state.searchQuery) ||
-            prompt.content.toLowerCase().includes(state.searchQuery) ||
-            (prompt.tags && prompt.tags.some(tag => 
-                tag.toLowerCase().includes(state.searchQuery)
-            )) ||
-            (prompt.notes && prompt.notes.toLowerCase().includes(state.searchQuery))
-        );
+function handleSearchKeydown(event) {
+    if (event.key === 'Escape') {
+        clearSearch();
     }
     
-    // Apply category filter
-    if (state.currentFilter === 'category') {
-        const activeCategory = document.querySelector('.category-item.active')?.dataset.category;
-        if (activeCategory) {
-            filtered = filtered.filter(prompt => prompt.category === activeCategory);
+    // Tab accepts the highlighted (or first) autocomplete suggestion
+    if (event.key === 'Tab' && !event.shiftKey && elements.searchSuggestions) {
+        const highlighted = elements.searchSuggestions.querySelector('.suggestion-item.highlighted');
+        if (!highlighted) updateSearchSuggestions();
+        
+        const item = highlighted || elements.searchSuggestions.querySelector('.suggestion-item');
+        if (item && elements.searchSuggestions.classList.contains('active')) {
+            event.preventDefault();
+            item.click();
         }
     }
-    
-    // Apply other filters
-    switch (state.currentFilter) {
-        case 'favorites':
-            filtered = filtered.filter(prompt => state.favorites.includes(prompt.id));
-            break;
-        case 'recent':
-            const weekAgo = new Date();
-            weekAgo.setDate(weekAgo.getDate() - 7);
-            filtered = filtered.filter(prompt => 
-                new Date(prompt.createdAt) > weekAgo
-            );
-            break;
-        case 'withImages':
-            filtered = filtered.filter(prompt => 
-                prompt.images && prompt.images.length > 0
-            );
-            break;
-        // 'all' filter - no additional filtering needed
-    }
-    
-    return filtered;
 }
 
-function sortPrompts(prompts) {
-    const sorted = [...prompts];
+function handleFilterChange(filter) {
+    state.currentFilter = filter;
+    state.currentPage = 1;
+    state.selectedPrompts.clear();
     
-    switch (state.currentSort) {
-        case 'newest':
-            sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-            break;
-        case 'oldest':
-            sorted.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-            break;
-        case 'title':
-            sorted.sort((a, b) => a.title.localeCompare(b.title));
-            break;
-        case 'rating':
-            sorted.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-            break;
-        case 'complexity':
-            sorted.sort((a, b) => (b.complexity || 0) - (a.complexity || 0));
-            break;
-    }
+    // Update active filter button
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.filter === filter);
+    });
     
-    return sorted;
+    // Update bulk delete button visibility
+    updateBulkDeleteButton();
+    
+    // Re-render prompts
+    renderPrompts();
 }
 
-function paginatePrompts(prompts) {
-    const startIndex = (state.currentPage - 1) * state.pageSize;
-    const endIndex = startIndex + state.pageSize;
-    return prompts.slice(startIndex, endIndex);
+function handleSortChange(event) {
+    state.currentSort = event.target.value;
+    renderPrompts();
 }
 
-function updatePagination(totalItems) {
-    const pagination = document.getElementById('pagination');
-    if (!pagination) return;
-    
-    const totalPages = Math.ceil(totalItems / state.pageSize);
-    
-    if (totalPages <= 1) {
-        pagination.style.display = 'none';
-        return;
-    }
-    
-    pagination.style.display = 'flex';
-    
-    // Update buttons
-    const prevBtn = document.getElementById('prevPageBtn');
-    const nextBtn = document.getElementById('nextPageBtn');
-    
-    if (prevBtn) {
-        prevBtn.disabled = state.currentPage === 1;
-        prevBtn.onclick = () => {
-            if (state.currentPage > 1) {
-                state.currentPage--;
-                renderPrompts();
-            }
-        };
-    }
-    
-    if (nextBtn) {
-        nextBtn.disabled = state.currentPage === totalPages;
-        nextBtn.onclick = () => {
-            if (state.currentPage < totalPages) {
-                state.currentPage++;
-                renderPrompts();
-            }
+function handleImportClick() {
+    document.getElementById('importFile').click();
+}
+
+async function handleExport() {
+    try {
+        const { records, assets } = splitExportImages(state.prompts);
+        const exportData = {
+            prompts: records,
+            assets,
+            templates: state.templates,
+            categories: Array.from(state.categories.values()),
+            exportedAt: new Date().toISOString(),
+            version: APP_VERSION,
+            schemaVersion: SCHEMA_VERSION
         };
+        
+        downloadFile(
+            JSON.stringify(exportData, null, 2),
+            `prompt-vault-${formatDate(new Date())}.json`,
+            'application/json'
+        );
+        
+        showToast('Data exported successfully', 'success');
+    } catch (error) {
+        console.error('❌ Export failed:', error);
+        showToast('Export failed', 'error');
     }
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function importSampleData() {
+    const samplePrompts = [
+        {
+            id: generateId(),
+            title: "Fantasy Landscape Generator",
+            category: "art",
+            content: "Create a breathtaking fantasy landscape with towering mountains, mystical forests, and a crystal-clear river flowing through a magical valley. Digital painting style, highly detailed, epic scale, cinematic lighting, 8K resolution, trending on ArtStation.",
+            tags: ["fantasy", "landscape", "digital painting", "detailed"],
+            images: [],
+            notes: "Works best with DALL-E 3 or Midjourney v6. Use --ar 16:9 for widescreen.",
+            rating: 5,
+            engine: "Midjourney",
+            complexity: 4,
+            usageCount: 12,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        },
+        {
+            id: generateId(),
+            title: "Python Data Analysis Template",
+            category: "code",
+            content: "Create a comprehensive Python script for data analysis using pandas and matplotlib. Include data loading, cleaning, exploratory analysis, visualization, and statistical summaries. Add docstrings and comments for each function.",
+            tags: ["python", "data analysis", "pandas", "matplotlib", "automation"],
+            images: [],
+            notes: "Adjust column names and data types based on your dataset. Install required packages: pandas, matplotlib, seaborn.",
+            rating: 4,
+            engine: "ChatGPT",
+            complexity: 3,
+            usageCount: 8,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        },
+        {
+            id: generateId(),
+            title: "Marketing Copy Generator",
+            category: "writing",
+            content: "Generate compelling marketing copy for a [product/service]. Include: 1) Attention-grabbing headline, 2) Key benefits (3-5 points), 3) Social proof/testimonial section, 4) Clear call-to-action, 5) SEO keywords. Tone should be [professional/casual/enthusiastic].",
+            tags: ["marketing", "copywriting", "seo", "conversion"],
+            images: [],
+            notes: "Replace [brackets] with specific details. Aim for 300-500 words.",
+            rating: 4,
+            engine: "ChatGPT",
+            complexity: 3,
+            usageCount: 15,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        }
+    ];
     
-    // Update page numbers
-    const pageNumbers = document.getElementById('pageNumbers');
-    if (!pageNumbers) return;
+    runCommand(`Imported ${samplePrompts.length} sample prompts`, () => {
+        state.prompts = [...samplePrompts, ...state.prompts];
+    });
+    saveState();
     
-    pageNumbers.innerHTML = '';
+    // Update UI
+    updateCategoryCounts();
+    updateStats();
+    renderPrompts();
     
-    // Calculate page range to show (max 5 pages)
-    let startPage = Math.max(1, state.currentPage - 2);
-    let endPage = Math.min(totalPages, startPage + 4);
+    showToast('Sample data imported successfully', 'success');
+}
+
+function handleFileImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
     
-    // Adjust start if we're near the end
-    if (endPage - startPage < 4) {
-        startPage = Math.max(1, endPage - 4);
+    const format = IMPORT_FILE_TYPES[file.name.split('.').pop().toLowerCase()];
+    if (!format) {
+        showToast('Please select a JSON, CSV, Markdown, text or encrypted export file', 'error');
+        event.target.value = '';
+        return;
     }
     
-    for (let i = startPage; i <= endPage; i++) {
-        const pageBtn = document.createElement('button');
-        pageBtn.className = `page-number ${i === state.currentPage ? 'active' : ''}`;
-        pageBtn.textContent = i;
-        pageBtn.addEventListener('click', () => {
-            state.currentPage = i;
-            renderPrompts();
-        });
-        pageNumbers.appendChild(pageBtn);
-    }
+    const reader = new FileReader();
     
-    // Add ellipsis if needed
-    if (endPage < totalPages) {
-        const ellipsis = document.createElement('span');
-        ellipsis.className = 'page-ellipsis';
-        ellipsis.textContent = '...';
-        pageNumbers.appendChild(ellipsis);
+    reader.onload = function(e) {
+        // Reset file input so the same file can be picked again
+        event.target.value = '';
         
-        const lastPage = document.createElement('button');
-        lastPage.className = 'page-number';
-        lastPage.textContent = totalPages;
-        lastPage.addEventListener('click', () => {
-            state.currentPage = totalPages;
-            renderPrompts();
-        });
-        pageNumbers.appendChild(lastPage);
-    }
+        try {
+            const parsed = format === 'json' || format === 'encrypted' ? JSON.parse(e.target.result) : null;
+            if (isEncryptedExport(parsed)) {
+                showDecryptImportDialog(parsed, file.name);
+            } else if (format === 'encrypted') {
+                throw new Error('Not an encrypted export');
+            } else if (format === 'json') {
+                importJsonData(parsed, file.name);
+            } else {
+                showImportPreview(format, e.target.result, file.name);
+            }
+        } catch (error) {
+            console.error('Import error:', error);
+            showToast('Error importing file. Please check the file format.', 'error');
+        }
+    };
+    
+    reader.readAsText(file);
 }
 
-// View Management
-function setViewMode(mode) {
-    state.currentView = mode;
-    
-    // Update container class
-    if (elements.promptsContainer) {
-        elements.promptsContainer.className = `prompts-container ${mode}-view`;
+function importJsonData(importedData, fileName) {
+    // Validate imported data (template-only exports have no prompts)
+    const hasTemplates = Array.isArray(importedData.templates) && importedData.templates.length > 0;
+    if (!Array.isArray(importedData.prompts) && !hasTemplates) {
+        throw new Error('Invalid file format');
     }
+    importedData.prompts = resolveImportAssets(importedData.prompts || [], importedData.assets);
     
-    // Update active button
-    document.querySelectorAll('.view-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
-    
-    const activeBtn = document.getElementById(`${mode}ViewBtn`);
-    if (activeBtn) {
-        activeBtn.classList.add('active');
+    const { data, report } = prepareData(importedData, importedData.schemaVersion, state.categories);
+    if (report.fromVersion > SCHEMA_VERSION) {
+        showToast('This file comes from a newer version of the app. Unknown fields are kept as they are.', 'warning');
     }
     
-    // Update settings
-    state.settings.compactMode = (mode === 'compact');
-    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(state.settings));
-    
-    // Re-render prompts
-    renderPrompts();
+    const review = () => showImportReview(createImportReview(data), fileName);
+    if (report.issues.length > 0) {
+        showDataReport(report, { title: 'Import Check', onContinue: review });
+    } else {
+        review();
+    }
 }
 
-// Modal Management
-function showModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-        modal.classList.add('active');
-        document.body.style.overflow = 'hidden';
+// Puts image data from an export's `assets` back into its prompts. Image
+// ids are dropped rather than trusted: the images are hashed again when
+// they are saved.
+function resolveImportAssets(prompts, assets) {
+    const lookup = assets && typeof assets === 'object' ? assets : {};
+    
+    return prompts.map(prompt => {
+        if (!prompt || !Array.isArray(prompt.images)) return prompt;
         
-        // Focus first input if exists
-        const firstInput = modal.querySelector('input, textarea, select');
-        if (firstInput) {
-            setTimeout(() => firstInput.focus(), 100);
-        }
-    }
+        return {
+            ...prompt,
+            images: prompt.images.map(img => {
+                if (!img || typeof img !== 'object') return img;
+                
+                const { id, ...image } = img;
+                if (!image.url && typeof lookup[id] === 'string') {
+                    image.url = lookup[id];
+                    if (typeof lookup[getThumbnailId(id)] === 'string') image.thumbnail = lookup[getThumbnailId(id)];
+                }
+                return image;
+            })
+        };
+    });
 }
 
-function closeModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-        modal.classList.remove('active');
-        document.body.style.overflow = 'auto';
+// Data Loading
+function loadData() {
+    try {
+        showLoading(true);
+        
+        // Update category counts
+        updateCategoryCounts();
+        
+        // Update stats
+        updateStats();
+        
+        // Render prompts
+        renderPrompts();
+        
+        console.log('📊 Data loaded');
+    } catch (error) {
+        console.error('❌ Failed to load data:', error);
+        showToast('Failed to load data', 'error');
+    } finally {
+        showLoading(false);
     }
 }
 
-function showConfirmModal(title, message, callback) {
-    document.getElementById('confirmTitle').textContent = title;
-    document.getElementById('confirmMessage').textContent = message;
+// Prompt Rendering
+function renderPrompts() {
+    if (!elements.promptsContainer) return;
     
-    state.pendingConfirmAction = callback;
-    showModal('confirmModal');
-}
-
-function setupModalEvents() {
-    // Close modal on background click
-    document.querySelectorAll('.modal').forEach(modal => {
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                modal.classList.remove('active');
-                document.body.style.overflow = 'auto';
-            }
-        });
-    });
+    // Get filtered and sorted prompts
+    const filteredPrompts = getFilteredPrompts();
+    const sortedPrompts = sortPrompts(filteredPrompts);
+    const paginatedPrompts = paginatePrompts(sortedPrompts);
     
-    // Close modal buttons
-    document.querySelectorAll('.close-modal').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const modal = e.target.closest('.modal');
-            if (modal) {
-                modal.classList.remove('active');
-                document.body.style.overflow = 'auto';
-            }
-        });
-    });
+    // Clear container
+    elements.promptsContainer.innerHTML = '';
     
-    // Confirm modal actions
-    document.getElementById('confirmCancel')?.addEventListener('click', () => {
-        closeModal('confirmModal');
-    });
+    if (paginatedPrompts.length === 0) {
+        showEmptyState();
+        return;
+    }
     
-    document.getElementById('confirmOk')?.addEventListener('click', () => {
-        if (state.pendingConfirmAction) {
-            state.pendingConfirmAction();
-            state.pendingConfirmAction = null;
-        }
-        closeModal('confirmModal');
-    });
+    // Create document fragment for better performance
+    const fragment = document.createDocumentFragment();
     
-    // Prompt form submission
-    const promptForm = document.getElementById('promptForm');
-    if (promptForm) {
-        promptForm.addEventListener('submit', savePrompt);
+    if (state.currentFilter === 'trash') {
+        fragment.appendChild(createTrashBar());
     }
     
-    // Reset form button
-    document.getElementById('resetFormBtn')?.addEventListener('click', resetPromptForm);
+    // Render each prompt
+    paginatedPrompts.forEach(prompt => {
+        const promptElement = createPromptElement(prompt);
+        fragment.appendChild(promptElement);
+    });
     
-    // Tags input
-    const tagsInput = document.getElementById('promptTags');
-    if (tagsInput) {
-        tagsInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ',') {
-                e.preventDefault();
-                const tag = tagsInput.value.trim();
-                if (tag) {
-                    addTag(tag);
-                    tagsInput.value = '';
-                }
-            }
-        });
-    }
+    // Append to container
+    elements.promptsContainer.appendChild(fragment);
     
-    // Character count for prompt text
-    const promptText = document.getElementById('promptText');
-    if (promptText) {
-        promptText.addEventListener('input', updateCharCount);
-    }
+    // Update pagination
+    updatePagination(filteredPrompts.length);
     
-    // Rating stars
-    setupRatingStars();
+    // Update showing count
+    updateShowingCount(paginatedPrompts.length, filteredPrompts.length);
     
-    // Advanced section toggle
-    const toggleHeader = document.getElementById('toggleAdvanced');
-    if (toggleHeader) {
-        toggleHeader.addEventListener('click', () => {
-            const content = document.getElementById('advancedContent');
-            const icon = toggleHeader.querySelector('i');
-            
-            if (content.style.display === 'none') {
-                content.style.display = 'block';
-                icon.style.transform = 'rotate(180deg)';
-            } else {
-                content.style.display = 'none';
-                icon.style.transform = 'rotate(0deg)';
-            }
-        });
-    }
+    // Images from before thumbnails existed get theirs in the background
+    queueThumbnailBackfill(paginatedPrompts);
 }
 
-function addTag(tagName) {
-    const container = document.getElementById('tagsContainer');
-    if (!container) return;
+function createPromptElement(prompt) {
+    const element = document.createElement('div');
+    element.className = `prompt-card ${state.currentView}-view`;
+    element.dataset.id = prompt.id;
     
-    // Check if tag already exists
-    const existingTags = Array.from(container.querySelectorAll('.tag-input'))
-        .map(el => el.textContent.replace('×', '').trim());
+    // Prompts in the trash can only be restored or deleted for good
+    const trashed = Boolean(prompt.deletedAt);
+    const expiry = trashed ? getTrashExpiry(prompt) : null;
+    if (trashed) {
+        element.classList.add('trashed');
+    }
     
-    if (existingTags.includes(tagName)) {
-        showToast('Tag already exists', 'warning');
-        return;
+    if (state.selectedPrompts.has(prompt.id)) {
+        element.classList.add('selected');
     }
     
-    const tagEl = document.createElement('span');
-    tagEl.className = 'tag-input';
-    tagEl.innerHTML = `
-        ${escapeHtml(tagName)}
-        <button class="remove-tag" type="button">&times;</button>
+    // Calculate stats
+    const wordCount = calculateWordCount(prompt.content);
+    const tokenCount = estimateTokenCount(prompt.content);
+    const complexity = prompt.complexity || calculateComplexity(prompt);
+    const highlight = getSearchHighlightPattern();
+    
+    // Create element HTML with images
+    element.innerHTML = `
+        <div class="prompt-card-header">
+            <div class="prompt-header-content">
+                <div class="prompt-title">${highlightSearchMatches(prompt.title, highlight)}</div>
+                <span class="prompt-category" style="background: ${getCategoryColor(prompt.category)}">
+                    <i class="${getCategoryIcon(prompt.category)}"></i>
+                    ${getCategoryName(prompt.category)}
+                </span>
+            </div>
+            <div class="prompt-card-actions">
+                <button class="action-btn select-btn" data-action="select" title="Select prompt">
+                    <i class="fas ${state.selectedPrompts.has(prompt.id) ? 'fa-check-square' : 'fa-square'}"></i>
+                </button>
+                ${trashed ? `
+                    ${prompt.wasFavorite ? `
+                        <span class="trash-favorite" title="Was a favorite, and will be again when restored">
+                            <i class="fas fa-heart"></i>
+                        </span>
+                    ` : ''}
+                ` : `
+                    <button class="action-btn favorite-btn ${isFavorite(prompt.id) ? 'active' : ''}" 
+                            data-action="favorite" title="${isFavorite(prompt.id) ? 'Remove from favorites' : 'Add to favorites'}">
+                        <i class="fas ${isFavorite(prompt.id) ? 'fa-heart' : 'fa-heart'}"></i>
+                    </button>
+                `}
+            </div>
+        </div>
+        
+        <div class="prompt-card-body">
+            <div class="prompt-preview">${highlightSearchMatches(getPreviewText(prompt.content, 200, highlight), highlight)}</div>
+            
+            ${prompt.images && prompt.images.length > 0 ? `
+                <div class="prompt-images">
+                    ${prompt.images.slice(0, 3).map((img, idx) => `
+                        <div class="image-thumb-wrapper">
+                            <img src="${img.thumbnail || img.url}" alt="${img.type} ${idx + 1}" 
+                                 class="image-thumb ${img.type}" 
+                                 data-action="preview" 
+                                 data-index="${idx}"
+                                 onerror="this.style.display='none'">
+                            <span class="image-indicator ${img.type}">${img.type === 'input' ? 'I' : 'O'}</span>
+                        </div>
+                    `).join('')}
+                    ${prompt.images.length > 3 ? `
+                        <div class="image-thumb-wrapper">
+                            <div class="image-thumb" style="background: var(--bg-tertiary); display: flex; align-items: center; justify-content: center;">
+                                <span style="color: var(--text-tertiary); font-size: 0.75rem; font-weight: 600;">+${prompt.images.length - 3}</span>
+                            </div>
+                        </div>
+                    ` : ''}
+                </div>
+            ` : ''}
+            
+            <div class="prompt-stats">
+                <span class="stat-badge" title="Word count">
+                    <i class="fas fa-font"></i> ${wordCount}
+                </span>
+                <span class="stat-badge" title="Token estimate">
+                    <i class="fas fa-microchip"></i> ${tokenCount}
+                </span>
+                <span class="stat-badge" title="Complexity level">
+                    <i class="fas fa-chart-line"></i> ${complexity}/5
+                </span>
+                ${prompt.rating > 0 ? `
+                    <span class="stat-badge" title="Rating">
+                        <i class="fas fa-star"></i> ${prompt.rating}/5
+                    </span>
+                ` : ''}
+            </div>
+            
+            ${prompt.tags && prompt.tags.length > 0 ? `
+                <div class="prompt-tags">
+                    ${prompt.tags.slice(0, 5).map(tag => `
+                        <span class="tag">${highlightSearchMatches(tag, highlight)}</span>
+                    `).join('')}
+                    ${prompt.tags.length > 5 ? `<span class="tag">+${prompt.tags.length - 5}</span>` : ''}
+                </div>
+            ` : ''}
+        </div>
+        
+        <div class="prompt-card-footer">
+            <div class="prompt-meta">
+                ${trashed ? `
+                    <span title="Deleted">
+                        <i class="fas fa-trash"></i> ${formatDate(prompt.deletedAt)}
+                    </span>
+                    ${expiry ? `
+                        <span title="Deleted for good on ${expiry.toLocaleDateString()}">
+                            <i class="fas fa-hourglass-half"></i> ${Math.max(0, Math.ceil((expiry - Date.now()) / (24 * 60 * 60 * 1000)))}d left
+                        </span>
+                    ` : ''}
+                ` : `
+                    <span title="Created">
+                        <i class="far fa-calendar"></i> ${formatDate(prompt.createdAt)}
+                    </span>
+                `}
+                ${prompt.engine ? `
+                    <span title="AI Engine">
+                        <i class="fas fa-robot"></i> ${prompt.engine}
+                    </span>
+                ` : ''}
+            </div>
+            <div class="prompt-actions">
+                ${trashed ? `
+                    <button class="action-btn copy-btn" data-action="copy" title="Copy prompt">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                    <button class="action-btn restore-btn" data-action="restore" title="Restore prompt">
+                        <i class="fas fa-undo"></i>
+                    </button>
+                    <button class="action-btn delete-btn" data-action="purge" title="Delete forever">
+                        <i class="fas fa-times-circle"></i>
+                    </button>
+                ` : `
+                    <button class="action-btn copy-btn" data-action="copy" title="Copy prompt">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                    <button class="action-btn edit-btn" data-action="edit" title="Edit prompt">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="action-btn view-btn" data-action="view" title="View details">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                    <button class="action-btn delete-btn" data-action="delete" title="Delete prompt">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                `}
+            </div>
+        </div>
     `;
     
-    // Add remove listener
-    const removeBtn = tagEl.querySelector('.remove-tag');
-    removeBtn.addEventListener('click', function() {
-        this.parentElement.remove();
-    });
+    // Add event listeners
+    addPromptEventListeners(element, prompt);
     
-    container.appendChild(tagEl);
+    return element;
 }
 
-// Image Preview
-function showImagePreview(src, title) {
-    const img = document.getElementById('previewImage');
-    const titleEl = document.getElementById('imagePreviewTitle');
+function addPromptEventListeners(element, prompt) {
+    // Select button
+    const selectBtn = element.querySelector('.select-btn');
+    if (selectBtn) {
+        selectBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            togglePromptSelection(prompt.id);
+        });
+    }
     
-    if (img) img.src = src;
-    if (titleEl) titleEl.textContent = title;
-    // reset transform/scale
-    if (img) {
-        img.style.transform = 'scale(1)';
-        img.dataset.scale = '1';
+    // Favorite button
+    const favoriteBtn = element.querySelector('.favorite-btn');
+    if (favoriteBtn) {
+        favoriteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleFavorite(prompt.id);
+            // Update button state
+            favoriteBtn.classList.toggle('active');
+            favoriteBtn.title = isFavorite(prompt.id) ? 'Remove from favorites' : 'Add to favorites';
+        });
     }
+    
+    // Action buttons
+    const actionButtons = element.querySelectorAll('.prompt-actions .action-btn');
+    actionButtons.forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const action = btn.dataset.action;
+            handlePromptAction(action, prompt);
+        });
+    });
+    
+    // Image preview in prompt cards; the cards only show thumbnails
+    const imageThumbs = element.querySelectorAll('.image-thumb[src]');
+    imageThumbs.forEach(img => {
+        img.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const image = prompt.images[Number(img.dataset.index)];
+            showImagePreview(image.url, prompt.title, image.metadata);
+        });
+    });
 
-    showModal('imagePreviewModal');
+    
+    // Click on card to view details
+    element.addEventListener('click', (e) => {
+        if (prompt.deletedAt) return;
+        if (!e.target.closest('.action-btn') && !e.target.closest('.select-btn')) {
+            showPromptDetails(prompt);
+        }
+    });
 }
 
-// Setup image preview behaviors: zoom in/out, wheel zoom, double-click toggle, reset on close
-function setupImagePreview() {
-    const modal = document.getElementById('imagePreviewModal');
-    const img = document.getElementById('previewImage');
-    if (!modal || !img) return;
+// Helper function to ensure image data is properly stored
+function storeImageData(type, index, imageData) {
+    const cacheId = `image-${type}-${index}`;
+    // Stored the same way as setFormImage() does
+    state.imageCache.set(cacheId, { url: imageData });
+    return cacheId;
+}
 
-    // Add zoom controls to header if not present
-    const header = modal.querySelector('.modal-header');
-    if (header && !header.querySelector('.zoom-controls')) {
-        const controls = document.createElement('div');
-        controls.className = 'zoom-controls';
-        controls.innerHTML = `
-            <button type="button" class="zoom-btn" id="zoomOutBtn" title="Zoom out">−</button>
-            <button type="button" class="zoom-btn" id="zoomInBtn" title="Zoom in">+</button>
-            <button type="button" class="zoom-btn" id="resetZoomBtn" title="Reset">Reset</button>
-        `;
-        header.appendChild(controls);
-
-        // Button events
-        controls.querySelector('#zoomInBtn').addEventListener('click', () => adjustScale(1.25));
-        controls.querySelector('#zoomOutBtn').addEventListener('click', () => adjustScale(1 / 1.25));
-        controls.querySelector('#resetZoomBtn').addEventListener('click', () => setScale(1));
-    }
-
-    // scale state
-    function getScale() { return parseFloat(img.dataset.scale || '1'); }
-    function setScale(s) {
-        const clamped = Math.max(0.2, Math.min(5, s));
-        img.dataset.scale = String(clamped);
-        img.style.transform = `scale(${clamped})`;
-        img.style.cursor = clamped > 1 ? 'grab' : 'zoom-in';
-    }
-    function adjustScale(factor) { setScale(getScale() * factor); }
-
-    // Wheel zoom
-    modal.addEventListener('wheel', (e) => {
-        if (!modal.classList.contains('active')) return;
-        e.preventDefault();
-        const delta = e.deltaY > 0 ? 0.9 : 1.1;
-        adjustScale(delta);
-    }, { passive: false });
-
-    // Double-click to toggle between fit (1) and 2x
-    img.addEventListener('dblclick', () => {
-        setScale(getScale() > 1 ? 1 : 2);
-    });
-
-    // Panning (drag to move) when zoomed with bounds
-    let isPanning = false;
-    let startX = 0, startY = 0;
-    let startTx = 0, startTy = 0;
-    const container = modal.querySelector('.image-preview-container');
-    let maxOffsetX = 0, maxOffsetY = 0;
-
-    function getTranslate() {
-        return {
-            x: parseFloat(img.dataset.tx || '0'),
-            y: parseFloat(img.dataset.ty || '0')
-        };
-    }
-
-    function setTranslate(x, y) {
-        // clamp
-        const clampedX = Math.max(-maxOffsetX, Math.min(maxOffsetX, x));
-        const clampedY = Math.max(-maxOffsetY, Math.min(maxOffsetY, y));
-        img.dataset.tx = String(clampedX);
-        img.dataset.ty = String(clampedY);
-        const s = getScale();
-        img.style.transform = `translate(${clampedX}px, ${clampedY}px) scale(${s})`;
-    }
-
-    function updateBounds() {
-        if (!container) return;
-        // use current rendered size of image (without translate) to compute overflow
-        const cRect = container.getBoundingClientRect();
-        // temporarily apply scale to get image size
-        const s = getScale();
-        // natural size fallback
-        const naturalW = img.naturalWidth || cRect.width;
-        const naturalH = img.naturalHeight || cRect.height;
-        // Compute rendered image size while respecting object-fit:contain behavior
-        const aspectImg = naturalW / naturalH;
-        const aspectContainer = cRect.width / cRect.height;
-        let renderedW, renderedH;
-        if (aspectImg > aspectContainer) {
-            renderedW = cRect.width * s;
-            renderedH = (cRect.width / aspectImg) * s;
-        } else {
-            renderedH = cRect.height * s;
-            renderedW = (cRect.height * aspectImg) * s;
-        }
-
-        maxOffsetX = Math.max(0, (renderedW - cRect.width) / 2);
-        maxOffsetY = Math.max(0, (renderedH - cRect.height) / 2);
-        // ensure current translate is within bounds
-        const t = getTranslate();
-        setTranslate(t.x, t.y);
+function handlePromptAction(action, prompt) {
+    switch (action) {
+        case 'copy':
+            copyPrompt(prompt);
+            break;
+        case 'edit':
+            editPrompt(prompt.id);
+            break;
+        case 'view':
+            showPromptDetails(prompt);
+            break;
+        case 'delete':
+            deletePrompt(prompt.id);
+            break;
+        case 'restore':
+            restoreTrashedPrompts([prompt.id]);
+            break;
+        case 'purge':
+            purgeTrashedPrompts([prompt.id]);
+            break;
     }
+}
 
-    // update setScale to preserve translate unless resetting to 1
-    const origSetScale = setScale;
-    setScale = function(s) {
-        const prev = getScale();
-        origSetScale(s);
-        if (s === 1) {
-            img.dataset.tx = '0';
-            img.dataset.ty = '0';
-            img.style.transform = `scale(1)`;
-        }
-        // recalc bounds after scale change
-        updateBounds();
-        img.style.cursor = parseFloat(img.dataset.scale || '1') > 1 ? 'grab' : 'zoom-in';
-    };
-
-    img.addEventListener('pointerdown', (e) => {
-        if (getScale() <= 1) return;
-        updateBounds();
-        isPanning = true;
-        startX = e.clientX;
-        startY = e.clientY;
-        const t = getTranslate();
-        startTx = t.x;
-        startTy = t.y;
-        img.setPointerCapture(e.pointerId);
-        img.style.cursor = 'grabbing';
-    });
-
-    img.addEventListener('pointermove', (e) => {
-        if (!isPanning) return;
-        e.preventDefault();
-        const dx = e.clientX - startX;
-        const dy = e.clientY - startY;
-        // apply a small damping factor so movement feels less loose
-        const damp = 30;
-        setTranslate(startTx + dx * damp, startTy + dy * damp);
-    });
-
-    ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(ev => {
-        img.addEventListener(ev, (e) => {
-            if (!isPanning) return;
-            isPanning = false;
-            try { img.releasePointerCapture && img.releasePointerCapture(e.pointerId); } catch (err) {}
-            img.style.cursor = parseFloat(img.dataset.scale || '1') > 1 ? 'grab' : 'zoom-in';
-        });
-    });
-
-    // Reset when modal closed via any close control
-    modal.querySelectorAll('.close-modal').forEach(btn => {
-        btn.addEventListener('click', () => setScale(1));
-    });
-
-    // Also reset when clicking outside (setupModalEvents closes modal on backdrop click)
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) setScale(1);
-    });
+// Prompt CRUD Operations
+function showAddPromptModal() {
+    resetPromptForm();
+    clearPromptConflictWarning();
+    state.editingPromptId = null;
+    toggleChangeNoteField(false);
+    document.getElementById('modalTitle').textContent = 'Create New Prompt';
+    showModal('promptModal');
 }
 
-// Toast Notification
-function showToast(message, type = 'info', duration = 4000) {
-    const toast = document.getElementById('toast');
-    if (!toast) return;
-    
-    // Update toast content
-    const titleMap = {
-        success: 'Success',
-        error: 'Error',
-        warning: 'Warning',
-        info: 'Info'
-    };
+function editPrompt(promptId) {
+    const prompt = state.prompts.find(p => p.id === promptId);
+    if (!prompt) return;
     
-    document.getElementById('toastTitle').textContent = titleMap[type] || 'Info';
-    document.getElementById('toastMessage').textContent = message;
+    state.editingPromptId = promptId;
+    clearPromptConflictWarning();
     
-    // Update icon
-    const iconMap = {
-        success: 'fa-check-circle',
-        error: 'fa-exclamation-circle',
-        warning: 'fa-exclamation-triangle',
-        info: 'fa-info-circle'
-    };
+    // Fill form with prompt data
+    fillPromptForm(prompt);
+    toggleChangeNoteField(true);
+    document.getElementById('promptId').value = promptId;
     
-    const icon = toast.querySelector('.toast-icon i');
-    if (icon) {
-        icon.className = `fas ${iconMap[type] || 'fa-info-circle'}`;
+    // Load images
+    if (prompt.images && prompt.images.length > 0) {
+        loadPromptImages(prompt.images);
     }
     
-    // Set type class
-    toast.className = 'toast';
-    toast.classList.add(type);
-    
-    // Show toast
-    toast.classList.add('show');
-    
-    // Auto-hide
-    setTimeout(() => {
-        toast.classList.remove('show');
-    }, duration);
-    
-    // Close button
-    const closeBtn = toast.querySelector('.toast-close');
-    if (closeBtn) {
-        closeBtn.onclick = () => toast.classList.remove('show');
-    }
+    document.getElementById('modalTitle').textContent = 'Edit Prompt';
+    showModal('promptModal');
 }
 
-// Loading State
-function showLoading(show) {
-    const overlay = document.getElementById('loadingOverlay');
-    if (overlay) {
-        overlay.classList.toggle('active', show);
-    }
+// The change note is recorded with the revision, so it only applies to edits
+function toggleChangeNoteField(visible) {
+    const group = document.getElementById('changeNoteGroup');
+    if (group) group.style.display = visible ? '' : 'none';
+    
+    const input = document.getElementById('promptChangeNote');
+    if (input) input.value = '';
 }
 
-// Theme Management
-function toggleTheme() {
-    const newTheme = state.settings.theme === 'light' ? 'dark' : 'light';
-    state.settings.theme = newTheme;
+function fillPromptForm(data) {
+    document.getElementById('promptTitle').value = data.title || '';
+    document.getElementById('promptCategory').value = data.category || '';
+    document.getElementById('promptText').value = data.content || '';
+    document.getElementById('promptNotes').value = data.notes || '';
+    document.getElementById('promptRating').value = data.rating || 0;
+    document.getElementById('promptEngine').value = data.engine || '';
+    document.getElementById('promptComplexity').value = data.complexity || 3;
+    document.getElementById('promptUsageCount').value = data.usageCount || 0;
     
-    // Update UI
-    updateTheme();
+    // Load tags
+    if (data.tags && data.tags.length > 0) {
+        loadTags(data.tags);
+    }
     
-    // Save settings
-    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(state.settings));
+    // Update character count
+    updateCharCount();
     
-    showToast(`${newTheme === 'dark' ? 'Dark' : 'Light'} mode enabled`, 'info');
+    // Update rating
+    updateRatingStars(data.rating || 0);
 }
 
-function updateTheme() {
-    document.documentElement.setAttribute('data-theme', state.settings.theme);
+function savePrompt(event) {
+    event.preventDefault();
     
-    // Update theme toggle icon
-    const themeToggle = document.getElementById('themeToggle');
-    if (themeToggle) {
-        const icon = themeToggle.querySelector('i');
-        if (icon) {
-            icon.className = state.settings.theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
-        }
-    }
-}
-
-// Keyboard Shortcuts
-function handleKeyboardShortcuts(event) {
-    // Don't trigger shortcuts when typing in inputs
-    if (event.target.tagName === 'INPUT' || 
-        event.target.tagName === 'TEXTAREA' ||
-        event.target.isContentEditable) {
-        return;
-    }
-    
-    // Ctrl/Cmd + N: New prompt
-    if ((event.ctrlKey || event.metaKey) && event.key === 'n') {
-        event.preventDefault();
-        showAddPromptModal();
-    }
-    
-    // Ctrl/Cmd + F: Focus search
-    if ((event.ctrlKey || event.metaKey) && event.key === 'f') {
-        event.preventDefault();
-        elements.searchInput?.focus();
-    }
-    
-    // Ctrl/Cmd + S: Save (shows toast)
-    if ((event.ctrlKey || event.metaKey) && event.key === 's') {
-        event.preventDefault();
-        showToast('Auto-save is enabled', 'info');
-    }
-    
-    // Escape: Close modals
-    if (event.key === 'Escape') {
-        const openModal = document.querySelector('.modal.active');
-        if (openModal) {
-            openModal.classList.remove('active');
-            document.body.style.overflow = 'auto';
+    try {
+        // Get form data
+        const formData = getPromptFormData();
+        
+        // Get images - This is the key fix
+        const images = getFormImages();
+        
+        // Detect {{variables}} and [placeholders] in the content
+        const variables = extractVariables(formData.content);
+        const variablesNote = variables.length > 0
+            ? ` (${variables.length} variable${variables.length === 1 ? '' : 's'} detected)`
+            : '';
+        
+        // The prompt may have been deleted in another tab meanwhile
+        if (state.editingPromptId && state.prompts.some(p => p.id === state.editingPromptId)) {
+            // Update existing prompt WITH images
+            const changeNote = document.getElementById('promptChangeNote')?.value.trim() || '';
+            updatePrompt(state.editingPromptId, { ...formData, images, variables }, changeNote);
+            showToast(`Prompt updated successfully${variablesNote}`, 'success');
+        } else {
+            // Create new prompt WITH images
+            createPrompt({ ...formData, images, variables });
+            showToast(`Prompt created successfully${variablesNote}`, 'success');
         }
+        
+        // Save state
+        saveState();
+        
+        // Update UI
+        updateCategoryCounts();
+        updateStats();
+        renderPrompts();
+        
+        // Close modal
+        closeModal('promptModal');
+        
+    } catch (error) {
+        console.error('❌ Failed to save prompt:', error);
+        showToast('Failed to save prompt', 'error');
     }
+}
+
+function getPromptFormData() {
+    const title = document.getElementById('promptTitle').value.trim();
+    const category = document.getElementById('promptCategory').value;
+    const content = document.getElementById('promptText').value.trim();
+    const notes = document.getElementById('promptNotes').value.trim();
+    const rating = parseInt(document.getElementById('promptRating').value) || 0;
+    const engine = document.getElementById('promptEngine').value;
+    const complexity = parseInt(document.getElementById('promptComplexity').value) || 3;
+    const usageCount = parseInt(document.getElementById('promptUsageCount').value) || 0;
     
-    // Arrow keys in search suggestions
-    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
-        const suggestions = document.getElementById('searchSuggestions');
-        if (suggestions && suggestions.classList.contains('active')) {
-            event.preventDefault();
-            navigateSuggestions(event.key === 'ArrowDown' ? 1 : -1);
-        }
-    }
+    // Get tags from tags container
+    const tags = [];
+    const tagElements = document.querySelectorAll('#tagsContainer .tag-input');
+    tagElements.forEach(tagEl => {
+        const tagName = tagEl.textContent.replace('×', '').trim();
+        if (tagName) tags.push(tagName);
+    });
     
-    // Enter to select suggestion
-    if (event.key === 'Enter') {
-        const suggestions = document.getElementById('searchSuggestions');
-        const highlighted = suggestions?.querySelector('.suggestion-item.highlighted');
-        if (highlighted) {
-            event.preventDefault();
-            highlighted.click();
-        }
-    }
+    return {
+        title,
+        category,
+        content,
+        notes,
+        rating,
+        engine,
+        complexity,
+        usageCount,
+        tags
+    };
 }
 
-// Window Events
-function handleBeforeUnload() {
-    // Save state before leaving
-    saveState();
+function createPrompt(formData) {
+    return runCommand(`Created "${formData.title}"`, () => {
+        const newPrompt = {
+            id: generateId(),
+            ...formData,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        
+        // Ensure images array exists
+        if (!newPrompt.images) {
+            newPrompt.images = [];
+        }
+        
+        newPrompt.revisions = recordRevision(null, newPrompt);
+        
+        state.prompts.unshift(newPrompt);
+        return newPrompt;
+    });
 }
 
-// Utility Functions
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function updatePrompt(promptId, formData, changeNote = '') {
+    const index = state.prompts.findIndex(p => p.id === promptId);
+    if (index === -1) return;
+    
+    runCommand(`Edited "${formData.title || state.prompts[index].title}"`, () => {
+        const previous = state.prompts[index];
+        
+        // Preserve existing images if none are provided
+        const images = formData.images || previous.images || [];
+        
+        const updated = {
+            ...previous,
+            ...formData,
+            images, // Ensure images are included
+            updatedAt: new Date().toISOString()
+        };
+        
+        // Keep the earlier wording in the prompt's version history
+        updated.revisions = recordRevision(previous, updated, changeNote);
+        state.prompts[index] = updated;
+    });
 }
 
-function escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function deletePrompt(promptId) {
+    showConfirmModal(
+        'Delete Prompt',
+        'Move this prompt to the trash? You can restore it from there.',
+        () => {
+            const prompt = state.prompts.find(p => p.id === promptId);
+            
+            runCommand(`Deleted "${prompt ? prompt.title : 'prompt'}"`, () => {
+                // Move the prompt and its favorite status to the trash
+                moveToTrash([promptId]);
+            });
+            
+            // Remove from selected
+            state.selectedPrompts.delete(promptId);
+            
+            // Save state
+            saveState();
+            
+            // Update UI
+            updateCategoryCounts();
+            updateStats();
+            renderPrompts();
+            updateBulkDeleteButton();
+            
+            showToast('Prompt moved to the trash', 'success');
+        }
+    );
 }
 
-function formatDate(dateString, format = 'MMM DD, YYYY') {
-    if (!dateString) return '';
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return '';
-    
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const month = months[date.getMonth()];
-    const day = date.getDate();
-    const year = date.getFullYear();
+function copyPrompt(prompt) {
+    // Prompts with placeholders get a fill-in form first
+    if (getPromptVariables(prompt).length > 0) {
+        showVariablesForm(prompt);
+        return;
+    }
     
-    return `${month} ${day}, ${year}`;
-}
-
-function calculateWordCount(text) {
-    if (!text) return 0;
-    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    copyTextToClipboard(prompt.content);
 }
 
-function estimateTokenCount(text) {
-    if (!text) return 0;
-    // Rough estimation: 1 token ≈ 4 characters for English text
-    return Math.ceil(text.length / 4);
+function copyTextToClipboard(text, successMessage = 'Prompt copied to clipboard!') {
+    return navigator.clipboard.writeText(text)
+        .then(() => {
+            showToast(successMessage, 'success');
+        })
+        .catch(err => {
+            console.error('Failed to copy:', err);
+            showToast('Failed to copy prompt', 'error');
+        });
 }
 
-function calculateComplexity(prompt) {
+function showPromptDetails(prompt, options = {}) {
+    const modalContent = document.querySelector('#promptDetailsModal .modal-body');
+    if (!modalContent) return;
+    
+    // Shared prompts are previews of data that is not in the vault yet
+    const isShared = !!options.shared;
+    const detailsTitle = document.getElementById('detailsTitle');
+    if (detailsTitle) {
+        detailsTitle.textContent = isShared ? 'Shared Prompt' : 'Prompt Details';
+    }
+    
     const wordCount = calculateWordCount(prompt.content);
-    const hasNotes = prompt.notes && prompt.notes.length > 50;
-    const hasImages = prompt.images && prompt.images.length > 0;
-    const tagCount = prompt.tags ? prompt.tags.length : 0;
+    const tokenCount = estimateTokenCount(prompt.content);
+    const complexity = prompt.complexity || calculateComplexity(prompt);
+    const variables = getPromptVariables(prompt);
     
-    let score = 1;
-    if (wordCount > 100) score += 1;
-    if (wordCount > 200) score += 1;
-    if (hasNotes) score += 1;
-    if (hasImages) score += 1;
-    if (tagCount >= 3) score += 1;
+    // Highlight the current search, except in shared previews
+    const highlight = isShared ? null : getSearchHighlightPattern();
     
-    return Math.min(score, 5);
-}
-
-function getCategoryColor(categoryId) {
-    const category = state.categories.get(categoryId);
-    return category ? category.color : '#6c757d';
-}
-
-function getCategoryIcon(categoryId) {
-    const category = state.categories.get(categoryId);
-    return category ? category.icon : 'fas fa-folder';
-}
-
-function getCategoryName(categoryId) {
-    const category = state.categories.get(categoryId);
-    return category ? category.name : 'Other';
-}
-
-function generateRandomColor() {
-    const colors = [
-        '#ef476f', '#ffd166', '#06d6a0', '#118ab2', '#7209b7',
-        '#3a86ff', '#fb5607', '#8338ec', '#ff006e', '#ffbe0b',
-        '#3a86ff', '#ff5d8f', '#90be6d', '#f9c74f', '#43aa8b',
-        '#577590', '#f94144', '#f3722c', '#f8961e', '#f9844a'
-    ];
-    return colors[Math.floor(Math.random() * colors.length)];
-}
-
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
-}
-
-function throttle(func, limit) {
-    let inThrottle;
-    return function() {
-        const args = arguments;
-        const context = this;
-        if (!inThrottle) {
-            func.apply(context, args);
-            inThrottle = true;
-            setTimeout(() => inThrottle = false, limit);
-        }
-    };
-}
-
-// Sample Data
-function addSampleData() {
-    const samplePrompts = [
-        {
-            id: generateId(),
-            title: "Fantasy Landscape Generator",
-            category: "art",
-            content: "Create a breathtaking fantasy landscape with towering mountains, mystical forests, and a crystal-clear river flowing through a magical valley. Digital painting style, highly detailed, epic scale, cinematic lighting, 8K resolution, trending on ArtStation.",
-            tags: ["fantasy", "landscape", "digital painting", "detailed", "epic"],
-            images: [],
-            notes: "Works best with DALL-E 3 or Midjourney v6. Use --ar 16:9 for widescreen. Add --style raw for more creative control.",
-            rating: 5,
-            engine: "Midjourney",
-            complexity: 4,
-            usageCount: 12,
-            createdAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
-            updatedAt: new Date().toISOString()
+    // Separate input and result images
+    const inputImages = prompt.images ? prompt.images.filter(img => img.type === 'input') : [];
+    const resultImages = prompt.images ? prompt.images.filter(img => img.type === 'result') : [];
+    
+    // Shared previews have no history, so they skip the tabs
+    const revisionCount = isShared ? 0 : getPromptRevisions(prompt).length;
+    
+    modalContent.innerHTML = `
+        ${isShared ? '' : `
+            <div class="details-tabs">
+                <button class="details-tab" data-tab="details"><i class="fas fa-info-circle"></i> Details</button>
+                <button class="details-tab" data-tab="revisions"><i class="fas fa-history"></i> History (${revisionCount})</button>
+            </div>
+            <div class="revision-history" data-tab-panel="revisions"></div>
+        `}
+        <div class="prompt-details" data-tab-panel="details">
+            ${isShared ? renderSharedPromptBanner(options.duplicate) : ''}
+            <div class="details-header">
+                <h3>${highlightSearchMatches(prompt.title, highlight)}</h3>
+                <span class="category-badge" style="background: ${getCategoryColor(prompt.category)}">
+                    <i class="${getCategoryIcon(prompt.category)}"></i>
+                    ${getCategoryName(prompt.category)}
+                </span>
+            </div>
+            
+            <div class="details-content">
+                <div class="section">
+                    <h4><i class="fas fa-comment-dots"></i> Prompt Content</h4>
+                    <div class="content-box">${highlightSearchMatches(prompt.content, highlight).replace(/\n/g, '<br>')}</div>
+                </div>
+                
+                ${prompt.notes ? `
+                    <div class="section">
+                        <h4><i class="fas fa-sticky-note"></i> Notes</h4>
+                        <div class="notes-box">${highlightSearchMatches(prompt.notes, highlight).replace(/\n/g, '<br>')}</div>
+                    </div>
+                ` : ''}
+                
+                ${variables.length > 0 ? `
+                    <div class="section">
+                        <h4><i class="fas fa-code"></i> Variables (${variables.length})</h4>
+                        <div class="tags-list">
+                            ${variables.map(variable => `
+                                <span class="tag variable-tag" title="${variable.options.length > 0 ? escapeHtml(variable.options.join(' | ')) : 'Free text'}">
+                                    ${escapeHtml(variable.name)}${variable.options.length > 0 ? ` <small>(${variable.options.length} options)</small>` : ''}
+                                </span>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                
+                <!-- Input Images Section -->
+                ${inputImages.length > 0 ? `
+                    <div class="section">
+                        <h4><i class="fas fa-upload"></i> Input Reference Images (${inputImages.length})</h4>
+                        <div class="images-grid">
+                            ${inputImages.map((img, idx) => `
+                                <div style="position: relative;">
+                                    <img src="${img.url}" alt="Input ${idx + 1}" 
+                                         class="image-thumb input" 
+                                         data-action="preview" 
+                                         data-src="${img.url}"
+                                         style="cursor: pointer; width: 100%; height: 150px; object-fit: cover; border-radius: 8px;">
+                                    <span class="image-indicator input" style="position: absolute; top: 8px; left: 8px;">INPUT</span>
+                                    ${img.metadata ? `<span class="image-indicator metadata" title="Has generation details">${escapeHtml(img.metadata.source)}</span>` : ''}
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                
+                <!-- Result Images Section -->
+                ${resultImages.length > 0 ? `
+                    <div class="section">
+                        <h4><i class="fas fa-image"></i> Result Reference Images (${resultImages.length})</h4>
+                        <div class="images-grid">
+                            ${resultImages.map((img, idx) => `
+                                <div style="position: relative;">
+                                    <img src="${img.url}" alt="Result ${idx + 1}" 
+                                         class="image-thumb result" 
+                                         data-action="preview" 
+                                         data-src="${img.url}"
+                                         style="cursor: pointer; width: 100%; height: 150px; object-fit: cover; border-radius: 8px;">
+                                    <span class="image-indicator result" style="position: absolute; top: 8px; left: 8px;">OUTPUT</span>
+                                    ${img.metadata ? `<span class="image-indicator metadata" title="Has generation details">${escapeHtml(img.metadata.source)}</span>` : ''}
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                
+                <div class="details-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Words:</span>
+                        <span class="stat-value">${wordCount}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Tokens:</span>
+                        <span class="stat-value">${tokenCount}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Complexity:</span>
+                        <span class="stat-value">${complexity}/5</span>
+                    </div>
+                    ${prompt.rating > 0 ? `
+                        <div class="stat-item">
+                            <span class="stat-label">Rating:</span>
+                            <span class="stat-value">${'★'.repeat(prompt.rating)}${'☆'.repeat(5 - prompt.rating)}</span>
+                        </div>
+                    ` : ''}
+                    ${prompt.engine ? `
+                        <div class="stat-item">
+                            <span class="stat-label">AI Engine:</span>
+                            <span class="stat-value">${prompt.engine}</span>
+                        </div>
+                    ` : ''}
+                    ${prompt.usageCount > 0 ? `
+                        <div class="stat-item">
+                            <span class="stat-label">Usage Count:</span>
+                            <span class="stat-value">${prompt.usageCount}</span>
+                        </div>
+                    ` : ''}
+                </div>
+                
+                ${prompt.tags && prompt.tags.length > 0 ? `
+                    <div class="section">
+                        <h4><i class="fas fa-tags"></i> Tags</h4>
+                        <div class="tags-list">
+                            ${prompt.tags.map(tag => `<span class="tag">${highlightSearchMatches(tag, highlight)}</span>`).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                
+                <div class="details-meta">
+                    <div class="meta-item">
+                        <i class="far fa-calendar"></i>
+                        <span>Created: ${formatDate(prompt.createdAt)}</span>
+                    </div>
+                    <div class="meta-item">
+                        <i class="far fa-calendar-check"></i>
+                        <span>Updated: ${formatDate(prompt.updatedAt)}</span>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    // Add click handlers for images in the details modal
+    const detailImages = [...inputImages, ...resultImages];
+    modalContent.querySelectorAll('.image-thumb').forEach((img, idx) => {
+        img.addEventListener('click', () => {
+            showImagePreview(img.src, prompt.title, detailImages[idx]?.metadata);
+        });
+    });
+    
+    // Set edit button action
+    const editBtn = document.getElementById('editDetailsBtn');
+    if (editBtn) {
+        editBtn.style.display = isShared ? 'none' : '';
+        editBtn.onclick = () => {
+            closeModal('promptDetailsModal');
+            editPrompt(prompt.id);
+        };
+    }
+    
+    // Set share button action
+    const shareBtn = document.getElementById('shareDetailsBtn');
+    if (shareBtn) {
+        shareBtn.style.display = isShared ? 'none' : '';
+        shareBtn.onclick = () => {
+            sharePrompt(prompt);
+        };
+    }
+    
+    if (isShared) {
+        setupSharedPromptActions(modalContent, prompt, options.duplicate);
+    } else {
+        setupDetailsTabs(modalContent, prompt, options.tab || 'details');
+    }
+    
+    showModal('promptDetailsModal');
+}
+
+function setupDetailsTabs(container, prompt, activeTab) {
+    const historyPanel = container.querySelector('[data-tab-panel="revisions"]');
+    
+    const selectTab = (tab) => {
+        container.querySelectorAll('.details-tab').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tab);
+        });
+        container.querySelectorAll('[data-tab-panel]').forEach(panel => {
+            panel.hidden = panel.dataset.tabPanel !== tab;
+        });
+        
+        // The history is only rendered once it is opened
+        if (tab === 'revisions' && !historyPanel.dataset.rendered) {
+            renderRevisionHistory(prompt, historyPanel);
+            historyPanel.dataset.rendered = 'true';
         }
-    ];
+    };
     
-    state.prompts = samplePrompts;
+    container.querySelectorAll('.details-tab').forEach(btn => {
+        btn.addEventListener('click', () => selectTab(btn.dataset.tab));
+    });
+    selectTab(activeTab);
+}
+
+function sharePrompt(prompt) {
+    const shareData = {
+        title: prompt.title,
+        category: prompt.category,
+        content: prompt.content,
+        tags: prompt.tags,
+        notes: prompt.notes,
+        rating: prompt.rating,
+        engine: prompt.engine
+    };
     
-    // Add some to favorites
-    state.favorites = [samplePrompts[0].id, samplePrompts[2].id];
+    const encoded = encodeSharePayload(shareData);
+    const shareUrl = `${window.location.origin}${window.location.pathname}?shared=${encoded}`;
     
-    saveState();
-    console.log('📝 Sample data added');
+    navigator.clipboard.writeText(shareUrl)
+        .then(() => {
+            showToast('Share link copied to clipboard!', 'success');
+        })
+        .catch(() => {
+            // Fallback (the parameter shadows window.prompt)
+            window.prompt('Share URL:', shareUrl);
+        });
 }
 
-// Error Handling
-window.addEventListener('error', function(event) {
-    console.error('Global error:', event.error);
-    showToast('An error occurred. Check console for details.', 'error');
-});
+// Shared Links
+const MAX_SHARED_PAYLOAD_LENGTH = 200000;
 
-// Make app available globally for debugging
-if (typeof window !== 'undefined') {
-    window.promptVault = {
-        state,
-        utils: {
-            generateId,
-            calculateWordCount,
-            estimateTokenCount,
-            formatDate
-        },
-        actions: {
-            showAddPromptModal,
-            importSampleData,
-            exportData: handleExport,
-            clearAllData: () => {
-                if (confirm('Clear ALL data? This cannot be undone!')) {
-                    localStorage.clear();
-                    location.reload();
-                }
-            }
+// UTF-8 safe, URL-safe base64. Plain btoa() throws on non-ASCII content.
+function encodeSharePayload(data) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeSharePayload(encoded) {
+    // Accept both URL-safe links and legacy btoa() links, where URLSearchParams
+    // has already turned '+' into a space
+    let base64 = encoded.trim().replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
+    while (base64.length % 4 !== 0) {
+        base64 += '=';
+    }
+    
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+}
+
+function sanitizeSharedPrompt(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Shared data is not a prompt');
+    }
+    if (typeof data.content !== 'string' || !data.content.trim()) {
+        throw new Error('Shared prompt has no content');
+    }
+    
+    const text = (value, maxLength) => typeof value === 'string' ? value.substring(0, maxLength) : '';
+    const rating = parseInt(data.rating);
+    
+    return {
+        title: text(data.title, 200).trim() || 'Shared prompt',
+        category: state.categories.has(data.category) ? data.category : 'other',
+        content: data.content,
+        tags: Array.isArray(data.tags)
+            ? data.tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim().substring(0, 50)).slice(0, 30)
+            : [],
+        notes: text(data.notes, 5000),
+        rating: rating >= 0 && rating <= 5 ? rating : 0,
+        engine: text(data.engine, 50),
+        images: []
+    };
+}
+
+function normalizeContent(content) {
+    return (content || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function findPromptByContent(content) {
+    const normalized = normalizeContent(content);
+    return state.prompts.find(p => normalizeContent(p.content) === normalized) || null;
+}
+
+function handleSharedLink() {
+    const params = new URLSearchParams(window.location.search);
+    const encoded = params.get('shared');
+    if (!encoded) return;
+    
+    // Drop the parameter so a reload doesn't show the preview again
+    params.delete('shared');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    
+    let sharedPrompt;
+    try {
+        if (encoded.length > MAX_SHARED_PAYLOAD_LENGTH) {
+            throw new Error('Shared link is too large');
         }
+        sharedPrompt = sanitizeSharedPrompt(decodeSharePayload(encoded));
+    } catch (error) {
+        console.error('❌ Invalid shared link:', error);
+        showToast('This shared link is invalid or corrupted', 'error');
+        return;
+    }
+    
+    const preview = {
+        ...sharedPrompt,
+        id: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
     };
     
-    console.log('🔧 Debug mode enabled: window.promptVault');
+    showPromptDetails(preview, { shared: true, duplicate: findPromptByContent(sharedPrompt.content) });
+}
+
+function renderSharedPromptBanner(duplicate) {
+    return `
+        <div class="shared-banner ${duplicate ? 'duplicate' : ''}">
+            <div class="shared-banner-text">
+                <i class="fas ${duplicate ? 'fa-clone' : 'fa-share-alt'}"></i>
+                <div>
+                    <strong>${duplicate ? 'You already have this prompt' : 'Someone shared a prompt with you'}</strong>
+                    <p>${duplicate
+                        ? `It matches "${escapeHtml(duplicate.title)}" in your vault.`
+                        : 'Preview it below and save it to your vault if you want to keep it.'}</p>
+                </div>
+            </div>
+            <div class="shared-banner-actions">
+                ${duplicate ? `
+                    <button class="btn btn-outline" id="openExistingPromptBtn">Open Existing</button>
+                ` : ''}
+                <button class="btn btn-primary" id="saveSharedPromptBtn">
+                    <i class="fas fa-download"></i> ${duplicate ? 'Save Anyway' : 'Save to my vault'}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+function setupSharedPromptActions(container, sharedPrompt, duplicate) {
+    container.querySelector('#saveSharedPromptBtn')?.addEventListener('click', () => {
+        const { id, createdAt, updatedAt, ...data } = sharedPrompt;
+        
+        runCommand(`Saved shared prompt "${data.title}"`, () => {
+            createPrompt({ ...data, variables: extractVariables(data.content) });
+        });
+        saveState();
+        refreshAllViews();
+        
+        closeModal('promptDetailsModal');
+        showToast('Shared prompt saved to your vault', 'success');
+    });
+    
+    container.querySelector('#openExistingPromptBtn')?.addEventListener('click', () => {
+        showPromptDetails(duplicate);
+    });
+}
+
+// Template Variables
+// Supported syntax:
+//   {{name}}                 free text
+//   {{tone|casual|formal}}   choice between the listed options
+//   [product/service]        free text (bracket placeholders used by the sample prompts)
+// Bracket placeholders are two or more letters, digits, spaces or / _ -
+// starting with a letter, so [x] and [1] don't count. Neither do brackets
+// right after a word or `!` (arr[i], images) or followed by `(`, `[` or `:`
+// (markdown links and references).
+const VARIABLE_PATTERN = /\{\{\s*([^{}|]+?)\s*(?:\|([^{}]*))?\}\}|(?<![\w\]!\\])\[([A-Za-z][A-Za-z0-9 _\/-]{1,59})\](?![(\[:])/g;
+
+function extractVariables(content) {
+    if (!content) return [];
+    
+    const variables = new Map();
+    
+    for (const match of content.matchAll(VARIABLE_PATTERN)) {
+        const [, braceName, optionList, bracketName] = match;
+        const name = (braceName || bracketName).trim();
+        const key = name.toLowerCase();
+        
+        if (!name || variables.has(key)) continue;
+        
+        const options = optionList
+            ? optionList.split('|').map(option => option.trim()).filter(Boolean)
+            : [];
+        
+        variables.set(key, {
+            key,
+            name,
+            options,
+            syntax: braceName ? 'braces' : 'brackets'
+        });
+    }
+    
+    return Array.from(variables.values());
+}
+
+function getPromptVariables(prompt) {
+    // Prompts saved before variable detection existed are parsed on the fly
+    return Array.isArray(prompt.variables) ? prompt.variables : extractVariables(prompt.content);
+}
+
+function renderPromptVariables(content, values) {
+    return content.replace(VARIABLE_PATTERN, (match, braceName, optionList, bracketName) => {
+        const key = (braceName || bracketName).trim().toLowerCase();
+        const value = values[key];
+        // Leave unfilled placeholders in place so they stay visible
+        return value ? value : match;
+    });
+}
+
+function showVariablesForm(prompt) {
+    const variables = getPromptVariables(prompt);
+    const lastValues = prompt.variableValues || {};
+    
+    let modal = document.getElementById('variablesModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'variablesModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content modal-lg">
+                <div class="modal-header">
+                    <h3 id="variablesModalTitle">Fill in Variables</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Cancel</button>
+                    <button class="btn btn-outline" id="copyRawPromptBtn">Copy Raw</button>
+                    <button class="btn btn-primary" id="copyFilledPromptBtn">
+                        <i class="fas fa-copy"></i> Copy Prompt
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('variablesModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('variablesModal');
+        });
+    }
+    
+    modal.querySelector('#variablesModalTitle').textContent = `Fill in Variables: ${prompt.title}`;
+    modal.querySelector('.modal-body').innerHTML = `
+        <div class="variables-form">
+            ${variables.map(variable => {
+                const value = lastValues[variable.key] ?? (variable.options[0] || '');
+                return `
+                    <div class="form-group">
+                        <label for="var-${escapeHtml(variable.key)}">${escapeHtml(variable.name)}</label>
+                        ${variable.options.length > 0 ? `
+                            <select class="variable-input" id="var-${escapeHtml(variable.key)}" data-key="${escapeHtml(variable.key)}">
+                                ${variable.options.map(option => `
+                                    <option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option)}</option>
+                                `).join('')}
+                            </select>
+                        ` : `
+                            <input type="text" class="variable-input" id="var-${escapeHtml(variable.key)}"
+                                   data-key="${escapeHtml(variable.key)}"
+                                   value="${escapeHtml(value)}"
+                                   placeholder="${escapeHtml(variable.name)}">
+                        `}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+        <div class="section">
+            <h4><i class="fas fa-eye"></i> Preview</h4>
+            <div class="content-box" id="variablesPreview"></div>
+        </div>
+    `;
+    
+    const inputs = modal.querySelectorAll('.variable-input');
+    const preview = modal.querySelector('#variablesPreview');
+    
+    const collectValues = () => {
+        const values = {};
+        inputs.forEach(input => {
+            values[input.dataset.key] = input.value.trim();
+        });
+        return values;
+    };
+    
+    const updatePreview = () => {
+        preview.textContent = renderPromptVariables(prompt.content, collectValues());
+    };
+    
+    inputs.forEach(input => {
+        input.addEventListener('input', updatePreview);
+        input.addEventListener('change', updatePreview);
+    });
+    updatePreview();
+    
+    modal.querySelector('#copyRawPromptBtn').onclick = () => {
+        copyTextToClipboard(prompt.content);
+        closeModal('variablesModal');
+    };
+    
+    modal.querySelector('#copyFilledPromptBtn').onclick = () => {
+        const values = collectValues();
+        
+        // Remember the values for next time (not an undoable edit)
+        const stored = state.prompts.find(p => p.id === prompt.id);
+        if (stored) {
+            stored.variableValues = values;
+            saveState();
+        }
+        
+        copyTextToClipboard(renderPromptVariables(prompt.content, values));
+        closeModal('variablesModal');
+    };
+    
+    showModal('variablesModal');
+}
+
+// Favorites
+function toggleFavorite(promptId) {
+    const index = state.favorites.indexOf(promptId);
+    const prompt = state.prompts.find(p => p.id === promptId);
+    const title = prompt ? prompt.title : 'prompt';
+    
+    if (index === -1) {
+        runCommand(`Added "${title}" to favorites`, () => {
+            state.favorites.push(promptId);
+        });
+        showToast('Added to favorites', 'success');
+    } else {
+        runCommand(`Removed "${title}" from favorites`, () => {
+            state.favorites.splice(index, 1);
+        });
+        showToast('Removed from favorites', 'info');
+    }
+    
+    saveState();
+    updateStats();
+    
+    // Update UI if in favorites view
+    if (state.currentFilter === 'favorites') {
+        renderPrompts();
+    }
+}
+
+function isFavorite(promptId) {
+    return state.favorites.includes(promptId);
+}
+
+// Category Management
+function showAddCategoryForm() {
+    document.getElementById('addCategoryForm').style.display = 'block';
+    document.getElementById('newCategoryName').focus();
+}
+
+function hideAddCategoryForm() {
+    const form = document.getElementById('addCategoryForm');
+    if (form) {
+        form.style.display = 'none';
+    }
+    document.getElementById('newCategoryName').value = '';
+    document.getElementById('newCategoryParent').value = '';
+    document.getElementById('newCategoryColor').value = '#6366f1';
+}
+
+function saveNewCategory() {
+    const name = document.getElementById('newCategoryName').value.trim();
+    const parentId = document.getElementById('newCategoryParent').value;
+    const color = document.getElementById('newCategoryColor').value;
+    
+    if (!name) {
+        showToast('Please enter a category name', 'warning');
+        return;
+    }
+    
+    // Generate ID based on whether it has a parent
+    let id;
+    if (parentId) {
+        id = `${parentId}-${name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')}`;
+    } else {
+        id = name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+    }
+    
+    if (state.categories.has(id)) {
+        showToast('Category already exists', 'warning');
+        return;
+    }
+    
+    const category = {
+        id,
+        name,
+        parentId: parentId || null,
+        color,
+        icon: 'fas fa-folder',
+        count: 0,
+        createdAt: new Date().toISOString()
+    };
+    
+    runCommand(`Added category "${name}"`, () => {
+        state.categories.set(id, category);
+    });
+    saveCategories();
+    
+    // Update categories dropdown
+    initializeCategoriesDropdown();
+    
+    // Update category list
+    updateCategoryList();
+    
+    // Hide form
+    hideAddCategoryForm();
+    
+    showToast('Category added', 'success');
+}
+
+function editCategory(categoryId) {
+    const category = state.categories.get(categoryId);
+    if (!category) return;
+    
+    const newName = prompt('Edit category name:', category.name);
+    if (!newName || newName.trim() === category.name) return;
+    
+    const newId = newName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+    
+    if (state.categories.has(newId) && newId !== categoryId) {
+        showToast('Category name already exists', 'warning');
+        return;
+    }
+    
+    // Update category
+    category.name = newName.trim();
+    category.id = newId;
+    
+    // Update all prompts with this category
+    state.prompts.forEach(prompt => {
+        if (prompt.category === categoryId) {
+            prompt.category = newId;
+        }
+    });
+    
+    // Save changes
+    state.categories.delete(categoryId);
+    state.categories.set(newId, category);
+    
+    saveState();
+    saveCategories();
+    
+    // Update UI
+    initializeCategoriesDropdown();
+    updateCategoryList();
+    renderPrompts();
+    
+    showToast('Category updated', 'success');
+}
+
+function deleteCategory(categoryId) {
+    // Don't allow deletion of default categories
+    if (Object.keys(DEFAULT_CATEGORIES).includes(categoryId)) {
+        showToast('Cannot delete default categories', 'warning');
+        return;
+    }
+    
+    showConfirmModal(
+        'Delete Category',
+        'Are you sure you want to delete this category? All prompts in this category will be moved to "Other".',
+        () => {
+            createVaultSnapshot('categoryDelete');
+            
+            runCommand(`Deleted category "${getCategoryName(categoryId)}"`, () => {
+                // Move prompts to "other" category
+                state.prompts.forEach(prompt => {
+                    if (prompt.category === categoryId) {
+                        prompt.category = 'other';
+                    }
+                });
+                
+                // Remove category
+                state.categories.delete(categoryId);
+            });
+            
+            // Save changes
+            saveState();
+            saveCategories();
+            
+            // Update UI
+            initializeCategoriesDropdown();
+            updateCategoryList();
+            updateCategoryCounts();
+            renderPrompts();
+            
+            showToast('Category deleted', 'success');
+        }
+    );
+}
+
+function filterByCategory(categoryId) {
+    // Remove active class from all categories
+    document.querySelectorAll('.category-item').forEach(item => {
+        item.classList.remove('active');
+    });
+    
+    // Add active class to selected category
+    const selectedItem = document.querySelector(`.category-item[data-category="${categoryId}"]`);
+    if (selectedItem) {
+        selectedItem.classList.add('active');
+    }
+    
+    // Update current filter
+    state.currentFilter = 'category';
+    state.currentPage = 1;
+    
+    // Re-render prompts
+    renderPrompts();
+}
+
+// Bulk Operations
+function toggleSelectAll() {
+    const filteredPrompts = getFilteredPrompts();
+    const allSelected = filteredPrompts.every(p => state.selectedPrompts.has(p.id));
+    
+    if (allSelected) {
+        // Deselect all
+        filteredPrompts.forEach(p => state.selectedPrompts.delete(p.id));
+    } else {
+        // Select all
+        filteredPrompts.forEach(p => state.selectedPrompts.add(p.id));
+    }
+    
+    renderPrompts();
+    updateBulkDeleteButton();
+}
+
+function togglePromptSelection(promptId) {
+    if (state.selectedPrompts.has(promptId)) {
+        state.selectedPrompts.delete(promptId);
+    } else {
+        state.selectedPrompts.add(promptId);
+    }
+    
+    renderPrompts();
+    updateBulkDeleteButton();
+}
+
+function updateBulkDeleteButton() {
+    const bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
+    if (bulkDeleteBtn) {
+        if (state.selectedPrompts.size > 0) {
+            bulkDeleteBtn.style.display = 'inline-flex';
+            bulkDeleteBtn.innerHTML = state.currentFilter === 'trash'
+                ? `<i class="fas fa-times-circle"></i> Delete Forever (${state.selectedPrompts.size})`
+                : `<i class="fas fa-trash"></i> Delete Selected (${state.selectedPrompts.size})`;
+        } else {
+            bulkDeleteBtn.style.display = 'none';
+        }
+    }
+}
+
+function deleteSelectedPrompts() {
+    if (state.selectedPrompts.size === 0) return;
+    
+    // In the trash, deleting is permanent
+    if (state.currentFilter === 'trash') {
+        purgeTrashedPrompts(Array.from(state.selectedPrompts));
+        return;
+    }
+    
+    showConfirmModal(
+        'Delete Selected Prompts',
+        `Move ${state.selectedPrompts.size} selected prompt(s) to the trash? You can restore them from there.`,
+        () => {
+            const count = state.selectedPrompts.size;
+            createVaultSnapshot('bulkDelete');
+            
+            runCommand(`Deleted ${count} prompt${count === 1 ? '' : 's'}`, () => {
+                // Move selected prompts and their favorite status to the trash
+                moveToTrash(Array.from(state.selectedPrompts));
+            });
+            
+            // Clear selection
+            state.selectedPrompts.clear();
+            
+            // Save state
+            saveState();
+            
+            // Update UI
+            updateCategoryCounts();
+            updateStats();
+            renderPrompts();
+            updateBulkDeleteButton();
+            
+            showToast(`Moved ${count} prompt(s) to the trash`, 'success');
+        }
+    );
+}
+
+// Trash
+// Deleted prompts are kept in state.trash along with when they were deleted
+// and whether they were a favorite. They can be restored until they are
+// deleted for good, either by hand or once they are older than
+// settings.trashRetentionDays (0 keeps them until the trash is emptied).
+const TRASH_RETENTION_OPTIONS = [0, 7, 14, 30, 60, 90];
+const TRASH_PURGE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+function moveToTrash(promptIds) {
+    const ids = new Set(promptIds);
+    const deletedAt = new Date().toISOString();
+    const deleted = state.prompts
+        .filter(prompt => ids.has(prompt.id))
+        .map(prompt => ({ ...prompt, deletedAt, wasFavorite: state.favorites.includes(prompt.id) }));
+    
+    state.trash = [...deleted, ...state.trash.filter(prompt => !ids.has(prompt.id))];
+    state.prompts = state.prompts.filter(prompt => !ids.has(prompt.id));
+    state.favorites = state.favorites.filter(id => !ids.has(id));
+    return deleted.length;
+}
+
+function restoreFromTrash(promptIds) {
+    const ids = new Set(promptIds);
+    const existingIds = new Set(state.prompts.map(prompt => prompt.id));
+    
+    const restored = state.trash
+        .filter(prompt => ids.has(prompt.id))
+        .map(({ deletedAt, wasFavorite, ...prompt }) => {
+            // An import may have reused the id in the meantime
+            if (existingIds.has(prompt.id)) prompt.id = generateId();
+            if (!state.categories.has(prompt.category)) prompt.category = 'other';
+            if (wasFavorite) state.favorites.push(prompt.id);
+            return prompt;
+        });
+    
+    state.trash = state.trash.filter(prompt => !ids.has(prompt.id));
+    state.prompts.push(...restored);
+    return restored.length;
+}
+
+function getTrashLabel(promptIds) {
+    if (promptIds.length !== 1) return `${promptIds.length} prompts`;
+    const prompt = state.trash.find(p => p.id === promptIds[0]);
+    return `"${prompt ? prompt.title : 'prompt'}"`;
+}
+
+function restoreTrashedPrompts(promptIds) {
+    if (promptIds.length === 0) return;
+    
+    const label = getTrashLabel(promptIds);
+    runCommand(`Restored ${label}`, () => restoreFromTrash(promptIds));
+    promptIds.forEach(id => state.selectedPrompts.delete(id));
+    
+    saveState();
+    refreshAllViews();
+    showToast(`Restored ${label}`, 'success');
+}
+
+function purgeTrashedPrompts(promptIds) {
+    if (promptIds.length === 0) return;
+    
+    const label = getTrashLabel(promptIds);
+    showConfirmModal(
+        'Delete Forever',
+        `Permanently delete ${label}? Prompts deleted forever can't be restored.`,
+        () => {
+            const ids = new Set(promptIds);
+            runCommand(`Deleted ${label} forever`, () => {
+                state.trash = state.trash.filter(prompt => !ids.has(prompt.id));
+            });
+            promptIds.forEach(id => state.selectedPrompts.delete(id));
+            
+            saveState();
+            refreshAllViews();
+            showToast(`Deleted ${label} forever`, 'success');
+        }
+    );
+}
+
+function emptyTrash() {
+    purgeTrashedPrompts(state.trash.map(prompt => prompt.id));
+}
+
+// When a deleted prompt will be purged, or null if the trash is kept
+function getTrashExpiry(prompt) {
+    const days = state.settings.trashRetentionDays;
+    if (!days) return null;
+    return new Date(Date.parse(prompt.deletedAt) + days * 24 * 60 * 60 * 1000);
+}
+
+// Not an undoable command: old deletions expiring isn't something the
+// user did
+function purgeExpiredTrash() {
+    if (!state.settings.trashRetentionDays) return;
+    
+    const now = Date.now();
+    const expired = new Set(state.trash.filter(prompt => getTrashExpiry(prompt) <= now).map(prompt => prompt.id));
+    if (expired.size === 0) return;
+    
+    state.trash = state.trash.filter(prompt => !expired.has(prompt.id));
+    expired.forEach(id => state.selectedPrompts.delete(id));
+    saveState();
+    refreshAllViews();
+    console.log(`🗑️ Purged ${expired.size} prompt${expired.size === 1 ? '' : 's'} from the trash`);
+}
+
+function startTrashPurge() {
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_CHECK_INTERVAL);
+}
+
+function setTrashRetention(days) {
+    state.settings.trashRetentionDays = days;
+    saveState();
+    purgeExpiredTrash();
+    renderPrompts();
+}
+
+// Shown above the cards while the Trash filter is active
+function createTrashBar() {
+    const selected = Array.from(state.selectedPrompts);
+    const bar = document.createElement('div');
+    bar.className = 'trash-bar';
+    bar.innerHTML = `
+        <div class="trash-bar-info">
+            <i class="fas fa-trash-restore"></i>
+            <label for="trashRetention">Delete prompts in the trash for good</label>
+            <select id="trashRetention">
+                ${TRASH_RETENTION_OPTIONS.map(days => `
+                    <option value="${days}" ${days === state.settings.trashRetentionDays ? 'selected' : ''}>
+                        ${days ? `after ${days} days` : 'never'}
+                    </option>
+                `).join('')}
+            </select>
+        </div>
+        <div class="trash-bar-actions">
+            <button class="btn btn-outline" id="restoreSelectedBtn" ${selected.length === 0 ? 'disabled' : ''}>
+                <i class="fas fa-undo"></i> Restore Selected${selected.length > 0 ? ` (${selected.length})` : ''}
+            </button>
+            <button class="btn btn-danger" id="emptyTrashBtn">
+                <i class="fas fa-times-circle"></i> Empty Trash
+            </button>
+        </div>
+    `;
+    
+    bar.querySelector('#trashRetention').addEventListener('change', (e) => setTrashRetention(Number(e.target.value)));
+    bar.querySelector('#restoreSelectedBtn').addEventListener('click', () => restoreTrashedPrompts(selected));
+    bar.querySelector('#emptyTrashBtn').addEventListener('click', emptyTrash);
+    return bar;
+}
+
+// Bulk Edit
+const BULK_KEEP = '__keep';
+
+function showBulkEditModal() {
+    const prompts = state.prompts.filter(p => state.selectedPrompts.has(p.id));
+    if (prompts.length === 0) {
+        showToast('Select one or more prompts to bulk edit', 'warning');
+        return;
+    }
+    
+    let modal = document.getElementById('bulkEditModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'bulkEditModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content modal-lg">
+                <div class="modal-header">
+                    <h3><i class="fas fa-edit"></i> Bulk Edit</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Cancel</button>
+                    <button class="btn btn-primary" id="applyBulkEditBtn" disabled>
+                        <i class="fas fa-check"></i> <span>Apply</span>
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('bulkEditModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('bulkEditModal');
+        });
+    }
+    
+    // Tags that can be removed are the ones the selection actually uses
+    const selectedTags = [...new Set(prompts.flatMap(p => p.tags || []))].sort((a, b) => a.localeCompare(b));
+    const optionsFrom = (selectId) => Array.from(document.querySelectorAll(`#${selectId} option`))
+        .map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.textContent)}</option>`)
+        .join('');
+    const keepOption = `<option value="${BULK_KEEP}">Keep current</option>`;
+    
+    modal.querySelector('.modal-body').innerHTML = `
+        <p class="help-text">Changes apply to the <strong>${prompts.length}</strong> selected prompt${prompts.length === 1 ? '' : 's'}. Fields left as "Keep current" or empty are not touched.</p>
+        <div class="bulk-edit-form">
+            <div class="bulk-edit-row" data-field="category">
+                <label for="bulkCategory">Category</label>
+                <select id="bulkCategory">
+                    ${keepOption}
+                    ${Array.from(state.categories.values()).map(cat => `
+                        <option value="${cat.id}">${escapeHtml(cat.name)}</option>
+                    `).join('')}
+                </select>
+                <span class="bulk-edit-count"></span>
+            </div>
+            <div class="bulk-edit-row" data-field="addTags">
+                <label for="bulkAddTags">Add tags</label>
+                <input type="text" id="bulkAddTags" placeholder="Comma-separated">
+                <span class="bulk-edit-count"></span>
+            </div>
+            <div class="bulk-edit-row" data-field="removeTags">
+                <label>Remove tags</label>
+                <div class="bulk-tag-options" id="bulkRemoveTags">
+                    ${selectedTags.length > 0 ? selectedTags.map(tag => `
+                        <label class="bulk-tag-option">
+                            <input type="checkbox" value="${escapeHtml(tag)}"> ${escapeHtml(tag)}
+                        </label>
+                    `).join('') : '<span class="help-text">The selected prompts have no tags</span>'}
+                </div>
+                <span class="bulk-edit-count"></span>
+            </div>
+            <div class="bulk-edit-row" data-field="engine">
+                <label for="bulkEngine">AI Engine</label>
+                <select id="bulkEngine">
+                    ${keepOption}
+                    ${optionsFrom('promptEngine')}
+                </select>
+                <span class="bulk-edit-count"></span>
+            </div>
+            <div class="bulk-edit-row" data-field="rating">
+                <label for="bulkRating">Rating</label>
+                <select id="bulkRating">
+                    ${keepOption}
+                    <option value="0">No rating</option>
+                    ${[1, 2, 3, 4, 5].map(n => `<option value="${n}">${'★'.repeat(n)}</option>`).join('')}
+                </select>
+                <span class="bulk-edit-count"></span>
+            </div>
+            <div class="bulk-edit-row" data-field="complexity">
+                <label for="bulkComplexity">Complexity</label>
+                <select id="bulkComplexity">
+                    ${keepOption}
+                    ${optionsFrom('promptComplexity')}
+                </select>
+                <span class="bulk-edit-count"></span>
+            </div>
+            <div class="bulk-edit-row" data-field="replace">
+                <label for="bulkFind">Find &amp; replace</label>
+                <div class="bulk-replace-fields">
+                    <input type="text" id="bulkFind" placeholder="Find in content">
+                    <input type="text" id="bulkReplace" placeholder="Replace with">
+                    <label class="bulk-tag-option">
+                        <input type="checkbox" id="bulkMatchCase"> Match case
+                    </label>
+                </div>
+                <span class="bulk-edit-count"></span>
+            </div>
+        </div>
+    `;
+    
+    // Keep the previewed counts in sync with the form
+    const updatePreview = () => {
+        const changes = getBulkEditChanges(modal);
+        const { fieldCounts, touched } = previewBulkEdit(prompts, changes);
+        
+        modal.querySelectorAll('.bulk-edit-row').forEach(row => {
+            const count = fieldCounts[row.dataset.field];
+            const label = row.querySelector('.bulk-edit-count');
+            label.textContent = count === undefined ? '' : `${count} prompt${count === 1 ? '' : 's'}`;
+            label.classList.toggle('none', count === 0);
+        });
+        
+        const applyBtn = modal.querySelector('#applyBulkEditBtn');
+        applyBtn.disabled = touched === 0;
+        applyBtn.querySelector('span').textContent = touched > 0
+            ? `Apply to ${touched} prompt${touched === 1 ? '' : 's'}`
+            : 'Apply';
+    };
+    
+    modal.querySelector('.bulk-edit-form').addEventListener('input', updatePreview);
+    modal.querySelector('.bulk-edit-form').addEventListener('change', updatePreview);
+    updatePreview();
+    
+    modal.querySelector('#applyBulkEditBtn').onclick = () => {
+        const changes = getBulkEditChanges(modal);
+        const count = applyBulkEdit(Array.from(state.selectedPrompts), changes);
+        
+        closeModal('bulkEditModal');
+        saveState();
+        refreshAllViews();
+        showToast(`Updated ${count} prompt${count === 1 ? '' : 's'}`, 'success');
+    };
+    
+    showModal('bulkEditModal');
+}
+
+function getBulkEditChanges(modal) {
+    const value = (id) => modal.querySelector(`#${id}`).value;
+    const splitTags = (text) => text.split(',').map(tag => tag.trim()).filter(Boolean);
+    const changes = {};
+    
+    if (value('bulkCategory') !== BULK_KEEP) changes.category = value('bulkCategory');
+    if (value('bulkEngine') !== BULK_KEEP) changes.engine = value('bulkEngine');
+    if (value('bulkRating') !== BULK_KEEP) changes.rating = parseInt(value('bulkRating'));
+    if (value('bulkComplexity') !== BULK_KEEP) changes.complexity = parseInt(value('bulkComplexity'));
+    
+    const addTags = splitTags(value('bulkAddTags'));
+    if (addTags.length > 0) changes.addTags = addTags;
+    
+    const removeTags = Array.from(modal.querySelectorAll('#bulkRemoveTags input:checked')).map(input => input.value);
+    if (removeTags.length > 0) changes.removeTags = removeTags;
+    
+    if (value('bulkFind')) {
+        changes.replace = {
+            find: value('bulkFind'),
+            replaceWith: value('bulkReplace'),
+            matchCase: modal.querySelector('#bulkMatchCase').checked
+        };
+    }
+    
+    return changes;
+}
+
+// Returns only the fields of `prompt` that `changes` would actually alter,
+// keyed by the bulk edit field that caused each update.
+function getBulkEditUpdates(prompt, changes) {
+    const updates = {};
+    const lower = (tag) => tag.toLowerCase();
+    const defaults = { category: '', engine: '', rating: 0, complexity: 3 };
+    
+    Object.keys(defaults).forEach(field => {
+        if (field in changes && (prompt[field] ?? defaults[field]) !== changes[field]) {
+            updates[field] = { [field]: changes[field] };
+        }
+    });
+    
+    const tags = prompt.tags || [];
+    if (changes.addTags) {
+        const existing = new Set(tags.map(lower));
+        const added = changes.addTags.filter(tag => !existing.has(lower(tag)));
+        if (added.length > 0) updates.addTags = { tags: [...tags, ...added] };
+    }
+    
+    if (changes.removeTags) {
+        const removed = new Set(changes.removeTags.map(lower));
+        const baseTags = updates.addTags ? updates.addTags.tags : tags;
+        const remaining = baseTags.filter(tag => !removed.has(lower(tag)));
+        if (remaining.length !== baseTags.length) updates.removeTags = { tags: remaining };
+    }
+    
+    if (changes.replace) {
+        const { find, replaceWith, matchCase } = changes.replace;
+        const pattern = new RegExp(find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), matchCase ? 'g' : 'gi');
+        const content = (prompt.content || '').replace(pattern, () => replaceWith);
+        if (content !== prompt.content) {
+            updates.replace = { content, variables: extractVariables(content) };
+        }
+    }
+    
+    return updates;
+}
+
+function previewBulkEdit(prompts, changes) {
+    const fieldCounts = {};
+    Object.keys(changes).forEach(field => { fieldCounts[field] = 0; });
+    let touched = 0;
+    
+    prompts.forEach(prompt => {
+        const fields = Object.keys(getBulkEditUpdates(prompt, changes));
+        fields.forEach(field => fieldCounts[field]++);
+        if (fields.length > 0) touched++;
+    });
+    
+    return { fieldCounts, touched };
+}
+
+function applyBulkEdit(promptIds, changes) {
+    const ids = new Set(promptIds);
+    const targets = state.prompts.filter(p => ids.has(p.id) && Object.keys(getBulkEditUpdates(p, changes)).length > 0);
+    if (targets.length === 0) return 0;
+    
+    return runCommand(`Bulk edited ${targets.length} prompt${targets.length === 1 ? '' : 's'}`, () => {
+        const now = new Date().toISOString();
+        
+        state.prompts = state.prompts.map(prompt => {
+            if (!ids.has(prompt.id)) return prompt;
+            
+            const updates = getBulkEditUpdates(prompt, changes);
+            if (Object.keys(updates).length === 0) return prompt;
+            
+            const updated = Object.assign({ ...prompt, updatedAt: now }, ...Object.values(updates));
+            updated.revisions = recordRevision(prompt, updated, 'Bulk edit');
+            return updated;
+        });
+        
+        return targets.length;
+    });
+}
+
+function clearAllCaches() {
+    showConfirmModal(
+        'Clear All Caches',
+        'Are you sure you want to clear all caches? This will improve performance but search suggestions will be reset.',
+        () => {
+            state.imageCache.clear();
+            showToast('All caches cleared', 'success');
+        }
+    );
+}
+
+function createBackup() {
+    handleExport(); // Use export function for backup
+}
+
+function clearSearch() {
+    if (elements.searchInput) {
+        elements.searchInput.value = '';
+        state.searchQuery = '';
+        updateSearchSuggestions();
+        renderPrompts();
+    }
+}
+
+// UI Updates
+function updateUI() {
+    updateStats();
+    updateCategoryList();
+    updateViewControls();
+    updateSearchSuggestions();
+}
+
+function updateStats() {
+    // Update sidebar stats
+    if (elements.totalPrompts) {
+        elements.totalPrompts.textContent = state.prompts.length;
+    }
+    
+    if (elements.totalFavorites) {
+        elements.totalFavorites.textContent = state.favorites.length;
+    }
+    
+    if (elements.totalCategories) {
+        elements.totalCategories.textContent = state.categories.size;
+    }
+    
+    if (elements.promptsToday) {
+        const today = new Date().toDateString();
+        const todayCount = state.prompts.filter(p => 
+            new Date(p.createdAt).toDateString() === today
+        ).length;
+        elements.promptsToday.textContent = todayCount;
+    }
+    
+    // Update filter counts
+    updateFilterCounts();
+    
+    // Update main stats bar
+    updateStatsBar();
+}
+
+function updateFilterCounts() {
+    // All prompts
+    document.getElementById('countAll').textContent = state.prompts.length;
+    
+    // Favorites
+    document.getElementById('countFavorites').textContent = state.favorites.length;
+    
+    // Recent (last 7 days)
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    const recentCount = state.prompts.filter(p => 
+        new Date(p.createdAt) > weekAgo
+    ).length;
+    document.getElementById('countRecent').textContent = recentCount;
+    
+    // With images
+    const withImagesCount = state.prompts.filter(p => 
+        p.images && p.images.length > 0
+    ).length;
+    document.getElementById('countImages').textContent = withImagesCount;
+    
+    // Trash
+    document.getElementById('countTrash').textContent = state.trash.length;
+}
+
+function updateStatsBar() {
+    const filteredPrompts = getFilteredPrompts();
+    
+    if (elements.showingCount && elements.totalCount) {
+        elements.showingCount.textContent = filteredPrompts.length;
+        elements.totalCount.textContent = state.prompts.length;
+    }
+    
+    if (elements.totalWords) {
+        const totalWords = filteredPrompts.reduce((sum, p) => 
+            sum + calculateWordCount(p.content), 0
+        );
+        elements.totalWords.textContent = totalWords.toLocaleString();
+    }
+    
+    if (elements.totalTokens) {
+        const totalTokens = filteredPrompts.reduce((sum, p) => 
+            sum + estimateTokenCount(p.content), 0
+        );
+        elements.totalTokens.textContent = totalTokens.toLocaleString();
+    }
+}
+
+function updateCategoryCounts() {
+    // Reset all counts
+    state.categories.forEach(cat => cat.count = 0);
+    
+    // Count prompts per category
+    state.prompts.forEach(prompt => {
+        const category = state.categories.get(prompt.category);
+        if (category) {
+            category.count++;
+        }
+    });
+    
+    saveCategories();
+    updateCategoryList();
+}
+
+function updateCategoryList() {
+    if (!elements.categoryList) return;
+    
+    elements.categoryList.innerHTML = '';
+    
+    // Add default categories first
+    const defaultCategories = ['art', 'writing', 'code', 'analysis', 'creative', 'other'];
+    const otherCategories = Array.from(state.categories.entries())
+        .filter(([id]) => !defaultCategories.includes(id))
+        .sort((a, b) => a[1].name.localeCompare(b[1].name));
+    
+    // Render categories
+    [...defaultCategories, ...otherCategories.map(([id]) => id)].forEach(categoryId => {
+        const category = state.categories.get(categoryId);
+        if (!category) return;
+        
+        const item = document.createElement('div');
+        item.className = 'category-item';
+        item.dataset.category = categoryId;
+        
+        item.innerHTML = `
+            <div class="category-name">
+                <span class="category-badge" style="background: ${category.color}"></span>
+                <span>${category.name}</span>
+            </div>
+            <span class="category-count">${category.count}</span>
+            <div class="category-actions">
+                <button class="btn-icon small edit-category-btn" title="Edit category">
+                    <i class="fas fa-edit"></i>
+                </button>
+                ${!defaultCategories.includes(categoryId) ? `
+                    <button class="btn-icon small delete-category-btn" title="Delete category">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+        
+        // Add event listeners
+        item.addEventListener('click', (e) => {
+            if (!e.target.closest('.category-actions')) {
+                filterByCategory(categoryId);
+            }
+        });
+        
+        const editBtn = item.querySelector('.edit-category-btn');
+        if (editBtn) {
+            editBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                editCategory(categoryId);
+            });
+        }
+        
+        const deleteBtn = item.querySelector('.delete-category-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                deleteCategory(categoryId);
+            });
+        }
+        
+        elements.categoryList.appendChild(item);
+    });
+}
+
+function updateSearchSuggestions() {
+    if (!elements.searchSuggestions) return;
+    
+    const input = elements.searchInput;
+    const query = input ? input.value : state.searchQuery;
+    const cursor = input && input.selectionStart !== null ? input.selectionStart : query.length;
+    const suggestions = query.trim() ? getSearchSuggestions(query, cursor) : [];
+    
+    if (suggestions.length > 0) {
+        elements.searchSuggestions.innerHTML = suggestions.map((suggestion, index) => `
+            <div class="suggestion-item" data-index="${index}">
+                <span>${escapeHtml(suggestion.label)}</span>
+                ${suggestion.hint ? `<span class="suggestion-hint">${escapeHtml(suggestion.hint)}</span>` : ''}
+            </div>
+        `).join('');
+        elements.searchSuggestions.classList.add('active');
+        
+        // Add click listeners
+        elements.searchSuggestions.querySelectorAll('.suggestion-item').forEach(item => {
+            item.addEventListener('click', () => {
+                applySearchSuggestion(suggestions[parseInt(item.dataset.index)]);
+            });
+        });
+    } else {
+        elements.searchSuggestions.classList.remove('active');
+    }
+}
+
+function navigateSuggestions(direction) {
+    const suggestions = document.getElementById('searchSuggestions');
+    const items = suggestions.querySelectorAll('.suggestion-item');
+    if (items.length === 0) return;
+    
+    const current = suggestions.querySelector('.suggestion-item.highlighted');
+    let nextIndex = 0;
+    
+    if (current) {
+        const currentIndex = Array.from(items).indexOf(current);
+        nextIndex = currentIndex + direction;
+        
+        // Wrap around
+        if (nextIndex < 0) nextIndex = items.length - 1;
+        if (nextIndex >= items.length) nextIndex = 0;
+        
+        current.classList.remove('highlighted');
+    }
+    
+    items[nextIndex].classList.add('highlighted');
+    items[nextIndex].scrollIntoView({ block: 'nearest' });
+}
+
+function updateShowingCount(showing, total) {
+    if (elements.showingCount && elements.totalCount) {
+        elements.showingCount.textContent = showing;
+        elements.totalCount.textContent = total;
+    }
+}
+
+function showEmptyState() {
+    if (!elements.promptsContainer) return;
+    
+    let message = '';
+    let action = '';
+    
+    if (state.searchQuery) {
+        message = `No prompts found for "${escapeHtml(state.searchQuery)}"`;
+        action = 'Try a different search term or clear search';
+    } else if (state.currentFilter === 'favorites') {
+        message = 'No favorite prompts yet';
+        action = 'Add some prompts to your favorites first';
+    } else if (state.currentFilter === 'trash') {
+        message = 'The trash is empty';
+        action = 'Deleted prompts are kept here so you can restore them';
+    } else {
+        message = 'Your Prompt Library is Empty';
+        action = 'Start by adding your first AI prompt';
+    }
+    
+    elements.promptsContainer.innerHTML = `
+        <div class="empty-state">
+            <div class="empty-illustration">
+                <i class="fas fa-comment-alt"></i>
+            </div>
+            <h3>${message}</h3>
+            <p>${action}</p>
+            <div class="empty-actions">
+                ${state.searchQuery ? `
+                    <button id="clearSearchEmptyBtn" class="btn btn-outline">
+                        <i class="fas fa-times"></i> Clear Search
+                    </button>
+                ` : ''}
+                <button id="addPromptEmptyBtn" class="btn btn-primary">
+                    <i class="fas fa-plus-circle"></i> Add New Prompt
+                </button>
+            </div>
+        </div>
+    `;
+    
+    // Add event listeners to empty state buttons
+    const clearBtn = document.getElementById('clearSearchEmptyBtn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', clearSearch);
+    }
+    
+    const addBtn = document.getElementById('addPromptEmptyBtn');
+    if (addBtn) {
+        addBtn.addEventListener('click', showAddPromptModal);
+    }
+    
+    // Update pagination
+    document.getElementById('pagination').style.display = 'none';
+}
+
+function updateViewControls() {
+    // Update view buttons
+    document.querySelectorAll('.view-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    
+    const activeBtn = document.getElementById(`${state.currentView}ViewBtn`);
+    if (activeBtn) {
+        activeBtn.classList.add('active');
+    }
+}
+
+// Form Handling
+function resetPromptForm() {
+    const form = document.getElementById('promptForm');
+    if (form) {
+        form.reset();
+    }
+    
+    // Reset tags
+    const tagsContainer = document.getElementById('tagsContainer');
+    if (tagsContainer) {
+        tagsContainer.innerHTML = '';
+    }
+    
+    // Reset images
+    document.querySelectorAll('.image-upload-card').forEach(card => {
+        removeImage(card);
+    });
+    
+    // Reset result images to just one
+    const imagesGrid = document.getElementById('imagesGrid');
+    if (imagesGrid) {
+        const resultCards = imagesGrid.querySelectorAll('.image-upload-card[data-type="result"]');
+        // Keep only the first result card
+        for (let i = 1; i < resultCards.length; i++) {
+            resultCards[i].remove();
+        }
+        
+        // Reset the "Add more" button
+        const addMoreBtn = document.getElementById('addResultImageBtn');
+        if (addMoreBtn) {
+            addMoreBtn.querySelector('span').textContent = 'Add Result Image';
+            addMoreBtn.style.opacity = '1';
+            addMoreBtn.style.cursor = 'pointer';
+        }
+    }
+    
+    // Clear image cache for this form
+    Array.from(state.imageCache.keys()).forEach(key => {
+        if (key.startsWith('image-')) {
+            state.imageCache.delete(key);
+        }
+    });
+    
+    // Reset rating
+    updateRatingStars(0);
+    
+    // Reset character count
+    updateCharCount();
+    
+    // Reset hidden ID
+    document.getElementById('promptId').value = '';
+}
+
+function loadTags(tags) {
+    const container = document.getElementById('tagsContainer');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    tags.forEach(tag => {
+        const tagEl = document.createElement('span');
+        tagEl.className = 'tag-input';
+        tagEl.innerHTML = `
+            ${escapeHtml(tag)}
+            <button class="remove-tag" type="button">&times;</button>
+        `;
+        container.appendChild(tagEl);
+    });
+    
+    // Add remove listeners
+    container.querySelectorAll('.remove-tag').forEach(btn => {
+        btn.addEventListener('click', function() {
+            this.parentElement.remove();
+        });
+    });
+}
+
+function updateCharCount() {
+    const textarea = document.getElementById('promptText');
+    const charCount = document.getElementById('charCount');
+    const wordCount = document.getElementById('wordCount');
+    const tokenCount = document.getElementById('tokenCount');
+    
+    if (!textarea || !charCount) return;
+    
+    const text = textarea.value;
+    const chars = text.length;
+    const words = calculateWordCount(text);
+    const tokens = estimateTokenCount(text);
+    
+    charCount.textContent = chars;
+    if (wordCount) wordCount.textContent = words;
+    if (tokenCount) tokenCount.textContent = tokens;
+}
+
+function updateRatingStars(rating) {
+    const stars = document.querySelectorAll('#ratingStars .star');
+    stars.forEach((star, index) => {
+        if (index < rating) {
+            star.classList.add('active');
+            star.innerHTML = '<i class="fas fa-star"></i>';
+        } else {
+            star.classList.remove('active');
+            star.innerHTML = '<i class="far fa-star"></i>';
+        }
+    });
+    
+    // Update rating label
+    const label = document.getElementById('ratingLabel');
+    if (label) {
+        label.textContent = rating === 0 ? 'Not rated' : `${rating}/5`;
+    }
+}
+
+// Setup rating stars interaction
+function setupRatingStars() {
+    const stars = document.querySelectorAll('#ratingStars .star');
+    stars.forEach(star => {
+        star.addEventListener('click', () => {
+            const rating = parseInt(star.dataset.value);
+            document.getElementById('promptRating').value = rating;
+            updateRatingStars(rating);
+        });
+        
+        star.addEventListener('mouseover', () => {
+            const rating = parseInt(star.dataset.value);
+            const stars = document.querySelectorAll('#ratingStars .star');
+            stars.forEach((s, index) => {
+                if (index < rating) {
+                    s.innerHTML = '<i class="fas fa-star"></i>';
+                } else {
+                    s.innerHTML = '<i class="far fa-star"></i>';
+                }
+            });
+        });
+        
+        star.addEventListener('mouseout', () => {
+            const currentRating = parseInt(document.getElementById('promptRating').value) || 0;
+            updateRatingStars(currentRating);
+        });
+    });
+}
+
+// Search Query Language
+// Queries are space-separated terms that must all match. Terms can be
+// field qualifiers (tag:python, rating:>=4, created:>2026-01-01),
+// "quoted phrases" or -negated, and OR (or |) separates alternatives.
+const SEARCH_FIELDS = {
+    tag: { type: 'tag', hint: 'Tag name, end with * for a prefix' },
+    cat: { type: 'category', hint: 'Category, including subcategories' },
+    engine: { type: 'engine', hint: 'AI engine' },
+    rating: { type: 'number', hint: 'e.g. rating:>=4 or rating:2..4' },
+    complexity: { type: 'number', hint: 'e.g. complexity:<3' },
+    usage: { type: 'number', hint: 'Times used, e.g. usage:>10' },
+    words: { type: 'number', hint: 'Word count, e.g. words:<50' },
+    created: { type: 'date', hint: 'e.g. created:>2026-01-01 or created:2026-03' },
+    updated: { type: 'date', hint: 'e.g. updated:>=2026-01' },
+    has: { type: 'has', hint: 'images, notes, tags, variables or rating' },
+    is: { type: 'is', hint: 'favorite' },
+    title: { type: 'text', hint: 'Text in the title' },
+    content: { type: 'text', hint: 'Text in the prompt' },
+    notes: { type: 'text', hint: 'Text in the notes' }
+};
+
+const SEARCH_FIELD_ALIASES = {
+    tags: 'tag',
+    category: 'cat',
+    stars: 'rating',
+    note: 'notes',
+    text: 'content'
+};
+
+const SEARCH_HAS_VALUES = ['images', 'notes', 'tags', 'variables', 'rating'];
+const SEARCH_IS_VALUES = ['favorite'];
+
+function resolveSearchField(name) {
+    const field = (name || '').toLowerCase();
+    const resolved = SEARCH_FIELD_ALIASES[field] || field;
+    return SEARCH_FIELDS[resolved] ? resolved : null;
+}
+
+function tokenizeSearchQuery(query) {
+    const tokens = [];
+    const pattern = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"?|([^\s"]*))/g;
+    let match;
+    
+    while ((match = pattern.exec(query)) !== null) {
+        const [raw, negate, field, quoted, bare] = match;
+        if (!raw) {
+            pattern.lastIndex++;
+            continue;
+        }
+        tokens.push({
+            raw,
+            negate: negate === '-',
+            field: field || null,
+            value: quoted !== undefined ? quoted : bare,
+            quoted: quoted !== undefined,
+            start: match.index,
+            end: match.index + raw.length
+        });
+    }
+    
+    return tokens;
+}
+
+// Returns a list of OR-groups, each a list of terms that must all match
+function parseSearchQuery(query) {
+    const groups = [[]];
+    
+    tokenizeSearchQuery(query || '').forEach(token => {
+        const isOr = !token.quoted && !token.field && !token.negate && (token.value === 'OR' || token.value === '|');
+        if (isOr) {
+            if (groups[groups.length - 1].length > 0) groups.push([]);
+            return;
+        }
+        
+        const term = buildSearchTerm(token);
+        if (term) groups[groups.length - 1].push(term);
+    });
+    
+    return groups.filter(group => group.length > 0);
+}
+
+function buildSearchTerm(token) {
+    const field = token.field ? resolveSearchField(token.field) : null;
+    const value = token.value.toLowerCase();
+    
+    // Unknown qualifiers (e.g. "http://...") are searched as plain text
+    if (!field) {
+        // Words already match by prefix, so a trailing * is redundant
+        const text = token.field ? `${token.field.toLowerCase()}:${value}` : (token.quoted ? value : value.replace(/(\w)\*+$/, '$1'));
+        return text ? { type: 'text', fields: null, value: text, words: tokenizeText(text), negate: token.negate } : null;
+    }
+    
+    // Incomplete qualifiers such as "tag:" don't filter anything yet
+    if (!value) return null;
+    
+    const type = SEARCH_FIELDS[field].type;
+    const term = { type, field, value, negate: token.negate };
+    
+    switch (type) {
+        case 'text':
+            term.fields = [field];
+            term.words = tokenizeText(value);
+            return term;
+        case 'tag':
+            term.prefix = value.endsWith('*');
+            term.value = value.replace(/\*+$/, '');
+            return term;
+        case 'category':
+            term.categoryIds = getCategoryIdsMatching(value);
+            return term;
+        case 'number':
+            term.range = parseNumberRange(value);
+            return term.range ? term : null;
+        case 'date':
+            term.range = parseDateRange(value);
+            return term.range ? term : null;
+        default:
+            return term;
+    }
+}
+
+function parseNumberRange(value) {
+    const between = value.match(/^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/);
+    if (between) {
+        return { min: parseFloat(between[1]), max: parseFloat(between[2]) };
+    }
+    
+    const match = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    
+    const number = parseFloat(match[2]);
+    switch (match[1]) {
+        case '>': return { min: number, minExclusive: true };
+        case '>=': return { min: number };
+        case '<': return { max: number, maxExclusive: true };
+        case '<=': return { max: number };
+        default: return { min: number, max: number };
+    }
+}
+
+// Dates can be a year, a month or a day; the operator is applied to that
+// whole period, so created:>2026-01 means "after January 2026".
+function parseDateRange(value) {
+    const match = value.match(/^(>=|<=|>|<|=)?(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) return null;
+    
+    const [, op, year, month, day] = match;
+    const start = new Date(parseInt(year), month ? parseInt(month) - 1 : 0, day ? parseInt(day) : 1);
+    const end = new Date(start);
+    if (day) end.setDate(end.getDate() + 1);
+    else if (month) end.setMonth(end.getMonth() + 1);
+    else end.setFullYear(end.getFullYear() + 1);
+    
+    if (isNaN(start.getTime())) return null;
+    
+    switch (op) {
+        case '>': return { min: end.getTime() };
+        case '>=': return { min: start.getTime() };
+        case '<': return { max: start.getTime(), maxExclusive: true };
+        case '<=': return { max: end.getTime(), maxExclusive: true };
+        default: return { min: start.getTime(), max: end.getTime(), maxExclusive: true };
+    }
+}
+
+function isInRange(number, range) {
+    if (isNaN(number)) return false;
+    if (range.min !== undefined && (range.minExclusive ? number <= range.min : number < range.min)) return false;
+    if (range.max !== undefined && (range.maxExclusive ? number >= range.max : number > range.max)) return false;
+    return true;
+}
+
+function getCategoryIdsMatching(value) {
+    const ids = new Set();
+    state.categories.forEach(cat => {
+        if (cat.id.toLowerCase() === value || cat.name.toLowerCase() === value) {
+            ids.add(cat.id);
+        }
+    });
+    
+    return addSubcategoryIds(ids);
+}
+
+// Adds the subcategories (at any depth) of every category in `ids`
+function addSubcategoryIds(ids) {
+    let added = true;
+    while (added) {
+        added = false;
+        state.categories.forEach(cat => {
+            if (cat.parentId && ids.has(cat.parentId) && !ids.has(cat.id)) {
+                ids.add(cat.id);
+                added = true;
+            }
+        });
+    }
+    
+    return ids;
+}
+
+// Prompts outside the library (the trash) are matched without the index
+function matchesSearchTerm(prompt, term, indexed = true) {
+    const tags = (prompt.tags || []).map(tag => tag.toLowerCase());
+    let matches;
+    
+    switch (term.type) {
+        case 'text':
+            matches = documentMatchesText(indexed ? getIndexedDocument(prompt) : createSearchDocument(prompt), term);
+            break;
+        case 'tag':
+            matches = tags.some(tag => term.prefix ? tag.startsWith(term.value) : tag === term.value);
+            break;
+        case 'category':
+            matches = term.categoryIds.has(prompt.category);
+            break;
+        case 'engine': {
+            const engine = (prompt.engine || '').toLowerCase();
+            matches = ['any', 'none'].includes(term.value)
+                ? !engine
+                : Boolean(engine) && (engine === term.value || getEngineLabel(engine).toLowerCase() === term.value);
+            break;
+        }
+        case 'number': {
+            const values = {
+                rating: prompt.rating || 0,
+                complexity: prompt.complexity || 3,
+                usage: prompt.usageCount || 0,
+                words: calculateWordCount(prompt.content)
+            };
+            matches = isInRange(values[term.field], term.range);
+            break;
+        }
+        case 'date': {
+            const date = term.field === 'updated' ? (prompt.updatedAt || prompt.createdAt) : prompt.createdAt;
+            matches = isInRange(new Date(date).getTime(), term.range);
+            break;
+        }
+        case 'has':
+            matches = {
+                images: (prompt.images || []).length > 0,
+                notes: Boolean(prompt.notes && prompt.notes.trim()),
+                tags: tags.length > 0,
+                variables: getPromptVariables(prompt).length > 0,
+                rating: (prompt.rating || 0) > 0
+            }[term.value] || false;
+            break;
+        case 'is':
+            matches = ['favorite', 'favourite', 'fav'].includes(term.value) && state.favorites.includes(prompt.id);
+            break;
+        default:
+            matches = true;
+    }
+    
+    return term.negate ? !matches : matches;
+}
+
+function matchesSearchQuery(prompt, groups, indexed = true) {
+    if (groups.length === 0) return true;
+    return groups.some(group => group.every(term => matchesSearchTerm(prompt, term, indexed)));
+}
+
+// Autocomplete for the term under the cursor: field names, then values for
+// the chosen field, falling back to titles, tags and content snippets.
+function getSearchSuggestions(input, cursor) {
+    const before = input.slice(0, cursor);
+    const start = before.search(/\S*$/);
+    const current = before.slice(start);
+    const negate = current.startsWith('-');
+    const word = negate ? current.slice(1) : current;
+    const suggestions = [];
+    
+    const quoteValue = (text) => /\s/.test(text) ? `"${text}"` : text;
+    const colon = word.indexOf(':');
+    
+    if (colon > 0 && resolveSearchField(word.slice(0, colon))) {
+        const fieldName = word.slice(0, colon).toLowerCase();
+        const field = resolveSearchField(fieldName);
+        const partial = word.slice(colon + 1).replace(/^"/, '').toLowerCase();
+        const valueSuggestion = (value, label, hint) => suggestions.push({
+            label: label || `${fieldName}:${value}`,
+            insert: `${fieldName}:${value}`,
+            hint
+        });
+        
+        switch (SEARCH_FIELDS[field].type) {
+            case 'tag': {
+                const counts = new Map();
+                state.prompts.forEach(p => (p.tags || []).forEach(tag => {
+                    counts.set(tag, (counts.get(tag) || 0) + 1);
+                }));
+                Array.from(counts.entries())
+                    .filter(([tag]) => tag.toLowerCase().includes(partial))
+                    .sort((a, b) => b[1] - a[1])
+                    .forEach(([tag, count]) => valueSuggestion(quoteValue(tag), null, `${count} prompt${count === 1 ? '' : 's'}`));
+                break;
+            }
+            case 'category':
+                state.categories.forEach(cat => {
+                    if (cat.name.toLowerCase().includes(partial) || cat.id.toLowerCase().startsWith(partial)) {
+                        valueSuggestion(quoteValue(cat.name.toLowerCase()), null, cat.parentId ? 'Subcategory' : 'Category');
+                    }
+                });
+                break;
+            case 'engine':
+                Array.from(document.querySelectorAll('#promptEngine option'))
+                    .filter(option => option.value && (option.value.includes(partial) || option.textContent.toLowerCase().includes(partial)))
+                    .forEach(option => valueSuggestion(option.value, null, option.textContent));
+                break;
+            case 'has':
+                SEARCH_HAS_VALUES.filter(value => value.startsWith(partial)).forEach(value => valueSuggestion(value));
+                break;
+            case 'is':
+                SEARCH_IS_VALUES.filter(value => value.startsWith(partial)).forEach(value => valueSuggestion(value));
+                break;
+            case 'number':
+                (field === 'rating' ? ['>=4', '>=3', '=5', '=0'] : ['>=4', '<=2', '2..4'])
+                    .filter(value => value.startsWith(partial))
+                    .forEach(value => valueSuggestion(value));
+                break;
+            case 'date': {
+                const today = new Date();
+                const pad = (n) => String(n).padStart(2, '0');
+                const isoDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+                const monthAgo = new Date(today);
+                monthAgo.setDate(monthAgo.getDate() - 30);
+                [
+                    [`>=${isoDay(monthAgo)}`, 'Last 30 days'],
+                    [`${today.getFullYear()}-${pad(today.getMonth() + 1)}`, 'This month'],
+                    [`${today.getFullYear()}`, 'This year'],
+                    [`<${today.getFullYear()}`, 'Before this year']
+                ]
+                    .filter(([value]) => value.startsWith(partial))
+                    .forEach(([value, hint]) => valueSuggestion(value, null, hint));
+                break;
+            }
+        }
+    } else if (word && !word.startsWith('"')) {
+        const lowerWord = word.toLowerCase();
+        
+        // Field names
+        Object.entries(SEARCH_FIELDS).forEach(([name, field]) => {
+            if (name.startsWith(lowerWord)) {
+                suggestions.push({ label: `${name}:`, insert: `${name}:`, hint: field.hint });
+            }
+        });
+        
+        if (lowerWord.length >= 2) {
+            state.prompts.forEach(prompt => {
+                if (prompt.title.toLowerCase().includes(lowerWord)) {
+                    suggestions.push({ label: prompt.title, insert: quoteValue(prompt.title.toLowerCase()) });
+                }
+                (prompt.tags || []).forEach(tag => {
+                    if (tag.toLowerCase().includes(lowerWord)) {
+                        suggestions.push({ label: `Tag: ${tag}`, insert: `tag:${quoteValue(tag.toLowerCase())}` });
+                    }
+                });
+                if (prompt.content.toLowerCase().includes(lowerWord)) {
+                    // Extract matching sentence
+                    const sentence = prompt.content.split(/[.!?]+/).find(s => s.toLowerCase().includes(lowerWord));
+                    if (sentence) {
+                        const snippet = sentence.trim().substring(0, 50);
+                        suggestions.push({ label: `${snippet}...`, insert: quoteValue(snippet.toLowerCase().replace(/"/g, '')) });
+                    }
+                }
+            });
+            
+            state.categories.forEach(category => {
+                if (category.name.toLowerCase().includes(lowerWord)) {
+                    suggestions.push({ label: `Category: ${category.name}`, insert: `cat:${quoteValue(category.name.toLowerCase())}` });
+                }
+            });
+        }
+    }
+    
+    // Drop repeats and apply the negation the user already typed
+    const seen = new Set();
+    return suggestions
+        .filter(suggestion => {
+            if (seen.has(suggestion.insert)) return false;
+            seen.add(suggestion.insert);
+            return true;
+        })
+        .slice(0, 8)
+        .map(suggestion => ({
+            ...suggestion,
+            insert: (negate ? '-' : '') + suggestion.insert,
+            start,
+            end: cursor
+        }));
+}
+
+function applySearchSuggestion(suggestion) {
+    const input = elements.searchInput;
+    const value = input.value;
+    const completesField = suggestion.insert.endsWith(':');
+    const rest = value.slice(suggestion.end).replace(/^\S*/, '');
+    const insert = completesField ? suggestion.insert : `${suggestion.insert} `;
+    
+    input.value = value.slice(0, suggestion.start) + insert + rest.replace(/^\s+/, '');
+    const caret = suggestion.start + insert.length;
+    input.focus();
+    input.setSelectionRange(caret, caret);
+    
+    handleSearch({ target: input });
+}
+
+// Full-Text Search Index
+// An inverted index over title, tags, content and notes. It is kept in sync
+// incrementally: syncSearchIndex() re-indexes only prompts whose record was
+// created, replaced or removed since the last search (prompt updates always
+// replace the record, so this also covers undo/redo and imports).
+const SEARCH_INDEX_FIELDS = ['title', 'tags', 'content', 'notes'];
+const SEARCH_FIELD_WEIGHTS = { title: 3, tags: 2.5, content: 1, notes: 0.5 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const searchIndex = {
+    docs: new Map(),        // prompt id -> indexed document
+    postings: new Map(),    // term -> Set of prompt ids
+    fieldLengths: { title: 0, tags: 0, content: 0, notes: 0 },
+    vocabulary: null        // sorted terms for prefix lookups, rebuilt lazily
+};
+
+function tokenizeText(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// A prompt's term counts per field, without adding it to the index
+function createSearchDocument(prompt) {
+    const doc = { source: prompt, fields: {}, lengths: {}, text: {} };
+    SEARCH_INDEX_FIELDS.forEach(field => {
+        const text = field === 'tags' ? (prompt.tags || []).join(' ') : (prompt[field] || '');
+        const tokens = tokenizeText(text);
+        const counts = new Map();
+        tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        
+        doc.fields[field] = counts;
+        doc.lengths[field] = tokens.length;
+        doc.text[field] = text.toLowerCase();
+    });
+    return doc;
+}
+
+function indexPrompt(prompt) {
+    unindexPrompt(prompt.id);
+    
+    const doc = createSearchDocument(prompt);
+    SEARCH_INDEX_FIELDS.forEach(field => {
+        searchIndex.fieldLengths[field] += doc.lengths[field];
+        
+        doc.fields[field].forEach((count, term) => {
+            if (!searchIndex.postings.has(term)) {
+                searchIndex.postings.set(term, new Set());
+                searchIndex.vocabulary = null;
+            }
+            searchIndex.postings.get(term).add(prompt.id);
+        });
+    });
+    
+    searchIndex.docs.set(prompt.id, doc);
+    return doc;
+}
+
+function unindexPrompt(promptId) {
+    const doc = searchIndex.docs.get(promptId);
+    if (!doc) return;
+    
+    SEARCH_INDEX_FIELDS.forEach(field => {
+        searchIndex.fieldLengths[field] -= doc.lengths[field];
+        doc.fields[field].forEach((count, term) => {
+            const ids = searchIndex.postings.get(term);
+            if (!ids) return;
+            ids.delete(promptId);
+            if (ids.size === 0) {
+                searchIndex.postings.delete(term);
+                searchIndex.vocabulary = null;
+            }
+        });
+    });
+    
+    searchIndex.docs.delete(promptId);
+}
+
+function syncSearchIndex() {
+    const currentIds = new Set();
+    
+    state.prompts.forEach(prompt => {
+        currentIds.add(prompt.id);
+        const doc = searchIndex.docs.get(prompt.id);
+        if (!doc || doc.source !== prompt || doc.source.updatedAt !== doc.updatedAt) {
+            indexPrompt(prompt).updatedAt = prompt.updatedAt;
+        }
+    });
+    
+    Array.from(searchIndex.docs.keys()).forEach(id => {
+        if (!currentIds.has(id)) unindexPrompt(id);
+    });
+}
+
+function getIndexedDocument(prompt) {
+    const doc = searchIndex.docs.get(prompt.id);
+    if (doc && doc.source === prompt && doc.updatedAt === prompt.updatedAt) return doc;
+    
+    const fresh = indexPrompt(prompt);
+    fresh.updatedAt = prompt.updatedAt;
+    return fresh;
+}
+
+// All indexed terms starting with `prefix`, via binary search
+function expandPrefix(prefix) {
+    if (!searchIndex.vocabulary) {
+        searchIndex.vocabulary = Array.from(searchIndex.postings.keys()).sort();
+    }
+    
+    const vocabulary = searchIndex.vocabulary;
+    let low = 0;
+    let high = vocabulary.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (vocabulary[mid] < prefix) low = mid + 1;
+        else high = mid;
+    }
+    
+    const terms = [];
+    for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(prefix); i++) {
+        terms.push(vocabulary[i]);
+    }
+    return terms;
+}
+
+// Text terms match whole words by prefix ("pyth" finds "python"); phrases
+// and terms with punctuation must also appear verbatim in the same field.
+function documentMatchesText(doc, term) {
+    const fields = term.fields || SEARCH_INDEX_FIELDS;
+    
+    return fields.some(field => {
+        if (term.words.length === 0) return doc.text[field].includes(term.value);
+        
+        const tokens = Array.from(doc.fields[field].keys());
+        const hasWords = term.words.every(word => tokens.some(token => token.startsWith(word)));
+        if (!hasWords) return false;
+        
+        const isSingleWord = term.words.length === 1 && term.words[0] === term.value;
+        return isSingleWord || doc.text[field].includes(term.value);
+    });
+}
+
+// Narrows the prompts worth checking using the postings lists. Returns null
+// when some alternative has no positive text terms (every prompt qualifies).
+function getSearchCandidates(groups) {
+    if (groups.length === 0) return null;
+    
+    syncSearchIndex();
+    const candidates = new Set();
+    
+    for (const group of groups) {
+        const textTerms = group.filter(term => term.type === 'text' && !term.negate && term.words.length > 0);
+        if (textTerms.length === 0) return null;
+        
+        let groupIds = null;
+        textTerms.forEach(term => {
+            term.words.forEach(word => {
+                const ids = new Set();
+                expandPrefix(word).forEach(token => {
+                    searchIndex.postings.get(token).forEach(id => ids.add(id));
+                });
+                groupIds = groupIds ? new Set([...groupIds].filter(id => ids.has(id))) : ids;
+            });
+        });
+        groupIds.forEach(id => candidates.add(id));
+    }
+    
+    return candidates;
+}
+
+function getQueryScoringTerms(groups) {
+    const terms = [];
+    groups.flat().forEach(term => {
+        if (term.negate) return;
+        if (term.type === 'text') {
+            term.words.forEach(word => terms.push({ word, fields: term.fields || SEARCH_INDEX_FIELDS }));
+        } else if (term.type === 'tag') {
+            tokenizeText(term.value).forEach(word => terms.push({ word, fields: ['tags'] }));
+        }
+    });
+    
+    // A word's document frequency covers every term it expands to, so rare
+    // variants ("pythons") don't outweigh the word itself
+    const docCount = searchIndex.docs.size || 1;
+    return terms.map(term => {
+        const expansions = expandPrefix(term.word);
+        const docs = new Set();
+        expansions.forEach(token => searchIndex.postings.get(token).forEach(id => docs.add(id)));
+        const idf = Math.log(1 + (docCount - docs.size + 0.5) / (docs.size + 0.5));
+        return { ...term, expansions, idf };
+    });
+}
+
+// BM25F: per-field term frequencies are length-normalised and weighted
+// (title and tags count more than content) before saturation.
+function getSearchScores(groups, prompts, indexed = true) {
+    syncSearchIndex();
+    const scores = new Map();
+    const queryTerms = getQueryScoringTerms(groups);
+    const docCount = searchIndex.docs.size || 1;
+    
+    prompts.forEach(prompt => {
+        const doc = indexed ? getIndexedDocument(prompt) : createSearchDocument(prompt);
+        let score = 0;
+        
+        queryTerms.forEach(({ word, fields, expansions, idf }) => {
+            let tf = 0;
+            expansions.forEach(token => {
+                // Exact word matches count more than prefix matches
+                const exactness = token === word ? 1 : 0.5;
+                fields.forEach(field => {
+                    const count = doc.fields[field].get(token);
+                    if (!count) return;
+                    const averageLength = searchIndex.fieldLengths[field] / docCount || 1;
+                    tf += exactness * SEARCH_FIELD_WEIGHTS[field] * count / (1 - BM25_B + BM25_B * doc.lengths[field] / averageLength);
+                });
+            });
+            
+            if (tf > 0) {
+                score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1);
+            }
+        });
+        
+        scores.set(prompt.id, score);
+    });
+    
+    return scores;
+}
+
+// Highlighting
+let highlightCache = { query: null, pattern: null };
+
+function getSearchHighlightPattern() {
+    if (highlightCache.query === state.searchQuery) return highlightCache.pattern;
+    
+    const words = new Set();
+    parseSearchQuery(state.searchQuery).flat().forEach(term => {
+        if (term.negate) return;
+        if (term.type === 'text') term.words.forEach(word => words.add(word));
+        if (term.type === 'tag') tokenizeText(term.value).forEach(word => words.add(word));
+    });
+    
+    const alternatives = Array.from(words)
+        .sort((a, b) => b.length - a.length)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = alternatives.length > 0
+        ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})[\\p{L}\\p{N}]*`, 'giu')
+        : null;
+    
+    highlightCache = { query: state.searchQuery, pattern };
+    return pattern;
+}
+
+// Escapes `text` and wraps words matching the current search in <mark>
+function highlightSearchMatches(text, pattern = getSearchHighlightPattern()) {
+    if (!text) return '';
+    if (!pattern) return escapeHtml(text);
+    
+    let html = '';
+    let lastIndex = 0;
+    text.replace(pattern, (match, offset) => {
+        html += `${escapeHtml(text.slice(lastIndex, offset))}<mark class="search-highlight">${escapeHtml(match)}</mark>`;
+        lastIndex = offset + match.length;
+        return match;
+    });
+    return html + escapeHtml(text.slice(lastIndex));
+}
+
+// Card previews show the start of the prompt, or the text around the first
+// match when it would otherwise be cut off.
+function getPreviewText(content, length, pattern = getSearchHighlightPattern()) {
+    if (content.length <= length) return content;
+    
+    let start = 0;
+    if (pattern) {
+        pattern.lastIndex = 0;
+        const match = pattern.exec(content);
+        pattern.lastIndex = 0;
+        if (match && match.index + match[0].length > length) {
+            start = Math.max(0, match.index - 60);
+        }
+    }
+    
+    return `${start > 0 ? '...' : ''}${content.slice(start, start + length)}${start + length < content.length ? '...' : ''}`;
+}
+
+// Filtering and Sorting
+function getFilteredPrompts() {
+    const inTrash = state.currentFilter === 'trash';
+    let filtered = [...(inTrash ? state.trash : state.prompts)];
+    
+    // Apply search query (see parseSearchQuery for the syntax). The search
+    // index only covers the library, so the trash is searched directly.
+    if (state.searchQuery) {
+        const query = parseSearchQuery(state.searchQuery);
+        const candidates = inTrash ? null : getSearchCandidates(query);
+        filtered = filtered.filter(prompt =>
+            (!candidates || candidates.has(prompt.id)) && matchesSearchQuery(prompt, query, !inTrash)
+        );
+    }
+    
+    // Apply category filter
+    if (state.currentFilter === 'category') {
+        const activeCategory = document.querySelector('.category-item.active')?.dataset.category;
+        if (activeCategory) {
+            filtered = filtered.filter(prompt => prompt.category === activeCategory);
+        }
+    }
+    
+    // Apply other filters
+    switch (state.currentFilter) {
+        case 'favorites':
+            filtered = filtered.filter(prompt => state.favorites.includes(prompt.id));
+            break;
+        case 'recent':
+            const weekAgo = new Date();
+            weekAgo.setDate(weekAgo.getDate() - 7);
+            filtered = filtered.filter(prompt => 
+                new Date(prompt.createdAt) > weekAgo
+            );
+            break;
+        case 'withImages':
+            filtered = filtered.filter(prompt => 
+                prompt.images && prompt.images.length > 0
+            );
+            break;
+        // 'trash' shows deleted prompts, already picked above
+        // 'all' filter - no additional filtering needed
+    }
+    
+    return filtered;
+}
+
+function sortPrompts(prompts) {
+    const sorted = [...prompts];
+    
+    switch (state.currentSort) {
+        case 'newest':
+            sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            break;
+        case 'oldest':
+            sorted.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            break;
+        case 'title':
+            sorted.sort((a, b) => a.title.localeCompare(b.title));
+            break;
+        case 'rating':
+            sorted.sort((a, b) => (b.rating || 0) - (a.rating || 0));
+            break;
+        case 'complexity':
+            sorted.sort((a, b) => (b.complexity || 0) - (a.complexity || 0));
+            break;
+        case 'relevance': {
+            // Without a search there is nothing to rank, so show newest first
+            const scores = state.searchQuery
+                ? getSearchScores(parseSearchQuery(state.searchQuery), sorted, state.currentFilter !== 'trash')
+                : new Map();
+            sorted.sort((a, b) =>
+                (scores.get(b.id) || 0) - (scores.get(a.id) || 0) ||
+                new Date(b.createdAt) - new Date(a.createdAt)
+            );
+            break;
+        }
+    }
+    
+    return sorted;
+}
+
+function paginatePrompts(prompts) {
+    const startIndex = (state.currentPage - 1) * state.pageSize;
+    const endIndex = startIndex + state.pageSize;
+    return prompts.slice(startIndex, endIndex);
+}
+
+function updatePagination(totalItems) {
+    const pagination = document.getElementById('pagination');
+    if (!pagination) return;
+    
+    const totalPages = Math.ceil(totalItems / state.pageSize);
+    
+    if (totalPages <= 1) {
+        pagination.style.display = 'none';
+        return;
+    }
+    
+    pagination.style.display = 'flex';
+    
+    // Update buttons
+    const prevBtn = document.getElementById('prevPageBtn');
+    const nextBtn = document.getElementById('nextPageBtn');
+    
+    if (prevBtn) {
+        prevBtn.disabled = state.currentPage === 1;
+        prevBtn.onclick = () => {
+            if (state.currentPage > 1) {
+                state.currentPage--;
+                renderPrompts();
+            }
+        };
+    }
+    
+    if (nextBtn) {
+        nextBtn.disabled = state.currentPage === totalPages;
+        nextBtn.onclick = () => {
+            if (state.currentPage < totalPages) {
+                state.currentPage++;
+                renderPrompts();
+            }
+        };
+    }
+    
+    // Update page numbers
+    const pageNumbers = document.getElementById('pageNumbers');
+    if (!pageNumbers) return;
+    
+    pageNumbers.innerHTML = '';
+    
+    // Calculate page range to show (max 5 pages)
+    let startPage = Math.max(1, state.currentPage - 2);
+    let endPage = Math.min(totalPages, startPage + 4);
+    
+    // Adjust start if we're near the end
+    if (endPage - startPage < 4) {
+        startPage = Math.max(1, endPage - 4);
+    }
+    
+    for (let i = startPage; i <= endPage; i++) {
+        const pageBtn = document.createElement('button');
+        pageBtn.className = `page-number ${i === state.currentPage ? 'active' : ''}`;
+        pageBtn.textContent = i;
+        pageBtn.addEventListener('click', () => {
+            state.currentPage = i;
+            renderPrompts();
+        });
+        pageNumbers.appendChild(pageBtn);
+    }
+    
+    // Add ellipsis if needed
+    if (endPage < totalPages) {
+        const ellipsis = document.createElement('span');
+        ellipsis.className = 'page-ellipsis';
+        ellipsis.textContent = '...';
+        pageNumbers.appendChild(ellipsis);
+        
+        const lastPage = document.createElement('button');
+        lastPage.className = 'page-number';
+        lastPage.textContent = totalPages;
+        lastPage.addEventListener('click', () => {
+            state.currentPage = totalPages;
+            renderPrompts();
+        });
+        pageNumbers.appendChild(lastPage);
+    }
+}
+
+// View Management
+function setViewMode(mode) {
+    state.currentView = mode;
+    
+    // Update container class
+    if (elements.promptsContainer) {
+        elements.promptsContainer.className = `prompts-container ${mode}-view`;
+    }
+    
+    // Update active button
+    document.querySelectorAll('.view-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    
+    const activeBtn = document.getElementById(`${mode}ViewBtn`);
+    if (activeBtn) {
+        activeBtn.classList.add('active');
+    }
+    
+    // Update settings
+    state.settings.compactMode = (mode === 'compact');
+    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(state.settings));
+    
+    // Re-render prompts
+    renderPrompts();
+}
+
+// Modal Management
+function showModal(modalId) {
+    const modal = document.getElementById(modalId);
+    if (modal) {
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        
+        // Focus first input if exists
+        const firstInput = modal.querySelector('input, textarea, select');
+        if (firstInput) {
+            setTimeout(() => firstInput.focus(), 100);
+        }
+    }
+}
+
+function closeModal(modalId) {
+    const modal = document.getElementById(modalId);
+    if (modal) {
+        modal.classList.remove('active');
+        document.body.style.overflow = 'auto';
+    }
+}
+
+function showConfirmModal(title, message, callback) {
+    document.getElementById('confirmTitle').textContent = title;
+    document.getElementById('confirmMessage').textContent = message;
+    
+    state.pendingConfirmAction = callback;
+    showModal('confirmModal');
+}
+
+function setupConfirmModal() {
+    document.getElementById('confirmCancel')?.addEventListener('click', () => {
+        closeModal('confirmModal');
+    });
+    
+    document.getElementById('confirmOk')?.addEventListener('click', () => {
+        if (state.pendingConfirmAction) {
+            state.pendingConfirmAction();
+            state.pendingConfirmAction = null;
+        }
+        closeModal('confirmModal');
+    });
+}
+
+function setupModalEvents() {
+    // Close modal on background click
+    document.querySelectorAll('.modal').forEach(modal => {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.classList.remove('active');
+                document.body.style.overflow = 'auto';
+            }
+        });
+    });
+    
+    // Close modal buttons
+    document.querySelectorAll('.close-modal').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const modal = e.target.closest('.modal');
+            if (modal) {
+                modal.classList.remove('active');
+                document.body.style.overflow = 'auto';
+            }
+        });
+    });
+    
+    // Prompt form submission
+    const promptForm = document.getElementById('promptForm');
+    if (promptForm) {
+        promptForm.addEventListener('submit', savePrompt);
+    }
+    
+    // Reset form button
+    document.getElementById('resetFormBtn')?.addEventListener('click', resetPromptForm);
+    
+    // Tags input
+    const tagsInput = document.getElementById('promptTags');
+    if (tagsInput) {
+        tagsInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                const tag = tagsInput.value.trim();
+                if (tag) {
+                    addTag(tag);
+                    tagsInput.value = '';
+                }
+            }
+        });
+    }
+    
+    // Character count for prompt text
+    const promptText = document.getElementById('promptText');
+    if (promptText) {
+        promptText.addEventListener('input', updateCharCount);
+    }
+    
+    // Rating stars
+    setupRatingStars();
+    
+    // Advanced section toggle
+    const toggleHeader = document.getElementById('toggleAdvanced');
+    if (toggleHeader) {
+        toggleHeader.addEventListener('click', () => {
+            const content = document.getElementById('advancedContent');
+            const icon = toggleHeader.querySelector('i');
+            
+            if (content.style.display === 'none') {
+                content.style.display = 'block';
+                icon.style.transform = 'rotate(180deg)';
+            } else {
+                content.style.display = 'none';
+                icon.style.transform = 'rotate(0deg)';
+            }
+        });
+    }
+}
+
+function addTag(tagName) {
+    const container = document.getElementById('tagsContainer');
+    if (!container) return;
+    
+    // Check if tag already exists
+    const existingTags = Array.from(container.querySelectorAll('.tag-input'))
+        .map(el => el.textContent.replace('×', '').trim());
+    
+    if (existingTags.includes(tagName)) {
+        showToast('Tag already exists', 'warning');
+        return;
+    }
+    
+    const tagEl = document.createElement('span');
+    tagEl.className = 'tag-input';
+    tagEl.innerHTML = `
+        ${escapeHtml(tagName)}
+        <button class="remove-tag" type="button">&times;</button>
+    `;
+    
+    // Add remove listener
+    const removeBtn = tagEl.querySelector('.remove-tag');
+    removeBtn.addEventListener('click', function() {
+        this.parentElement.remove();
+    });
+    
+    container.appendChild(tagEl);
+}
+
+// Image Preview
+function showImagePreview(src, title, metadata = null) {
+    const img = document.getElementById('previewImage');
+    const titleEl = document.getElementById('imagePreviewTitle');
+    const metadataEl = document.getElementById('previewMetadata');
+    
+    if (img) img.src = src;
+    if (titleEl) titleEl.textContent = title;
+    if (metadataEl) {
+        metadataEl.innerHTML = metadata ? renderImageMetadata(metadata) : '';
+        metadataEl.style.display = metadata ? '' : 'none';
+    }
+    // reset transform/scale
+    if (img) {
+        img.style.transform = 'scale(1)';
+        img.dataset.scale = '1';
+    }
+
+    showModal('imagePreviewModal');
+}
+
+// Setup image preview behaviors: zoom in/out, wheel zoom, double-click toggle, reset on close
+function setupImagePreview() {
+    const modal = document.getElementById('imagePreviewModal');
+    const img = document.getElementById('previewImage');
+    if (!modal || !img) return;
+
+    // Add zoom controls to header if not present
+    const header = modal.querySelector('.modal-header');
+    if (header && !header.querySelector('.zoom-controls')) {
+        const controls = document.createElement('div');
+        controls.className = 'zoom-controls';
+        controls.innerHTML = `
+            <button type="button" class="zoom-btn" id="zoomOutBtn" title="Zoom out">−</button>
+            <button type="button" class="zoom-btn" id="zoomInBtn" title="Zoom in">+</button>
+            <button type="button" class="zoom-btn" id="resetZoomBtn" title="Reset">Reset</button>
+        `;
+        header.appendChild(controls);
+
+        // Button events
+        controls.querySelector('#zoomInBtn').addEventListener('click', () => adjustScale(1.25));
+        controls.querySelector('#zoomOutBtn').addEventListener('click', () => adjustScale(1 / 1.25));
+        controls.querySelector('#resetZoomBtn').addEventListener('click', () => setScale(1));
+    }
+
+    // scale state
+    function getScale() { return parseFloat(img.dataset.scale || '1'); }
+    function setScale(s) {
+        const clamped = Math.max(0.2, Math.min(5, s));
+        img.dataset.scale = String(clamped);
+        img.style.transform = `scale(${clamped})`;
+        img.style.cursor = clamped > 1 ? 'grab' : 'zoom-in';
+    }
+    function adjustScale(factor) { setScale(getScale() * factor); }
+
+    // Wheel zoom
+    modal.addEventListener('wheel', (e) => {
+        if (!modal.classList.contains('active')) return;
+        e.preventDefault();
+        const delta = e.deltaY > 0 ? 0.9 : 1.1;
+        adjustScale(delta);
+    }, { passive: false });
+
+    // Double-click to toggle between fit (1) and 2x
+    img.addEventListener('dblclick', () => {
+        setScale(getScale() > 1 ? 1 : 2);
+    });
+
+    // Panning (drag to move) when zoomed with bounds
+    let isPanning = false;
+    let startX = 0, startY = 0;
+    let startTx = 0, startTy = 0;
+    const container = modal.querySelector('.image-preview-container');
+    let maxOffsetX = 0, maxOffsetY = 0;
+
+    function getTranslate() {
+        return {
+            x: parseFloat(img.dataset.tx || '0'),
+            y: parseFloat(img.dataset.ty || '0')
+        };
+    }
+
+    function setTranslate(x, y) {
+        // clamp
+        const clampedX = Math.max(-maxOffsetX, Math.min(maxOffsetX, x));
+        const clampedY = Math.max(-maxOffsetY, Math.min(maxOffsetY, y));
+        img.dataset.tx = String(clampedX);
+        img.dataset.ty = String(clampedY);
+        const s = getScale();
+        img.style.transform = `translate(${clampedX}px, ${clampedY}px) scale(${s})`;
+    }
+
+    function updateBounds() {
+        if (!container) return;
+        // use current rendered size of image (without translate) to compute overflow
+        const cRect = container.getBoundingClientRect();
+        // temporarily apply scale to get image size
+        const s = getScale();
+        // natural size fallback
+        const naturalW = img.naturalWidth || cRect.width;
+        const naturalH = img.naturalHeight || cRect.height;
+        // Compute rendered image size while respecting object-fit:contain behavior
+        const aspectImg = naturalW / naturalH;
+        const aspectContainer = cRect.width / cRect.height;
+        let renderedW, renderedH;
+        if (aspectImg > aspectContainer) {
+            renderedW = cRect.width * s;
+            renderedH = (cRect.width / aspectImg) * s;
+        } else {
+            renderedH = cRect.height * s;
+            renderedW = (cRect.height * aspectImg) * s;
+        }
+
+        maxOffsetX = Math.max(0, (renderedW - cRect.width) / 2);
+        maxOffsetY = Math.max(0, (renderedH - cRect.height) / 2);
+        // ensure current translate is within bounds
+        const t = getTranslate();
+        setTranslate(t.x, t.y);
+    }
+
+    // update setScale to preserve translate unless resetting to 1
+    const origSetScale = setScale;
+    setScale = function(s) {
+        const prev = getScale();
+        origSetScale(s);
+        if (s === 1) {
+            img.dataset.tx = '0';
+            img.dataset.ty = '0';
+            img.style.transform = `scale(1)`;
+        }
+        // recalc bounds after scale change
+        updateBounds();
+        img.style.cursor = parseFloat(img.dataset.scale || '1') > 1 ? 'grab' : 'zoom-in';
+    };
+
+    img.addEventListener('pointerdown', (e) => {
+        if (getScale() <= 1) return;
+        updateBounds();
+        isPanning = true;
+        startX = e.clientX;
+        startY = e.clientY;
+        const t = getTranslate();
+        startTx = t.x;
+        startTy = t.y;
+        img.setPointerCapture(e.pointerId);
+        img.style.cursor = 'grabbing';
+    });
+
+    img.addEventListener('pointermove', (e) => {
+        if (!isPanning) return;
+        e.preventDefault();
+        const dx = e.clientX - startX;
+        const dy = e.clientY - startY;
+        // apply a small damping factor so movement feels less loose
+        const damp = 30;
+        setTranslate(startTx + dx * damp, startTy + dy * damp);
+    });
+
+    ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(ev => {
+        img.addEventListener(ev, (e) => {
+            if (!isPanning) return;
+            isPanning = false;
+            try { img.releasePointerCapture && img.releasePointerCapture(e.pointerId); } catch (err) {}
+            img.style.cursor = parseFloat(img.dataset.scale || '1') > 1 ? 'grab' : 'zoom-in';
+        });
+    });
+
+    // Reset when modal closed via any close control
+    modal.querySelectorAll('.close-modal').forEach(btn => {
+        btn.addEventListener('click', () => setScale(1));
+    });
+
+    // Also reset when clicking outside (setupModalEvents closes modal on backdrop click)
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) setScale(1);
+    });
+}
+
+// Toast Notification
+function showToast(message, type = 'info', duration = 4000) {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
+    
+    // Update toast content
+    const titleMap = {
+        success: 'Success',
+        error: 'Error',
+        warning: 'Warning',
+        info: 'Info'
+    };
+    
+    document.getElementById('toastTitle').textContent = titleMap[type] || 'Info';
+    document.getElementById('toastMessage').textContent = message;
+    
+    // Update icon
+    const iconMap = {
+        success: 'fa-check-circle',
+        error: 'fa-exclamation-circle',
+        warning: 'fa-exclamation-triangle',
+        info: 'fa-info-circle'
+    };
+    
+    const icon = toast.querySelector('.toast-icon i');
+    if (icon) {
+        icon.className = `fas ${iconMap[type] || 'fa-info-circle'}`;
+    }
+    
+    // Set type class
+    toast.className = 'toast';
+    toast.classList.add(type);
+    
+    // Show toast
+    toast.classList.add('show');
+    
+    // Auto-hide
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, duration);
+    
+    // Close button
+    const closeBtn = toast.querySelector('.toast-close');
+    if (closeBtn) {
+        closeBtn.onclick = () => toast.classList.remove('show');
+    }
+}
+
+// Loading State
+function showLoading(show) {
+    const overlay = document.getElementById('loadingOverlay');
+    if (overlay) {
+        overlay.classList.toggle('active', show);
+    }
+}
+
+// Theme Management
+function toggleTheme() {
+    const newTheme = state.settings.theme === 'light' ? 'dark' : 'light';
+    state.settings.theme = newTheme;
+    
+    // Update UI
+    updateTheme();
+    
+    // Save settings
+    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(state.settings));
+    
+    showToast(`${newTheme === 'dark' ? 'Dark' : 'Light'} mode enabled`, 'info');
+}
+
+function updateTheme() {
+    document.documentElement.setAttribute('data-theme', state.settings.theme);
+    
+    // Update theme toggle icon
+    const themeToggle = document.getElementById('themeToggle');
+    if (themeToggle) {
+        const icon = themeToggle.querySelector('i');
+        if (icon) {
+            icon.className = state.settings.theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
+        }
+    }
+}
+
+// Keyboard Shortcuts
+function handleKeyboardShortcuts(event) {
+    // Don't trigger shortcuts when typing in inputs
+    if (event.target.tagName === 'INPUT' || 
+        event.target.tagName === 'TEXTAREA' ||
+        event.target.isContentEditable) {
+        return;
+    }
+    
+    // Ctrl/Cmd + N: New prompt
+    if ((event.ctrlKey || event.metaKey) && event.key === 'n') {
+        event.preventDefault();
+        showAddPromptModal();
+    }
+    
+    // Ctrl/Cmd + F: Focus search
+    if ((event.ctrlKey || event.metaKey) && event.key === 'f') {
+        event.preventDefault();
+        elements.searchInput?.focus();
+    }
+    
+    // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z: Redo
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
+    }
+    
+    // Ctrl/Cmd + Y: Redo
+    if ((event.ctrlKey || event.metaKey) && event.key === 'y') {
+        event.preventDefault();
+        redo();
+    }
+    
+    // Ctrl/Cmd + S: Save (shows toast)
+    if ((event.ctrlKey || event.metaKey) && event.key === 's') {
+        event.preventDefault();
+        showToast('Auto-save is enabled', 'info');
+    }
+    
+    // Escape: Close the topmost modal
+    if (event.key === 'Escape') {
+        const openModal = Array.from(document.querySelectorAll('.modal.active')).pop();
+        if (openModal) {
+            openModal.classList.remove('active');
+            document.body.style.overflow = 'auto';
+        }
+    }
+    
+    // Arrow keys in search suggestions
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        const suggestions = document.getElementById('searchSuggestions');
+        if (suggestions && suggestions.classList.contains('active')) {
+            event.preventDefault();
+            navigateSuggestions(event.key === 'ArrowDown' ? 1 : -1);
+        }
+    }
+    
+    // Enter to select suggestion
+    if (event.key === 'Enter') {
+        const suggestions = document.getElementById('searchSuggestions');
+        const highlighted = suggestions?.querySelector('.suggestion-item.highlighted');
+        if (highlighted) {
+            event.preventDefault();
+            highlighted.click();
+        }
+    }
+}
+
+// Window Events
+function handleBeforeUnload(event) {
+    // Changes are saved as they happen. Saving the whole library again here
+    // would let the last tab to close overwrite what other tabs changed.
+    if (!syncBaseline || collectLocalChanges().count > 0) saveState();
+    
+    // Encrypted and IndexedDB writes finish asynchronously, and the page may
+    // be gone before they commit, so ask the browser to keep it open
+    if (pendingVaultWrites > 0) {
+        event.preventDefault();
+        event.returnValue = '';
+    }
+}
+
+// Utility Functions
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function formatDate(dateString, format = 'MMM DD, YYYY') {
+    if (!dateString) return '';
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return '';
+    
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const month = months[date.getMonth()];
+    const day = date.getDate();
+    const year = date.getFullYear();
+    
+    return `${month} ${day}, ${year}`;
+}
+
+function formatTime(dateString) {
+    if (!dateString) return '';
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return '';
+    
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function calculateWordCount(text) {
+    if (!text) return 0;
+    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+}
+
+function estimateTokenCount(text) {
+    if (!text) return 0;
+    // Rough estimation: 1 token ≈ 4 characters for English text
+    return Math.ceil(text.length / 4);
+}
+
+function calculateComplexity(prompt) {
+    const wordCount = calculateWordCount(prompt.content);
+    const hasNotes = prompt.notes && prompt.notes.length > 50;
+    const hasImages = prompt.images && prompt.images.length > 0;
+    const tagCount = prompt.tags ? prompt.tags.length : 0;
+    
+    let score = 1;
+    if (wordCount > 100) score += 1;
+    if (wordCount > 200) score += 1;
+    if (hasNotes) score += 1;
+    if (hasImages) score += 1;
+    if (tagCount >= 3) score += 1;
+    
+    return Math.min(score, 5);
+}
+
+function getCategoryColor(categoryId) {
+    const category = state.categories.get(categoryId);
+    return category ? category.color : '#6c757d';
+}
+
+function getCategoryIcon(categoryId) {
+    const category = state.categories.get(categoryId);
+    return category ? category.icon : 'fas fa-folder';
+}
+
+function getCategoryName(categoryId) {
+    const category = state.categories.get(categoryId);
+    return category ? category.name : 'Other';
+}
+
+function generateRandomColor() {
+    const colors = [
+        '#ef476f', '#ffd166', '#06d6a0', '#118ab2', '#7209b7',
+        '#3a86ff', '#fb5607', '#8338ec', '#ff006e', '#ffbe0b',
+        '#3a86ff', '#ff5d8f', '#90be6d', '#f9c74f', '#43aa8b',
+        '#577590', '#f94144', '#f3722c', '#f8961e', '#f9844a'
+    ];
+    return colors[Math.floor(Math.random() * colors.length)];
+}
+
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+function throttle(func, limit) {
+    let inThrottle;
+    return function() {
+        const args = arguments;
+        const context = this;
+        if (!inThrottle) {
+            func.apply(context, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    };
+}
+
+// Sample Data
+function addSampleData() {
+    const samplePrompts = [
+        {
+            id: generateId(),
+            title: "Fantasy Landscape Generator",
+            category: "art",
+            content: "Create a breathtaking fantasy landscape with towering mountains, mystical forests, and a crystal-clear river flowing through a magical valley. Digital painting style, highly detailed, epic scale, cinematic lighting, 8K resolution, trending on ArtStation.",
+            tags: ["fantasy", "landscape", "digital painting", "detailed", "epic"],
+            images: [],
+            notes: "Works best with DALL-E 3 or Midjourney v6. Use --ar 16:9 for widescreen. Add --style raw for more creative control.",
+            rating: 5,
+            engine: "Midjourney",
+            complexity: 4,
+            usageCount: 12,
+            createdAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+            updatedAt: new Date().toISOString()
+        }
+    ];
+    
+    state.prompts = samplePrompts;
+    
+    // Add some to favorites
+    state.favorites = [samplePrompts[0].id, samplePrompts[2].id];
+    
+    saveState();
+    console.log('📝 Sample data added');
+}
+
+// Error Handling
+window.addEventListener('error', function(event) {
+    console.error('Global error:', event.error);
+    showToast('An error occurred. Check console for details.', 'error');
+});
+
+// Make app available globally for debugging
+if (typeof window !== 'undefined') {
+    window.promptVault = {
+        state,
+        utils: {
+            generateId,
+            calculateWordCount,
+            estimateTokenCount,
+            formatDate
+        },
+        actions: {
+            showAddPromptModal,
+            importSampleData,
+            undo,
+            redo,
+            exportData: handleExport,
+            clearAllData: () => {
+                if (confirm('Clear ALL data? This cannot be undone!')) {
+                    clearStoredData().then(() => location.reload());
+                }
+            }
+        }
+    };
+    
+    console.log('🔧 Debug mode enabled: window.promptVault');
+}
+
+// Image Processing
+// Uploaded images are scaled down to settings.imageMaxDimension and saved
+// as WebP or JPEG at settings.imageQuality instead of the original file.
+// Each image also gets a small thumbnail for the prompt cards; the preview
+// still shows the full image. GIFs and SVGs are kept as they are, since
+// re-encoding would drop their animation or scalability.
+const IMAGE_FORMATS = {
+    webp: { label: 'WebP', mimeType: 'image/webp' },
+    jpeg: { label: 'JPEG', mimeType: 'image/jpeg' },
+    original: { label: 'Original file', mimeType: null }
+};
+const IMAGE_MAX_DIMENSION_OPTIONS = [1024, 1600, 2048, 3072, 0];
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_QUALITY = 0.7;
+const KEEP_ORIGINAL_IMAGE_TYPES = ['image/gif', 'image/svg+xml'];
+// Originals are stored as they are, larger files are only accepted when
+// they will be downscaled
+const MAX_ORIGINAL_IMAGE_SIZE = 5 * 1024 * 1024;
+const MAX_PROCESSED_IMAGE_SIZE = 25 * 1024 * 1024;
+
+function getMaxImageUploadSize() {
+    return IMAGE_FORMATS[state.settings.imageFormat]?.mimeType ? MAX_PROCESSED_IMAGE_SIZE : MAX_ORIGINAL_IMAGE_SIZE;
+}
+
+function loadImageElement(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Could not decode the image'));
+        img.src = src;
+    });
+}
+
+function getDataUrlType(dataUrl) {
+    const match = /^data:([^;,]+)/.exec(dataUrl);
+    return match ? match[1] : '';
+}
+
+// Decoded size of a base64 data URL
+function getDataUrlSize(dataUrl) {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    return Math.floor(base64.length * 3 / 4);
+}
+
+function drawScaledImage(img, maxDimension) {
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    const scale = maxDimension > 0 ? Math.min(1, maxDimension / Math.max(width, height)) : 1;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+function encodeCanvas(canvas, mimeType, quality) {
+    if (mimeType !== 'image/jpeg') {
+        const encoded = canvas.toDataURL(mimeType, quality);
+        // Browsers without a WebP encoder hand back a PNG instead
+        if (encoded.startsWith(`data:${mimeType}`)) return encoded;
+    }
+    
+    // JPEG has no transparency; paint it white rather than black
+    const flat = document.createElement('canvas');
+    flat.width = canvas.width;
+    flat.height = canvas.height;
+    const ctx = flat.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, flat.width, flat.height);
+    ctx.drawImage(canvas, 0, 0);
+    return flat.toDataURL('image/jpeg', quality);
+}
+
+// Returns { url, thumbnail } for a data URL; thumbnail is null when the
+// image is already smaller than one would be
+async function processImage(dataUrl) {
+    const img = await loadImageElement(dataUrl);
+    const { imageFormat, imageMaxDimension, imageQuality } = state.settings;
+    const mimeType = IMAGE_FORMATS[imageFormat]?.mimeType;
+    
+    let url = dataUrl;
+    if (mimeType && !KEEP_ORIGINAL_IMAGE_TYPES.includes(getDataUrlType(dataUrl))) {
+        const canvas = drawScaledImage(img, imageMaxDimension);
+        const encoded = encodeCanvas(canvas, mimeType, imageQuality);
+        // A small image can come out larger after re-encoding
+        const resized = canvas.width < (img.naturalWidth || img.width);
+        if (resized || encoded.length < dataUrl.length) url = encoded;
+    }
+    
+    return { url, thumbnail: encodeThumbnail(img, url, mimeType) };
+}
+
+function encodeThumbnail(img, url, mimeType) {
+    const thumbnail = encodeCanvas(drawScaledImage(img, THUMBNAIL_SIZE), mimeType || 'image/webp', THUMBNAIL_QUALITY);
+    return thumbnail.length < url.length ? thumbnail : null;
+}
+
+// Images saved before thumbnails existed get one the first time their card
+// is shown, one image at a time. Results are kept by image data for this
+// session, so images that are too small for one aren't decoded again.
+const backfilledThumbnails = new Map();
+let thumbnailBackfillQueue = null;
+let thumbnailBackfillRunning = false;
+
+function needsThumbnail(img) {
+    return Boolean(img.url) && img.url.startsWith('data:') && !img.thumbnail && backfilledThumbnails.get(img.url) !== null;
+}
+
+function queueThumbnailBackfill(prompts) {
+    if (!prompts.some(prompt => (prompt.images || []).slice(0, 3).some(needsThumbnail))) return;
+    
+    thumbnailBackfillQueue = prompts;
+    if (thumbnailBackfillRunning) return;
+    
+    thumbnailBackfillRunning = true;
+    (async () => {
+        while (thumbnailBackfillQueue) {
+            const next = thumbnailBackfillQueue;
+            thumbnailBackfillQueue = null;
+            await backfillThumbnails(next);
+        }
+        thumbnailBackfillRunning = false;
+    })();
+}
+
+async function backfillThumbnails(prompts) {
+    const mimeType = IMAGE_FORMATS[state.settings.imageFormat]?.mimeType;
+    let added = 0;
+    
+    for (const prompt of prompts) {
+        // Cards show the first three images
+        for (const [index, img] of (prompt.images || []).slice(0, 3).entries()) {
+            if (!needsThumbnail(img)) continue;
+            
+            if (!backfilledThumbnails.has(img.url)) {
+                try {
+                    backfilledThumbnails.set(img.url, encodeThumbnail(await loadImageElement(img.url), img.url, mimeType));
+                } catch (error) {
+                    console.warn('⚠️ Could not create a thumbnail:', error);
+                    backfilledThumbnails.set(img.url, null);
+                }
+            }
+            
+            const thumbnail = backfilledThumbnails.get(img.url);
+            if (!thumbnail || img.thumbnail) continue;
+            img.thumbnail = thumbnail;
+            added++;
+            document.querySelectorAll(`.prompt-card[data-id="${prompt.id}"] .image-thumb[data-index="${index}"]`).forEach(thumb => {
+                thumb.src = thumbnail;
+            });
+        }
+    }
+    
+    if (added > 0) {
+        saveState();
+        console.log(`🖼️ Created ${added} missing thumbnail${added === 1 ? '' : 's'}`);
+    }
+}
+
+function renderImageSettings() {
+    const container = document.getElementById('imageSettings');
+    if (!container) return;
+    
+    const { imageFormat, imageMaxDimension, imageQuality } = state.settings;
+    const keepsOriginal = !IMAGE_FORMATS[imageFormat]?.mimeType;
+    
+    container.innerHTML = `
+        <label>
+            Save uploads as
+            <select id="imageFormatSelect">
+                ${Object.entries(IMAGE_FORMATS).map(([value, format]) => `
+                    <option value="${value}" ${value === imageFormat ? 'selected' : ''}>${format.label}</option>
+                `).join('')}
+            </select>
+        </label>
+        <label>
+            Resize to
+            <select id="imageMaxDimensionSelect" ${keepsOriginal ? 'disabled' : ''}>
+                ${IMAGE_MAX_DIMENSION_OPTIONS.map(size => `
+                    <option value="${size}" ${size === imageMaxDimension ? 'selected' : ''}>
+                        ${size ? `${size}px max` : 'Full size'}
+                    </option>
+                `).join('')}
+            </select>
+        </label>
+        <label>
+            Quality
+            <input type="range" id="imageQualityInput" min="0.4" max="1" step="0.05" value="${imageQuality}" ${keepsOriginal ? 'disabled' : ''}>
+            <span id="imageQualityValue">${Math.round(imageQuality * 100)}%</span>
+        </label>
+    `;
+    
+    const saveSetting = (key, value) => {
+        state.settings[key] = value;
+        saveState();
+    };
+    container.querySelector('#imageFormatSelect').addEventListener('change', (e) => {
+        saveSetting('imageFormat', e.target.value);
+        renderImageSettings();
+    });
+    container.querySelector('#imageMaxDimensionSelect').addEventListener('change', (e) => {
+        saveSetting('imageMaxDimension', parseInt(e.target.value) || 0);
+    });
+    const quality = container.querySelector('#imageQualityInput');
+    quality.addEventListener('input', () => {
+        container.querySelector('#imageQualityValue').textContent = `${Math.round(quality.value * 100)}%`;
+    });
+    quality.addEventListener('change', () => saveSetting('imageQuality', parseFloat(quality.value)));
+}
+
+// Image Upload Functions
+function setupImageUploads() {
+    // File upload handling
+    document.querySelectorAll('.image-input').forEach(input => {
+        input.addEventListener('change', handleImageUpload);
+    });
+    
+    // Add more result images button
+    const addResultBtn = document.getElementById('addResultImageBtn');
+    if (addResultBtn) {
+        addResultBtn.addEventListener('click', addResultImageSlot);
+    }
+    
+    // Add image from URL button
+    const addUrlBtn = document.getElementById('addImageUrlBtn');
+    if (addUrlBtn) {
+        addUrlBtn.addEventListener('click', showImageUrlModal);
+    }
+    
+    // Load image from URL
+    const loadUrlBtn = document.getElementById('loadImageUrlBtn');
+    if (loadUrlBtn) {
+        loadUrlBtn.addEventListener('click', loadImageFromUrl);
+    }
+}
+
+function handleImageUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const invalid = validateImageFile(file);
+    if (invalid) {
+        showToast(invalid, 'error');
+        return;
+    }
+    
+    const reader = new FileReader();
+    const imageCard = event.target.closest('.image-upload-card');
+    
+    reader.onload = async function(e) {
+        try {
+            // Re-encoding drops the generation settings, so read them first
+            const metadata = await readImageMetadata(file);
+            const image = await processImageData(imageCard, e.target.result, metadata);
+            const size = getDataUrlSize(image.url);
+            showToast(
+                size < file.size
+                    ? `Image uploaded (${formatBytes(file.size)} → ${formatBytes(size)})`
+                    : 'Image uploaded successfully',
+                'success'
+            );
+            offerImageMetadata([image]);
+        } catch (error) {
+            console.error('❌ Failed to process image:', error);
+            showToast('Failed to load image', 'error');
+        }
+    };
+    
+    reader.onerror = function() {
+        showToast('Failed to load image', 'error');
+    };
+    
+    reader.readAsDataURL(file);
+}
+
+// Returns why a file can't be used as an image, or null if it can
+function validateImageFile(file) {
+    // Validate file type
+    if (!file.type.startsWith('image/')) {
+        return 'Please select an image file (JPEG, PNG, GIF, etc.)';
+    }
+    
+    // Validate file size
+    const maxSize = getMaxImageUploadSize();
+    if (file.size > maxSize) {
+        return `Image file is too large (max ${formatBytes(maxSize)})`;
+    }
+    
+    return null;
+}
+
+function displayImagePreview(imageCard, imageData) {
+    if (!imageCard || !imageData) return;
+    
+    const placeholder = imageCard.querySelector('.image-upload-placeholder');
+    const previewContainer = imageCard.querySelector('.image-preview-container');
+    const removeBtn = imageCard.querySelector('.remove-image');
+    
+    // Hide placeholder
+    if (placeholder) {
+        placeholder.style.display = 'none';
+    }
+    
+    // Create or update preview
+    let img = previewContainer.querySelector('img');
+    if (!img) {
+        img = document.createElement('img');
+        previewContainer.appendChild(img);
+    }
+    
+    // Set image source with error handling
+    img.src = imageData;
+    img.alt = 'Preview';
+    img.style.width = '100%';
+    img.style.height = '100%';
+    img.style.objectFit = 'cover';
+    img.style.borderRadius = 'var(--border-radius)';
+    
+    img.onload = function() {
+        // Show preview container
+        previewContainer.style.display = 'block';
+        
+        // Show remove button
+        if (removeBtn) {
+            removeBtn.style.display = 'flex';
+            removeBtn.onclick = (e) => {
+                e.stopPropagation();
+                removeImage(imageCard);
+            };
+        }
+        
+        // Update card state
+        imageCard.classList.add('has-image');
+    };
+    
+    img.onerror = function() {
+        console.error('Failed to load preview image');
+        showToast('Failed to load image preview', 'error');
+        
+        // Reset card if image fails to load
+        if (placeholder) placeholder.style.display = 'block';
+        previewContainer.style.display = 'none';
+        if (removeBtn) removeBtn.style.display = 'none';
+        imageCard.classList.remove('has-image');
+    };
+}
+
+function removeImage(imageCard) {
+    const type = imageCard.dataset.type;
+    const index = parseInt(imageCard.dataset.index);
+    const cacheId = `image-${type}-${index}`;
+    
+    // Remove from cache
+    state.imageCache.delete(cacheId);
+    
+    // Reset card
+    const placeholder = imageCard.querySelector('.image-upload-placeholder');
+    const previewContainer = imageCard.querySelector('.image-preview-container');
+    const removeBtn = imageCard.querySelector('.remove-image');
+    const fileInput = imageCard.querySelector('input[type="file"]');
+    
+    // Show placeholder
+    if (placeholder) placeholder.style.display = 'block';
+    
+    // Hide preview
+    if (previewContainer) {
+        previewContainer.style.display = 'none';
+        previewContainer.innerHTML = '';
+    }
+    
+    // Hide remove button
+    if (removeBtn) removeBtn.style.display = 'none';
+    
+    // Reset file input
+    if (fileInput) fileInput.value = '';
+    
+    imageCard.querySelector('.image-metadata-btn')?.remove();
+    
+    // Update card state
+    imageCard.classList.remove('has-image');
+}
+
+function addResultImageSlot() {
+    const imagesGrid = document.getElementById('imagesGrid');
+    if (!imagesGrid) return;
+    
+    // Count existing result images
+    const resultCards = imagesGrid.querySelectorAll('.image-upload-card[data-type="result"]');
+    const nextIndex = resultCards.length;
+    
+    // Don't add more than 5 result images
+    if (nextIndex >= 5) {
+        showToast('Maximum 5 result images allowed', 'warning');
+        return;
+    }
+    
+    // Create new image card
+    const newCard = document.createElement('div');
+    newCard.className = 'image-upload-card';
+    newCard.dataset.type = 'result';
+    newCard.dataset.index = nextIndex;
+    
+    newCard.innerHTML = `
+        <div class="image-upload-placeholder">
+            <i class="fas fa-image"></i>
+            <span>Result ${nextIndex + 1}</span>
+            <small>Example output image</small>
+        </div>
+        <input type="file" class="image-input" accept="image/*" data-type="result" data-index="${nextIndex}">
+        <div class="image-preview-container"></div>
+        <button type="button" class="remove-image" style="display: none;">×</button>
+    `;
+    
+    // Insert before the "Add more" button
+    const addMoreBtn = document.getElementById('addResultImageBtn');
+    imagesGrid.insertBefore(newCard, addMoreBtn);
+    
+    // Add event listeners
+    const fileInput = newCard.querySelector('.image-input');
+    fileInput.addEventListener('change', handleImageUpload);
+    
+    // Update "Add more" button text if needed
+    if (nextIndex === 4) {
+        addMoreBtn.querySelector('span').textContent = 'Max 5 images';
+        addMoreBtn.style.opacity = '0.5';
+        addMoreBtn.style.cursor = 'not-allowed';
+    }
+    
+    showToast('New image slot added', 'info');
+}
+
+function showImageUrlModal() {
+    // Reset form
+    document.getElementById('imageUrlInput').value = '';
+    document.getElementById('imageTypeSelect').value = 'input';
+    
+    showModal('imageUrlModal');
+}
+
+
+// Resizes and re-encodes a new image (see Image Processing) and hashes it
+// for the image store, then puts it in the given slot
+async function processImageData(targetCard, imageData, metadata = null) {
+    const image = await processImage(imageData);
+    image.id = await hashImageData(image.url);
+    if (metadata) image.metadata = metadata;
+    setFormImage(targetCard, image);
+    return image;
+}
+
+// Keeps a slot's image ({ url, thumbnail, id, metadata }) until the prompt is saved
+function setFormImage(imageCard, image) {
+    const cacheId = `image-${imageCard.dataset.type}-${parseInt(imageCard.dataset.index)}`;
+    const { url, thumbnail, id, metadata } = image;
+    
+    state.imageCache.set(cacheId, { url, thumbnail, id, metadata });
+    displayImagePreview(imageCard, thumbnail || url);
+    renderImageMetadataButton(imageCard, metadata);
+}
+
+// Get images from form when saving prompt
+function getFormImages() {
+    const images = [];
+    
+    // Get input images
+    const inputCards = document.querySelectorAll('.image-upload-card[data-type="input"]');
+    inputCards.forEach(card => {
+        if (card.classList.contains('has-image')) {
+            const index = parseInt(card.dataset.index);
+            const cacheId = `image-input-${index}`;
+            const image = state.imageCache.get(cacheId);
+            
+            if (image) {
+                images.push({
+                    type: 'input',
+                    url: image.url,
+                    index: index,
+                    ...(image.id && { id: image.id }),
+                    ...(image.thumbnail && { thumbnail: image.thumbnail }),
+                    ...(image.metadata && { metadata: image.metadata })
+                });
+            }
+        }
+    });
+    
+    // Get result images
+    const resultCards = document.querySelectorAll('.image-upload-card[data-type="result"]');
+    resultCards.forEach(card => {
+        if (card.classList.contains('has-image')) {
+            const index = parseInt(card.dataset.index);
+            const cacheId = `image-result-${index}`;
+            const image = state.imageCache.get(cacheId);
+            
+            if (image) {
+                images.push({
+                    type: 'result',
+                    url: image.url,
+                    index: index,
+                    ...(image.id && { id: image.id }),
+                    ...(image.thumbnail && { thumbnail: image.thumbnail }),
+                    ...(image.metadata && { metadata: image.metadata })
+                });
+            }
+        }
+    });
+    
+    return images;
+}
+
+// Load images when editing a prompt
+function loadPromptImages(images) {
+    if (!images || !Array.isArray(images)) return;
+    
+    // Clear all existing images first
+    document.querySelectorAll('.image-upload-card').forEach(card => {
+        removeImage(card);
+    });
+    
+    images.forEach(img => {
+        const type = img.type;
+        const index = img.index || 0;
+        
+        let targetCard = null;
+        
+        if (type === 'input') {
+            targetCard = document.querySelector('.image-upload-card[data-type="input"]');
+        } else {
+            const resultCards = document.querySelectorAll('.image-upload-card[data-type="result"]');
+            // Find card with matching index or first available
+            targetCard = Array.from(resultCards).find(card => 
+                parseInt(card.dataset.index) === index
+            ) || resultCards[0];
+            
+            // If no card exists at this index, add one
+            if (!targetCard) {
+                addResultImageSlot();
+                setTimeout(() => {
+                    const newCards = document.querySelectorAll('.image-upload-card[data-type="result"]');
+                    targetCard = newCards[newCards.length - 1];
+                    if (targetCard && img.url) {
+                        setFormImage(targetCard, img);
+                    }
+                }, 100);
+                return;
+            }
+        }
+        
+        if (targetCard && img.url) {
+            setFormImage(targetCard, img);
+        }
+    });
+}
+
+// Add Input Image Slot
+function addInputImageSlot() {
+    const imagesGrid = document.getElementById('inputImagesGrid');
+    if (!imagesGrid) return;
+    
+    // Count existing input images
+    const inputCards = imagesGrid.querySelectorAll('.image-upload-card[data-type="input"]');
+    const nextIndex = inputCards.length;
+    
+    // Don't add more than 3 input images
+    if (nextIndex >= 3) {
+        showToast('Maximum 3 input images allowed', 'warning');
+        return;
+    }
+    
+    // Create new image card
+    const newCard = document.createElement('div');
+    newCard.className = 'image-upload-card';
+    newCard.dataset.type = 'input';
+    newCard.dataset.index = nextIndex;
+    
+    newCard.innerHTML = `
+        <div class="image-upload-placeholder">
+            <i class="fas fa-upload"></i>
+            <span>Input ${nextIndex + 1}</span>
+            <small>Example input image</small>
+        </div>
+        <input type="file" class="image-input" accept="image/*" data-type="input" data-index="${nextIndex}">
+        <div class="image-preview-container"></div>
+        <button type="button" class="remove-image">×</button>
+    `;
+    
+    // Insert before the "Add more" button
+    const addMoreBtn = document.getElementById('addInputImageBtn');
+    imagesGrid.insertBefore(newCard, addMoreBtn);
+    
+    // Add event listeners
+    const fileInput = newCard.querySelector('.image-input');
+    fileInput.addEventListener('change', handleImageUpload);
+    
+    // Update "Add more" button text if needed
+    if (nextIndex === 2) {
+        addMoreBtn.querySelector('span').textContent = 'Max 3 images';
+        addMoreBtn.style.opacity = '0.5';
+        addMoreBtn.style.cursor = 'not-allowed';
+    }
+    
+    showToast('New input image slot added', 'info');
+    return newCard;
+}
+
+// Add Result Image Slot
+function addResultImageSlot() {
+    const imagesGrid = document.getElementById('resultImagesGrid');
+    if (!imagesGrid) return;
+    
+    // Count existing result images
+    const resultCards = imagesGrid.querySelectorAll('.image-upload-card[data-type="result"]');
+    const nextIndex = resultCards.length;
+    
+    // Don't add more than 5 result images
+    if (nextIndex >= 5) {
+        showToast('Maximum 5 result images allowed', 'warning');
+        return;
+    }
+    
+    // Create new image card
+    const newCard = document.createElement('div');
+    newCard.className = 'image-upload-card';
+    newCard.dataset.type = 'result';
+    newCard.dataset.index = nextIndex;
+    
+    newCard.innerHTML = `
+        <div class="image-upload-placeholder">
+            <i class="fas fa-image"></i>
+            <span>Result ${nextIndex + 1}</span>
+            <small>Example output image</small>
+        </div>
+        <input type="file" class="image-input" accept="image/*" data-type="result" data-index="${nextIndex}">
+        <div class="image-preview-container"></div>
+        <button type="button" class="remove-image">×</button>
+    `;
+    
+    // Insert before the "Add more" button
+    const addMoreBtn = document.getElementById('addResultImageBtn');
+    imagesGrid.insertBefore(newCard, addMoreBtn);
+    
+    // Add event listeners
+    const fileInput = newCard.querySelector('.image-input');
+    fileInput.addEventListener('change', handleImageUpload);
+    
+    // Update "Add more" button text if needed
+    if (nextIndex === 4) {
+        addMoreBtn.querySelector('span').textContent = 'Max 5 images';
+        addMoreBtn.style.opacity = '0.5';
+        addMoreBtn.style.cursor = 'not-allowed';
+    }
+    
+    showToast('New result image slot added', 'info');
+    return newCard;
+}
+
+// Update the setupImageUploads function:
+function setupImageUploads() {
+    // File upload handling
+    document.querySelectorAll('.image-input').forEach(input => {
+        input.addEventListener('change', handleImageUpload);
+    });
+    
+    // Add more input images button
+    const addInputBtn = document.getElementById('addInputImageBtn');
+    if (addInputBtn) {
+        addInputBtn.addEventListener('click', addInputImageSlot);
+    }
+    
+    // Add more result images button
+    const addResultBtn = document.getElementById('addResultImageBtn');
+    if (addResultBtn) {
+        addResultBtn.addEventListener('click', addResultImageSlot);
+    }
+    
+    // Add image from URL button
+    const addUrlBtn = document.getElementById('addImageUrlBtn');
+    if (addUrlBtn) {
+        addUrlBtn.addEventListener('click', showImageUrlModal);
+    }
+    
+    // Load image from URL
+    const loadUrlBtn = document.getElementById('loadImageUrlBtn');
+    if (loadUrlBtn) {
+        loadUrlBtn.addEventListener('click', loadImageFromUrl);
+    }
+    
+    // Resize and format options for new images
+    renderImageSettings();
+    
+    // Dropped and pasted images
+    setupImageDropZones();
+}
+
+// Image Drop and Paste
+// Files and images dragged from a web page can be dropped on either image
+// grid, and pasted images go to the grid last pointed at (input by
+// default). Each image takes the first empty slot, and slots are added
+// until the grid is full.
+const IMAGE_GRIDS = {
+    input: { gridId: 'inputImagesGrid', addSlot: addInputImageSlot },
+    result: { gridId: 'resultImagesGrid', addSlot: addResultImageSlot }
+};
+
+let pasteImageType = 'input';
+
+function setupImageDropZones() {
+    Object.entries(IMAGE_GRIDS).forEach(([type, { gridId }]) => {
+        const grid = document.getElementById(gridId);
+        if (!grid) return;
+        
+        grid.addEventListener('pointerenter', () => { pasteImageType = type; });
+        grid.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            grid.classList.add('drag-over');
+        });
+        grid.addEventListener('dragleave', (e) => {
+            if (!grid.contains(e.relatedTarget)) grid.classList.remove('drag-over');
+        });
+        grid.addEventListener('drop', (e) => {
+            e.preventDefault();
+            grid.classList.remove('drag-over');
+            pasteImageType = type;
+            addDroppedImages(type, e.dataTransfer).then(offerImageMetadata);
+        });
+    });
+    
+    document.getElementById('promptModal')?.addEventListener('paste', (e) => {
+        const files = Array.from(e.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+        // Text pastes go to the focused field as usual
+        if (files.length === 0) return;
+        
+        e.preventDefault();
+        addImagesToGrid(pasteImageType, files).then(offerImageMetadata);
+    });
+    
+    setupImagePromptDrop();
+}
+
+// The src of an image dragged from a web page, which comes as HTML
+function getDroppedHtmlImage(dataTransfer) {
+    const html = dataTransfer.getData('text/html');
+    return html ? new DOMParser().parseFromString(html, 'text/html').querySelector('img')?.getAttribute('src') || null : null;
+}
+
+// Dropped files, or the address of an image dragged from a web page
+async function addDroppedImages(type, dataTransfer) {
+    const files = Array.from(dataTransfer.files || []);
+    if (files.length > 0) {
+        return addImagesToGrid(type, files);
+    }
+    
+    const src = getDroppedHtmlImage(dataTransfer);
+    const url = src || dataTransfer.getData('text/uri-list').split('\n').find(line => line && !line.startsWith('#'));
+    if (!url) {
+        showToast('Drop image files or images from a web page', 'warning');
+        return [];
+    }
+    
+    return addImagesToGrid(type, [url.trim()]);
+}
+
+function getEmptyImageSlot(type) {
+    const { gridId, addSlot } = IMAGE_GRIDS[type];
+    const cards = document.querySelectorAll(`#${gridId} .image-upload-card[data-type="${type}"]`);
+    const empty = Array.from(cards).find(card =>
+        !state.imageCache.has(`image-${type}-${parseInt(card.dataset.index)}`)
+    );
+    return empty || addSlot() || null;
+}
+
+// Takes files or image URLs, one at a time so each fills its own slot.
+// Resolves to the images that were added.
+async function addImagesToGrid(type, sources) {
+    const images = [];
+    let added = 0;
+    const problems = [];
+    
+    for (const [i, source] of sources.entries()) {
+        const name = typeof source === 'string' ? 'Dropped image' : source.name || 'Pasted image';
+        const invalid = typeof source === 'string' ? null : validateImageFile(source);
+        if (invalid) {
+            problems.push(`${name}: ${invalid}`);
+            continue;
+        }
+        
+        const card = getEmptyImageSlot(type);
+        if (!card) {
+            problems.push(`${sources.length - i} left out, the ${type} images are full`);
+            break;
+        }
+        
+        try {
+            const blob = typeof source === 'string' ? await fetchImageBlob(source) : source;
+            const metadata = await readImageMetadata(blob);
+            images.push(await processImageData(card, await blobToBase64(blob), metadata));
+            added++;
+        } catch (error) {
+            console.error('❌ Failed to add image:', error);
+            problems.push(`${name}: ${error.message}`);
+        }
+    }
+    
+    if (problems.length > 0) {
+        console.warn('⚠️ Some images were not added:', problems);
+        showToast(`${added > 0 ? `Added ${added} image${added === 1 ? '' : 's'}. ` : ''}${problems[0]}`, added > 0 ? 'warning' : 'error');
+    } else if (added > 0) {
+        showToast(`Added ${added} ${type} image${added === 1 ? '' : 's'}`, 'success');
+    }
+    
+    return images;
+}
+
+// Image Metadata
+// Stable Diffusion web UIs save their generation settings inside the image:
+// A1111 and Forge as a "parameters" text chunk in PNGs or the EXIF
+// UserComment in JPEGs, ComfyUI as its node graph in a "prompt" chunk.
+// They are read from the original file, as re-encoding drops them.
+const IMAGE_METADATA_FIELDS = [
+    { key: 'prompt', label: 'Prompt' },
+    { key: 'negativePrompt', label: 'Negative prompt' },
+    { key: 'model', label: 'Model' },
+    { key: 'sampler', label: 'Sampler' },
+    { key: 'steps', label: 'Steps' },
+    { key: 'cfgScale', label: 'CFG scale' },
+    { key: 'seed', label: 'Seed' },
+    { key: 'size', label: 'Size' }
+];
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const EXIF_POINTER_TAG = 0x8769;
+const EXIF_USER_COMMENT_TAG = 0x9286;
+
+// Resolves to the generation settings, or null for any other image
+async function readImageMetadata(blob) {
+    try {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let texts = {};
+        
+        if (PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+            texts = await readPngTextChunks(bytes);
+        } else if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            texts = readJpegUserComment(bytes);
+        }
+        
+        return parseGenerationMetadata(texts);
+    } catch (error) {
+        console.warn('⚠️ Could not read image metadata:', error);
+        return null;
+    }
+}
+
+async function inflateBytes(bytes) {
+    // Compressed chunks are skipped where the browser can't inflate them
+    if (typeof DecompressionStream === 'undefined') return null;
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// tEXt, zTXt and iTXt chunks as { keyword: text }
+async function readPngTextChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const latin1 = new TextDecoder('latin1');
+    const utf8 = new TextDecoder();
+    const texts = {};
+    let offset = PNG_SIGNATURE.length;
+    
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12;
+        
+        if (type === 'IEND') break;
+        const keywordEnd = data.indexOf(0);
+        if (keywordEnd < 1) continue;
+        const keyword = latin1.decode(data.subarray(0, keywordEnd));
+        
+        if (type === 'tEXt') {
+            texts[keyword] = latin1.decode(data.subarray(keywordEnd + 1));
+        } else if (type === 'zTXt') {
+            const text = await inflateBytes(data.subarray(keywordEnd + 2));
+            if (text) texts[keyword] = latin1.decode(text);
+        } else if (type === 'iTXt') {
+            // Skip the compression fields, language tag and translated keyword
+            const compressed = data[keywordEnd + 1] === 1;
+            const languageEnd = data.indexOf(0, keywordEnd + 3);
+            const translatedEnd = data.indexOf(0, languageEnd + 1);
+            if (languageEnd < 0 || translatedEnd < 0) continue;
+            
+            const value = data.subarray(translatedEnd + 1);
+            const text = compressed ? await inflateBytes(value) : value;
+            if (text) texts[keyword] = utf8.decode(text);
+        }
+    }
+    
+    return texts;
+}
+
+// The UserComment from the Exif IFD of a JPEG's APP1 segment
+function readJpegUserComment(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const latin1 = new TextDecoder('latin1');
+    let offset = 2;
+    
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        const length = view.getUint16(offset + 2);
+        // Image data starts at SOS; metadata segments all come before it
+        if (marker === 0xDA) break;
+        
+        if (marker === 0xE1 && latin1.decode(bytes.subarray(offset + 4, offset + 10)) === 'Exif\0\0') {
+            const comment = readExifUserComment(view, offset + 10);
+            return comment ? { UserComment: comment } : {};
+        }
+        offset += length + 2;
+    }
+    
+    return {};
+}
+
+function readExifUserComment(view, tiffStart) {
+    const littleEndian = view.getUint16(tiffStart) === 0x4949;
+    const findTag = (ifdOffset, tag) => {
+        const start = tiffStart + ifdOffset;
+        const count = view.getUint16(start, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entry = start + 2 + i * 12;
+            if (view.getUint16(entry, littleEndian) === tag) return entry;
+        }
+        return null;
+    };
+    
+    const exifEntry = findTag(view.getUint32(tiffStart + 4, littleEndian), EXIF_POINTER_TAG);
+    if (exifEntry === null) return null;
+    const commentEntry = findTag(view.getUint32(exifEntry + 8, littleEndian), EXIF_USER_COMMENT_TAG);
+    if (commentEntry === null) return null;
+    
+    // Eight bytes name the character set, the text follows
+    const length = view.getUint32(commentEntry + 4, littleEndian);
+    if (length <= 8) return null;
+    const start = view.byteOffset + tiffStart + view.getUint32(commentEntry + 8, littleEndian);
+    const data = new Uint8Array(view.buffer, start, length);
+    const charset = new TextDecoder('latin1').decode(data.subarray(0, 8));
+    const text = data.subarray(8);
+    
+    if (charset.startsWith('UNICODE')) {
+        // A1111 writes UTF-16BE whatever the file's byte order, so go by the text
+        const bigEndian = text[0] === 0 && text[1] !== 0;
+        return new TextDecoder(bigEndian ? 'utf-16be' : 'utf-16le').decode(text).replace(/\0+$/, '');
+    }
+    return new TextDecoder().decode(text).replace(/\0+$/, '');
+}
+
+function parseGenerationMetadata(texts) {
+    const parameters = texts.parameters || texts.UserComment;
+    if (parameters) return parseA1111Parameters(parameters);
+    if (texts.prompt) return parseComfyPrompt(texts.prompt);
+    return null;
+}
+
+// "prompt\nNegative prompt: ...\nSteps: 20, Sampler: Euler a, CFG scale: 7, ..."
+function parseA1111Parameters(text) {
+    const lines = text.trim().split('\n');
+    const settingsLine = /(^|, )Steps: \d+/.test(lines[lines.length - 1]) ? lines.pop() : '';
+    const negativeStart = lines.findIndex(line => line.startsWith('Negative prompt:'));
+    
+    const settings = {};
+    // Values may be quoted when they contain commas
+    for (const [, key, value] of settingsLine.matchAll(/\s*([\w ]+):\s*("(?:\\.|[^\\"])+"|[^,]*)(?:,|$)/g)) {
+        settings[key.trim()] = value.trim().replace(/^"(.*)"$/, '$1');
+    }
+    
+    return buildGenerationMetadata('Stable Diffusion', {
+        prompt: (negativeStart < 0 ? lines : lines.slice(0, negativeStart)).join('\n'),
+        negativePrompt: negativeStart < 0 ? '' : lines.slice(negativeStart).join('\n').replace(/^Negative prompt:\s*/, ''),
+        model: settings.Model || settings['Model hash'],
+        sampler: [settings.Sampler, settings['Schedule type']].filter(Boolean).join(' / '),
+        steps: settings.Steps,
+        cfgScale: settings['CFG scale'],
+        seed: settings.Seed,
+        size: settings.Size
+    });
+}
+
+// ComfyUI saves the API graph: { nodeId: { class_type, inputs } }, where
+// inputs linked to another node hold [nodeId, outputIndex]
+function parseComfyPrompt(json) {
+    const nodes = JSON.parse(json);
+    const nodeList = Object.values(nodes || {}).filter(node => node && node.inputs);
+    const sampler = nodeList.find(node => /KSampler/.test(node.class_type));
+    if (!sampler) return null;
+    
+    // Follows conditioning nodes back to the text encoder
+    const textFrom = (link, depth = 0) => {
+        const node = Array.isArray(link) ? nodes[link[0]] : null;
+        if (!node?.inputs || depth > 8) return '';
+        const text = node.inputs.text ?? node.inputs.text_g;
+        if (typeof text === 'string') return text;
+        const next = node.inputs.conditioning ?? Object.values(node.inputs).find(Array.isArray);
+        return textFrom(next, depth + 1);
+    };
+    
+    const inputs = sampler.inputs;
+    const loader = nodeList.find(node => typeof (node.inputs.ckpt_name ?? node.inputs.unet_name) === 'string');
+    const latent = nodeList.find(node => typeof node.inputs.width === 'number' && typeof node.inputs.height === 'number');
+    const value = (input) => ['string', 'number'].includes(typeof input) ? input : '';
+    
+    return buildGenerationMetadata('ComfyUI', {
+        prompt: textFrom(inputs.positive),
+        negativePrompt: textFrom(inputs.negative),
+        model: loader ? loader.inputs.ckpt_name ?? loader.inputs.unet_name : '',
+        sampler: [value(inputs.sampler_name), value(inputs.scheduler)].filter(Boolean).join(' / '),
+        steps: value(inputs.steps),
+        cfgScale: value(inputs.cfg),
+        seed: value(inputs.seed ?? inputs.noise_seed),
+        size: latent ? `${latent.inputs.width}x${latent.inputs.height}` : ''
+    });
+}
+
+// Keeps the fields that were found, as strings
+function buildGenerationMetadata(source, fields) {
+    const metadata = { source };
+    IMAGE_METADATA_FIELDS.forEach(({ key }) => {
+        const value = String(fields[key] ?? '').trim();
+        if (value) metadata[key] = value;
+    });
+    return metadata.prompt || metadata.seed ? metadata : null;
+}
+
+function formatMetadataSettings(metadata) {
+    return IMAGE_METADATA_FIELDS
+        .filter(({ key }) => !['prompt', 'negativePrompt'].includes(key) && metadata[key])
+        .map(({ key, label }) => `${label}: ${metadata[key]}`)
+        .join(', ');
+}
+
+function renderImageMetadata(metadata) {
+    return `
+        <div class="image-metadata-source"><i class="fas fa-magic"></i> ${escapeHtml(metadata.source)}</div>
+        <dl class="image-metadata-list">
+            ${IMAGE_METADATA_FIELDS.filter(({ key }) => metadata[key]).map(({ key, label }) => `
+                <dt>${label}</dt>
+                <dd>${escapeHtml(metadata[key])}</dd>
+            `).join('')}
+        </dl>
+    `;
+}
+
+// Badge on a form slot whose image carries generation details
+function renderImageMetadataButton(imageCard, metadata) {
+    imageCard.querySelector('.image-metadata-btn')?.remove();
+    if (!metadata) return;
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'image-metadata-btn';
+    button.title = `${metadata.source} generation details`;
+    button.innerHTML = '<i class="fas fa-info"></i>';
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showImageMetadataModal(metadata);
+    });
+    imageCard.appendChild(button);
+}
+
+// After an upload, offers to fill the form from the first image with details
+function offerImageMetadata(images) {
+    const metadata = (images || []).find(image => image?.metadata)?.metadata;
+    if (metadata) showImageMetadataModal(metadata);
+}
+
+function showImageMetadataModal(metadata) {
+    let modal = document.getElementById('imageMetadataModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'imageMetadataModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3><i class="fas fa-magic"></i> Generation Details</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Close</button>
+                    <button class="btn btn-primary" id="fillFromMetadataBtn">
+                        <i class="fas fa-file-import"></i> Fill Prompt Form
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeImageMetadataModal());
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeImageMetadataModal();
+        });
+    }
+    
+    modal.querySelector('.modal-body').innerHTML = `
+        <p class="help-text">Fill the prompt text, engine and notes of the open prompt from these settings?</p>
+        ${renderImageMetadata(metadata)}
+    `;
+    modal.querySelector('#fillFromMetadataBtn').onclick = () => {
+        fillPromptFormFromMetadata(metadata);
+        closeImageMetadataModal();
+        showToast('Filled the prompt from the image', 'success');
+    };
+    
+    modal.classList.add('active');
+}
+
+// Closes only this modal; the prompt form stays open underneath
+function closeImageMetadataModal() {
+    document.getElementById('imageMetadataModal')?.classList.remove('active');
+}
+
+function fillPromptFormFromMetadata(metadata) {
+    const title = document.getElementById('promptTitle');
+    const text = document.getElementById('promptText');
+    const engine = document.getElementById('promptEngine');
+    const notes = document.getElementById('promptNotes');
+    
+    if (metadata.prompt) text.value = metadata.prompt;
+    engine.value = 'stable';
+    
+    const details = [
+        metadata.negativePrompt && `Negative prompt: ${metadata.negativePrompt}`,
+        formatMetadataSettings(metadata)
+    ].filter(Boolean).join('\n');
+    if (details && !notes.value.includes(details)) {
+        notes.value = notes.value.trim() ? `${notes.value.trim()}\n\n${details}` : details;
+    }
+    
+    if (!title.value.trim() && metadata.prompt) {
+        title.value = metadata.prompt.split('\n')[0].slice(0, 60).trim();
+    }
+    
+    updateCharCount();
+}
+
+// Images dropped on the library, with no dialog open, start a new prompt
+// with the image as its result, filled in from the image's details
+function setupImagePromptDrop() {
+    const main = document.querySelector('.main-content');
+    if (!main) return;
+    
+    const hasImageFile = (e) => Array.from(e.dataTransfer?.items || [])
+        .some(item => item.kind === 'file' && item.type.startsWith('image/'));
+    // The data itself can only be read on drop, so while dragging anything
+    // from a web page might be an image
+    const mayHoldImage = (e) => !document.querySelector('.modal.active') &&
+        (hasImageFile(e) || Array.from(e.dataTransfer?.types || []).includes('text/html'));
+    const holdsImage = (e) => !document.querySelector('.modal.active') &&
+        (hasImageFile(e) || Boolean(e.dataTransfer && getDroppedHtmlImage(e.dataTransfer)));
+    
+    main.addEventListener('dragover', (e) => {
+        if (!mayHoldImage(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        main.classList.add('image-drop-target');
+    });
+    main.addEventListener('dragleave', (e) => {
+        if (!main.contains(e.relatedTarget)) main.classList.remove('image-drop-target');
+    });
+    main.addEventListener('drop', async (e) => {
+        main.classList.remove('image-drop-target');
+        if (!mayHoldImage(e)) return;
+        // Taken even without an image, or the browser would open the dropped link
+        e.preventDefault();
+        if (!holdsImage(e)) return;
+        
+        showAddPromptModal();
+        pasteImageType = 'result';
+        const images = await addDroppedImages('result', e.dataTransfer);
+        const metadata = images.find(image => image.metadata)?.metadata;
+        if (metadata) {
+            fillPromptFormFromMetadata(metadata);
+            showToast(`Filled the new prompt from the ${metadata.source} details`, 'success');
+        }
+    });
+}
+
+// Update the loadImageFromUrl function to handle both input and result images:
+async function loadImageFromUrl() {
+    const urlInput = document.getElementById('imageUrlInput');
+    const typeSelect = document.getElementById('imageTypeSelect');
+    
+    const url = urlInput.value.trim();
+    const type = typeSelect.value;
+    
+    if (!url) {
+        showToast('Please enter an image URL', 'warning');
+        return;
+    }
+    
+    // Validate URL format
+    try {
+        new URL(url);
+    } catch {
+        showToast('Please enter a valid URL (e.g., https://example.com/image.jpg)', 'error');
+        return;
+    }
+    
+    // Validate it's likely an image URL
+    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.bmp'];
+    const isImageUrl = imageExtensions.some(ext => 
+        url.toLowerCase().includes(ext)
+    );
+    
+    if (!isImageUrl) {
+        showToast('URL does not appear to be an image. Please check the extension.', 'warning');
+    }
+    
+    // Show loading
+    showLoading(true);
+    
+    try {
+        const blob = await fetchImageBlob(url);
+        const metadata = await readImageMetadata(blob);
+        
+        // Convert blob to base64
+        const base64Image = await blobToBase64(blob);
+        
+        // Find appropriate image card based on type
+        let targetCard = null;
+        let gridId = '';
+        let addFunction = null;
+        
+        if (type === 'input') {
+            gridId = 'inputImagesGrid';
+            addFunction = addInputImageSlot;
+        } else {
+            gridId = 'resultImagesGrid';
+            addFunction = addResultImageSlot;
+        }
+        
+        const imagesGrid = document.getElementById(gridId);
+        if (!imagesGrid) {
+            throw new Error('Could not find image grid');
+        }
+        
+        // Find first empty card of the specified type
+        const cards = imagesGrid.querySelectorAll(`.image-upload-card[data-type="${type}"]:not(.add-more-btn)`);
+        
+        // Remove the "add more" button from the search
+        const availableCards = Array.from(cards).filter(card => 
+            !card.classList.contains('has-image')
+        );
+        
+        // If no empty slot, add a new one
+        if (availableCards.length === 0 && addFunction) {
+            addFunction();
+            // Wait a bit for the new card to be added to DOM
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            // Get the newly added card (should be the last one before add button)
+            const newCards = imagesGrid.querySelectorAll(`.image-upload-card[data-type="${type}"]:not(.add-more-btn)`);
+            targetCard = newCards[newCards.length - 1];
+            
+            if (!targetCard) {
+                throw new Error('Failed to create new image slot');
+            }
+        } else {
+            targetCard = availableCards[0];
+        }
+        
+        if (targetCard) {
+            // Resize, cache and display the image
+            const image = await processImageData(targetCard, base64Image, metadata);
+            
+            showToast('Image loaded from URL successfully!', 'success');
+            urlInput.value = ''; // Clear input
+            offerImageMetadata([image]);
+        }
+        
+    } catch (error) {
+        console.error('Image URL loading error:', error);
+        
+        // Try a fallback method using img tag
+        showToast(`Loading from URL failed. Trying alternative method...`, 'warning');
+        
+        // Fallback: Use img tag to load image
+        setTimeout(() => {
+            tryFallbackImageLoad(url, type);
+        }, 1000);
+        
+    } finally {
+        showLoading(false);
+        closeModal('imageUrlModal');
+    }
+}
+
+async function fetchImageBlob(url) {
+    // Create a proxy URL to avoid CORS issues (data: URLs need none)
+    // Note: corsproxy.io requires https:// prefix in the URL
+    const response = url.startsWith('data:')
+        ? await fetch(url)
+        : await fetch(`https://corsproxy.io/?${encodeURIComponent(url)}`, {
+            headers: {
+                'Accept': 'image/*',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            }
+        });
+    
+    if (!response.ok) {
+        throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
+    }
+    
+    const blob = await response.blob();
+    
+    // Validate it's actually an image
+    if (!blob.type.startsWith('image/')) {
+        throw new Error('URL does not point to an image file');
+    }
+    
+    // Validate file size
+    const maxSize = getMaxImageUploadSize();
+    if (blob.size > maxSize) {
+        throw new Error(`Image file is too large (max ${formatBytes(maxSize)})`);
+    }
+    
+    return blob;
+}
+
+// Helper function to convert blob to base64
+function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Fallback method for loading images
+function tryFallbackImageLoad(url, type) {
+    showLoading(true);
+    
+    // Create a temporary image element to load and convert
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    
+    img.onload = async function() {
+        try {
+            // Create canvas to convert image to base64
+            const canvas = document.createElement('canvas');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0);
+            
+            // Convert to base64
+            const base64Image = canvas.toDataURL('image/png');
+            
+            // Find target card (same logic as above)
+            let targetCard = null;
+            let gridId = type === 'input' ? 'inputImagesGrid' : 'resultImagesGrid';
+            const imagesGrid = document.getElementById(gridId);
+            
+            if (imagesGrid) {
+                const cards = imagesGrid.querySelectorAll(`.image-upload-card[data-type="${type}"]:not(.add-more-btn)`);
+                const availableCards = Array.from(cards).filter(card => 
+                    !card.classList.contains('has-image')
+                );
+                
+                if (availableCards.length > 0) {
+                    targetCard = availableCards[0];
+                    
+                    // Resize, cache and display the image
+                    await processImageData(targetCard, base64Image);
+                    
+                    showToast('Image loaded using fallback method!', 'success');
+                }
+            }
+        } catch (error) {
+            console.error('Fallback method error:', error);
+            showToast('Failed to load image even with fallback method', 'error');
+        } finally {
+            showLoading(false);
+        }
+    };
+    
+    img.onerror = function() {
+        showLoading(false);
+        showToast('Failed to load image. The URL might be blocked or invalid.', 'error');
+    };
+    
+    // Start loading
+    img.src = url;
+}
+
+
+// Update the loadPromptImages function:
+function loadPromptImages(images) {
+    if (!images || !Array.isArray(images)) return;
+    
+    // Clear all existing images first
+    document.querySelectorAll('.image-upload-card').forEach(card => {
+        removeImage(card);
+    });
+    
+    // Reset both grids to initial state
+    resetImageGrid('inputImagesGrid', 'input', addInputImageSlot);
+    resetImageGrid('resultImagesGrid', 'result', addResultImageSlot);
+    
+    // Group images by type
+    const inputImages = images.filter(img => img.type === 'input');
+    const resultImages = images.filter(img => img.type === 'result');
+    
+    // Load input images
+    inputImages.forEach((img, index) => {
+        if (index > 0) {
+            addInputImageSlot();
+        }
+        setTimeout(() => {
+            const cards = document.querySelectorAll('.image-upload-card[data-type="input"]');
+            const card = cards[index];
+            if (card && img.url) {
+                setFormImage(card, img);
+            }
+        }, 100);
+    });
+    
+    // Load result images
+    resultImages.forEach((img, index) => {
+        if (index > 0) {
+            addResultImageSlot();
+        }
+        setTimeout(() => {
+            const cards = document.querySelectorAll('.image-upload-card[data-type="result"]');
+            const card = cards[index];
+            if (card && img.url) {
+                setFormImage(card, img);
+            }
+        }, 100);
+    });
+}
+
+// Helper function to reset image grid
+function resetImageGrid(gridId, type, addFunction) {
+    const grid = document.getElementById(gridId);
+    if (!grid) return;
+    
+    // Remove all cards except first one and add button
+    const cards = grid.querySelectorAll(`.image-upload-card[data-type="${type}"]`);
+    for (let i = 1; i < cards.length; i++) {
+        cards[i].remove();
+    }
+    
+    // Reset add button
+    const addBtn = grid.querySelector(`#add${type.charAt(0).toUpperCase() + type.slice(1)}ImageBtn`);
+    if (addBtn) {
+        if (type === 'input') {
+            addBtn.querySelector('span').textContent = 'Add Input Image';
+        } else {
+            addBtn.querySelector('span').textContent = 'Add Result Image';
+        }
+        addBtn.style.opacity = '1';
+        addBtn.style.cursor = 'pointer';
+    }
+    
+    // Reset the first card
+    const firstCard = grid.querySelector(`.image-upload-card[data-type="${type}"]`);
+    if (firstCard) {
+        removeImage(firstCard);
+    }
+}
+
+// Update the resetPromptForm function:
+function resetPromptForm() {
+    const form = document.getElementById('promptForm');
+    if (form) {
+        form.reset();
+    }
+    
+    // Reset tags
+    const tagsContainer = document.getElementById('tagsContainer');
+    if (tagsContainer) {
+        tagsContainer.innerHTML = '';
+    }
+    
+    // Reset images
+    document.querySelectorAll('.image-upload-card').forEach(card => {
+        removeImage(card);
+    });
+    
+    // Reset both image grids to initial state
+    resetImageGrid('inputImagesGrid', 'input', addInputImageSlot);
+    resetImageGrid('resultImagesGrid', 'result', addResultImageSlot);
+    
+    // Clear image cache for this form
+    Array.from(state.imageCache.keys()).forEach(key => {
+        if (key.startsWith('image-')) {
+            state.imageCache.delete(key);
+        }
+    });
+    
+    // Reset rating
+    updateRatingStars(0);
+    
+    // Reset character count
+    updateCharCount();
+    
+    // Reset hidden ID
+    document.getElementById('promptId').value = '';
+}
+
+// Category Management Functions
+function showManageCategoriesModal() {
+    const modalContent = `
+        <div class="category-management">
+            <div class="section">
+                <h4>Manage Categories</h4>
+                <div class="category-management-list" id="manageCategoriesList">
+                    <!-- Categories will be populated here -->
+                </div>
+            </div>
+            
+            <div class="danger-zone">
+                <h5><i class="fas fa-exclamation-triangle"></i> Danger Zone</h5>
+                <p class="help-text">Deleting categories will move all prompts to "Other" category.</p>
+                <button id="deleteEmptyCategoriesBtn" class="btn btn-outline danger" style="margin-top: 1rem;">
+                    <i class="fas fa-trash"></i> Delete Empty Categories
+                </button>
+            </div>
+        </div>
+    `;
+    
+    // Create or update modal
+    let modal = document.getElementById('manageCategoriesModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'manageCategoriesModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content modal-lg">
+                <div class="modal-header">
+                    <h2>Manage Categories</h2>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${modalContent}
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        // Add event listeners
+        modal.querySelector('.close-modal').addEventListener('click', () => closeModal('manageCategoriesModal'));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('manageCategoriesModal');
+        });
+    } else {
+        modal.querySelector('.modal-body').innerHTML = modalContent;
+    }
+    
+    // Populate categories list
+    populateManageCategoriesList();
+    
+    // Add event listener for delete empty categories button
+    document.getElementById('deleteEmptyCategoriesBtn')?.addEventListener('click', deleteEmptyCategories);
+    
+    showModal('manageCategoriesModal');
+}
+
+function populateManageCategoriesList() {
+    const list = document.getElementById('manageCategoriesList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    // Get all main categories (no parent)
+    const mainCategories = Array.from(state.categories.values())
+        .filter(cat => !cat.parentId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    
+    // Get all sub-categories grouped by parent
+    const subCategories = Array.from(state.categories.values())
+        .filter(cat => cat.parentId)
+        .reduce((acc, cat) => {
+            if (!acc[cat.parentId]) acc[cat.parentId] = [];
+            acc[cat.parentId].push(cat);
+            return acc;
+        }, {});
+    
+    // Render main categories and their sub-categories
+    mainCategories.forEach(category => {
+        const item = document.createElement('div');
+        item.className = 'manage-category-item';
+        
+        const subCats = subCategories[category.id] || [];
+        
+        item.innerHTML = `
+            <div class="manage-category-info">
+                <div class="category-color-preview" style="background: ${category.color}"></div>
+                <div>
+                    <div style="font-weight: 500;">${category.name}</div>
+                    ${subCats.length > 0 ? `
+                        <div class="category-breadcrumb">
+                            ${subCats.length} sub-categor${subCats.length === 1 ? 'y' : 'ies'}
+                        </div>
+                    ` : ''}
+                </div>
+                <span class="category-count">${category.count || 0}</span>
+            </div>
+            <div class="manage-category-actions">
+                <button class="btn-icon small edit-category-btn" data-id="${category.id}" title="Edit category">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button class="btn-icon small add-subcategory-btn" data-id="${category.id}" title="Add sub-category">
+                    <i class="fas fa-folder-plus"></i>
+                </button>
+                ${category.id !== 'other' ? `
+                    <button class="btn-icon small delete-category-btn" data-id="${category.id}" title="Delete category">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+        
+        list.appendChild(item);
+        
+        // Add sub-categories if they exist
+        if (subCats.length > 0) {
+            subCats.forEach(subCat => {
+                const subItem = document.createElement('div');
+                subItem.className = 'manage-category-item';
+                subItem.style.marginLeft = '1.5rem';
+                subItem.style.background = 'var(--bg-tertiary)';
+                
+                subItem.innerHTML = `
+                    <div class="manage-category-info">
+                        <div class="category-color-preview" style="background: ${subCat.color}"></div>
+                        <div>
+                            <div style="font-weight: 500;">${subCat.name}</div>
+                            <div class="category-breadcrumb">Sub-category of ${category.name}</div>
+                        </div>
+                        <span class="category-count">${subCat.count || 0}</span>
+                    </div>
+                    <div class="manage-category-actions">
+                        <button class="btn-icon small edit-category-btn" data-id="${subCat.id}" title="Edit sub-category">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn-icon small delete-category-btn" data-id="${subCat.id}" title="Delete sub-category">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                `;
+                
+                list.appendChild(subItem);
+            });
+        }
+    });
+    
+    // Add event listeners
+    list.querySelectorAll('.edit-category-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const categoryId = e.currentTarget.dataset.id;
+            editCategory(categoryId);
+        });
+    });
+    
+    list.querySelectorAll('.add-subcategory-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const parentId = e.currentTarget.dataset.id;
+            showAddSubCategoryForm(parentId);
+        });
+    });
+    
+    list.querySelectorAll('.delete-category-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const categoryId = e.currentTarget.dataset.id;
+            deleteCategory(categoryId);
+        });
+    });
+}
+
+function showAddSubCategoryForm(parentId) {
+    const parentCategory = state.categories.get(parentId);
+    if (!parentCategory) return;
+    
+    const name = prompt(`Add sub-category under "${parentCategory.name}":`, '');
+    if (!name || !name.trim()) return;
+    
+    const id = `${parentId}-${name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')}`;
+    
+    if (state.categories.has(id)) {
+        showToast('Sub-category already exists', 'warning');
+        return;
+    }
+    
+    const category = {
+        id,
+        name: name.trim(),
+        parentId,
+        color: generateRandomColor(),
+        icon: 'fas fa-folder',
+        count: 0,
+        createdAt: new Date().toISOString()
+    };
+    
+    runCommand(`Added sub-category "${category.name}"`, () => {
+        state.categories.set(id, category);
+    });
+    saveCategories();
+    
+    // Update category list
+    updateCategoryList();
+    initializeCategoriesDropdown();
+    
+    showToast('Sub-category added', 'success');
+}
+
+function deleteEmptyCategories() {
+    const emptyCategories = Array.from(state.categories.values())
+        .filter(cat => cat.count === 0 && cat.id !== 'other')
+        .map(cat => cat.name);
+    
+    if (emptyCategories.length === 0) {
+        showToast('No empty categories found', 'info');
+        return;
+    }
+    
+    showConfirmModal(
+        'Delete Empty Categories',
+        `This will delete ${emptyCategories.length} empty categor${emptyCategories.length === 1 ? 'y' : 'ies'}: ${emptyCategories.join(', ')}. Continue?`,
+        () => {
+            runCommand(`Deleted ${emptyCategories.length} empty categor${emptyCategories.length === 1 ? 'y' : 'ies'}`, () => {
+                // Delete empty categories
+                emptyCategories.forEach(catName => {
+                    const category = Array.from(state.categories.values()).find(c => c.name === catName);
+                    if (category) {
+                        state.categories.delete(category.id);
+                    }
+                });
+            });
+            
+            saveCategories();
+            updateCategoryList();
+            initializeCategoriesDropdown();
+            
+            showToast(`Deleted ${emptyCategories.length} empty categor${emptyCategories.length === 1 ? 'y' : 'ies'}`, 'success');
+            closeModal('manageCategoriesModal');
+        }
+    );
+}
+
+// Updated editCategory function to handle parent categories
+function editCategory(categoryId) {
+    const category = state.categories.get(categoryId);
+    if (!category) return;
+    
+    const isSubCategory = !!category.parentId;
+    
+    // Create a more advanced edit form
+    const modalContent = `
+        <div class="form-grid">
+            <div class="form-group">
+                <label>Category Name</label>
+                <input type="text" id="editCategoryName" value="${category.name}">
+            </div>
+            <div class="form-group">
+                <label>Color</label>
+                <input type="color" id="editCategoryColor" value="${category.color}">
+            </div>
+            ${!isSubCategory ? `
+                <div class="form-group">
+                    <label>Parent Category</label>
+                    <select id="editCategoryParent">
+                        <option value="">None (Main Category)</option>
+                        ${Array.from(state.categories.values())
+                            .filter(cat => !cat.parentId && cat.id !== categoryId)
+                            .map(cat => `<option value="${cat.id}" ${category.parentId === cat.id ? 'selected' : ''}>${cat.name}</option>`)
+                            .join('')}
+                    </select>
+                </div>
+            ` : ''}
+        </div>
+        <div class="form-actions" style="margin-top: 1rem;">
+            <button id="saveEditCategoryBtn" class="btn btn-primary">Save Changes</button>
+            <button id="cancelEditCategoryBtn" class="btn btn-outline">Cancel</button>
+        </div>
+    `;
+    
+    // Create edit modal
+    let modal = document.getElementById('editCategoryModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'editCategoryModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content modal-sm">
+                <div class="modal-header">
+                    <h3>Edit Category</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${modalContent}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelector('.close-modal').addEventListener('click', () => closeModal('editCategoryModal'));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('editCategoryModal');
+        });
+    } else {
+        modal.querySelector('.modal-body').innerHTML = modalContent;
+    }
+    
+    // Add event listeners
+    const saveBtn = modal.querySelector('#saveEditCategoryBtn');
+    const cancelBtn = modal.querySelector('#cancelEditCategoryBtn');
+    
+    saveBtn.onclick = () => {
+        const newName = modal.querySelector('#editCategoryName').value.trim();
+        const newColor = modal.querySelector('#editCategoryColor').value;
+        const newParentId = isSubCategory ? category.parentId : (modal.querySelector('#editCategoryParent')?.value || '');
+        
+        if (!newName) {
+            showToast('Please enter a category name', 'warning');
+            return;
+        }
+        
+        const newId = newParentId ? 
+            `${newParentId}-${newName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')}` :
+            newName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+        
+        if (state.categories.has(newId) && newId !== categoryId) {
+            showToast('Category name already exists', 'warning');
+            return;
+        }
+        
+        runCommand(`Edited category "${newName}"`, () => {
+            // Update category
+            category.name = newName;
+            category.color = newColor;
+            
+            if (!isSubCategory) {
+                category.parentId = newParentId || null;
+            }
+            
+            // If ID changed, update all prompts with this category
+            if (newId !== categoryId) {
+                state.prompts.forEach(prompt => {
+                    if (prompt.category === categoryId) {
+                        prompt.category = newId;
+                    }
+                });
+                
+                state.categories.delete(categoryId);
+                category.id = newId;
+                state.categories.set(newId, category);
+            }
+        });
+        
+        // Save changes
+        saveState();
+        saveCategories();
+        
+        // Update UI
+        initializeCategoriesDropdown();
+        updateCategoryList();
+        renderPrompts();
+        
+        if (document.getElementById('manageCategoriesModal')?.classList.contains('active')) {
+            populateManageCategoriesList();
+        }
+        
+        closeModal('editCategoryModal');
+        showToast('Category updated', 'success');
+    };
+    
+    cancelBtn.onclick = () => closeModal('editCategoryModal');
+    
+    showModal('editCategoryModal');
+}
+
+// Updated updateCategoryList function to show sub-categories
+function updateCategoryList() {
+    if (!elements.categoryList) return;
+    
+    elements.categoryList.innerHTML = '';
+    
+    // Get all main categories (no parent)
+    const mainCategories = Array.from(state.categories.values())
+        .filter(cat => !cat.parentId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    
+    // Get all sub-categories grouped by parent
+    const subCategories = Array.from(state.categories.values())
+        .filter(cat => cat.parentId)
+        .reduce((acc, cat) => {
+            if (!acc[cat.parentId]) acc[cat.parentId] = [];
+            acc[cat.parentId].push(cat);
+            return acc;
+        }, {});
+    
+    // Render main categories with sub-categories
+    mainCategories.forEach(category => {
+        const hasSubCategories = subCategories[category.id]?.length > 0;
+        const isExpanded = false; // You could store this in state
+        
+        const item = document.createElement('div');
+        item.className = `category-item ${hasSubCategories ? 'has-children' : ''}`;
+        item.dataset.category = category.id;
+        
+        if (hasSubCategories) {
+            item.innerHTML = `
+                <div class="category-item-header">
+                    <div class="category-item-content">
+                        <button class="category-toggle ${isExpanded ? 'expanded' : ''}">
+                            <i class="fas fa-chevron-right"></i>
+                        </button>
+                        <span class="category-badge" style="background: ${category.color}"></span>
+                        <span>${category.name}</span>
+                    </div>
+                    <span class="category-count">${category.count}</span>
+                </div>
+                <div class="subcategories-list" style="display: ${isExpanded ? 'block' : 'none'}">
+                    ${(subCategories[category.id] || [])
+                        .map(subCat => `
+                            <div class="subcategory-item" data-category="${subCat.id}">
+                                <div class="category-item-content">
+                                    <span class="category-badge" style="background: ${subCat.color}; margin-left: 0.5rem;"></span>
+                                    <span>${subCat.name}</span>
+                                </div>
+                                <span class="category-count">${subCat.count}</span>
+                            </div>
+                        `).join('')}
+                </div>
+            `;
+            
+            // Toggle sub-categories
+            const toggleBtn = item.querySelector('.category-toggle');
+            const subList = item.querySelector('.subcategories-list');
+            
+            toggleBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const isExpanded = toggleBtn.classList.contains('expanded');
+                toggleBtn.classList.toggle('expanded', !isExpanded);
+                subList.style.display = isExpanded ? 'none' : 'block';
+            });
+        } else {
+            item.innerHTML = `
+                <div class="category-item-content">
+                    <span class="category-badge" style="background: ${category.color}"></span>
+                    <span>${category.name}</span>
+                </div>
+                <div style="display: flex; align-items: center; gap: 0.5rem;">
+                    <span class="category-count">${category.count}</span>
+                    <button class="btn-icon small add-subcategory-sidebar" data-id="${category.id}" title="Add sub-category">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </div>
+            `;
+            
+            // Add sub-category button
+            const addBtn = item.querySelector('.add-subcategory-sidebar');
+            addBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                showAddSubCategoryForm(category.id);
+            });
+        }
+        
+        // Category click handler
+        item.addEventListener('click', (e) => {
+            if (!e.target.closest('.category-toggle') && !e.target.closest('.btn-icon')) {
+                filterByCategory(category.id);
+            }
+        });
+        
+        elements.categoryList.appendChild(item);
+        
+        // Add click handlers for sub-categories
+        if (hasSubCategories) {
+            item.querySelectorAll('.subcategory-item').forEach(subItem => {
+                subItem.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const subCategoryId = subItem.dataset.category;
+                    filterByCategory(subCategoryId);
+                });
+            });
+        }
+    });
+}
+
+// Updated initializeCategoriesDropdown to include sub-categories
+function initializeCategoriesDropdown() {
+    const select = document.getElementById('promptCategory');
+    if (!select) return;
+    
+    // Clear existing options except the first one
+    while (select.options.length > 1) {
+        select.remove(1);
+    }
+    
+    // Get main categories
+    const mainCategories = Array.from(state.categories.values())
+        .filter(cat => !cat.parentId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    
+    // Get sub-categories grouped by parent
+    const subCategories = Array.from(state.categories.values())
+        .filter(cat => cat.parentId)
+        .reduce((acc, cat) => {
+            if (!acc[cat.parentId]) acc[cat.parentId] = [];
+            acc[cat.parentId].push(cat);
+            return acc;
+        }, {});
+    
+    // Add categories with indentation for sub-categories
+    mainCategories.forEach(category => {
+        // Add main category
+        const mainOption = document.createElement('option');
+        mainOption.value = category.id;
+        mainOption.textContent = category.name;
+        select.appendChild(mainOption);
+        
+        // Add sub-categories if they exist
+        if (subCategories[category.id]) {
+            subCategories[category.id].forEach(subCat => {
+                const subOption = document.createElement('option');
+                subOption.value = subCat.id;
+                subOption.textContent = `  └─ ${subCat.name}`; // Indentation
+                select.appendChild(subOption);
+            });
+        }
+    });
 }
 
-// Image Upload Functions
-function setupImageUploads() {
-    // File upload handling
-    document.querySelectorAll('.image-input').forEach(input => {
-        input.addEventListener('change', handleImageUpload);
-    });
+// Templates
+function showTemplatesModal() {
+    const container = document.getElementById('templatesContainer');
+    if (!container) return;
     
-    // Add more result images button
-    const addResultBtn = document.getElementById('addResultImageBtn');
-    if (addResultBtn) {
-        addResultBtn.addEventListener('click', addResultImageSlot);
-    }
+    container.innerHTML = `
+        <div class="templates-toolbar">
+            <div class="search-input-wrapper">
+                <i class="fas fa-search"></i>
+                <input type="text" id="templateSearchInput" placeholder="Search templates...">
+            </div>
+            <button id="newTemplateBtn" class="btn btn-primary">
+                <i class="fas fa-plus"></i> New Template
+            </button>
+            <button id="exportTemplatesBtn" class="btn btn-outline" title="Export all templates">
+                <i class="fas fa-file-export"></i> Export All
+            </button>
+        </div>
+        <div class="templates-list" id="templatesList"></div>
+    `;
     
-    // Add image from URL button
-    const addUrlBtn = document.getElementById('addImageUrlBtn');
-    if (addUrlBtn) {
-        addUrlBtn.addEventListener('click', showImageUrlModal);
-    }
+    const searchInput = container.querySelector('#templateSearchInput');
+    searchInput.addEventListener('input', debounce(() => renderTemplatesList(searchInput.value), 200));
+    container.querySelector('#newTemplateBtn').addEventListener('click', () => showTemplateEditor());
+    container.querySelector('#exportTemplatesBtn').addEventListener('click', () => exportTemplates(state.templates));
     
-    // Load image from URL
-    const loadUrlBtn = document.getElementById('loadImageUrlBtn');
-    if (loadUrlBtn) {
-        loadUrlBtn.addEventListener('click', loadImageFromUrl);
-    }
+    renderTemplatesList();
+    showModal('templatesModal');
 }
 
-function handleImageUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+function renderTemplatesList(query = '') {
+    const list = document.getElementById('templatesList');
+    if (!list) return;
     
-    // Validate file type
-    if (!file.type.startsWith('image/')) {
-        showToast('Please select an image file (JPEG, PNG, GIF, etc.)', 'error');
-        return;
-    }
+    const search = query.trim().toLowerCase();
+    const templates = state.templates
+        .filter(template => !search ||
+            template.name.toLowerCase().includes(search) ||
+            (template.description || '').toLowerCase().includes(search) ||
+            template.content.toLowerCase().includes(search) ||
+            (template.tags || []).some(tag => tag.toLowerCase().includes(search))
+        )
+        .sort((a, b) => a.name.localeCompare(b.name));
     
-    // Validate file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-        showToast('Image file is too large (max 5MB)', 'error');
+    if (templates.length === 0) {
+        list.innerHTML = `
+            <div class="panel-empty">
+                <i class="fas fa-layer-group"></i>
+                <p>${search ? `No templates match "${escapeHtml(query)}"` : 'No templates yet. Save a prompt form as a template or create one here.'}</p>
+            </div>
+        `;
         return;
     }
     
-    const reader = new FileReader();
-    const imageCard = event.target.closest('.image-upload-card');
-    const type = imageCard.dataset.type;
-    const index = parseInt(imageCard.dataset.index);
+    list.innerHTML = templates.map(template => {
+        const variables = getPromptVariables(template);
+        return `
+            <div class="template-card" data-id="${template.id}">
+                <div class="template-card-header">
+                    <div>
+                        <div class="prompt-title">${escapeHtml(template.name)}</div>
+                        ${template.description ? `<div class="template-description">${escapeHtml(template.description)}</div>` : ''}
+                    </div>
+                    ${template.category ? `
+                        <span class="prompt-category" style="background: ${getCategoryColor(template.category)}">
+                            <i class="${getCategoryIcon(template.category)}"></i>
+                            ${getCategoryName(template.category)}
+                        </span>
+                    ` : ''}
+                </div>
+                <div class="prompt-preview">${escapeHtml(template.content).substring(0, 160)}${template.content.length > 160 ? '...' : ''}</div>
+                <div class="prompt-tags">
+                    ${variables.length > 0 ? `<span class="tag variable-tag">${variables.length} variable${variables.length === 1 ? '' : 's'}</span>` : ''}
+                    ${(template.tags || []).slice(0, 5).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
+                </div>
+                <div class="template-card-actions">
+                    <button class="btn btn-primary use-template-btn"><i class="fas fa-magic"></i> Use</button>
+                    <button class="action-btn edit-template-btn" title="Edit template"><i class="fas fa-edit"></i></button>
+                    <button class="action-btn export-template-btn" title="Export template"><i class="fas fa-download"></i></button>
+                    <button class="action-btn delete-template-btn" title="Delete template"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
     
-    reader.onload = function(e) {
-        const imageData = e.target.result;
-        const cacheId = `image-${type}-${index}`;
-        
-        // Cache the image
-        state.imageCache.set(cacheId, imageData);
+    list.querySelectorAll('.template-card').forEach(card => {
+        const templateId = card.dataset.id;
+        const template = state.templates.find(t => t.id === templateId);
         
-        // Display preview
-        displayImagePreview(imageCard, imageData);
-        
-        showToast('Image uploaded successfully', 'success');
-    };
-    
-    reader.onerror = function() {
-        showToast('Failed to load image', 'error');
-    };
-    
-    reader.readAsDataURL(file);
+        card.querySelector('.use-template-btn').addEventListener('click', () => useTemplate(templateId));
+        card.querySelector('.edit-template-btn').addEventListener('click', () => showTemplateEditor(template));
+        card.querySelector('.export-template-btn').addEventListener('click', () => exportTemplates([template]));
+        card.querySelector('.delete-template-btn').addEventListener('click', () => deleteTemplate(templateId));
+    });
 }
 
-function displayImagePreview(imageCard, imageData) {
-    if (!imageCard || !imageData) return;
-    
-    const placeholder = imageCard.querySelector('.image-upload-placeholder');
-    const previewContainer = imageCard.querySelector('.image-preview-container');
-    const removeBtn = imageCard.querySelector('.remove-image');
+function saveFormAsTemplate() {
+    const formData = getPromptFormData();
     
-    // Hide placeholder
-    if (placeholder) {
-        placeholder.style.display = 'none';
+    if (!formData.content) {
+        showToast('Add some prompt content before saving it as a template', 'warning');
+        return;
     }
     
-    // Create or update preview
-    let img = previewContainer.querySelector('img');
-    if (!img) {
-        img = document.createElement('img');
-        previewContainer.appendChild(img);
+    showTemplateEditor(null, {
+        name: formData.title,
+        category: formData.category,
+        content: formData.content,
+        tags: formData.tags,
+        notes: formData.notes,
+        engine: formData.engine,
+        complexity: formData.complexity
+    });
+}
+
+function showTemplateEditor(template = null, defaults = {}) {
+    const data = template || defaults;
+    
+    let modal = document.getElementById('templateEditorModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'templateEditorModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content modal-lg">
+                <div class="modal-header">
+                    <h3 id="templateEditorTitle">New Template</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Cancel</button>
+                    <button class="btn btn-primary" id="saveTemplateBtn">
+                        <i class="fas fa-save"></i> Save Template
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('templateEditorModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('templateEditorModal');
+        });
     }
     
-    // Set image source with error handling
-    img.src = imageData;
-    img.alt = 'Preview';
-    img.style.width = '100%';
-    img.style.height = '100%';
-    img.style.objectFit = 'cover';
-    img.style.borderRadius = 'var(--border-radius)';
+    modal.querySelector('#templateEditorTitle').textContent = template ? 'Edit Template' : 'New Template';
+    modal.querySelector('.modal-body').innerHTML = `
+        <div class="form-grid">
+            <div class="form-group">
+                <label for="templateName">Template Name *</label>
+                <input type="text" id="templateName" value="${escapeHtml(data.name || '')}" placeholder="e.g. Product launch email">
+            </div>
+            <div class="form-group">
+                <label for="templateCategory">Category</label>
+                <select id="templateCategory">
+                    <option value="">No category</option>
+                    ${Array.from(state.categories.values()).map(cat => `
+                        <option value="${cat.id}" ${cat.id === data.category ? 'selected' : ''}>${escapeHtml(cat.name)}</option>
+                    `).join('')}
+                </select>
+            </div>
+        </div>
+        <div class="form-group">
+            <label for="templateDescription">Description</label>
+            <input type="text" id="templateDescription" value="${escapeHtml(data.description || '')}" placeholder="What is this template for?">
+        </div>
+        <div class="form-group">
+            <label for="templateContent">Template Content *</label>
+            <textarea id="templateContent" rows="8" placeholder="Use {{variables}} for the parts that change">${escapeHtml(data.content || '')}</textarea>
+        </div>
+        <div class="form-grid">
+            <div class="form-group">
+                <label for="templateTags">Tags</label>
+                <input type="text" id="templateTags" value="${escapeHtml((data.tags || []).join(', '))}" placeholder="Comma-separated">
+            </div>
+            <div class="form-group">
+                <label for="templateNotes">Notes</label>
+                <input type="text" id="templateNotes" value="${escapeHtml(data.notes || '')}">
+            </div>
+        </div>
+    `;
     
-    img.onload = function() {
-        // Show preview container
-        previewContainer.style.display = 'block';
+    modal.querySelector('#saveTemplateBtn').onclick = () => {
+        const name = modal.querySelector('#templateName').value.trim();
+        const content = modal.querySelector('#templateContent').value.trim();
         
-        // Show remove button
-        if (removeBtn) {
-            removeBtn.style.display = 'flex';
-            removeBtn.onclick = (e) => {
-                e.stopPropagation();
-                removeImage(imageCard);
-            };
+        if (!name || !content) {
+            showToast('Please enter a template name and content', 'warning');
+            return;
         }
         
-        // Update card state
-        imageCard.classList.add('has-image');
+        const templateData = {
+            name,
+            description: modal.querySelector('#templateDescription').value.trim(),
+            category: modal.querySelector('#templateCategory').value,
+            content,
+            tags: modal.querySelector('#templateTags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+            notes: modal.querySelector('#templateNotes').value.trim(),
+            engine: data.engine || '',
+            complexity: data.complexity || 3,
+            variables: extractVariables(content)
+        };
+        
+        if (template) {
+            updateTemplate(template.id, templateData);
+            showToast('Template updated', 'success');
+        } else {
+            createTemplate(templateData);
+            showToast('Template saved', 'success');
+        }
+        
+        saveState();
+        closeModal('templateEditorModal');
+        
+        if (document.getElementById('templatesModal')?.classList.contains('active')) {
+            renderTemplatesList(document.getElementById('templateSearchInput')?.value || '');
+        }
     };
     
-    img.onerror = function() {
-        console.error('Failed to load preview image');
-        showToast('Failed to load image preview', 'error');
+    showModal('templateEditorModal');
+}
+
+function createTemplate(templateData) {
+    return runCommand(`Created template "${templateData.name}"`, () => {
+        const template = {
+            id: generateId(),
+            ...templateData,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
         
-        // Reset card if image fails to load
-        if (placeholder) placeholder.style.display = 'block';
-        previewContainer.style.display = 'none';
-        if (removeBtn) removeBtn.style.display = 'none';
-        imageCard.classList.remove('has-image');
-    };
+        state.templates.push(template);
+        return template;
+    });
 }
 
-function removeImage(imageCard) {
-    const type = imageCard.dataset.type;
-    const index = parseInt(imageCard.dataset.index);
-    const cacheId = `image-${type}-${index}`;
-    
-    // Remove from cache
-    state.imageCache.delete(cacheId);
+function updateTemplate(templateId, templateData) {
+    const index = state.templates.findIndex(t => t.id === templateId);
+    if (index === -1) return;
     
-    // Reset card
-    const placeholder = imageCard.querySelector('.image-upload-placeholder');
-    const previewContainer = imageCard.querySelector('.image-preview-container');
-    const removeBtn = imageCard.querySelector('.remove-image');
-    const fileInput = imageCard.querySelector('input[type="file"]');
+    runCommand(`Edited template "${templateData.name || state.templates[index].name}"`, () => {
+        state.templates[index] = {
+            ...state.templates[index],
+            ...templateData,
+            updatedAt: new Date().toISOString()
+        };
+    });
+}
+
+function deleteTemplate(templateId) {
+    const template = state.templates.find(t => t.id === templateId);
+    if (!template) return;
     
-    // Show placeholder
-    if (placeholder) placeholder.style.display = 'block';
+    showConfirmModal(
+        'Delete Template',
+        `Delete the template "${template.name}"? Prompts created from it are not affected.`,
+        () => {
+            runCommand(`Deleted template "${template.name}"`, () => {
+                state.templates = state.templates.filter(t => t.id !== templateId);
+            });
+            
+            saveState();
+            renderTemplatesList(document.getElementById('templateSearchInput')?.value || '');
+            showToast('Template deleted', 'success');
+        }
+    );
+}
+
+function useTemplate(templateId) {
+    const template = state.templates.find(t => t.id === templateId);
+    if (!template) return;
+    
+    closeModal('templatesModal');
+    showAddPromptModal();
+    
+    fillPromptForm({
+        title: template.name,
+        category: template.category,
+        content: template.content,
+        notes: template.notes,
+        tags: template.tags,
+        engine: template.engine,
+        complexity: template.complexity
+    });
     
-    // Hide preview
-    if (previewContainer) {
-        previewContainer.style.display = 'none';
-        previewContainer.innerHTML = '';
+    showToast(`Started a new prompt from "${template.name}"`, 'info');
+}
+
+function exportTemplates(templates) {
+    if (templates.length === 0) {
+        showToast('No templates to export', 'info');
+        return;
     }
     
-    // Hide remove button
-    if (removeBtn) removeBtn.style.display = 'none';
+    const exportData = {
+        templates,
+        exportedAt: new Date().toISOString(),
+        version: APP_VERSION,
+        schemaVersion: SCHEMA_VERSION
+    };
     
-    // Reset file input
-    if (fileInput) fileInput.value = '';
+    const filename = templates.length === 1
+        ? `prompt-template-${templates[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`
+        : `prompt-templates-${formatDate(new Date())}.json`;
     
-    // Update card state
-    imageCard.classList.remove('has-image');
+    downloadFile(JSON.stringify(exportData, null, 2), filename, 'application/json');
+    showToast(`Exported ${templates.length} template${templates.length === 1 ? '' : 's'}`, 'success');
 }
 
-function addResultImageSlot() {
-    const imagesGrid = document.getElementById('imagesGrid');
-    if (!imagesGrid) return;
+// Analytics
+function showAnalytics() {
+    const grid = document.querySelector('#analyticsModal .analytics-grid');
+    if (!grid) return;
     
-    // Count existing result images
-    const resultCards = imagesGrid.querySelectorAll('.image-upload-card[data-type="result"]');
-    const nextIndex = resultCards.length;
+    const analytics = computeAnalytics(state.prompts);
     
-    // Don't add more than 5 result images
-    if (nextIndex >= 5) {
-        showToast('Maximum 5 result images allowed', 'warning');
+    if (analytics.totalPrompts === 0) {
+        grid.innerHTML = `
+            <div class="panel-empty">
+                <i class="fas fa-chart-line"></i>
+                <p>Add some prompts to see analytics.</p>
+            </div>
+        `;
+        showModal('analyticsModal');
         return;
     }
     
-    // Create new image card
-    const newCard = document.createElement('div');
-    newCard.className = 'image-upload-card';
-    newCard.dataset.type = 'result';
-    newCard.dataset.index = nextIndex;
-    
-    newCard.innerHTML = `
-        <div class="image-upload-placeholder">
-            <i class="fas fa-image"></i>
-            <span>Result ${nextIndex + 1}</span>
-            <small>Example output image</small>
+    grid.innerHTML = `
+        <div class="analytics-card">
+            <h4><i class="fas fa-chart-pie"></i> Overview</h4>
+            <div class="stats-list">
+                <div class="stat-row"><span class="stat-name">Prompts</span><span class="stat-value">${analytics.totalPrompts}</span></div>
+                <div class="stat-row"><span class="stat-name">Favorites</span><span class="stat-value">${state.favorites.length}</span></div>
+                <div class="stat-row"><span class="stat-name">Templates</span><span class="stat-value">${state.templates.length}</span></div>
+                <div class="stat-row"><span class="stat-name">Total words</span><span class="stat-value">${analytics.totalWords.toLocaleString()}</span></div>
+                <div class="stat-row"><span class="stat-name">Average rating</span><span class="stat-value">${analytics.averageRating ? analytics.averageRating.toFixed(1) + ' / 5' : '—'}</span></div>
+                <div class="stat-row"><span class="stat-name">Total uses</span><span class="stat-value">${analytics.totalUsage.toLocaleString()}</span></div>
+            </div>
+        </div>
+        
+        <div class="analytics-card analytics-card-wide">
+            <h4><i class="fas fa-calendar-alt"></i> Prompts Created (last 12 months)</h4>
+            <div class="chart-container">${renderTimelineChart(analytics.timeline)}</div>
+        </div>
+        
+        <div class="analytics-card">
+            <h4><i class="fas fa-microchip"></i> Token Totals</h4>
+            <div class="stats-list">
+                <div class="stat-row"><span class="stat-name">Total tokens</span><span class="stat-value">${analytics.tokens.total.toLocaleString()}</span></div>
+                <div class="stat-row"><span class="stat-name">Average per prompt</span><span class="stat-value">${Math.round(analytics.tokens.average).toLocaleString()}</span></div>
+                <div class="stat-row"><span class="stat-name">Largest prompt</span><span class="stat-value">${analytics.tokens.max.toLocaleString()}</span></div>
+            </div>
+            <div class="chart-caption">Tokens by category</div>
+            ${renderBarChart(analytics.tokens.byCategory)}
+        </div>
+        
+        <div class="analytics-card">
+            <h4><i class="fas fa-folder-tree"></i> By Category</h4>
+            ${renderBarChart(analytics.categories)}
+        </div>
+        
+        <div class="analytics-card">
+            <h4><i class="fas fa-star"></i> Ratings</h4>
+            <div class="chart-container">${renderColumnChart(analytics.ratings)}</div>
+        </div>
+        
+        <div class="analytics-card">
+            <h4><i class="fas fa-robot"></i> AI Engines</h4>
+            ${renderBarChart(analytics.engines)}
+        </div>
+        
+        <div class="analytics-card">
+            <h4><i class="fas fa-tags"></i> Top Tags</h4>
+            ${analytics.tags.length > 0 ? renderBarChart(analytics.tags) : '<p class="help-text">No tags yet</p>'}
+        </div>
+        
+        <div class="analytics-card">
+            <h4><i class="fas fa-fire"></i> Most Used Prompts</h4>
+            ${analytics.mostUsed.length > 0 ? `
+                <div class="stats-list">
+                    ${analytics.mostUsed.map(prompt => `
+                        <div class="stat-row analytics-link" data-id="${prompt.id}">
+                            <span class="stat-name">${escapeHtml(prompt.title)}</span>
+                            <span class="stat-value">${prompt.usageCount}×</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : '<p class="help-text">No usage recorded yet</p>'}
         </div>
-        <input type="file" class="image-input" accept="image/*" data-type="result" data-index="${nextIndex}">
-        <div class="image-preview-container"></div>
-        <button type="button" class="remove-image" style="display: none;">×</button>
     `;
     
-    // Insert before the "Add more" button
-    const addMoreBtn = document.getElementById('addResultImageBtn');
-    imagesGrid.insertBefore(newCard, addMoreBtn);
-    
-    // Add event listeners
-    const fileInput = newCard.querySelector('.image-input');
-    fileInput.addEventListener('change', handleImageUpload);
+    grid.querySelectorAll('.analytics-link').forEach(row => {
+        row.addEventListener('click', () => {
+            const prompt = state.prompts.find(p => p.id === row.dataset.id);
+            if (prompt) {
+                closeModal('analyticsModal');
+                showPromptDetails(prompt);
+            }
+        });
+    });
     
-    // Update "Add more" button text if needed
-    if (nextIndex === 4) {
-        addMoreBtn.querySelector('span').textContent = 'Max 5 images';
-        addMoreBtn.style.opacity = '0.5';
-        addMoreBtn.style.cursor = 'not-allowed';
+    showModal('analyticsModal');
+}
+
+function computeAnalytics(prompts) {
+    const countBy = (items, getKey) => items.reduce((acc, item) => {
+        const key = getKey(item);
+        acc.set(key, (acc.get(key) || 0) + 1);
+        return acc;
+    }, new Map());
+    
+    // Prompts created per month for the last 12 months
+    const now = new Date();
+    const timeline = [];
+    for (let i = 11; i >= 0; i--) {
+        const month = new Date(now.getFullYear(), now.getMonth() - i, 1);
+        timeline.push({
+            key: `${month.getFullYear()}-${month.getMonth()}`,
+            label: month.toLocaleString('en', { month: 'short' }),
+            value: 0
+        });
     }
+    prompts.forEach(prompt => {
+        const created = new Date(prompt.createdAt);
+        const bucket = timeline.find(b => b.key === `${created.getFullYear()}-${created.getMonth()}`);
+        if (bucket) bucket.value++;
+    });
     
-    showToast('New image slot added', 'info');
+    // Main categories with their sub-categories nested underneath
+    const categoryCounts = countBy(prompts, p => p.category);
+    const categories = Array.from(state.categories.values())
+        .filter(cat => !cat.parentId)
+        .map(cat => {
+            const children = Array.from(state.categories.values())
+                .filter(sub => sub.parentId === cat.id)
+                .map(sub => ({ label: sub.name, value: categoryCounts.get(sub.id) || 0, color: sub.color, indent: true }))
+                .filter(sub => sub.value > 0);
+            const total = (categoryCounts.get(cat.id) || 0) + children.reduce((sum, sub) => sum + sub.value, 0);
+            return { label: cat.name, value: total, color: cat.color, children };
+        })
+        .filter(group => group.value > 0)
+        .sort((a, b) => b.value - a.value)
+        .flatMap(({ children, ...group }) => [group, ...children]);
+    
+    const ratingCounts = countBy(prompts, p => p.rating || 0);
+    const ratings = [0, 1, 2, 3, 4, 5].map(rating => ({
+        label: rating === 0 ? 'None' : `${rating}★`,
+        value: ratingCounts.get(rating) || 0
+    }));
+    const rated = prompts.filter(p => p.rating > 0);
+    
+    const engines = Array.from(countBy(prompts, p => getEngineLabel(p.engine)).entries())
+        .map(([label, value]) => ({ label, value }))
+        .sort((a, b) => b.value - a.value);
+    
+    const tags = Array.from(countBy(prompts.flatMap(p => p.tags || []), tag => tag.toLowerCase()).entries())
+        .map(([label, value]) => ({ label, value }))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, 10);
+    
+    const tokenCounts = prompts.map(p => estimateTokenCount(p.content));
+    const tokensByCategory = new Map();
+    prompts.forEach((prompt, index) => {
+        tokensByCategory.set(prompt.category, (tokensByCategory.get(prompt.category) || 0) + tokenCounts[index]);
+    });
+    const totalTokens = tokenCounts.reduce((sum, count) => sum + count, 0);
+    
+    return {
+        totalPrompts: prompts.length,
+        totalWords: prompts.reduce((sum, p) => sum + calculateWordCount(p.content), 0),
+        totalUsage: prompts.reduce((sum, p) => sum + (p.usageCount || 0), 0),
+        averageRating: rated.length ? rated.reduce((sum, p) => sum + p.rating, 0) / rated.length : 0,
+        timeline,
+        categories,
+        ratings,
+        engines,
+        tags,
+        mostUsed: prompts
+            .filter(p => p.usageCount > 0)
+            .sort((a, b) => b.usageCount - a.usageCount)
+            .slice(0, 5),
+        tokens: {
+            total: totalTokens,
+            average: prompts.length ? totalTokens / prompts.length : 0,
+            max: tokenCounts.length ? Math.max(...tokenCounts) : 0,
+            byCategory: Array.from(tokensByCategory.entries())
+                .map(([categoryId, value]) => ({
+                    label: getCategoryName(categoryId),
+                    value,
+                    color: getCategoryColor(categoryId)
+                }))
+                .sort((a, b) => b.value - a.value)
+        }
+    };
 }
 
-function showImageUrlModal() {
-    // Reset form
-    document.getElementById('imageUrlInput').value = '';
-    document.getElementById('imageTypeSelect').value = 'input';
+function getEngineLabel(engine) {
+    if (!engine) return 'Any Engine';
     
-    showModal('imageUrlModal');
+    // Use the label from the form's engine dropdown when we know the value
+    const option = Array.from(document.querySelectorAll('#promptEngine option'))
+        .find(opt => opt.value && opt.value.toLowerCase() === engine.toLowerCase());
+    return option ? option.textContent : engine;
 }
 
+// Charts are plain SVG so the dashboard works offline
+function renderBarChart(items) {
+    if (items.length === 0) return '<p class="help-text">No data</p>';
+    
+    const max = Math.max(...items.map(item => item.value), 1);
+    const rowHeight = 26;
+    const labelWidth = 120;
+    const width = 320;
+    const barArea = width - labelWidth - 40;
+    const height = items.length * rowHeight;
+    
+    return `
+        <svg class="analytics-chart" viewBox="0 0 ${width} ${height}" width="100%" role="img">
+            ${items.map((item, i) => {
+                const y = i * rowHeight;
+                const barWidth = Math.max(2, (item.value / max) * barArea);
+                const label = item.label.length > 16 ? item.label.substring(0, 15) + '…' : item.label;
+                return `
+                    <g>
+                        <title>${escapeHtml(item.label)}: ${item.value.toLocaleString()}</title>
+                        <text x="${item.indent ? 12 : 0}" y="${y + 17}" class="chart-label">${item.indent ? '└ ' : ''}${escapeHtml(label)}</text>
+                        <rect x="${labelWidth}" y="${y + 5}" width="${barWidth}" height="16" rx="3"
+                              style="fill: ${item.color || 'var(--primary-500)'}; opacity: ${item.indent ? 0.7 : 1}"></rect>
+                        <text x="${labelWidth + barWidth + 6}" y="${y + 17}" class="chart-value">${item.value.toLocaleString()}</text>
+                    </g>
+                `;
+            }).join('')}
+        </svg>
+    `;
+}
 
-function processImageData(targetCard, imageData, type) {
-    const cardType = targetCard.dataset.type;
-    const cardIndex = parseInt(targetCard.dataset.index);
-    const cacheId = `image-${cardType}-${cardIndex}`;
-    
-    // Cache the image
-    state.imageCache.set(cacheId, imageData);
-    
-    // Display preview
-    displayImagePreview(targetCard, imageData);
+function renderColumnChart(items) {
+    const max = Math.max(...items.map(item => item.value), 1);
+    const width = 320;
+    const height = 200;
+    const chartHeight = height - 40;
+    const columnWidth = width / items.length;
+    
+    return `
+        <svg class="analytics-chart" viewBox="0 0 ${width} ${height}" width="100%" height="100%" role="img">
+            ${items.map((item, i) => {
+                const barHeight = (item.value / max) * chartHeight;
+                const x = i * columnWidth + columnWidth * 0.2;
+                const y = 16 + chartHeight - barHeight;
+                return `
+                    <g>
+                        <title>${escapeHtml(item.label)}: ${item.value}</title>
+                        <rect x="${x}" y="${y}" width="${columnWidth * 0.6}" height="${barHeight}" rx="3"
+                              style="fill: ${i === 0 ? 'var(--gray-400)' : 'var(--warning-500)'}"></rect>
+                        <text x="${x + columnWidth * 0.3}" y="${y - 4}" text-anchor="middle" class="chart-value">${item.value}</text>
+                        <text x="${x + columnWidth * 0.3}" y="${height - 6}" text-anchor="middle" class="chart-label">${escapeHtml(item.label)}</text>
+                    </g>
+                `;
+            }).join('')}
+        </svg>
+    `;
+}
+
+function renderTimelineChart(points) {
+    const max = Math.max(...points.map(point => point.value), 1);
+    const width = 640;
+    const height = 200;
+    const padding = { top: 20, right: 16, bottom: 28, left: 16 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const step = chartWidth / (points.length - 1);
+    
+    const coords = points.map((point, i) => ({
+        x: padding.left + i * step,
+        y: padding.top + chartHeight - (point.value / max) * chartHeight,
+        point
+    }));
+    const line = coords.map(c => `${c.x},${c.y}`).join(' ');
+    const baseline = padding.top + chartHeight;
+    const area = `${padding.left},${baseline} ${line} ${padding.left + chartWidth},${baseline}`;
+    
+    return `
+        <svg class="analytics-chart" viewBox="0 0 ${width} ${height}" width="100%" height="100%" role="img">
+            <line x1="${padding.left}" y1="${baseline}" x2="${padding.left + chartWidth}" y2="${baseline}" style="stroke: var(--border-color)"></line>
+            <polygon points="${area}" style="fill: var(--primary-500); opacity: 0.15"></polygon>
+            <polyline points="${line}" style="fill: none; stroke: var(--primary-500); stroke-width: 2"></polyline>
+            ${coords.map(c => `
+                <g>
+                    <title>${c.point.label}: ${c.point.value}</title>
+                    <circle cx="${c.x}" cy="${c.y}" r="4" style="fill: var(--primary-600)"></circle>
+                    ${c.point.value > 0 ? `<text x="${c.x}" y="${c.y - 8}" text-anchor="middle" class="chart-value">${c.point.value}</text>` : ''}
+                    <text x="${c.x}" y="${height - 8}" text-anchor="middle" class="chart-label">${c.point.label}</text>
+                </g>
+            `).join('')}
+        </svg>
+    `;
+}
+
+// Duplicate Detection
+// Prompts are compared with Jaccard similarity over character 3-gram
+// shingles of their title and content, plus their tag sets.
+const DUPLICATE_WEIGHTS = { content: 0.7, title: 0.2, tags: 0.1 };
+const DEFAULT_DUPLICATE_THRESHOLD = 0.75;
+
+function getShingles(text, size = 3) {
+    const normalized = (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    const shingles = new Set();
+    if (!normalized) return shingles;
     
-    showToast('Image loaded from URL', 'success');
+    if (normalized.length <= size) {
+        shingles.add(normalized);
+        return shingles;
+    }
+    for (let i = 0; i <= normalized.length - size; i++) {
+        shingles.add(normalized.slice(i, i + size));
+    }
+    return shingles;
 }
 
-// Get images from form when saving prompt
-function getFormImages() {
-    const images = [];
+function jaccardSimilarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    if (a.size === 0 || b.size === 0) return 0;
     
-    // Get input images
-    const inputCards = document.querySelectorAll('.image-upload-card[data-type="input"]');
-    inputCards.forEach(card => {
-        if (card.classList.contains('has-image')) {
-            const index = parseInt(card.dataset.index);
-            const cacheId = `image-input-${index}`;
-            const imageData = state.imageCache.get(cacheId);
-            
-            if (imageData) {
-                images.push({
-                    type: 'input',
-                    url: imageData,
-                    index: index
-                });
-            }
-        }
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+    let intersection = 0;
+    smaller.forEach(item => {
+        if (larger.has(item)) intersection++;
     });
+    return intersection / (a.size + b.size - intersection);
+}
+
+function getPromptFingerprint(prompt) {
+    return {
+        prompt,
+        title: getShingles(prompt.title),
+        content: getShingles(prompt.content),
+        tags: new Set((prompt.tags || []).map(tag => tag.toLowerCase()))
+    };
+}
+
+function comparePromptFingerprints(a, b) {
+    const scores = {
+        content: jaccardSimilarity(a.content, b.content),
+        title: jaccardSimilarity(a.title, b.title)
+    };
     
-    // Get result images
-    const resultCards = document.querySelectorAll('.image-upload-card[data-type="result"]');
-    resultCards.forEach(card => {
-        if (card.classList.contains('has-image')) {
-            const index = parseInt(card.dataset.index);
-            const cacheId = `image-result-${index}`;
-            const imageData = state.imageCache.get(cacheId);
+    // Tags only count when at least one side has some
+    let weights = DUPLICATE_WEIGHTS;
+    if (a.tags.size > 0 || b.tags.size > 0) {
+        scores.tags = jaccardSimilarity(a.tags, b.tags);
+    } else {
+        const { tags, ...rest } = DUPLICATE_WEIGHTS;
+        weights = rest;
+    }
+    
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const score = Object.entries(weights).reduce((sum, [field, weight]) => sum + scores[field] * weight, 0) / totalWeight;
+    return { score, scores };
+}
+
+function getDuplicatePairKey(idA, idB) {
+    return [idA, idB].sort().join('|');
+}
+
+function detectDuplicates(prompts, threshold) {
+    const fingerprints = prompts.map(getPromptFingerprint);
+    const dismissed = new Set(state.settings.dismissedDuplicates || []);
+    const contentWeight = DUPLICATE_WEIGHTS.content;
+    const pairs = [];
+    
+    for (let i = 0; i < fingerprints.length; i++) {
+        for (let j = i + 1; j < fingerprints.length; j++) {
+            const a = fingerprints[i];
+            const b = fingerprints[j];
+            if (dismissed.has(getDuplicatePairKey(a.prompt.id, b.prompt.id))) continue;
             
-            if (imageData) {
-                images.push({
-                    type: 'result',
-                    url: imageData,
-                    index: index
-                });
+            // Content Jaccard can never exceed the ratio of the set sizes, so
+            // skip pairs that could not reach the threshold even with perfect
+            // title and tag matches.
+            const sizeRatio = Math.min(a.content.size, b.content.size) / Math.max(a.content.size, b.content.size, 1);
+            if (contentWeight * sizeRatio + (1 - contentWeight) < threshold) continue;
+            
+            const { score, scores } = comparePromptFingerprints(a, b);
+            if (score >= threshold) {
+                pairs.push({ left: a.prompt, right: b.prompt, score, scores });
             }
         }
-    });
+    }
     
-    return images;
+    return pairs.sort((a, b) => b.score - a.score);
 }
 
-// Load images when editing a prompt
-function loadPromptImages(images) {
-    if (!images || !Array.isArray(images)) return;
+function findDuplicatePrompts() {
+    if (state.prompts.length < 2) {
+        showToast('Add more prompts to look for duplicates', 'info');
+        return;
+    }
     
-    // Clear all existing images first
-    document.querySelectorAll('.image-upload-card').forEach(card => {
-        removeImage(card);
+    let modal = document.getElementById('duplicatesModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'duplicatesModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content modal-xl">
+                <div class="modal-header">
+                    <h3><i class="fas fa-clone"></i> Find Duplicates</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('duplicatesModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('duplicatesModal');
+        });
+    }
+    
+    const threshold = state.settings.duplicateThreshold || DEFAULT_DUPLICATE_THRESHOLD;
+    const dismissedCount = (state.settings.dismissedDuplicates || []).length;
+    
+    modal.querySelector('.modal-body').innerHTML = `
+        <div class="duplicates-toolbar">
+            <label for="duplicateThreshold">
+                Similarity threshold: <strong id="duplicateThresholdValue">${Math.round(threshold * 100)}%</strong>
+            </label>
+            <input type="range" id="duplicateThreshold" min="50" max="100" step="1" value="${Math.round(threshold * 100)}">
+            <span id="duplicatesSummary" class="help-text"></span>
+            ${dismissedCount > 0 ? `
+                <button class="btn-text small" id="resetDismissedDuplicatesBtn">Show ${dismissedCount} dismissed pair${dismissedCount === 1 ? '' : 's'} again</button>
+            ` : ''}
+        </div>
+        <div id="duplicatesList" class="duplicates-list"></div>
+    `;
+    
+    const slider = modal.querySelector('#duplicateThreshold');
+    slider.addEventListener('input', () => {
+        modal.querySelector('#duplicateThresholdValue').textContent = `${slider.value}%`;
+    });
+    slider.addEventListener('change', () => {
+        state.settings.duplicateThreshold = parseInt(slider.value) / 100;
+        saveState();
+        renderDuplicatesList();
     });
     
-    images.forEach(img => {
-        const type = img.type;
-        const index = img.index || 0;
-        
-        let targetCard = null;
-        
-        if (type === 'input') {
-            targetCard = document.querySelector('.image-upload-card[data-type="input"]');
-        } else {
-            const resultCards = document.querySelectorAll('.image-upload-card[data-type="result"]');
-            // Find card with matching index or first available
-            targetCard = Array.from(resultCards).find(card => 
-                parseInt(card.dataset.index) === index
-            ) || resultCards[0];
-            
-            // If no card exists at this index, add one
-            if (!targetCard) {
-                addResultImageSlot();
-                setTimeout(() => {
-                    const newCards = document.querySelectorAll('.image-upload-card[data-type="result"]');
-                    targetCard = newCards[newCards.length - 1];
-                    if (targetCard && img.url) {
-                        const cacheId = `image-${type}-${targetCard.dataset.index}`;
-                        state.imageCache.set(cacheId, img.url);
-                        displayImagePreview(targetCard, img.url);
-                    }
-                }, 100);
-                return;
-            }
-        }
-        
-        if (targetCard && img.url) {
-            const cacheId = `image-${type}-${targetCard.dataset.index}`;
-            state.imageCache.set(cacheId, img.url);
-            displayImagePreview(targetCard, img.url);
-        }
+    modal.querySelector('#resetDismissedDuplicatesBtn')?.addEventListener('click', () => {
+        state.settings.dismissedDuplicates = [];
+        saveState();
+        findDuplicatePrompts();
     });
+    
+    renderDuplicatesList();
+    showModal('duplicatesModal');
 }
 
-// Add Input Image Slot
-function addInputImageSlot() {
-    const imagesGrid = document.getElementById('inputImagesGrid');
-    if (!imagesGrid) return;
+function renderDuplicatesList() {
+    const list = document.getElementById('duplicatesList');
+    if (!list) return;
     
-    // Count existing input images
-    const inputCards = imagesGrid.querySelectorAll('.image-upload-card[data-type="input"]');
-    const nextIndex = inputCards.length;
+    const threshold = state.settings.duplicateThreshold || DEFAULT_DUPLICATE_THRESHOLD;
+    const pairs = detectDuplicates(state.prompts, threshold);
     
-    // Don't add more than 3 input images
-    if (nextIndex >= 3) {
-        showToast('Maximum 3 input images allowed', 'warning');
+    document.getElementById('duplicatesSummary').textContent =
+        `${pairs.length} possible duplicate${pairs.length === 1 ? '' : 's'}`;
+    
+    if (pairs.length === 0) {
+        list.innerHTML = `
+            <div class="panel-empty">
+                <i class="fas fa-check-circle"></i>
+                <p>No duplicates above ${Math.round(threshold * 100)}% similarity</p>
+            </div>
+        `;
         return;
     }
     
-    // Create new image card
-    const newCard = document.createElement('div');
-    newCard.className = 'image-upload-card';
-    newCard.dataset.type = 'input';
-    newCard.dataset.index = nextIndex;
+    const percent = (value) => `${Math.round(value * 100)}%`;
     
-    newCard.innerHTML = `
-        <div class="image-upload-placeholder">
-            <i class="fas fa-upload"></i>
-            <span>Input ${nextIndex + 1}</span>
-            <small>Example input image</small>
+    list.innerHTML = pairs.map(pair => `
+        <div class="duplicate-pair" data-left="${pair.left.id}" data-right="${pair.right.id}">
+            <div class="duplicate-pair-header">
+                <span class="duplicate-score">${percent(pair.score)} similar</span>
+                <span class="help-text">
+                    Content ${percent(pair.scores.content)} · Title ${percent(pair.scores.title)}${pair.scores.tags !== undefined ? ` · Tags ${percent(pair.scores.tags)}` : ''}
+                </span>
+                <button class="btn-text small" data-action="dismiss">
+                    <i class="fas fa-eye-slash"></i> Not duplicates
+                </button>
+            </div>
+            <div class="duplicate-columns">
+                ${renderDuplicateColumn(pair.left, pair.right)}
+                ${renderDuplicateColumn(pair.right, pair.left)}
+            </div>
+        </div>
+    `).join('');
+    
+    list.querySelectorAll('.duplicate-pair').forEach(pairEl => {
+        const { left, right } = pairEl.dataset;
+        
+        pairEl.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+            dismissDuplicatePair(left, right);
+        });
+        pairEl.querySelectorAll('.duplicate-column').forEach(column => {
+            const keepId = column.dataset.id;
+            const otherId = keepId === left ? right : left;
+            
+            column.querySelector('[data-action="merge"]').addEventListener('click', () => {
+                const merge = () => {
+                    mergePrompts(keepId, otherId);
+                    afterDuplicateAction('Prompts merged');
+                };
+                const other = state.prompts.find(p => p.id === otherId);
+                const { leftOut } = getMergedImages(state.prompts.find(p => p.id === keepId), other);
+                if (leftOut.length === 0) {
+                    merge();
+                    return;
+                }
+                showConfirmModal(
+                    'Merge Prompts',
+                    `A prompt holds up to 3 input and 5 result images, so ${describeImageCount(leftOut)} of "${other.title}" will be left out. Merge anyway?`,
+                    merge
+                );
+            });
+            column.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                deleteDuplicatePrompt(keepId);
+                afterDuplicateAction('Prompt moved to the trash');
+            });
+        });
+    });
+}
+
+function renderDuplicateColumn(prompt, other) {
+    const category = state.categories.get(prompt.category);
+    const otherTags = new Set((other.tags || []).map(tag => tag.toLowerCase()));
+    const images = prompt.images || [];
+    
+    return `
+        <div class="duplicate-column" data-id="${prompt.id}">
+            <h4>${escapeHtml(prompt.title)}</h4>
+            <div class="duplicate-meta">
+                <span><i class="fas fa-folder"></i> ${escapeHtml(category ? category.name : prompt.category || 'Uncategorized')}</span>
+                <span><i class="fas fa-star"></i> ${prompt.rating || 0}/5</span>
+                <span><i class="fas fa-calendar"></i> ${formatDate(prompt.createdAt)}</span>
+                ${state.favorites.includes(prompt.id) ? '<span><i class="fas fa-heart"></i> Favorite</span>' : ''}
+            </div>
+            ${(prompt.tags || []).length > 0 ? `
+                <div class="duplicate-tags">
+                    ${prompt.tags.map(tag => `
+                        <span class="tag ${otherTags.has(tag.toLowerCase()) ? '' : 'unique'}">${escapeHtml(tag)}</span>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <pre class="duplicate-content">${escapeHtml(prompt.content)}</pre>
+            ${prompt.notes ? `<p class="duplicate-notes"><i class="fas fa-sticky-note"></i> ${escapeHtml(prompt.notes)}</p>` : ''}
+            ${images.length > 0 ? `
+                <div class="duplicate-images">
+                    ${images.slice(0, 4).map(img => `<img src="${img.url}" alt="">`).join('')}
+                    ${images.length > 4 ? `<span>+${images.length - 4}</span>` : ''}
+                </div>
+            ` : ''}
+            <div class="duplicate-actions">
+                <button class="btn btn-primary" data-action="merge" title="Keep this prompt and merge the other one into it">
+                    <i class="fas fa-compress-alt"></i> Keep &amp; merge
+                </button>
+                <button class="btn btn-danger" data-action="delete">
+                    <i class="fas fa-trash"></i> Delete
+                </button>
+            </div>
         </div>
-        <input type="file" class="image-input" accept="image/*" data-type="input" data-index="${nextIndex}">
-        <div class="image-preview-container"></div>
-        <button type="button" class="remove-image">×</button>
     `;
+}
+
+function afterDuplicateAction(message) {
+    saveState();
+    refreshAllViews();
+    renderDuplicatesList();
+    showToast(message, 'success');
+}
+
+function dismissDuplicatePair(idA, idB) {
+    const dismissed = new Set(state.settings.dismissedDuplicates || []);
+    dismissed.add(getDuplicatePairKey(idA, idB));
+    state.settings.dismissedDuplicates = Array.from(dismissed);
+    saveState();
+    renderDuplicatesList();
+}
+
+function deleteDuplicatePrompt(promptId) {
+    const prompt = state.prompts.find(p => p.id === promptId);
+    if (!prompt) return;
     
-    // Insert before the "Add more" button
-    const addMoreBtn = document.getElementById('addInputImageBtn');
-    imagesGrid.insertBefore(newCard, addMoreBtn);
+    runCommand(`Deleted duplicate "${prompt.title}"`, () => moveToTrash([promptId]));
+    state.selectedPrompts.delete(promptId);
+}
+
+// Same limits as the prompt form: 3 input and 5 result images
+const MERGE_IMAGE_LIMITS = { input: 3, result: 5 };
+
+// The images of both prompts without repeats, `keep`'s first, and the ones
+// left out because they don't fit
+function getMergedImages(keep, other) {
+    const seenImages = new Set();
+    const images = [];
+    const leftOut = [];
+    [...(keep.images || []), ...(other.images || [])].forEach(img => {
+        if (seenImages.has(img.url)) return;
+        seenImages.add(img.url);
+        const sameType = images.filter(existing => existing.type === img.type);
+        if (sameType.length >= (MERGE_IMAGE_LIMITS[img.type] || 0)) {
+            leftOut.push(img);
+            return;
+        }
+        images.push({ ...img, index: sameType.length });
+    });
+    
+    return { images, leftOut };
+}
+
+// "1 input image and 2 result images"
+function describeImageCount(images) {
+    return ['input', 'result']
+        .map(type => {
+            const count = images.filter(img => img.type === type).length;
+            return count > 0 ? `${count} ${type} image${count === 1 ? '' : 's'}` : '';
+        })
+        .filter(Boolean)
+        .join(' and ') || `${images.length} image${images.length === 1 ? '' : 's'}`;
+}
+
+// Combines two versions of a prompt, keeping the wording of `keep`
+function mergePromptFields(keep, other) {
+    return {
+        ...keep,
+        tags: mergeTagLists(keep.tags, other.tags),
+        images: getMergedImages(keep, other).images,
+        notes: mergeNotes(keep.notes, other.notes),
+        rating: Math.max(keep.rating || 0, other.rating || 0),
+        usageCount: (keep.usageCount || 0) + (other.usageCount || 0),
+        createdAt: [keep.createdAt, other.createdAt].filter(Boolean).sort()[0] || keep.createdAt
+    };
+}
+
+function mergeTagLists(first, second) {
+    const tags = [...(first || [])];
+    const seenTags = new Set(tags.map(tag => tag.toLowerCase()));
+    (second || []).forEach(tag => {
+        if (!seenTags.has(tag.toLowerCase())) {
+            seenTags.add(tag.toLowerCase());
+            tags.push(tag);
+        }
+    });
+    return tags;
+}
+
+function mergeNotes(first, second) {
+    return [first, second]
+        .map(note => (note || '').trim())
+        .filter((note, i, all) => note && all.indexOf(note) === i)
+        .join('\n\n---\n\n');
+}
+
+// Folds `removeId` into `keepId`: tags, images and notes are combined, the
+// higher rating and earliest creation date win, and usage counts add up.
+function mergePrompts(keepId, removeId) {
+    const keep = state.prompts.find(p => p.id === keepId);
+    const remove = state.prompts.find(p => p.id === removeId);
+    if (!keep || !remove) return;
+    
+    runCommand(`Merged "${remove.title}" into "${keep.title}"`, () => {
+        const index = state.prompts.findIndex(p => p.id === keepId);
+        const merged = {
+            ...mergePromptFields(keep, remove),
+            updatedAt: new Date().toISOString()
+        };
+        merged.revisions = recordRevision(keep, merged, `Merged with "${remove.title}"`);
+        state.prompts[index] = merged;
+        
+        state.prompts = state.prompts.filter(p => p.id !== removeId);
+        
+        // A merged favorite stays a favorite
+        const wasFavorite = state.favorites.includes(removeId);
+        state.favorites = state.favorites.filter(id => id !== removeId);
+        if (wasFavorite && !state.favorites.includes(keepId)) {
+            state.favorites.push(keepId);
+        }
+    });
     
-    // Add event listeners
-    const fileInput = newCard.querySelector('.image-input');
-    fileInput.addEventListener('change', handleImageUpload);
+    state.selectedPrompts.delete(removeId);
+}
+
+// Version History
+// Every save appends a revision to prompt.revisions. Revisions hold the
+// wording fields only; category, images and engine are not versioned.
+const MAX_REVISIONS = 50;
+const REVISION_FIELDS = ['title', 'content', 'tags', 'notes', 'rating'];
+
+function createRevision(prompt, savedAt, note = '') {
+    return {
+        id: generateId(),
+        savedAt: savedAt || new Date().toISOString(),
+        note: note || '',
+        title: prompt.title || '',
+        content: prompt.content || '',
+        tags: [...(prompt.tags || [])],
+        notes: prompt.notes || '',
+        rating: prompt.rating || 0
+    };
+}
+
+function hasRevisionChanges(revision, prompt) {
+    return REVISION_FIELDS.some(field => {
+        if (field === 'tags') return (revision.tags || []).join('\u0000') !== (prompt.tags || []).join('\u0000');
+        if (field === 'rating') return (revision.rating || 0) !== (prompt.rating || 0);
+        return (revision[field] || '') !== (prompt[field] || '');
+    });
+}
+
+// Returns the revision list for `next`, given the record it replaces.
+// Prompts saved before revisions existed get their old wording recorded
+// first so the first edit never loses it.
+function recordRevision(previous, next, note = '') {
+    let revisions = previous && previous.revisions && previous.revisions.length > 0
+        ? [...previous.revisions]
+        : [];
+    if (previous && revisions.length === 0) {
+        revisions.push(createRevision(previous, previous.updatedAt || previous.createdAt));
+    }
     
-    // Update "Add more" button text if needed
-    if (nextIndex === 2) {
-        addMoreBtn.querySelector('span').textContent = 'Max 3 images';
-        addMoreBtn.style.opacity = '0.5';
-        addMoreBtn.style.cursor = 'not-allowed';
+    const latest = revisions[revisions.length - 1];
+    if (!latest || hasRevisionChanges(latest, next)) {
+        revisions.push(createRevision(next, next.updatedAt, note));
     }
     
-    showToast('New input image slot added', 'info');
+    return revisions.slice(-MAX_REVISIONS);
 }
 
-// Add Result Image Slot
-function addResultImageSlot() {
-    const imagesGrid = document.getElementById('resultImagesGrid');
-    if (!imagesGrid) return;
-    
-    // Count existing result images
-    const resultCards = imagesGrid.querySelectorAll('.image-upload-card[data-type="result"]');
-    const nextIndex = resultCards.length;
-    
-    // Don't add more than 5 result images
-    if (nextIndex >= 5) {
-        showToast('Maximum 5 result images allowed', 'warning');
-        return;
+function getPromptRevisions(prompt) {
+    if (prompt.revisions && prompt.revisions.length > 0) return prompt.revisions;
+    return [createRevision(prompt, prompt.updatedAt || prompt.createdAt)];
+}
+
+// Word-level diff (LCS over words and whitespace). Returns a list of
+// { type: 'same' | 'added' | 'removed', text } parts.
+function diffWords(oldText, newText) {
+    const a = (oldText || '').split(/(\s+)/).filter(Boolean);
+    const b = (newText || '').split(/(\s+)/).filter(Boolean);
+    
+    // Common prefix and suffix don't need the LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
     }
     
-    // Create new image card
-    const newCard = document.createElement('div');
-    newCard.className = 'image-upload-card';
-    newCard.dataset.type = 'result';
-    newCard.dataset.index = nextIndex;
-    
-    newCard.innerHTML = `
-        <div class="image-upload-placeholder">
-            <i class="fas fa-image"></i>
-            <span>Result ${nextIndex + 1}</span>
-            <small>Example output image</small>
-        </div>
-        <input type="file" class="image-input" accept="image/*" data-type="result" data-index="${nextIndex}">
-        <div class="image-preview-container"></div>
-        <button type="button" class="remove-image">×</button>
-    `;
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
     
-    // Insert before the "Add more" button
-    const addMoreBtn = document.getElementById('addResultImageBtn');
-    imagesGrid.insertBefore(newCard, addMoreBtn);
+    a.slice(0, start).forEach(word => push('same', word));
     
-    // Add event listeners
-    const fileInput = newCard.querySelector('.image-input');
-    fileInput.addEventListener('change', handleImageUpload);
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const rows = midA.length + 1;
+    const cols = midB.length + 1;
     
-    // Update "Add more" button text if needed
-    if (nextIndex === 4) {
-        addMoreBtn.querySelector('span').textContent = 'Max 5 images';
-        addMoreBtn.style.opacity = '0.5';
-        addMoreBtn.style.cursor = 'not-allowed';
+    if (rows * cols > 4000000) {
+        // Too large to align word by word: show as a full replacement
+        midA.forEach(word => push('removed', word));
+        midB.forEach(word => push('added', word));
+    } else {
+        // lcs[i * cols + j] = LCS length of midA[i:] and midB[j:]
+        const lcs = new Uint32Array(rows * cols);
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lcs[i * cols + j] = midA[i] === midB[j]
+                    ? lcs[(i + 1) * cols + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                push('same', midA[i]);
+                i++;
+                j++;
+            } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+                push('removed', midA[i++]);
+            } else {
+                push('added', midB[j++]);
+            }
+        }
+        midA.slice(i).forEach(word => push('removed', word));
+        midB.slice(j).forEach(word => push('added', word));
     }
     
-    showToast('New result image slot added', 'info');
+    a.slice(endA).forEach(word => push('same', word));
+    return parts;
 }
 
-// Update the setupImageUploads function:
-function setupImageUploads() {
-    // File upload handling
-    document.querySelectorAll('.image-input').forEach(input => {
-        input.addEventListener('change', handleImageUpload);
-    });
+function renderWordDiff(oldText, newText) {
+    return diffWords(oldText, newText).map(part => {
+        const text = escapeHtml(part.text).replace(/\n/g, '<br>');
+        if (part.type === 'added') return `<ins class="diff-added">${text}</ins>`;
+        if (part.type === 'removed') return `<del class="diff-removed">${text}</del>`;
+        return text;
+    }).join('');
+}
+
+function renderRevisionDiff(from, to) {
+    const sections = [];
     
-    // Add more input images button
-    const addInputBtn = document.getElementById('addInputImageBtn');
-    if (addInputBtn) {
-        addInputBtn.addEventListener('click', addInputImageSlot);
+    if (from.title !== to.title) {
+        sections.push(`
+            <div class="revision-diff-field">
+                <span class="revision-diff-label">Title</span>
+                <div>${renderWordDiff(from.title, to.title)}</div>
+            </div>
+        `);
     }
     
-    // Add more result images button
-    const addResultBtn = document.getElementById('addResultImageBtn');
-    if (addResultBtn) {
-        addResultBtn.addEventListener('click', addResultImageSlot);
+    if ((from.rating || 0) !== (to.rating || 0)) {
+        sections.push(`
+            <div class="revision-diff-field">
+                <span class="revision-diff-label">Rating</span>
+                <div><del class="diff-removed">${from.rating || 0}/5</del> → <ins class="diff-added">${to.rating || 0}/5</ins></div>
+            </div>
+        `);
     }
     
-    // Add image from URL button
-    const addUrlBtn = document.getElementById('addImageUrlBtn');
-    if (addUrlBtn) {
-        addUrlBtn.addEventListener('click', showImageUrlModal);
+    const fromTags = new Set(from.tags || []);
+    const toTags = new Set(to.tags || []);
+    const removedTags = [...fromTags].filter(tag => !toTags.has(tag));
+    const addedTags = [...toTags].filter(tag => !fromTags.has(tag));
+    if (removedTags.length > 0 || addedTags.length > 0) {
+        sections.push(`
+            <div class="revision-diff-field">
+                <span class="revision-diff-label">Tags</span>
+                <div class="tags-list">
+                    ${removedTags.map(tag => `<span class="tag diff-removed">${escapeHtml(tag)}</span>`).join('')}
+                    ${addedTags.map(tag => `<span class="tag diff-added">${escapeHtml(tag)}</span>`).join('')}
+                </div>
+            </div>
+        `);
     }
     
-    // Load image from URL
-    const loadUrlBtn = document.getElementById('loadImageUrlBtn');
-    if (loadUrlBtn) {
-        loadUrlBtn.addEventListener('click', loadImageFromUrl);
+    if (from.content !== to.content) {
+        sections.push(`
+            <div class="revision-diff-field">
+                <span class="revision-diff-label">Content</span>
+                <div class="content-box revision-diff-text">${renderWordDiff(from.content, to.content)}</div>
+            </div>
+        `);
     }
-}
-
-// Update the loadImageFromUrl function to handle both input and result images:
-async function loadImageFromUrl() {
-    const urlInput = document.getElementById('imageUrlInput');
-    const typeSelect = document.getElementById('imageTypeSelect');
-    
-    const url = urlInput.value.trim();
-    const type = typeSelect.value;
     
-    if (!url) {
-        showToast('Please enter an image URL', 'warning');
-        return;
+    if ((from.notes || '') !== (to.notes || '')) {
+        sections.push(`
+            <div class="revision-diff-field">
+                <span class="revision-diff-label">Notes</span>
+                <div class="notes-box revision-diff-text">${renderWordDiff(from.notes, to.notes)}</div>
+            </div>
+        `);
     }
     
-    // Validate URL format
-    try {
-        new URL(url);
-    } catch {
-        showToast('Please enter a valid URL (e.g., https://example.com/image.jpg)', 'error');
+    return sections.length > 0
+        ? sections.join('')
+        : '<p class="help-text">These versions are identical.</p>';
+}
+
+function renderRevisionHistory(prompt, container) {
+    const revisions = getPromptRevisions(prompt);
+    const latestIndex = revisions.length - 1;
+    const revisionLabel = (revision, index) =>
+        `v${index + 1} · ${formatDate(revision.savedAt)} ${formatTime(revision.savedAt)}${index === latestIndex ? ' (current)' : ''}`;
+    
+    if (revisions.length < 2) {
+        container.innerHTML = `
+            <div class="panel-empty">
+                <i class="fas fa-history"></i>
+                <p>No earlier versions yet. Every time you save this prompt, a new version is added here.</p>
+            </div>
+        `;
         return;
     }
     
-    // Validate it's likely an image URL
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.bmp'];
-    const isImageUrl = imageExtensions.some(ext => 
-        url.toLowerCase().includes(ext)
-    );
+    const options = (selected) => revisions.map((revision, index) => `
+        <option value="${index}" ${index === selected ? 'selected' : ''}>${escapeHtml(revisionLabel(revision, index))}</option>
+    `).join('');
     
-    if (!isImageUrl) {
-        showToast('URL does not appear to be an image. Please check the extension.', 'warning');
-    }
+    container.innerHTML = `
+        <div class="revision-compare">
+            <label for="revisionFrom">Compare</label>
+            <select id="revisionFrom">${options(latestIndex - 1)}</select>
+            <label for="revisionTo">with</label>
+            <select id="revisionTo">${options(latestIndex)}</select>
+        </div>
+        <div class="revision-diff" id="revisionDiff"></div>
+        
+        <h4 class="revision-list-title">Versions (${revisions.length})</h4>
+        <ul class="revision-list">
+            ${revisions.map((revision, index) => ({ revision, index })).reverse().map(({ revision, index }) => `
+                <li class="revision-item ${index === latestIndex ? 'current' : ''}" data-index="${index}">
+                    <div class="revision-info">
+                        <strong>v${index + 1}</strong>
+                        <span class="revision-date">${formatDate(revision.savedAt)} ${formatTime(revision.savedAt)}</span>
+                        ${index === latestIndex ? '<span class="revision-badge">Current</span>' : ''}
+                        ${revision.note ? `<div class="revision-note">${escapeHtml(revision.note)}</div>` : ''}
+                    </div>
+                    ${index === latestIndex ? '' : `
+                        <div class="revision-actions">
+                            <button class="btn-text small" data-action="compare">Compare with current</button>
+                            <button class="btn-text small primary" data-action="restore">
+                                <i class="fas fa-undo"></i> Restore
+                            </button>
+                        </div>
+                    `}
+                </li>
+            `).join('')}
+        </ul>
+    `;
     
-    // Show loading
-    showLoading(true);
+    const fromSelect = container.querySelector('#revisionFrom');
+    const toSelect = container.querySelector('#revisionTo');
+    const updateDiff = () => {
+        container.querySelector('#revisionDiff').innerHTML = renderRevisionDiff(
+            revisions[parseInt(fromSelect.value)],
+            revisions[parseInt(toSelect.value)]
+        );
+    };
+    fromSelect.addEventListener('change', updateDiff);
+    toSelect.addEventListener('change', updateDiff);
+    updateDiff();
     
-    try {
-        // Create a proxy URL to avoid CORS issues
-        // Note: corsproxy.io requires https:// prefix in the URL
-        const proxyUrl = `https://corsproxy.io/?${encodeURIComponent(url)}`;
+    container.querySelectorAll('.revision-item').forEach(item => {
+        const index = parseInt(item.dataset.index);
         
-        const response = await fetch(proxyUrl, {
-            headers: {
-                'Accept': 'image/*',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
+        item.querySelector('[data-action="compare"]')?.addEventListener('click', () => {
+            fromSelect.value = index;
+            toSelect.value = latestIndex;
+            updateDiff();
+            container.querySelector('.revision-compare').scrollIntoView?.({ behavior: 'smooth', block: 'nearest' });
         });
+        item.querySelector('[data-action="restore"]')?.addEventListener('click', () => {
+            restoreRevision(prompt.id, revisions[index].id);
+        });
+    });
+}
+
+function restoreRevision(promptId, revisionId) {
+    const prompt = state.prompts.find(p => p.id === promptId);
+    const revision = prompt && getPromptRevisions(prompt).find(r => r.id === revisionId);
+    if (!revision) return;
+    
+    const when = `${formatDate(revision.savedAt)} ${formatTime(revision.savedAt)}`;
+    runCommand(`Restored "${revision.title}" to ${when}`, () => {
+        updatePrompt(promptId, {
+            title: revision.title,
+            content: revision.content,
+            tags: [...revision.tags],
+            notes: revision.notes,
+            rating: revision.rating,
+            variables: extractVariables(revision.content)
+        }, `Restored version from ${when}`);
+    });
+    
+    saveState();
+    refreshAllViews();
+    showToast(`Restored version from ${when}`, 'success');
+    
+    const restored = state.prompts.find(p => p.id === promptId);
+    if (restored) showPromptDetails(restored, { tab: 'revisions' });
+}
+
+// Export
+// Besides the JSON backup, prompts can be exported in formats meant for
+// wikis and spreadsheets. All of them except YAML can be imported again.
+const EXPORT_FORMATS = {
+    json: { label: 'JSON', description: 'Full backup, re-importable', extension: 'json', mimeType: 'application/json' },
+    markdown: { label: 'Markdown', description: 'One section per prompt, for wikis', extension: 'md', mimeType: 'text/markdown' },
+    csv: { label: 'CSV', description: 'One row per prompt, for spreadsheets', extension: 'csv', mimeType: 'text/csv' },
+    yaml: { label: 'YAML', description: 'Readable structured data', extension: 'yaml', mimeType: 'application/x-yaml' },
+    txt: { label: 'Plain text', description: 'Simple .txt bundle', extension: 'txt', mimeType: 'text/plain' }
+};
+
+const CSV_COLUMNS = ['title', 'category', 'content', 'tags', 'notes', 'rating', 'engine', 'complexity', 'usageCount', 'createdAt', 'updatedAt', 'id'];
+
+function showExportModal() {
+    let modal = document.getElementById('exportModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'exportModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content modal-lg">
+                <div class="modal-header">
+                    <h3><i class="fas fa-file-export"></i> Export Prompts</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Cancel</button>
+                    <button class="btn btn-primary" id="confirmExportBtn">
+                        <i class="fas fa-download"></i> <span>Export</span>
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
         
-        if (!response.ok) {
-            throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
-        }
-        
-        const blob = await response.blob();
-        
-        // Validate it's actually an image
-        if (!blob.type.startsWith('image/')) {
-            throw new Error('URL does not point to an image file');
-        }
-        
-        // Validate file size (max 5MB)
-        if (blob.size > 5 * 1024 * 1024) {
-            throw new Error('Image file is too large (max 5MB)');
-        }
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('exportModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('exportModal');
+        });
+    }
+    
+    const filteredCount = getFilteredPrompts().length;
+    const selectedCount = state.selectedPrompts.size;
+    const activeCategory = document.querySelector('.category-item.active')?.dataset.category;
+    
+    modal.querySelector('.modal-body').innerHTML = `
+        <div class="form-group">
+            <label>Format</label>
+            <div class="export-options">
+                ${Object.entries(EXPORT_FORMATS).map(([id, format], index) => `
+                    <label class="export-option">
+                        <input type="radio" name="exportFormat" value="${id}" ${index === 0 ? 'checked' : ''}>
+                        <span class="export-option-label">${format.label} <small>.${format.extension}</small></span>
+                        <span class="export-option-description">${format.description}</span>
+                    </label>
+                `).join('')}
+            </div>
+        </div>
         
-        // Convert blob to base64
-        const base64Image = await blobToBase64(blob);
+        <div class="form-group">
+            <label>Prompts</label>
+            <div class="export-scopes">
+                <label class="export-scope">
+                    <input type="radio" name="exportScope" value="all" checked>
+                    All prompts <span class="help-text">(${state.prompts.length})</span>
+                </label>
+                <label class="export-scope">
+                    <input type="radio" name="exportScope" value="filtered">
+                    Current view <span class="help-text">(${filteredCount}, with the active search and filters)</span>
+                </label>
+                <label class="export-scope ${selectedCount === 0 ? 'disabled' : ''}">
+                    <input type="radio" name="exportScope" value="selected" ${selectedCount === 0 ? 'disabled' : ''}>
+                    Selected prompts <span class="help-text">(${selectedCount})</span>
+                </label>
+                <label class="export-scope">
+                    <input type="radio" name="exportScope" value="category">
+                    Category
+                    <select id="exportCategory">
+                        ${Array.from(state.categories.values()).map(cat => `
+                            <option value="${cat.id}" ${cat.id === activeCategory ? 'selected' : ''}>${escapeHtml(cat.name)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+        </div>
         
-        // Find appropriate image card based on type
-        let targetCard = null;
-        let gridId = '';
-        let addFunction = null;
+        <label class="export-checkbox" id="exportImagesOption">
+            <input type="checkbox" id="exportIncludeImages" checked>
+            Include images (makes JSON files much larger)
+        </label>
         
-        if (type === 'input') {
-            gridId = 'inputImagesGrid';
-            addFunction = addInputImageSlot;
-        } else {
-            gridId = 'resultImagesGrid';
-            addFunction = addResultImageSlot;
-        }
+        <label class="export-checkbox">
+            <input type="checkbox" id="exportEncrypt">
+            Encrypt with a password
+        </label>
+        <div class="export-password" id="exportPasswordFields" hidden>
+            <input type="password" id="exportPassword" placeholder="Password (at least ${MIN_PASSPHRASE_LENGTH} characters)" autocomplete="new-password">
+            <input type="password" id="exportPasswordConfirm" placeholder="Repeat password" autocomplete="new-password">
+            <p class="help-text">The file can only be imported with this password. Send it separately from the file.</p>
+        </div>
         
-        const imagesGrid = document.getElementById(gridId);
-        if (!imagesGrid) {
-            throw new Error('Could not find image grid');
-        }
+        <div class="form-group">
+            <label>Preview <span class="help-text" id="exportSummary"></span></label>
+            <pre class="export-preview" id="exportPreview"></pre>
+        </div>
+    `;
+    
+    const getOptions = () => ({
+        format: modal.querySelector('input[name="exportFormat"]:checked').value,
+        scope: modal.querySelector('input[name="exportScope"]:checked').value,
+        categoryId: modal.querySelector('#exportCategory').value,
+        includeImages: modal.querySelector('#exportIncludeImages').checked,
+        encrypt: modal.querySelector('#exportEncrypt').checked
+    });
+    
+    const updatePreview = () => {
+        const options = getOptions();
+        const prompts = getExportPrompts(options.scope, options.categoryId);
+        const content = serializeExport(prompts, options);
         
-        // Find first empty card of the specified type
-        const cards = imagesGrid.querySelectorAll(`.image-upload-card[data-type="${type}"]:not(.add-more-btn)`);
+        modal.querySelector('#exportImagesOption').style.display = options.format === 'json' ? '' : 'none';
+        modal.querySelector('#exportPasswordFields').hidden = !options.encrypt;
+        modal.querySelector('#exportSummary').textContent =
+            `${prompts.length} prompt${prompts.length === 1 ? '' : 's'}, ${formatBytes(new Blob([content]).size)}`;
+        modal.querySelector('#exportPreview').textContent =
+            content.length > 1500 ? `${content.substring(0, 1500)}\n...` : content;
         
-        // Remove the "add more" button from the search
-        const availableCards = Array.from(cards).filter(card => 
-            !card.classList.contains('has-image')
-        );
+        const exportBtn = modal.querySelector('#confirmExportBtn');
+        exportBtn.disabled = prompts.length === 0;
+        exportBtn.querySelector('span').textContent = `Export ${options.encrypt ? 'encrypted ' : ''}${EXPORT_FORMATS[options.format].label}`;
+    };
+    
+    // Choosing a category implies the category scope
+    modal.querySelector('#exportCategory').addEventListener('change', () => {
+        modal.querySelector('input[name="exportScope"][value="category"]').checked = true;
+    });
+    modal.querySelector('.modal-body').addEventListener('change', updatePreview);
+    updatePreview();
+    
+    modal.querySelector('#confirmExportBtn').onclick = async () => {
+        const options = getOptions();
+        const prompts = getExportPrompts(options.scope, options.categoryId);
         
-        // If no empty slot, add a new one
-        if (availableCards.length === 0 && addFunction) {
-            addFunction();
-            // Wait a bit for the new card to be added to DOM
-            await new Promise(resolve => setTimeout(resolve, 100));
-            
-            // Get the newly added card (should be the last one before add button)
-            const newCards = imagesGrid.querySelectorAll(`.image-upload-card[data-type="${type}"]:not(.add-more-btn)`);
-            targetCard = newCards[newCards.length - 1];
-            
-            if (!targetCard) {
-                throw new Error('Failed to create new image slot');
+        if (options.encrypt) {
+            const password = modal.querySelector('#exportPassword').value;
+            if (password.length < MIN_PASSPHRASE_LENGTH) {
+                showToast(`Use a password of at least ${MIN_PASSPHRASE_LENGTH} characters`, 'warning');
+                return;
             }
-        } else {
-            targetCard = availableCards[0];
+            if (password !== modal.querySelector('#exportPasswordConfirm').value) {
+                showToast('The passwords do not match', 'warning');
+                return;
+            }
+            options.password = password;
         }
         
-        if (targetCard) {
-            // Get the index from the card
-            const index = parseInt(targetCard.dataset.index);
-            const cacheId = `image-${type}-${index}`;
-            
-            // Cache the image
-            state.imageCache.set(cacheId, base64Image);
-            
-            // Display preview
-            displayImagePreview(targetCard, base64Image);
-            
-            showToast('Image loaded from URL successfully!', 'success');
-            urlInput.value = ''; // Clear input
+        const exportBtn = modal.querySelector('#confirmExportBtn');
+        exportBtn.disabled = true;
+        const exported = await exportPrompts(prompts, options);
+        exportBtn.disabled = false;
+        if (exported) closeModal('exportModal');
+    };
+    
+    showModal('exportModal');
+}
+
+function getExportPrompts(scope, categoryId) {
+    switch (scope) {
+        case 'filtered':
+            return sortPrompts(getFilteredPrompts());
+        case 'selected':
+            return state.prompts.filter(p => state.selectedPrompts.has(p.id));
+        case 'category': {
+            const ids = addSubcategoryIds(new Set([categoryId]));
+            return state.prompts.filter(p => ids.has(p.category));
+        }
+        default:
+            return state.prompts;
+    }
+}
+
+async function exportPrompts(prompts, options) {
+    try {
+        const format = EXPORT_FORMATS[options.format];
+        const scopeSuffix = options.scope === 'category'
+            ? `-${slugify(getCategoryName(options.categoryId))}`
+            : options.scope === 'all' ? '' : `-${options.scope}`;
+        const date = new Date().toISOString().slice(0, 10);
+        const fileName = `prompt-vault${scopeSuffix}-${date}`;
+        const content = serializeExport(prompts, options);
+        
+        if (options.password) {
+            downloadFile(
+                await encryptExport(content, options.format, options.password),
+                `${fileName}.${format.extension}.${ENCRYPTED_EXPORT_EXTENSION}`,
+                'application/json'
+            );
+        } else {
+            downloadFile(content, `${fileName}.${format.extension}`, `${format.mimeType};charset=utf-8`);
         }
         
+        showToast(`Exported ${prompts.length} prompt${prompts.length === 1 ? '' : 's'} as ${options.password ? 'encrypted ' : ''}${format.label}`, 'success');
+        return true;
     } catch (error) {
-        console.error('Image URL loading error:', error);
-        
-        // Try a fallback method using img tag
-        showToast(`Loading from URL failed. Trying alternative method...`, 'warning');
-        
-        // Fallback: Use img tag to load image
-        setTimeout(() => {
-            tryFallbackImageLoad(url, type);
-        }, 1000);
-        
-    } finally {
-        showLoading(false);
-        closeModal('imageUrlModal');
+        console.error('❌ Export failed:', error);
+        showToast('Export failed', 'error');
+        return false;
     }
 }
 
-// Helper function to convert blob to base64
-function blobToBase64(blob) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onloadend = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(blob);
-    });
+function serializeExport(prompts, options) {
+    switch (options.format) {
+        case 'markdown': return promptsToMarkdown(prompts);
+        case 'csv': return promptsToCsv(prompts);
+        case 'yaml': return promptsToYaml(prompts);
+        case 'txt': return promptsToText(prompts);
+        default: return promptsToJson(prompts, options);
+    }
 }
 
-// Fallback method for loading images
-function tryFallbackImageLoad(url, type) {
-    showLoading(true);
+function slugify(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'export';
+}
+
+function promptsToJson(prompts, options = {}) {
+    // Keep parent categories so subcategories import with their hierarchy
+    const usedCategories = new Set(prompts.map(p => p.category));
+    usedCategories.forEach(id => {
+        let parentId = state.categories.get(id)?.parentId;
+        while (parentId && !usedCategories.has(parentId)) {
+            usedCategories.add(parentId);
+            parentId = state.categories.get(parentId)?.parentId;
+        }
+    });
     
-    // Create a temporary image element to load and convert
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
+    const { records, assets } = splitExportImages(
+        options.includeImages === false ? prompts.map(prompt => ({ ...prompt, images: [] })) : prompts
+    );
     
-    img.onload = function() {
-        try {
-            // Create canvas to convert image to base64
-            const canvas = document.createElement('canvas');
-            canvas.width = img.width;
-            canvas.height = img.height;
-            
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-            
-            // Convert to base64
-            const base64Image = canvas.toDataURL('image/png');
-            
-            // Find target card (same logic as above)
-            let targetCard = null;
-            let gridId = type === 'input' ? 'inputImagesGrid' : 'resultImagesGrid';
-            const imagesGrid = document.getElementById(gridId);
-            
-            if (imagesGrid) {
-                const cards = imagesGrid.querySelectorAll(`.image-upload-card[data-type="${type}"]:not(.add-more-btn)`);
-                const availableCards = Array.from(cards).filter(card => 
-                    !card.classList.contains('has-image')
-                );
-                
-                if (availableCards.length > 0) {
-                    targetCard = availableCards[0];
-                    const index = parseInt(targetCard.dataset.index);
-                    const cacheId = `image-${type}-${index}`;
-                    
-                    // Cache the image
-                    state.imageCache.set(cacheId, base64Image);
-                    
-                    // Display preview
-                    displayImagePreview(targetCard, base64Image);
-                    
-                    showToast('Image loaded using fallback method!', 'success');
-                }
-            }
-        } catch (error) {
-            console.error('Fallback method error:', error);
-            showToast('Failed to load image even with fallback method', 'error');
-        } finally {
-            showLoading(false);
-        }
+    const exportData = {
+        prompts: records,
+        assets,
+        // A full export is also a complete backup, so it keeps the templates
+        templates: options.scope === 'all' || !options.scope ? state.templates : [],
+        categories: Array.from(state.categories.values()).filter(cat =>
+            options.scope === 'all' || !options.scope || usedCategories.has(cat.id)
+        ),
+        exportedAt: new Date().toISOString(),
+        version: APP_VERSION,
+        schemaVersion: SCHEMA_VERSION
     };
     
-    img.onerror = function() {
-        showLoading(false);
-        showToast('Failed to load image. The URL might be blocked or invalid.', 'error');
-    };
+    return JSON.stringify(exportData, null, 2);
+}
+
+// JSON exports list each image once under `assets`, keyed by its content
+// hash, and prompts refer to it by id (see resolveImportAssets)
+function splitExportImages(prompts) {
+    const assets = {};
+    
+    const records = prompts.map(prompt => ({
+        ...prompt,
+        images: (prompt.images || []).map(img => {
+            if (!isImageHash(img.id)) return img;
+            assets[img.id] = img.url;
+            if (img.thumbnail) assets[getThumbnailId(img.id)] = img.thumbnail;
+            const { url, thumbnail, ...ref } = img;
+            return ref;
+        })
+    }));
     
-    // Start loading
-    img.src = url;
+    return { records, assets };
 }
 
+function getExportMetadata(prompt) {
+    return [
+        ['Category', getCategoryName(prompt.category)],
+        ['Tags', (prompt.tags || []).join(', ')],
+        ['Engine', prompt.engine ? getEngineLabel(prompt.engine) : ''],
+        ['Rating', prompt.rating ? `${prompt.rating}/5` : ''],
+        ['Complexity', prompt.complexity ? `${prompt.complexity}/5` : ''],
+        ['Created', prompt.createdAt ? formatDate(prompt.createdAt) : ''],
+        ['Updated', prompt.updatedAt ? formatDate(prompt.updatedAt) : '']
+    ].filter(([, value]) => value);
+}
 
-// Update the loadPromptImages function:
-function loadPromptImages(images) {
-    if (!images || !Array.isArray(images)) return;
-    
-    // Clear all existing images first
-    document.querySelectorAll('.image-upload-card').forEach(card => {
-        removeImage(card);
-    });
-    
-    // Reset both grids to initial state
-    resetImageGrid('inputImagesGrid', 'input', addInputImageSlot);
-    resetImageGrid('resultImagesGrid', 'result', addResultImageSlot);
-    
-    // Group images by type
-    const inputImages = images.filter(img => img.type === 'input');
-    const resultImages = images.filter(img => img.type === 'result');
+function promptsToMarkdown(prompts) {
+    const lines = [
+        `# ${APP_NAME} Export`,
+        '',
+        `_${prompts.length} prompt${prompts.length === 1 ? '' : 's'} exported on ${formatDate(new Date())}_`,
+        ''
+    ];
     
-    // Load input images
-    inputImages.forEach((img, index) => {
-        if (index > 0) {
-            addInputImageSlot();
+    prompts.forEach(prompt => {
+        // The fence has to be longer than any backtick run inside the prompt
+        const longestRun = Math.max(2, ...((prompt.content || '').match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        
+        lines.push('---', '', `## ${prompt.title || 'Untitled'}`, '');
+        getExportMetadata(prompt).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+        lines.push('', fence + 'text', prompt.content || '', fence, '');
+        
+        if (prompt.notes) {
+            lines.push('### Notes', '', ...prompt.notes.split('\n').map(line => `> ${line}`), '');
         }
-        setTimeout(() => {
-            const cards = document.querySelectorAll('.image-upload-card[data-type="input"]');
-            const card = cards[index];
-            if (card && img.url) {
-                const cacheId = `image-input-${card.dataset.index}`;
-                state.imageCache.set(cacheId, img.url);
-                displayImagePreview(card, img.url);
-            }
-        }, 100);
     });
     
-    // Load result images
-    resultImages.forEach((img, index) => {
-        if (index > 0) {
-            addResultImageSlot();
-        }
-        setTimeout(() => {
-            const cards = document.querySelectorAll('.image-upload-card[data-type="result"]');
-            const card = cards[index];
-            if (card && img.url) {
-                const cacheId = `image-result-${card.dataset.index}`;
-                state.imageCache.set(cacheId, img.url);
-                displayImagePreview(card, img.url);
-            }
-        }, 100);
-    });
+    return lines.join('\n');
 }
 
-// Helper function to reset image grid
-function resetImageGrid(gridId, type, addFunction) {
-    const grid = document.getElementById(gridId);
-    if (!grid) return;
+function escapeCsvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
     
-    // Remove all cards except first one and add button
-    const cards = grid.querySelectorAll(`.image-upload-card[data-type="${type}"]`);
-    for (let i = 1; i < cards.length; i++) {
-        cards[i].remove();
-    }
+    // Stop spreadsheets from evaluating cells as formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
     
-    // Reset add button
-    const addBtn = grid.querySelector(`#add${type.charAt(0).toUpperCase() + type.slice(1)}ImageBtn`);
-    if (addBtn) {
-        if (type === 'input') {
-            addBtn.querySelector('span').textContent = 'Add Input Image';
-        } else {
-            addBtn.querySelector('span').textContent = 'Add Result Image';
-        }
-        addBtn.style.opacity = '1';
-        addBtn.style.cursor = 'pointer';
-    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function promptsToCsv(prompts) {
+    const rows = prompts.map(prompt => CSV_COLUMNS.map(column => {
+        if (column === 'tags') return escapeCsvField((prompt.tags || []).join(', '));
+        if (column === 'category') return escapeCsvField(getCategoryName(prompt.category));
+        return escapeCsvField(prompt[column]);
+    }).join(','));
     
-    // Reset the first card
-    const firstCard = grid.querySelector(`.image-upload-card[data-type="${type}"]`);
-    if (firstCard) {
-        removeImage(firstCard);
-    }
+    // The byte order mark makes Excel read the file as UTF-8
+    return '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\r\n');
 }
 
-// Update the resetPromptForm function:
-function resetPromptForm() {
-    const form = document.getElementById('promptForm');
-    if (form) {
-        form.reset();
-    }
+// JSON strings are valid YAML double-quoted scalars; multi-line text is
+// written as a literal block so it stays readable.
+function toYamlString(text, indent) {
+    const value = text || '';
+    const canUseBlock = value.includes('\n') && !/^[ \t]/.test(value) && !value.includes('\r');
+    if (!canUseBlock) return JSON.stringify(value);
+    
+    const chomping = value.endsWith('\n') ? '+' : '-';
+    const body = value.replace(/\n$/, '').split('\n')
+        .map(line => line ? indent + line : '')
+        .join('\n');
+    return `|${chomping}\n${body}`;
+}
+
+function promptsToYaml(prompts) {
+    const lines = [
+        `# ${APP_NAME} export, ${new Date().toISOString()}`,
+        `version: ${JSON.stringify(APP_VERSION)}`,
+        'prompts:'
+    ];
     
-    // Reset tags
-    const tagsContainer = document.getElementById('tagsContainer');
-    if (tagsContainer) {
-        tagsContainer.innerHTML = '';
+    if (prompts.length === 0) {
+        lines[lines.length - 1] = 'prompts: []';
     }
     
-    // Reset images
-    document.querySelectorAll('.image-upload-card').forEach(card => {
-        removeImage(card);
-    });
-    
-    // Reset both image grids to initial state
-    resetImageGrid('inputImagesGrid', 'input', addInputImageSlot);
-    resetImageGrid('resultImagesGrid', 'result', addResultImageSlot);
-    
-    // Clear image cache for this form
-    Array.from(state.imageCache.keys()).forEach(key => {
-        if (key.startsWith('image-')) {
-            state.imageCache.delete(key);
-        }
+    prompts.forEach(prompt => {
+        lines.push(`  - id: ${JSON.stringify(prompt.id || '')}`);
+        lines.push(`    title: ${toYamlString(prompt.title, '      ')}`);
+        lines.push(`    category: ${JSON.stringify(getCategoryName(prompt.category))}`);
+        lines.push(`    tags: [${(prompt.tags || []).map(tag => JSON.stringify(tag)).join(', ')}]`);
+        if (prompt.engine) lines.push(`    engine: ${JSON.stringify(prompt.engine)}`);
+        lines.push(`    rating: ${prompt.rating || 0}`);
+        lines.push(`    complexity: ${prompt.complexity || 3}`);
+        if (prompt.createdAt) lines.push(`    createdAt: ${JSON.stringify(prompt.createdAt)}`);
+        if (prompt.updatedAt) lines.push(`    updatedAt: ${JSON.stringify(prompt.updatedAt)}`);
+        lines.push(`    content: ${toYamlString(prompt.content, '      ')}`);
+        if (prompt.notes) lines.push(`    notes: ${toYamlString(prompt.notes, '      ')}`);
     });
     
-    // Reset rating
-    updateRatingStars(0);
-    
-    // Reset character count
-    updateCharCount();
+    return lines.join('\n') + '\n';
+}
+
+function promptsToText(prompts) {
+    return prompts.map(prompt => {
+        const title = prompt.title || 'Untitled';
+        const meta = getExportMetadata(prompt)
+            .filter(([label]) => label !== 'Updated')
+            .map(([label, value]) => `${label}: ${value}`)
+            .join(' | ');
+        
+        return [
+            title,
+            '='.repeat(Math.min(title.length, 80)),
+            meta,
+            '',
+            prompt.content || '',
+            ...(prompt.notes ? ['', `Notes: ${prompt.notes}`] : [])
+        ].join('\n');
+    }).join(`\n\n${'-'.repeat(60)}\n\n`) + '\n';
+}
+
+// Encrypted Exports
+// An export can be wrapped in a JSON envelope encrypted with a password.
+// The header names the KDF, cipher and inner format, so the file can be
+// decrypted and then imported like the export it contains.
+const ENCRYPTED_EXPORT_TYPE = 'prompt-vault-encrypted';
+const ENCRYPTED_EXPORT_EXTENSION = 'pvault';
+// Files set their own iteration count; this keeps a crafted one from
+// freezing the tab
+const MAX_EXPORT_KDF_ITERATIONS = 10000000;
+
+async function encryptExport(content, format, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveVaultKey(password, salt);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(content));
+    
+    return JSON.stringify({
+        type: ENCRYPTED_EXPORT_TYPE,
+        version: 1,
+        format,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: LOCK_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        createdAt: new Date().toISOString(),
+        app: APP_NAME,
+        data: bytesToBase64(data)
+    }, null, 2);
+}
+
+function isEncryptedExport(file) {
+    return Boolean(file && typeof file === 'object' && file.type === ENCRYPTED_EXPORT_TYPE);
+}
+
+async function decryptExport(file, password) {
+    const { kdf, cipher } = file;
+    const supported = file.version === 1 &&
+        kdf?.name === 'PBKDF2' && kdf.hash === 'SHA-256' &&
+        Number.isInteger(kdf.iterations) && kdf.iterations > 0 && kdf.iterations <= MAX_EXPORT_KDF_ITERATIONS &&
+        cipher?.name === 'AES-GCM' &&
+        EXPORT_FORMATS[file.format] && typeof file.data === 'string';
+    if (!supported) {
+        throw new Error('This encrypted file uses settings this version of the app does not support');
+    }
     
-    // Reset hidden ID
-    document.getElementById('promptId').value = '';
+    const key = await deriveVaultKey(password, base64ToBytes(kdf.salt), kdf.iterations);
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(cipher.iv) }, key, base64ToBytes(file.data));
+    } catch (error) {
+        // AES-GCM can't tell a wrong password from a damaged file
+        throw new Error('Wrong password, or the file has been changed since it was exported');
+    }
+    return new TextDecoder().decode(plaintext);
 }
 
-// Category Management Functions
-function showManageCategoriesModal() {
-    const modalContent = `
-        <div class="category-management">
-            <div class="section">
-                <h4>Manage Categories</h4>
-                <div class="category-management-list" id="manageCategoriesList">
-                    <!-- Categories will be populated here -->
+function showDecryptImportDialog(file, fileName) {
+    let modal = document.getElementById('decryptImportModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'decryptImportModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3><i class="fas fa-lock"></i> Encrypted File</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <form class="modal-body" id="decryptImportForm"></form>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Cancel</button>
+                    <button class="btn btn-primary" type="submit" form="decryptImportForm" id="decryptImportBtn">
+                        <i class="fas fa-unlock"></i> <span>Decrypt</span>
+                    </button>
                 </div>
             </div>
-            
-            <div class="danger-zone">
-                <h5><i class="fas fa-exclamation-triangle"></i> Danger Zone</h5>
-                <p class="help-text">Deleting categories will move all prompts to "Other" category.</p>
-                <button id="deleteEmptyCategoriesBtn" class="btn btn-outline danger" style="margin-top: 1rem;">
-                    <i class="fas fa-trash"></i> Delete Empty Categories
-                </button>
-            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('decryptImportModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('decryptImportModal');
+        });
+    }
+    
+    const format = EXPORT_FORMATS[file.format];
+    const form = modal.querySelector('#decryptImportForm');
+    form.innerHTML = `
+        <p>
+            <strong>${escapeHtml(fileName)}</strong> is an encrypted ${format ? format.label : ''} export
+            ${file.createdAt ? `from ${formatDate(file.createdAt)}` : ''}. Enter its password to import it.
+        </p>
+        <div class="form-group">
+            <input type="password" id="decryptImportPassword" placeholder="Password" autocomplete="off" required>
         </div>
+        <p class="lock-error" id="decryptImportError" hidden></p>
     `;
     
-    // Create or update modal
-    let modal = document.getElementById('manageCategoriesModal');
+    const button = modal.querySelector('#decryptImportBtn');
+    form.onsubmit = async (e) => {
+        e.preventDefault();
+        const error = form.querySelector('#decryptImportError');
+        button.disabled = true;
+        button.querySelector('span').textContent = 'Decrypting...';
+        error.hidden = true;
+        
+        let content;
+        try {
+            content = await decryptExport(file, form.querySelector('#decryptImportPassword').value);
+        } catch (err) {
+            console.error('❌ Decrypting import failed:', err);
+            error.textContent = err.message;
+            error.hidden = false;
+            return;
+        } finally {
+            button.disabled = false;
+            button.querySelector('span').textContent = 'Decrypt';
+        }
+        
+        // The dialog is closed from here on, so problems with the decrypted
+        // file are reported like those of any other import
+        closeModal('decryptImportModal');
+        try {
+            const exportFormat = EXPORT_FORMATS[file.format];
+            const importFormat = IMPORT_FILE_TYPES[exportFormat.extension];
+            
+            if (importFormat === 'json') {
+                importJsonData(JSON.parse(content), fileName);
+            } else if (importFormat) {
+                showImportPreview(importFormat, content, fileName);
+            } else {
+                // Formats that can't be imported are handed over as a plain file
+                downloadFile(content, fileName.replace(new RegExp(`\\.${ENCRYPTED_EXPORT_EXTENSION}$`), ''), exportFormat.mimeType);
+                showToast(`${exportFormat.label} files can't be imported, so the decrypted file was downloaded`, 'info');
+            }
+        } catch (err) {
+            console.error('❌ Import failed:', err);
+            showToast(`Error importing file: ${err.message}`, 'error');
+        }
+    };
+    
+    showModal('decryptImportModal');
+    form.querySelector('#decryptImportPassword').focus();
+}
+
+// Import
+// CSV, Markdown and plain text files are turned into draft prompts and
+// shown in a preview table; nothing is added until the import is confirmed.
+const IMPORT_FILE_TYPES = {
+    json: 'json',
+    csv: 'csv',
+    md: 'markdown',
+    markdown: 'markdown',
+    txt: 'text',
+    [ENCRYPTED_EXPORT_EXTENSION]: 'encrypted'
+};
+
+const IMPORT_FIELDS = {
+    title: 'Title',
+    content: 'Content',
+    category: 'Category',
+    tags: 'Tags',
+    notes: 'Notes',
+    rating: 'Rating',
+    engine: 'Engine',
+    complexity: 'Complexity',
+    usageCount: 'Usage count',
+    createdAt: 'Created',
+    updatedAt: 'Updated',
+    id: 'ID'
+};
+
+// Other column names and labels that map to a field
+const IMPORT_FIELD_ALIASES = {
+    name: 'title', heading: 'title', subject: 'title',
+    prompt: 'content', text: 'content', body: 'content', template: 'content',
+    folder: 'category', group: 'category', type: 'category',
+    tag: 'tags', labels: 'tags', keywords: 'tags',
+    note: 'notes', comments: 'notes', description: 'notes',
+    stars: 'rating', score: 'rating',
+    model: 'engine', ai: 'engine',
+    difficulty: 'complexity', level: 'complexity',
+    usage: 'usageCount', uses: 'usageCount',
+    created: 'createdAt', date: 'createdAt',
+    updated: 'updatedAt', modified: 'updatedAt'
+};
+
+const IMPORT_PREVIEW_LIMIT = 50;
+
+// A line of ---, ===, *** etc. after a blank line separates text entries.
+// Directly under a line of text it is a title underline instead.
+const TEXT_SEPARATOR_PATTERN = /^\s*([-=*_#~])\1{2,}\s*$/;
+
+// Column names may use the aliases. Metadata inside Markdown and text has to
+// use the field names, so prose starting with "Model:" isn't taken for it.
+function resolveImportField(name, { exact = false } = {}) {
+    const key = (name || '').toLowerCase().replace(/[^a-z]/g, '');
+    if (!key) return null;
+    
+    const field = Object.entries(IMPORT_FIELDS).find(([id, label]) =>
+        id.toLowerCase() === key || label.toLowerCase().replace(/[^a-z]/g, '') === key
+    );
+    if (field) return field[0];
+    return exact ? null : IMPORT_FIELD_ALIASES[key] || null;
+}
+
+// A "- **Label:** value" line as [field, value], or null for anything else
+function parseImportMetadataLine(line) {
+    const match = line.match(/^\s*[-*]\s+\*\*([^*:]+):\*\*\s*(.*)$/);
+    const field = match && resolveImportField(match[1], { exact: true });
+    return field && field !== 'title' && field !== 'content' ? [field, match[2].trim()] : null;
+}
+
+function showImportPreview(format, text, fileName) {
+    let modal = document.getElementById('importPreviewModal');
     if (!modal) {
         modal = document.createElement('div');
-        modal.id = 'manageCategoriesModal';
+        modal.id = 'importPreviewModal';
         modal.className = 'modal';
         modal.innerHTML = `
-            <div class="modal-content modal-lg">
+            <div class="modal-content modal-xl">
                 <div class="modal-header">
-                    <h2>Manage Categories</h2>
+                    <h3><i class="fas fa-file-import"></i> Import Prompts</h3>
                     <button class="close-modal">&times;</button>
                 </div>
-                <div class="modal-body">
-                    ${modalContent}
-                </div>
+                <div class="modal-body"></div>
                 <div class="modal-footer">
-                    <button class="btn btn-outline close-modal">Close</button>
+                    <button class="btn btn-outline close-modal">Cancel</button>
+                    <button class="btn btn-primary" id="confirmImportBtn">
+                        <i class="fas fa-file-import"></i> <span>Import</span>
+                    </button>
                 </div>
             </div>
         `;
         document.body.appendChild(modal);
         
-        // Add event listeners
-        modal.querySelector('.close-modal').addEventListener('click', () => closeModal('manageCategoriesModal'));
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('importPreviewModal'));
+        });
         modal.addEventListener('click', (e) => {
-            if (e.target === modal) closeModal('manageCategoriesModal');
+            if (e.target === modal) closeModal('importPreviewModal');
         });
-    } else {
-        modal.querySelector('.modal-body').innerHTML = modalContent;
     }
     
-    // Populate categories list
-    populateManageCategoriesList();
-    
-    // Add event listener for delete empty categories button
-    document.getElementById('deleteEmptyCategoriesBtn')?.addEventListener('click', deleteEmptyCategories);
+    const csvRows = format === 'csv' ? parseCsv(text) : null;
+    if (csvRows && csvRows.length === 0) {
+        showToast('The CSV file is empty', 'warning');
+        return;
+    }
     
-    showModal('manageCategoriesModal');
-}
-
-function populateManageCategoriesList() {
-    const list = document.getElementById('manageCategoriesList');
-    if (!list) return;
+    const body = modal.querySelector('.modal-body');
+    body.innerHTML = `
+        <p class="help-text">
+            <i class="fas fa-file-alt"></i> ${escapeHtml(fileName)}
+        </p>
+        <div class="import-controls">${renderImportControls(format, csvRows)}</div>
+        <div class="import-summary" id="importSummary"></div>
+        <div class="import-preview" id="importPreview"></div>
+    `;
     
-    list.innerHTML = '';
+    let rows = [];
+    const excluded = new Set();
     
-    // Get all main categories (no parent)
-    const mainCategories = Array.from(state.categories.values())
-        .filter(cat => !cat.parentId)
-        .sort((a, b) => a.name.localeCompare(b.name));
+    const getDrafts = () => {
+        if (format === 'csv') {
+            const mapping = Array.from(body.querySelectorAll('.import-mapping select')).map(select => select.value);
+            const hasHeader = body.querySelector('#importHasHeader').checked;
+            return csvRowsToDrafts(hasHeader ? csvRows.slice(1) : csvRows, mapping, isCsvExport(csvRows));
+        }
+        if (format === 'markdown') return parseMarkdownPrompts(text, fileName);
+        return parseTextPrompts(text, body.querySelector('#importSeparator').value);
+    };
     
-    // Get all sub-categories grouped by parent
-    const subCategories = Array.from(state.categories.values())
-        .filter(cat => cat.parentId)
-        .reduce((acc, cat) => {
-            if (!acc[cat.parentId]) acc[cat.parentId] = [];
-            acc[cat.parentId].push(cat);
-            return acc;
-        }, {});
+    const updateSummary = () => {
+        const selected = rows.filter((row, index) => !excluded.has(index));
+        const newCategories = new Set(selected.filter(row => row.newCategory).map(row => row.newCategory));
+        const existing = selected.filter(row => row.exists).length;
+        
+        body.querySelector('#importSummary').innerHTML = [
+            `<strong>${selected.length}</strong> of ${rows.length} prompt${rows.length === 1 ? '' : 's'} will be imported`,
+            newCategories.size ? `${newCategories.size} new categor${newCategories.size === 1 ? 'y' : 'ies'}` : '',
+            existing ? `${existing} already in your vault, you can review ${existing === 1 ? 'it' : 'them'} next` : ''
+        ].filter(Boolean).join(' · ');
+        
+        const confirmBtn = modal.querySelector('#confirmImportBtn');
+        confirmBtn.disabled = selected.length === 0;
+        confirmBtn.querySelector('span').textContent = `Import ${selected.length} prompt${selected.length === 1 ? '' : 's'}`;
+    };
     
-    // Render main categories and their sub-categories
-    mainCategories.forEach(category => {
-        const item = document.createElement('div');
-        item.className = 'manage-category-item';
+    const updatePreview = () => {
+        if (format === 'csv') {
+            const mapping = Array.from(body.querySelectorAll('.import-mapping select')).map(select => select.value);
+            body.querySelector('#importMappingWarning').hidden = mapping.includes('content');
+        }
         
-        const subCats = subCategories[category.id] || [];
+        rows = getDrafts().map(buildImportedPrompt);
+        excluded.clear();
+        body.querySelector('#importPreview').innerHTML = renderImportTable(rows);
         
-        item.innerHTML = `
-            <div class="manage-category-info">
-                <div class="category-color-preview" style="background: ${category.color}"></div>
-                <div>
-                    <div style="font-weight: 500;">${category.name}</div>
-                    ${subCats.length > 0 ? `
-                        <div class="category-breadcrumb">
-                            ${subCats.length} sub-categor${subCats.length === 1 ? 'y' : 'ies'}
-                        </div>
-                    ` : ''}
-                </div>
-                <span class="category-count">${category.count || 0}</span>
-            </div>
-            <div class="manage-category-actions">
-                <button class="btn-icon small edit-category-btn" data-id="${category.id}" title="Edit category">
-                    <i class="fas fa-edit"></i>
-                </button>
-                <button class="btn-icon small add-subcategory-btn" data-id="${category.id}" title="Add sub-category">
-                    <i class="fas fa-folder-plus"></i>
-                </button>
-                ${category.id !== 'other' ? `
-                    <button class="btn-icon small delete-category-btn" data-id="${category.id}" title="Delete category">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                ` : ''}
+        body.querySelectorAll('.import-row-toggle').forEach(checkbox => {
+            checkbox.onchange = () => {
+                const index = parseInt(checkbox.dataset.index);
+                if (checkbox.checked) excluded.delete(index);
+                else excluded.add(index);
+                updateSummary();
+            };
+        });
+        updateSummary();
+    };
+    
+    body.querySelectorAll('.import-controls select, .import-controls input').forEach(input => {
+        input.addEventListener(input.type === 'text' ? 'input' : 'change', debounce(updatePreview, 150));
+    });
+    
+    // Toggling the header row changes which names the columns get
+    body.querySelector('#importHasHeader')?.addEventListener('change', (e) => {
+        body.querySelectorAll('.import-mapping').forEach((mapping, index) => {
+            mapping.querySelector('.import-mapping-name').textContent = e.target.checked
+                ? csvRows[0][index] || `Column ${index + 1}`
+                : `Column ${index + 1}`;
+        });
+    });
+    
+    modal.querySelector('#confirmImportBtn').onclick = () => {
+        const selected = rows.filter((row, index) => !excluded.has(index));
+        if (selected.length === 0) return;
+        
+        closeModal('importPreviewModal');
+        importPromptRows(selected, fileName);
+    };
+    
+    updatePreview();
+    showModal('importPreviewModal');
+}
+
+function renderImportControls(format, csvRows) {
+    if (format === 'markdown') {
+        return `
+            <p class="help-text">
+                Each heading starts a new prompt. Metadata lines such as <code>- **Tags:** a, b</code>
+                and front matter at the top of the file are picked up automatically.
+            </p>
+        `;
+    }
+    
+    if (format === 'text') {
+        return `
+            <div class="form-group">
+                <label for="importSeparator">Separator line</label>
+                <input type="text" id="importSeparator" placeholder="Automatic: a line of ---, === or ***">
+                <p class="help-text">
+                    An underlined first line becomes the title, and lines such as
+                    <code>- **Category:** Writing</code> below it set the metadata.
+                </p>
             </div>
         `;
-        
-        list.appendChild(item);
-        
-        // Add sub-categories if they exist
-        if (subCats.length > 0) {
-            subCats.forEach(subCat => {
-                const subItem = document.createElement('div');
-                subItem.className = 'manage-category-item';
-                subItem.style.marginLeft = '1.5rem';
-                subItem.style.background = 'var(--bg-tertiary)';
-                
-                subItem.innerHTML = `
-                    <div class="manage-category-info">
-                        <div class="category-color-preview" style="background: ${subCat.color}"></div>
-                        <div>
-                            <div style="font-weight: 500;">${subCat.name}</div>
-                            <div class="category-breadcrumb">Sub-category of ${category.name}</div>
-                        </div>
-                        <span class="category-count">${subCat.count || 0}</span>
-                    </div>
-                    <div class="manage-category-actions">
-                        <button class="btn-icon small edit-category-btn" data-id="${subCat.id}" title="Edit sub-category">
-                            <i class="fas fa-edit"></i>
-                        </button>
-                        <button class="btn-icon small delete-category-btn" data-id="${subCat.id}" title="Delete sub-category">
-                            <i class="fas fa-trash"></i>
-                        </button>
-                    </div>
-                `;
-                
-                list.appendChild(subItem);
+    }
+    
+    const headers = csvRows[0];
+    const columnCount = Math.max(...csvRows.map(row => row.length));
+    const guessed = guessCsvMapping(headers, csvRows);
+    const hasHeader = guessed.some(Boolean);
+    const mapping = hasHeader ? guessed : guessCsvMapping([], csvRows);
+    
+    return `
+        <label class="export-checkbox">
+            <input type="checkbox" id="importHasHeader" ${hasHeader ? 'checked' : ''}>
+            First row contains column names
+        </label>
+        <div class="import-mappings">
+            ${Array.from({ length: columnCount }, (_, index) => `
+                <label class="import-mapping">
+                    <span class="import-mapping-name">${escapeHtml(hasHeader ? headers[index] || `Column ${index + 1}` : `Column ${index + 1}`)}</span>
+                    <select data-column="${index}">
+                        <option value="">Don't import</option>
+                        ${Object.entries(IMPORT_FIELDS).map(([id, label]) => `
+                            <option value="${id}" ${mapping[index] === id ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            `).join('')}
+        </div>
+        <p class="import-warning" id="importMappingWarning" hidden>
+            <i class="fas fa-exclamation-triangle"></i> Choose the column that holds the prompt content.
+        </p>
+    `;
+}
+
+function renderImportTable(rows) {
+    if (rows.length === 0) {
+        return '<p class="panel-empty">No prompts found in this file.</p>';
+    }
+    
+    const visible = rows.slice(0, IMPORT_PREVIEW_LIMIT);
+    
+    return `
+        <table class="import-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>Title</th>
+                    <th>Category</th>
+                    <th>Tags</th>
+                    <th>Rating</th>
+                    <th>Content</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${visible.map((row, index) => `
+                    <tr>
+                        <td>
+                            <input type="checkbox" class="import-row-toggle" data-index="${index}" checked>
+                        </td>
+                        <td>
+                            ${escapeHtml(row.prompt.title)}
+                            ${row.exists ? '<span class="import-badge">in vault</span>' : ''}
+                        </td>
+                        <td>
+                            ${escapeHtml(row.newCategory || getCategoryName(row.prompt.category))}
+                            ${row.newCategory ? '<span class="import-badge">new</span>' : ''}
+                        </td>
+                        <td>${escapeHtml(row.prompt.tags.join(', '))}</td>
+                        <td>${row.prompt.rating ? `${row.prompt.rating}/5` : ''}</td>
+                        <td class="import-content">${escapeHtml(row.prompt.content.substring(0, 120))}${row.prompt.content.length > 120 ? '…' : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${rows.length > visible.length ? `
+            <p class="help-text">Showing the first ${visible.length} of ${rows.length} prompts.</p>
+        ` : ''}
+    `;
+}
+
+function importPromptRows(rows, fileName) {
+    const categories = new Map();
+    rows.forEach(({ prompt, newCategory }) => {
+        if (newCategory && !categories.has(prompt.category)) {
+            categories.set(prompt.category, {
+                id: prompt.category,
+                name: newCategory,
+                parentId: null,
+                color: generateRandomColor(),
+                icon: 'fas fa-folder',
+                count: 0,
+                createdAt: new Date().toISOString()
             });
         }
     });
     
-    // Add event listeners
-    list.querySelectorAll('.edit-category-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const categoryId = e.currentTarget.dataset.id;
-            editCategory(categoryId);
-        });
+    const review = createImportReview({
+        prompts: rows.map(row => row.prompt),
+        templates: [],
+        categories: Array.from(categories.values())
     });
     
-    list.querySelectorAll('.add-subcategory-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const parentId = e.currentTarget.dataset.id;
-            showAddSubCategoryForm(parentId);
+    // The preview already showed everything, so only conflicts need a second look
+    if (hasImportConflicts(review)) {
+        showImportReview(review, fileName);
+    } else {
+        applyImportReview(review, fileName);
+    }
+}
+
+// Turns a draft of raw strings from any importer into a prompt
+function buildImportedPrompt(draft) {
+    const text = value => value === undefined || value === null ? '' : String(value).trim();
+    const number = (value, min, max, fallback) => {
+        const parsed = parseInt(text(value));
+        return Number.isNaN(parsed) ? fallback : Math.min(max, Math.max(min, parsed));
+    };
+    const date = value => {
+        const time = Date.parse(text(value));
+        return Number.isNaN(time) ? new Date().toISOString() : new Date(time).toISOString();
+    };
+    
+    const content = text(draft.content);
+    const category = resolveImportCategory(text(draft.category));
+    const stars = (text(draft.rating).match(/★/g) || []).length;
+    const id = text(draft.id);
+    const createdAt = date(draft.createdAt);
+    
+    const prompt = {
+        id: id || generateId(),
+        title: text(draft.title).substring(0, 200) || content.split('\n')[0].substring(0, 60) || 'Untitled',
+        content,
+        category: category.id,
+        tags: parseImportTags(draft.tags),
+        notes: text(draft.notes),
+        rating: stars || number(draft.rating, 0, 5, 0),
+        engine: resolveImportEngine(text(draft.engine)),
+        complexity: number(draft.complexity, 1, 5, 3),
+        usageCount: number(draft.usageCount, 0, Number.MAX_SAFE_INTEGER, 0),
+        images: [],
+        variables: extractVariables(content),
+        createdAt,
+        updatedAt: draft.updatedAt ? date(draft.updatedAt) : createdAt
+    };
+    
+    return {
+        prompt,
+        newCategory: category.isNew ? category.name : null,
+        exists: Boolean(id) && state.prompts.some(p => p.id === id)
+    };
+}
+
+function resolveImportCategory(value) {
+    if (!value) return { id: 'other' };
+    if (state.categories.has(value)) return { id: value };
+    
+    const name = value.toLowerCase();
+    const existing = Array.from(state.categories.values()).find(cat => cat.name.toLowerCase() === name);
+    if (existing) return { id: existing.id };
+    
+    const id = value.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '') || slugify(value);
+    return state.categories.has(id) ? { id } : { id, name: value, isNew: true };
+}
+
+function resolveImportEngine(value) {
+    if (!value) return '';
+    
+    const option = Array.from(document.querySelectorAll('#promptEngine option'))
+        .find(opt => opt.value && (opt.value === value.toLowerCase() || opt.textContent.toLowerCase() === value.toLowerCase()));
+    return option ? option.value : value.toLowerCase();
+}
+
+function parseImportTags(value) {
+    const tags = Array.isArray(value) ? value : String(value || '').split(/[,;|]/);
+    const seen = new Set();
+    
+    return tags
+        .map(tag => String(tag).trim().replace(/^#/, '').substring(0, 50))
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
         });
+}
+
+// CSV import
+function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = detectCsvDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Spreadsheets in some locales save with semicolons or tabs
+function detectCsvDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length - 1]);
+    const [best] = counts.sort((a, b) => b[1] - a[1]);
+    return best[1] > 0 ? best[0] : ',';
+}
+
+function guessCsvMapping(headers, rows) {
+    const used = new Set();
+    const mapping = headers.map(header => {
+        const field = resolveImportField(header);
+        if (!field || used.has(field)) return '';
+        used.add(field);
+        return field;
     });
     
-    list.querySelectorAll('.delete-category-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const categoryId = e.currentTarget.dataset.id;
-            deleteCategory(categoryId);
-        });
+    // Without a content column, use the one with the longest text
+    if (!used.has('content') && (used.size > 0 || headers.length === 0)) {
+        const dataRows = headers.length > 0 ? rows.slice(1) : rows;
+        const columnCount = Math.max(...rows.map(row => row.length));
+        let best = -1;
+        let bestLength = 0;
+        
+        for (let column = 0; column < columnCount; column++) {
+            if (mapping[column]) continue;
+            const length = dataRows.reduce((sum, row) => sum + (row[column] || '').length, 0);
+            if (length > bestLength) {
+                best = column;
+                bestLength = length;
+            }
+        }
+        if (best !== -1) mapping[best] = 'content';
+    }
+    
+    return mapping;
+}
+
+// Files with exactly the header row of our own CSV export
+function isCsvExport(rows) {
+    return rows.length > 0 && rows[0].join(',') === CSV_COLUMNS.join(',');
+}
+
+function csvRowsToDrafts(rows, mapping, fromExport = false) {
+    if (!mapping.includes('content')) return [];
+    
+    return rows
+        .map(row => {
+            const draft = {};
+            mapping.forEach((field, column) => {
+                if (!field || row[column] === undefined) return;
+                // Undo the formula guard of our own exports; in other files
+                // a leading ' is part of the text
+                draft[field] = fromExport ? row[column].replace(/^'(?=[=+\-@\t\r])/, '') : row[column];
+            });
+            return draft;
+        })
+        .filter(draft => draft.content && draft.content.trim());
+}
+
+// Markdown import
+function parseMarkdownPrompts(text, fileName) {
+    const { attributes, body } = parseFrontMatter(text.replace(/^\uFEFF/, ''));
+    const lines = body.split(/\r?\n/);
+    
+    // Headings inside fenced code blocks are part of the prompt
+    const headings = [];
+    let fence = null;
+    lines.forEach((line, index) => {
+        const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+        if (fenceMatch) {
+            const run = fenceMatch[1];
+            if (!fence) {
+                fence = run;
+            } else if (run[0] === fence[0] && run.length >= fence.length && line.trim() === run) {
+                fence = null;
+            }
+            return;
+        }
+        
+        const heading = !fence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading && !/^notes$/i.test(heading[2])) {
+            headings.push({ index, level: heading[1].length, text: heading[2] });
+        }
+    });
+    
+    // A lone top-level heading above the others is the document title
+    if (headings.length > 1 && headings.slice(1).every(heading => heading.level > headings[0].level)) {
+        headings.shift();
+    }
+    
+    const defaults = {};
+    Object.entries(attributes).forEach(([key, value]) => {
+        const field = resolveImportField(key, { exact: true });
+        if (field) defaults[field] = value;
     });
+    
+    if (headings.length === 0) {
+        const draft = parseMarkdownSection(lines);
+        return draft.content ? [{
+            ...defaults,
+            ...draft,
+            title: defaults.title || fileName.replace(/\.[^.]+$/, '')
+        }] : [];
+    }
+    
+    const level = Math.min(...headings.map(heading => heading.level));
+    const sections = headings.filter(heading => heading.level === level);
+    
+    return sections
+        .map((heading, index) => {
+            const end = index + 1 < sections.length ? sections[index + 1].index : lines.length;
+            const draft = parseMarkdownSection(lines.slice(heading.index + 1, end));
+            
+            return {
+                ...defaults,
+                ...draft,
+                title: heading.text,
+                tags: [...parseImportTags(defaults.tags), ...parseImportTags(draft.tags)]
+            };
+        })
+        .filter(draft => draft.content);
 }
 
-function showAddSubCategoryForm(parentId) {
-    const parentCategory = state.categories.get(parentId);
-    if (!parentCategory) return;
+// Reads the flat "key: value" front matter used by static site generators
+function parseFrontMatter(text) {
+    const match = text.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { attributes: {}, body: text };
+    
+    const unquote = value => {
+        const trimmed = value.trim();
+        if (/^".*"$/.test(trimmed)) {
+            try {
+                return JSON.parse(trimmed);
+            } catch (error) {
+                return trimmed.slice(1, -1);
+            }
+        }
+        return /^'.*'$/.test(trimmed) ? trimmed.slice(1, -1).replace(/''/g, "'") : trimmed;
+    };
     
-    const name = prompt(`Add sub-category under "${parentCategory.name}":`, '');
-    if (!name || !name.trim()) return;
+    const attributes = {};
+    let listKey = null;
+    
+    match[1].split(/\r?\n/).forEach(line => {
+        const item = line.match(/^\s*-\s+(.*)$/);
+        if (item && listKey) {
+            attributes[listKey].push(unquote(item[1]));
+            return;
+        }
+        
+        const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!pair) return;
+        
+        const [, key, value] = pair;
+        const list = value.trim().match(/^\[(.*)\]$/);
+        listKey = value.trim() ? null : key;
+        attributes[key] = listKey ? [] : list ? list[1].split(',').map(unquote).filter(Boolean) : unquote(value);
+    });
+    
+    return { attributes, body: text.slice(match[0].length) };
+}
+
+function parseMarkdownSection(lines) {
+    const draft = {};
+    let start = 0;
+    
+    // Leading "- **Label:** value" lines hold the metadata
+    while (start < lines.length) {
+        const line = lines[start];
+        if (!line.trim()) {
+            start++;
+            continue;
+        }
+        
+        const metadata = parseImportMetadataLine(line);
+        if (!metadata) break;
+        
+        draft[metadata[0]] = metadata[1];
+        start++;
+    }
     
-    const id = `${parentId}-${name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')}`;
+    // Everything after a "Notes" heading is the notes, quoted or not
+    const notesIndex = lines.findIndex((line, index) => index >= start && /^#{1,6}\s+notes\s*#*\s*$/i.test(line));
+    let end = notesIndex === -1 ? lines.length : notesIndex;
+    if (notesIndex !== -1) {
+        const notes = trimSeparatorLines(lines.slice(notesIndex + 1))
+            .map(line => line.replace(/^>\s?/, ''))
+            .join('\n')
+            .trim();
+        if (notes) draft.notes = notes;
+    }
     
-    if (state.categories.has(id)) {
-        showToast('Sub-category already exists', 'warning');
-        return;
+    const contentLines = trimSeparatorLines(lines.slice(start, end));
+    draft.content = unwrapCodeFence(contentLines) ?? contentLines.join('\n').trim();
+    return draft;
+}
+
+// Drops blank lines and horizontal rules from the end of a section
+function trimSeparatorLines(lines) {
+    let end = lines.length;
+    while (end > 0 && (!lines[end - 1].trim() || /^\s*([-*_])\1{2,}\s*$/.test(lines[end - 1]))) {
+        end--;
     }
+    return lines.slice(0, end);
+}
+
+// Returns the inside of a section that is a single fenced code block
+function unwrapCodeFence(lines) {
+    const nonEmpty = lines.filter(line => line.trim());
+    const open = nonEmpty[0]?.match(/^\s*(`{3,}|~{3,})/);
+    if (!open || nonEmpty.length < 2) return null;
     
-    const category = {
-        id,
-        name: name.trim(),
-        parentId,
-        color: generateRandomColor(),
-        icon: 'fas fa-folder',
-        count: 0,
-        createdAt: new Date().toISOString()
+    const fence = open[1];
+    const isClosing = line => {
+        const trimmed = line.trim();
+        return trimmed.length >= fence.length && trimmed === fence[0].repeat(trimmed.length);
     };
     
-    state.categories.set(id, category);
-    saveCategories();
+    const first = lines.indexOf(nonEmpty[0]);
+    const last = lines.lastIndexOf(nonEmpty[nonEmpty.length - 1]);
+    if (!isClosing(lines[last])) return null;
     
-    // Update category list
-    updateCategoryList();
-    initializeCategoriesDropdown();
+    const inner = lines.slice(first + 1, last);
+    return inner.some(isClosing) ? null : inner.join('\n');
+}
+
+// Plain text import
+function parseTextPrompts(text, separator = '') {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const custom = separator.trim();
+    const entries = [[]];
     
-    showToast('Sub-category added', 'success');
+    lines.forEach((line, index) => {
+        const isSeparator = custom
+            ? line.trim() === custom
+            : TEXT_SEPARATOR_PATTERN.test(line) && (index === 0 || !lines[index - 1].trim());
+        
+        if (isSeparator) entries.push([]);
+        else entries[entries.length - 1].push(line);
+    });
+    
+    return entries
+        .map(parseTextEntry)
+        .filter(draft => draft.content);
 }
 
-function deleteEmptyCategories() {
-    const emptyCategories = Array.from(state.categories.values())
-        .filter(cat => cat.count === 0 && cat.id !== 'other')
-        .map(cat => cat.name);
+function parseTextEntry(entryLines) {
+    const lines = trimSeparatorLines(entryLines);
+    while (lines.length > 0 && !lines[0].trim()) lines.shift();
     
-    if (emptyCategories.length === 0) {
-        showToast('No empty categories found', 'info');
-        return;
+    const draft = {};
+    let start = 0;
+    
+    // An underlined first line is the title
+    if (lines.length > 1 && lines[0].trim() && /^\s*(=+|-+)\s*$/.test(lines[1])) {
+        draft.title = lines[0].trim();
+        start = 2;
     }
     
-    showConfirmModal(
-        'Delete Empty Categories',
-        `This will delete ${emptyCategories.length} empty categor${emptyCategories.length === 1 ? 'y' : 'ies'}: ${emptyCategories.join(', ')}. Continue?`,
-        () => {
-            // Delete empty categories
-            emptyCategories.forEach(catName => {
-                const category = Array.from(state.categories.values()).find(c => c.name === catName);
-                if (category) {
-                    state.categories.delete(category.id);
-                }
-            });
-            
-            saveCategories();
-            updateCategoryList();
-            initializeCategoriesDropdown();
-            
-            showToast(`Deleted ${emptyCategories.length} empty categor${emptyCategories.length === 1 ? 'y' : 'ies'}`, 'success');
-            closeModal('manageCategoriesModal');
+    // Followed by "- **Label:** value" metadata lines
+    while (start < lines.length) {
+        if (!lines[start].trim()) {
+            start++;
+            continue;
         }
+        
+        const metadata = parseImportMetadataLine(lines[start]);
+        if (!metadata || metadata[0] === 'notes') break;
+        
+        draft[metadata[0]] = metadata[1];
+        start++;
+    }
+    
+    // A trailing paragraph starting with "Notes:" holds the notes
+    let end = lines.length;
+    const notesIndex = lines.findIndex((line, index) =>
+        index > start && /^Notes:\s?/i.test(line) && !lines[index - 1].trim()
     );
+    if (notesIndex !== -1) {
+        draft.notes = [lines[notesIndex].replace(/^Notes:\s?/i, ''), ...lines.slice(notesIndex + 1)].join('\n').trim();
+        end = notesIndex;
+    }
+    
+    draft.content = lines.slice(start, end).join('\n').trim();
+    return draft;
 }
 
-// Updated editCategory function to handle parent categories
-function editCategory(categoryId) {
-    const category = state.categories.get(categoryId);
-    if (!category) return;
+// Import Review
+// Incoming prompts, templates and categories are compared with the vault
+// before anything is written. Every item gets a resolution that can be
+// changed one by one or for all conflicts at once.
+const IMPORT_STATUSES = {
+    new: { label: 'New', icon: 'fas fa-plus' },
+    changed: { label: 'Changed', icon: 'fas fa-pen' },
+    duplicate: { label: 'Duplicate content', icon: 'fas fa-clone' },
+    identical: { label: 'Identical', icon: 'fas fa-equals' }
+};
+
+const IMPORT_RESOLUTIONS = {
+    mine: 'Keep mine',
+    theirs: 'Take theirs',
+    both: 'Keep both',
+    merge: 'Merge fields'
+};
+
+const IMPORT_KINDS = {
+    categories: { label: 'Categories', nameField: 'name', fields: ['name', 'parentId', 'color', 'icon'] },
+    prompts: { label: 'Prompts', nameField: 'title', fields: ['title', 'content', 'category', 'tags', 'notes', 'rating', 'engine', 'complexity'] },
+    templates: { label: 'Templates', nameField: 'name', fields: ['name', 'description', 'content', 'category', 'tags', 'notes', 'engine', 'complexity'] }
+};
+
+function createImportReview(data) {
+    const review = {};
+    
+    Object.entries(IMPORT_KINDS).forEach(([kind, config]) => {
+        const existingItems = kind === 'categories'
+            ? Array.from(state.categories.values())
+            : state[kind];
+        const byId = new Map(existingItems.map(item => [item.id, item]));
+        const byKey = new Map();
+        existingItems.forEach(item => {
+            const key = getImportMatchKey(kind, item);
+            if (key && !byKey.has(key)) byKey.set(key, item);
+        });
+        
+        review[kind] = (data[kind] || [])
+            .filter(item => item && typeof item === 'object')
+            .map(incoming => {
+                let existing = byId.get(incoming.id);
+                let status = 'new';
+                
+                if (existing) {
+                    status = getChangedImportFields(kind, existing, incoming).length > 0 ? 'changed' : 'identical';
+                } else {
+                    existing = byKey.get(getImportMatchKey(kind, incoming)) || null;
+                    if (existing) status = 'duplicate';
+                }
+                
+                return {
+                    incoming,
+                    existing,
+                    status,
+                    changedFields: existing ? getChangedImportFields(kind, existing, incoming) : [],
+                    resolution: getDefaultImportResolution(status, existing, incoming),
+                    name: incoming[config.nameField] || 'Untitled'
+                };
+            });
+    });
     
-    const isSubCategory = !!category.parentId;
+    return review;
+}
+
+// Prompts and templates match on content, categories on name
+function getImportMatchKey(kind, item) {
+    return kind === 'categories'
+        ? (item.name || '').trim().toLowerCase()
+        : normalizeContent(item.content);
+}
+
+function getChangedImportFields(kind, existing, incoming) {
+    const normalize = (field, value) => {
+        if (field === 'tags') return (value || []).map(tag => String(tag).toLowerCase()).sort().join('\n');
+        if (field === 'rating') return value || 0;
+        if (field === 'complexity') return value || 3;
+        return typeof value === 'string' ? value.trim() : value ?? '';
+    };
     
-    // Create a more advanced edit form
-    const modalContent = `
-        <div class="form-grid">
-            <div class="form-group">
-                <label>Category Name</label>
-                <input type="text" id="editCategoryName" value="${category.name}">
-            </div>
-            <div class="form-group">
-                <label>Color</label>
-                <input type="color" id="editCategoryColor" value="${category.color}">
-            </div>
-            ${!isSubCategory ? `
-                <div class="form-group">
-                    <label>Parent Category</label>
-                    <select id="editCategoryParent">
-                        <option value="">None (Main Category)</option>
-                        ${Array.from(state.categories.values())
-                            .filter(cat => !cat.parentId && cat.id !== categoryId)
-                            .map(cat => `<option value="${cat.id}" ${category.parentId === cat.id ? 'selected' : ''}>${cat.name}</option>`)
-                            .join('')}
-                    </select>
-                </div>
-            ` : ''}
-        </div>
-        <div class="form-actions" style="margin-top: 1rem;">
-            <button id="saveEditCategoryBtn" class="btn btn-primary">Save Changes</button>
-            <button id="cancelEditCategoryBtn" class="btn btn-outline">Cancel</button>
-        </div>
-    `;
+    return IMPORT_KINDS[kind].fields.filter(field =>
+        normalize(field, existing[field]) !== normalize(field, incoming[field])
+    );
+}
+
+function getDefaultImportResolution(status, existing, incoming) {
+    if (status === 'new') return 'theirs';
     
-    // Create edit modal
-    let modal = document.getElementById('editCategoryModal');
+    // A changed item only replaces mine when it was edited more recently
+    if (status === 'changed' && incoming.updatedAt && existing.updatedAt) {
+        return incoming.updatedAt > existing.updatedAt ? 'theirs' : 'mine';
+    }
+    return 'mine';
+}
+
+function getImportResolutionOptions(kind, item) {
+    if (item.status === 'new') return { theirs: 'Import', mine: 'Skip' };
+    if (item.status === 'identical') return { mine: IMPORT_RESOLUTIONS.mine, both: IMPORT_RESOLUTIONS.both };
+    
+    // Categories have nothing worth merging field by field
+    const { merge, ...withoutMerge } = IMPORT_RESOLUTIONS;
+    return kind === 'categories' ? withoutMerge : IMPORT_RESOLUTIONS;
+}
+
+function hasImportConflicts(review) {
+    return Object.values(review).some(items => items.some(item => item.status !== 'new'));
+}
+
+function showImportReview(review, fileName) {
+    let modal = document.getElementById('importReviewModal');
     if (!modal) {
         modal = document.createElement('div');
-        modal.id = 'editCategoryModal';
+        modal.id = 'importReviewModal';
         modal.className = 'modal';
         modal.innerHTML = `
-            <div class="modal-content modal-sm">
+            <div class="modal-content modal-xl">
                 <div class="modal-header">
-                    <h3>Edit Category</h3>
+                    <h3><i class="fas fa-code-branch"></i> Review Import</h3>
                     <button class="close-modal">&times;</button>
                 </div>
-                <div class="modal-body">
-                    ${modalContent}
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline close-modal">Cancel</button>
+                    <button class="btn btn-primary" id="applyImportBtn">
+                        <i class="fas fa-file-import"></i> <span>Import</span>
+                    </button>
                 </div>
             </div>
         `;
         document.body.appendChild(modal);
         
-        modal.querySelector('.close-modal').addEventListener('click', () => closeModal('editCategoryModal'));
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('importReviewModal'));
+        });
         modal.addEventListener('click', (e) => {
-            if (e.target === modal) closeModal('editCategoryModal');
+            if (e.target === modal) closeModal('importReviewModal');
         });
-    } else {
-        modal.querySelector('.modal-body').innerHTML = modalContent;
     }
     
-    // Add event listeners
-    const saveBtn = modal.querySelector('#saveEditCategoryBtn');
-    const cancelBtn = modal.querySelector('#cancelEditCategoryBtn');
+    const allItems = Object.values(review).flat();
+    if (allItems.length === 0) {
+        showToast('Nothing to import in this file', 'warning');
+        return;
+    }
+    
+    const counts = {};
+    allItems.forEach(item => {
+        counts[item.status] = (counts[item.status] || 0) + 1;
+    });
+    
+    const body = modal.querySelector('.modal-body');
+    body.innerHTML = `
+        <p class="help-text"><i class="fas fa-file-alt"></i> ${escapeHtml(fileName)}</p>
+        <div class="import-review-summary">
+            ${Object.entries(IMPORT_STATUSES).filter(([status]) => counts[status]).map(([status, info]) => `
+                <span class="import-status ${status}"><i class="${info.icon}"></i> ${counts[status]} ${info.label.toLowerCase()}</span>
+            `).join('')}
+        </div>
+        ${allItems.some(item => item.status !== 'new') ? `
+            <div class="import-review-bulk">
+                <span>For every conflict:</span>
+                ${Object.entries(IMPORT_RESOLUTIONS).map(([id, label]) => `
+                    <button class="btn-text small" data-resolution="${id}">${label}</button>
+                `).join('')}
+            </div>
+        ` : ''}
+        ${counts.identical ? `
+            <label class="export-checkbox">
+                <input type="checkbox" id="importShowIdentical">
+                Show ${counts.identical} identical item${counts.identical === 1 ? '' : 's'}
+            </label>
+        ` : ''}
+        <div class="import-review-list"></div>
+    `;
+    
+    const list = body.querySelector('.import-review-list');
+    
+    const updateButton = () => {
+        const importing = allItems.filter(item => item.resolution !== 'mine').length;
+        const button = modal.querySelector('#applyImportBtn');
+        button.querySelector('span').textContent = importing > 0
+            ? `Import ${importing} item${importing === 1 ? '' : 's'}`
+            : 'Nothing to import';
+        button.disabled = importing === 0;
+    };
+    
+    const renderList = () => {
+        const showIdentical = body.querySelector('#importShowIdentical')?.checked;
+        
+        list.innerHTML = Object.entries(review).map(([kind, items]) => {
+            const visible = items
+                .map((item, index) => ({ item, index }))
+                .filter(({ item }) => showIdentical || item.status !== 'identical');
+            if (visible.length === 0) return '';
+            
+            return `
+                <div class="import-review-group">
+                    <h4>${IMPORT_KINDS[kind].label} <span class="help-text">(${items.length})</span></h4>
+                    ${visible.map(({ item, index }) => renderImportReviewItem(kind, item, index)).join('')}
+                </div>
+            `;
+        }).join('') || '<p class="panel-empty">Everything in this file is already in your vault.</p>';
+        
+        list.querySelectorAll('.import-review-item select').forEach(select => {
+            select.onchange = () => {
+                review[select.dataset.kind][select.dataset.index].resolution = select.value;
+                updateButton();
+            };
+        });
+    };
+    
+    body.querySelectorAll('.import-review-bulk [data-resolution]').forEach(btn => {
+        btn.onclick = () => {
+            Object.entries(review).forEach(([kind, items]) => {
+                items.forEach(item => {
+                    if (item.status !== 'new' && getImportResolutionOptions(kind, item)[btn.dataset.resolution]) {
+                        item.resolution = btn.dataset.resolution;
+                    }
+                });
+            });
+            renderList();
+            updateButton();
+        };
+    });
+    
+    body.querySelector('#importShowIdentical')?.addEventListener('change', renderList);
+    
+    modal.querySelector('#applyImportBtn').onclick = () => {
+        const apply = () => {
+            closeModal('importReviewModal');
+            applyImportReview(review, fileName);
+        };
+        
+        // Merged prompts keep at most 3 input and 5 result images
+        const shortened = review.prompts
+            .filter(item => item.resolution === 'merge' && item.existing)
+            .map(item => ({ item, leftOut: getMergedImages(...getImportMergeOrder(item.existing, item.incoming)).leftOut }))
+            .filter(({ leftOut }) => leftOut.length > 0);
+        if (shortened.length === 0) {
+            apply();
+            return;
+        }
+        showConfirmModal(
+            'Merge Prompts',
+            `A prompt holds up to 3 input and 5 result images, so merging leaves out ${shortened
+                .map(({ item, leftOut }) => `${describeImageCount(leftOut)} of "${item.name}"`)
+                .join(', ')}. Import anyway?`,
+            apply
+        );
+    };
+    
+    renderList();
+    updateButton();
+    showModal('importReviewModal');
+}
+
+function renderImportReviewItem(kind, item, index) {
+    const status = IMPORT_STATUSES[item.status];
+    const nameField = IMPORT_KINDS[kind].nameField;
+    const details = [];
+    
+    if (item.status === 'duplicate') {
+        details.push(`Same ${kind === 'categories' ? 'name' : 'content'} as your "${escapeHtml(item.existing[nameField] || 'Untitled')}"`);
+    }
+    if (item.status === 'changed' || item.status === 'duplicate') {
+        const fields = item.changedFields.filter(field => item.status === 'changed' || field !== 'content');
+        if (fields.length > 0) details.push(`Differs in ${fields.join(', ')}`);
+        if (item.existing.updatedAt && item.incoming.updatedAt) {
+            details.push(`yours updated ${formatDate(item.existing.updatedAt)}, theirs ${formatDate(item.incoming.updatedAt)}`);
+        }
+    }
+    if (item.status === 'new' && kind === 'prompts') {
+        details.push(escapeHtml((item.incoming.content || '').substring(0, 100)));
+    }
+    
+    return `
+        <div class="import-review-item">
+            <span class="import-status ${item.status}" title="${status.label}"><i class="${status.icon}"></i></span>
+            <div class="import-review-info">
+                <div class="import-review-name">${escapeHtml(item.name)}</div>
+                <div class="help-text">${details.join(' · ')}</div>
+            </div>
+            <select data-kind="${kind}" data-index="${index}">
+                ${Object.entries(getImportResolutionOptions(kind, item)).map(([id, label]) => `
+                    <option value="${id}" ${item.resolution === id ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+        </div>
+    `;
+}
+
+function applyImportReview(review, fileName) {
+    const totals = { added: 0, replaced: 0, merged: 0, skipped: 0 };
+    const count = item => {
+        if (item.resolution === 'mine') totals.skipped++;
+        else if (item.resolution === 'merge') totals.merged++;
+        else if (item.resolution === 'theirs' && item.existing) totals.replaced++;
+        else totals.added++;
+    };
+    
+    createVaultSnapshot('import');
+    
+    runCommand(`Imported ${fileName}`, () => {
+        // Incoming category ids can end up pointing at one of mine
+        const categoryIds = new Map();
+        const addedCategories = [];
+        
+        review.categories.forEach(item => {
+            const { incoming, existing } = item;
+            count(item);
+            
+            if (item.resolution === 'mine') {
+                categoryIds.set(incoming.id, existing ? existing.id : null);
+            } else if (item.resolution === 'theirs' && existing) {
+                state.categories.set(existing.id, { ...incoming, id: existing.id, count: existing.count });
+                categoryIds.set(incoming.id, existing.id);
+                addedCategories.push(existing.id);
+            } else {
+                const isCopy = item.resolution === 'both';
+                const id = isCopy ? getUniqueCategoryId(incoming.id) : incoming.id;
+                state.categories.set(id, {
+                    ...incoming,
+                    id,
+                    name: isCopy && existing && getImportMatchKey('categories', existing) === getImportMatchKey('categories', incoming)
+                        ? `${incoming.name} (imported)`
+                        : incoming.name
+                });
+                categoryIds.set(incoming.id, id);
+                addedCategories.push(id);
+            }
+        });
+        
+        addedCategories.forEach(id => {
+            const category = state.categories.get(id);
+            if (category.parentId && categoryIds.has(category.parentId)) {
+                category.parentId = categoryIds.get(category.parentId);
+            }
+        });
+        
+        const mapCategory = item => categoryIds.has(item.category)
+            ? { ...item, category: categoryIds.get(item.category) || 'other' }
+            : item;
+        
+        review.prompts.forEach(item => {
+            count(item);
+            if (item.resolution === 'mine') return;
+            
+            const incoming = mapCategory(item.incoming);
+            const existing = item.existing;
+            const index = existing ? state.prompts.findIndex(p => p.id === existing.id) : -1;
+            
+            if (item.resolution === 'theirs' && index !== -1) {
+                const replaced = { ...incoming, id: existing.id };
+                replaced.revisions = recordRevision(existing, replaced, `Replaced from ${fileName}`);
+                state.prompts[index] = replaced;
+            } else if (item.resolution === 'merge' && index !== -1) {
+                const merged = mergeImportedItem(existing, incoming, (keep, other) => ({
+                    ...mergePromptFields(keep, other),
+                    // Both copies count the same uses, so adding them would double count
+                    usageCount: Math.max(keep.usageCount || 0, other.usageCount || 0)
+                }));
+                merged.revisions = recordRevision(existing, merged, `Merged from ${fileName}`);
+                state.prompts[index] = merged;
+            } else {
+                const added = {
+                    ...incoming,
+                    id: state.prompts.some(p => p.id === incoming.id) ? generateId() : incoming.id,
+                    images: incoming.images || []
+                };
+                added.revisions = incoming.revisions && incoming.revisions.length > 0
+                    ? incoming.revisions
+                    : recordRevision(null, added);
+                state.prompts.push(added);
+            }
+        });
+        
+        review.templates.forEach(item => {
+            count(item);
+            if (item.resolution === 'mine') return;
+            
+            const incoming = mapCategory(item.incoming);
+            const existing = item.existing;
+            const index = existing ? state.templates.findIndex(t => t.id === existing.id) : -1;
+            
+            if (item.resolution === 'theirs' && index !== -1) {
+                state.templates[index] = { ...incoming, id: existing.id };
+            } else if (item.resolution === 'merge' && index !== -1) {
+                state.templates[index] = mergeImportedItem(existing, incoming, (keep, other) => ({
+                    ...keep,
+                    tags: mergeTagLists(keep.tags, other.tags),
+                    notes: mergeNotes(keep.notes, other.notes),
+                    createdAt: [keep.createdAt, other.createdAt].filter(Boolean).sort()[0] || keep.createdAt
+                }));
+            } else {
+                state.templates.push({
+                    ...incoming,
+                    id: state.templates.some(t => t.id === incoming.id) ? generateId() : incoming.id
+                });
+            }
+        });
+    });
+    
+    saveState();
+    saveCategories();
+    refreshAllViews();
+    
+    const parts = Object.entries(totals)
+        .filter(([, value]) => value > 0)
+        .map(([label, value]) => `${value} ${label}`);
+    showToast(`Import finished: ${parts.join(', ') || 'nothing changed'}`, 'success');
+}
+
+// The newer version supplies the wording; tags, notes and images are combined
+// The newer copy is the one kept: [keep, other]
+function getImportMergeOrder(existing, incoming) {
+    const incomingIsNewer = (incoming.updatedAt || '') > (existing.updatedAt || '');
+    return incomingIsNewer ? [incoming, existing] : [existing, incoming];
+}
+
+function mergeImportedItem(existing, incoming, mergeFields) {
+    const merged = mergeFields(...getImportMergeOrder(existing, incoming));
+    
+    return {
+        ...merged,
+        id: existing.id,
+        variables: extractVariables(merged.content),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+function getUniqueCategoryId(id) {
+    let candidate = id;
+    let suffix = 2;
+    while (state.categories.has(candidate)) {
+        candidate = `${id}-${suffix++}`;
+    }
+    return candidate;
+}
+
+// Snapshots
+// Copies of the whole vault are kept in the "snapshots" store, taken on a
+// schedule and before destructive actions. Snapshot records only hold image
+// references; writeVault() keeps every image a snapshot still uses.
+// snapshotIndex (newest first) is stored in the vault store so listing
+// snapshots never has to read their contents.
+const SNAPSHOT_REASONS = {
+    scheduled: { label: 'Scheduled', icon: 'fas fa-clock' },
+    manual: { label: 'Manual', icon: 'fas fa-camera' },
+    bulkDelete: { label: 'Before bulk delete', icon: 'fas fa-trash' },
+    categoryDelete: { label: 'Before category delete', icon: 'fas fa-folder-minus' },
+    import: { label: 'Before import', icon: 'fas fa-file-import' },
+    restore: { label: 'Before restore', icon: 'fas fa-undo' }
+};
+
+const SNAPSHOT_INTERVAL_OPTIONS = [0, 1, 6, 12, 24, 168];
+const SNAPSHOT_CHECK_INTERVAL = 10 * 60 * 1000;
+
+// A small non-cryptographic hash to spot snapshots identical to the last one
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
+// The vault is copied synchronously, so calling this right before a
+// destructive mutation captures the state from before it.
+function createVaultSnapshot(reason) {
+    if (!db || storageSuspended || isVaultKeyMissing()) return Promise.resolve(null);
+    
+    const { records, images } = splitPromptImages(state.prompts);
+    const trashed = splitPromptImages(state.trash);
+    trashed.images.forEach((url, id) => images.set(id, url));
+    const data = cloneData({
+        prompts: records,
+        favorites: state.favorites,
+        templates: state.templates,
+        trash: trashed.records,
+        categories: Array.from(state.categories.values()),
+        schemaVersion: SCHEMA_VERSION
+    });
+    const json = JSON.stringify(data);
+    const fingerprint = hashString(json);
+    
+    // Nothing changed since the last snapshot
+    if (snapshotIndex[0] && snapshotIndex[0].fingerprint === fingerprint) {
+        return Promise.resolve(snapshotIndex[0]);
+    }
+    
+    const imageIds = [...images.keys()];
+    const entry = {
+        id: `snap-${generateId()}`,
+        createdAt: new Date().toISOString(),
+        reason,
+        promptCount: data.prompts.length,
+        templateCount: data.templates.length,
+        trashCount: data.trash.length,
+        categoryCount: data.categories.length,
+        size: json.length + imageIds.reduce((sum, id) => sum + images.get(id).length, 0),
+        imageIds,
+        fingerprint
+    };
+    
+    snapshotIndex = [entry, ...snapshotIndex];
+    const removed = pruneSnapshotIndex();
+    const index = snapshotIndex;
+    let saved = false;
+    
+    vaultWriteChain = vaultWriteChain
+        .then(async () => {
+            const newImageIds = imageIds.filter(id => !persistedImageIds.has(id));
+            const [sealedData, sealedIndex, imageData] = await Promise.all([
+                sealValue(data),
+                sealValue(index),
+                Promise.all(newImageIds.map(id => sealValue(images.get(id))))
+            ]);
+            
+            const transaction = db.transaction([DB_STORES.VAULT, DB_STORES.IMAGES, DB_STORES.SNAPSHOTS], 'readwrite');
+            const snapshots = transaction.objectStore(DB_STORES.SNAPSHOTS);
+            
+            snapshots.put({ id: entry.id, data: sealedData });
+            removed.forEach(old => snapshots.delete(old.id));
+            newImageIds.forEach((id, i) => transaction.objectStore(DB_STORES.IMAGES).put({ id, url: imageData[i] }));
+            transaction.objectStore(DB_STORES.VAULT).put(sealedIndex, 'snapshotIndex');
+            
+            await idbTransactionDone(transaction);
+            newImageIds.forEach(id => persistedImageIds.add(id));
+            postSyncMessage({ type: 'snapshots', index });
+            saved = true;
+            console.log(`📸 Snapshot saved (${SNAPSHOT_REASONS[reason].label})`);
+        })
+        .catch(error => {
+            console.error('❌ Failed to save snapshot:', error);
+            // The rotated-out snapshots weren't deleted either
+            snapshotIndex = [...snapshotIndex.filter(item => item.id !== entry.id), ...removed]
+                .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+            showToast('Could not save a snapshot of the library', 'error');
+        });
+    
+    // Images only the rotated-out snapshots used can go now
+    if (removed.length > 0) queueVaultWrite();
+    
+    // Callers about to change the library need to know the backup failed
+    return vaultWriteChain.then(() => saved ? entry : null);
+}
+
+// Rotates snapshots by count and age; the newest one is always kept
+function pruneSnapshotIndex() {
+    const limit = Math.max(1, state.settings.snapshotLimit || 1);
+    const maxAgeDays = state.settings.snapshotMaxAgeDays;
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+    
+    const kept = snapshotIndex.filter((entry, index) =>
+        index === 0 || (index < limit && Date.parse(entry.createdAt) >= cutoff)
+    );
+    const removed = snapshotIndex.filter(entry => !kept.includes(entry));
+    snapshotIndex = kept;
+    return removed;
+}
+
+function deleteVaultSnapshot(snapshotId) {
+    snapshotIndex = snapshotIndex.filter(entry => entry.id !== snapshotId);
+    const index = snapshotIndex;
+    
+    vaultWriteChain = vaultWriteChain
+        .then(async () => {
+            const sealedIndex = await sealValue(index);
+            const transaction = db.transaction([DB_STORES.VAULT, DB_STORES.SNAPSHOTS], 'readwrite');
+            transaction.objectStore(DB_STORES.SNAPSHOTS).delete(snapshotId);
+            transaction.objectStore(DB_STORES.VAULT).put(sealedIndex, 'snapshotIndex');
+            await idbTransactionDone(transaction);
+            postSyncMessage({ type: 'snapshots', index });
+        })
+        .catch(error => console.error('❌ Failed to delete snapshot:', error));
+    
+    queueVaultWrite();
+    return vaultWriteChain;
+}
+
+// Reads a snapshot back with its images, upgraded to the current schema
+async function readVaultSnapshot(snapshotId) {
+    const record = await idbRequest(db.transaction(DB_STORES.SNAPSHOTS, 'readonly').objectStore(DB_STORES.SNAPSHOTS).get(snapshotId));
+    if (!record) throw new Error('Snapshot not found');
+    
+    // Decrypted before the images are read: their ids are inside the record
+    const snapshot = await openValue(record.data);
+    const imageStore = db.transaction(DB_STORES.IMAGES, 'readonly').objectStore(DB_STORES.IMAGES);
+    const imageIds = [...new Set([...snapshot.prompts, ...(snapshot.trash || [])].flatMap(prompt =>
+        (prompt.images || []).flatMap(img => [img.id, getThumbnailId(img.id)])
+    ))];
+    const images = await Promise.all(imageIds.map(id => idbRequest(imageStore.get(id))));
+    const imageData = new Map(await Promise.all(images.filter(Boolean).map(async image => [image.id, await openValue(image.url)])));
+    
+    const withImages = prompt => ({
+        ...prompt,
+        images: (prompt.images || [])
+            .map(img => withImageData({ ...img, url: undefined }, imageData))
+            .filter(img => img.url)
+    });
+    const data = {
+        ...snapshot,
+        prompts: snapshot.prompts.map(withImages),
+        trash: (snapshot.trash || []).map(withImages)
+    };
+    
+    const prepared = prepareData(data, snapshot.schemaVersion).data;
+    // Snapshots taken before the trash existed say nothing about it
+    if (!snapshot.trash) delete prepared.trash;
+    return prepared;
+}
+
+function checkScheduledSnapshot() {
+    const hours = state.settings.snapshotIntervalHours;
+    if (!db || !hours) return;
     
-    saveBtn.onclick = () => {
-        const newName = modal.querySelector('#editCategoryName').value.trim();
-        const newColor = modal.querySelector('#editCategoryColor').value;
-        const newParentId = isSubCategory ? category.parentId : (modal.querySelector('#editCategoryParent')?.value || '');
-        
-        if (!newName) {
-            showToast('Please enter a category name', 'warning');
-            return;
-        }
+    const last = snapshotIndex.find(entry => entry.reason === 'scheduled');
+    if (last && Date.now() - Date.parse(last.createdAt) < hours * 60 * 60 * 1000) return;
+    
+    createVaultSnapshot('scheduled');
+}
+
+function startSnapshotSchedule() {
+    checkScheduledSnapshot();
+    setInterval(checkScheduledSnapshot, SNAPSHOT_CHECK_INTERVAL);
+}
+
+async function restoreVaultSnapshot(entry) {
+    try {
+        const data = await readVaultSnapshot(entry.id);
+        if (!await createVaultSnapshot('restore')) return;
         
-        const newId = newParentId ? 
-            `${newParentId}-${newName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')}` :
-            newName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+        runCommand(`Restored snapshot from ${formatDate(entry.createdAt)}`, () => {
+            state.prompts = data.prompts;
+            state.favorites = data.favorites;
+            state.templates = data.templates;
+            if (data.trash) state.trash = data.trash;
+            state.categories = new Map(data.categories.map(cat => [cat.id, cat]));
+        });
         
-        if (state.categories.has(newId) && newId !== categoryId) {
-            showToast('Category name already exists', 'warning');
-            return;
-        }
+        state.selectedPrompts.clear();
+        saveState();
+        saveCategories();
+        refreshAllViews();
         
-        // Update category
-        category.name = newName;
-        category.color = newColor;
+        showToast(`Restored ${data.prompts.length} prompt${data.prompts.length === 1 ? '' : 's'} from the snapshot`, 'success');
+    } catch (error) {
+        console.error('❌ Failed to restore snapshot:', error);
+        showToast('Could not restore the snapshot', 'error');
+    }
+}
+
+// Puts the chosen prompts back as they were in the snapshot, replacing
+// current versions with the same id and adding any that were deleted
+async function restoreSnapshotPrompts(entry, promptIds) {
+    try {
+        const data = await readVaultSnapshot(entry.id);
+        const snapshotCategories = new Map(data.categories.map(cat => [cat.id, cat]));
+        const prompts = data.prompts.filter(prompt => promptIds.includes(prompt.id));
         
-        if (!isSubCategory) {
-            category.parentId = newParentId || null;
-        }
+        if (!await createVaultSnapshot('restore')) return;
         
-        // If ID changed, update all prompts with this category
-        if (newId !== categoryId) {
-            state.prompts.forEach(prompt => {
-                if (prompt.category === categoryId) {
-                    prompt.category = newId;
+        runCommand(`Restored ${prompts.length} prompt${prompts.length === 1 ? '' : 's'} from a snapshot`, () => {
+            prompts.forEach(prompt => {
+                // Bring back the prompt's category, and its parents, if it was deleted
+                let categoryId = prompt.category;
+                while (categoryId && !state.categories.has(categoryId) && snapshotCategories.has(categoryId)) {
+                    const category = snapshotCategories.get(categoryId);
+                    state.categories.set(categoryId, category);
+                    categoryId = category.parentId;
+                }
+                
+                // A prompt deleted since the snapshot is back, so it leaves the trash
+                state.trash = state.trash.filter(trashed => trashed.id !== prompt.id);
+                
+                const index = state.prompts.findIndex(p => p.id === prompt.id);
+                if (index === -1) {
+                    state.prompts.push(prompt);
+                    if (data.favorites.includes(prompt.id) && !state.favorites.includes(prompt.id)) {
+                        state.favorites.push(prompt.id);
+                    }
+                } else {
+                    const previous = state.prompts[index];
+                    const restored = { ...prompt, updatedAt: new Date().toISOString() };
+                    restored.revisions = recordRevision(previous, restored, `Restored from snapshot of ${formatDate(entry.createdAt)}`);
+                    state.prompts[index] = restored;
                 }
             });
-            
-            state.categories.delete(categoryId);
-            category.id = newId;
-            state.categories.set(newId, category);
-        }
+        });
         
-        // Save changes
         saveState();
         saveCategories();
+        refreshAllViews();
         
-        // Update UI
-        initializeCategoriesDropdown();
-        updateCategoryList();
-        renderPrompts();
+        showToast(`Restored ${prompts.length} prompt${prompts.length === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+        console.error('❌ Failed to restore prompts:', error);
+        showToast('Could not restore the selected prompts', 'error');
+    }
+}
+
+function showBackupsPanel() {
+    let modal = document.getElementById('backupsModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'backupsModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content modal-xl">
+                <div class="modal-header">
+                    <h3><i class="fas fa-history"></i> Backups</h3>
+                    <button class="close-modal">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-outline" id="downloadBackupBtn">
+                        <i class="fas fa-download"></i> Download backup file
+                    </button>
+                    <button class="btn btn-primary" id="takeSnapshotBtn">
+                        <i class="fas fa-camera"></i> Take snapshot now
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
         
-        if (document.getElementById('manageCategoriesModal')?.classList.contains('active')) {
-            populateManageCategoriesList();
-        }
+        modal.querySelectorAll('.close-modal').forEach(btn => {
+            btn.addEventListener('click', () => closeModal('backupsModal'));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal('backupsModal');
+        });
         
-        closeModal('editCategoryModal');
-        showToast('Category updated', 'success');
-    };
-    
-    cancelBtn.onclick = () => closeModal('editCategoryModal');
+        modal.querySelector('#downloadBackupBtn').addEventListener('click', createBackup);
+        modal.querySelector('#takeSnapshotBtn').addEventListener('click', async () => {
+            const previous = snapshotIndex[0];
+            const entry = await createVaultSnapshot('manual');
+            if (entry) {
+                showToast(entry === previous ? 'Nothing changed since the last snapshot' : 'Snapshot saved', entry === previous ? 'info' : 'success');
+            }
+            renderBackupsPanel();
+        });
+    }
     
-    showModal('editCategoryModal');
+    renderBackupsPanel();
+    showModal('backupsModal');
 }
 
-// Updated updateCategoryList function to show sub-categories
-function updateCategoryList() {
-    if (!elements.categoryList) return;
-    
-    elements.categoryList.innerHTML = '';
+function renderBackupsPanel() {
+    const modal = document.getElementById('backupsModal');
+    const body = modal.querySelector('.modal-body');
+    modal.querySelector('#takeSnapshotBtn').disabled = !db;
+    
+    if (!db) {
+        body.innerHTML = `
+            <p class="panel-empty">
+                Snapshots are stored in IndexedDB, which isn't available in this browser.
+                You can still download a backup file.
+            </p>
+        `;
+        return;
+    }
     
-    // Get all main categories (no parent)
-    const mainCategories = Array.from(state.categories.values())
-        .filter(cat => !cat.parentId)
-        .sort((a, b) => a.name.localeCompare(b.name));
+    body.innerHTML = `
+        <div class="snapshot-settings">
+            <label>
+                Keep up to
+                <input type="number" id="snapshotLimit" min="1" max="200" value="${state.settings.snapshotLimit}">
+                snapshots
+            </label>
+            <label>
+                for
+                <input type="number" id="snapshotMaxAge" min="0" max="3650" value="${state.settings.snapshotMaxAgeDays}">
+                days <span class="help-text">(0 = no limit)</span>
+            </label>
+            <label>
+                Automatic snapshot
+                <select id="snapshotInterval">
+                    ${SNAPSHOT_INTERVAL_OPTIONS.map(hours => `
+                        <option value="${hours}" ${state.settings.snapshotIntervalHours === hours ? 'selected' : ''}>
+                            ${hours === 0 ? 'Off' : hours === 168 ? 'Every week' : hours === 1 ? 'Every hour' : `Every ${hours} hours`}
+                        </option>
+                    `).join('')}
+                </select>
+            </label>
+        </div>
+        <div class="snapshot-layout">
+            <div class="snapshot-list">
+                ${snapshotIndex.length === 0 ? '<p class="panel-empty">No snapshots yet.</p>' : snapshotIndex.map(entry => `
+                    <div class="snapshot-item" data-id="${entry.id}">
+                        <i class="${SNAPSHOT_REASONS[entry.reason]?.icon || 'fas fa-camera'}"></i>
+                        <div class="snapshot-info">
+                            <div class="snapshot-date">${formatDate(entry.createdAt)} ${formatTime(entry.createdAt)}</div>
+                            <div class="help-text">
+                                ${SNAPSHOT_REASONS[entry.reason]?.label || entry.reason} ·
+                                ${entry.promptCount} prompt${entry.promptCount === 1 ? '' : 's'} ·
+                                ${formatBytes(entry.size)}
+                            </div>
+                        </div>
+                        <div class="snapshot-actions">
+                            <button class="btn-text small" data-action="restore" title="Restore everything from this snapshot">Restore</button>
+                            <button class="btn-text small danger" data-action="delete" title="Delete snapshot">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="snapshot-preview">
+                <p class="panel-empty">Select a snapshot to see what it contains.</p>
+            </div>
+        </div>
+    `;
     
-    // Get all sub-categories grouped by parent
-    const subCategories = Array.from(state.categories.values())
-        .filter(cat => cat.parentId)
-        .reduce((acc, cat) => {
-            if (!acc[cat.parentId]) acc[cat.parentId] = [];
-            acc[cat.parentId].push(cat);
-            return acc;
-        }, {});
+    const saveSetting = (key, value) => {
+        state.settings[key] = value;
+        saveState();
+    };
+    body.querySelector('#snapshotLimit').addEventListener('change', (e) => {
+        saveSetting('snapshotLimit', Math.max(1, parseInt(e.target.value) || 1));
+    });
+    body.querySelector('#snapshotMaxAge').addEventListener('change', (e) => {
+        saveSetting('snapshotMaxAgeDays', Math.max(0, parseInt(e.target.value) || 0));
+    });
+    body.querySelector('#snapshotInterval').addEventListener('change', (e) => {
+        saveSetting('snapshotIntervalHours', parseInt(e.target.value));
+        checkScheduledSnapshot();
+    });
     
-    // Render main categories with sub-categories
-    mainCategories.forEach(category => {
-        const hasSubCategories = subCategories[category.id]?.length > 0;
-        const isExpanded = false; // You could store this in state
-        
-        const item = document.createElement('div');
-        item.className = `category-item ${hasSubCategories ? 'has-children' : ''}`;
-        item.dataset.category = category.id;
-        
-        if (hasSubCategories) {
-            item.innerHTML = `
-                <div class="category-item-header">
-                    <div class="category-item-content">
-                        <button class="category-toggle ${isExpanded ? 'expanded' : ''}">
-                            <i class="fas fa-chevron-right"></i>
-                        </button>
-                        <span class="category-badge" style="background: ${category.color}"></span>
-                        <span>${category.name}</span>
-                    </div>
-                    <span class="category-count">${category.count}</span>
-                </div>
-                <div class="subcategories-list" style="display: ${isExpanded ? 'block' : 'none'}">
-                    ${(subCategories[category.id] || [])
-                        .map(subCat => `
-                            <div class="subcategory-item" data-category="${subCat.id}">
-                                <div class="category-item-content">
-                                    <span class="category-badge" style="background: ${subCat.color}; margin-left: 0.5rem;"></span>
-                                    <span>${subCat.name}</span>
-                                </div>
-                                <span class="category-count">${subCat.count}</span>
-                            </div>
-                        `).join('')}
-                </div>
-            `;
-            
-            // Toggle sub-categories
-            const toggleBtn = item.querySelector('.category-toggle');
-            const subList = item.querySelector('.subcategories-list');
-            
-            toggleBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const isExpanded = toggleBtn.classList.contains('expanded');
-                toggleBtn.classList.toggle('expanded', !isExpanded);
-                subList.style.display = isExpanded ? 'none' : 'block';
-            });
-        } else {
-            item.innerHTML = `
-                <div class="category-item-content">
-                    <span class="category-badge" style="background: ${category.color}"></span>
-                    <span>${category.name}</span>
-                </div>
-                <div style="display: flex; align-items: center; gap: 0.5rem;">
-                    <span class="category-count">${category.count}</span>
-                    <button class="btn-icon small add-subcategory-sidebar" data-id="${category.id}" title="Add sub-category">
-                        <i class="fas fa-plus"></i>
-                    </button>
-                </div>
-            `;
-            
-            // Add sub-category button
-            const addBtn = item.querySelector('.add-subcategory-sidebar');
-            addBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                showAddSubCategoryForm(category.id);
-            });
-        }
+    body.querySelectorAll('.snapshot-item').forEach(item => {
+        const entry = snapshotIndex.find(snapshot => snapshot.id === item.dataset.id);
         
-        // Category click handler
         item.addEventListener('click', (e) => {
-            if (!e.target.closest('.category-toggle') && !e.target.closest('.btn-icon')) {
-                filterByCategory(category.id);
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            
+            if (action === 'restore') {
+                showConfirmModal(
+                    'Restore Snapshot',
+                    `Replace your whole library with the snapshot from ${formatDate(entry.createdAt)} ${formatTime(entry.createdAt)}? A snapshot of the current library is taken first, and you can undo this with Ctrl+Z.`,
+                    () => restoreVaultSnapshot(entry).then(() => closeModal('backupsModal'))
+                );
+            } else if (action === 'delete') {
+                showConfirmModal(
+                    'Delete Snapshot',
+                    `Delete the snapshot from ${formatDate(entry.createdAt)} ${formatTime(entry.createdAt)}? This cannot be undone.`,
+                    () => deleteVaultSnapshot(entry.id).then(renderBackupsPanel)
+                );
+            } else {
+                body.querySelectorAll('.snapshot-item').forEach(other => other.classList.toggle('active', other === item));
+                renderSnapshotPreview(entry, body.querySelector('.snapshot-preview'));
             }
         });
-        
-        elements.categoryList.appendChild(item);
-        
-        // Add click handlers for sub-categories
-        if (hasSubCategories) {
-            item.querySelectorAll('.subcategory-item').forEach(subItem => {
-                subItem.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    const subCategoryId = subItem.dataset.category;
-                    filterByCategory(subCategoryId);
-                });
-            });
-        }
     });
 }
 
-// Updated initializeCategoriesDropdown to include sub-categories
-function initializeCategoriesDropdown() {
-    const select = document.getElementById('promptCategory');
-    if (!select) return;
+async function renderSnapshotPreview(entry, container) {
+    container.innerHTML = '<p class="panel-empty"><i class="fas fa-spinner fa-spin"></i> Loading snapshot...</p>';
     
-    // Clear existing options except the first one
-    while (select.options.length > 1) {
-        select.remove(1);
+    let data;
+    try {
+        data = await readVaultSnapshot(entry.id);
+    } catch (error) {
+        console.error('❌ Failed to read snapshot:', error);
+        container.innerHTML = '<p class="panel-empty">This snapshot could not be read.</p>';
+        return;
     }
     
-    // Get main categories
-    const mainCategories = Array.from(state.categories.values())
-        .filter(cat => !cat.parentId)
-        .sort((a, b) => a.name.localeCompare(b.name));
+    const current = new Map(state.prompts.map(prompt => [prompt.id, prompt]));
+    const categoryNames = new Map(data.categories.map(cat => [cat.id, cat.name]));
+    const getStatus = prompt => {
+        const existing = current.get(prompt.id);
+        if (!existing) return { id: 'deleted', label: 'Deleted since' };
+        return getChangedImportFields('prompts', existing, prompt).length > 0
+            ? { id: 'changed', label: 'Changed since' }
+            : { id: 'same', label: 'Unchanged' };
+    };
     
-    // Get sub-categories grouped by parent
-    const subCategories = Array.from(state.categories.values())
-        .filter(cat => cat.parentId)
-        .reduce((acc, cat) => {
-            if (!acc[cat.parentId]) acc[cat.parentId] = [];
-            acc[cat.parentId].push(cat);
-            return acc;
-        }, {});
+    container.innerHTML = `
+        <div class="snapshot-preview-header">
+            <strong>${formatDate(entry.createdAt)} ${formatTime(entry.createdAt)}</strong>
+            <span class="help-text">
+                ${data.prompts.length} prompts · ${data.templates.length} templates · ${data.categories.length} categories
+            </span>
+        </div>
+        <label class="export-checkbox">
+            <input type="checkbox" id="snapshotSelectAll"> Select all
+        </label>
+        <div class="snapshot-prompts">
+            ${data.prompts.map(prompt => {
+                const status = getStatus(prompt);
+                return `
+                    <label class="snapshot-prompt">
+                        <input type="checkbox" value="${escapeHtml(prompt.id)}">
+                        <span class="snapshot-prompt-title">${escapeHtml(prompt.title)}</span>
+                        <span class="help-text">${escapeHtml(categoryNames.get(prompt.category) || getCategoryName(prompt.category))}</span>
+                        <span class="snapshot-status ${status.id}">${status.label}</span>
+                    </label>
+                `;
+            }).join('') || '<p class="panel-empty">This snapshot has no prompts.</p>'}
+        </div>
+        <button class="btn btn-primary" id="restoreSelectedBtn" disabled>
+            <i class="fas fa-undo"></i> <span>Restore selected</span>
+        </button>
+    `;
     
-    // Add categories with indentation for sub-categories
-    mainCategories.forEach(category => {
-        // Add main category
-        const mainOption = document.createElement('option');
-        mainOption.value = category.id;
-        mainOption.textContent = category.name;
-        select.appendChild(mainOption);
-        
-        // Add sub-categories if they exist
-        if (subCategories[category.id]) {
-            subCategories[category.id].forEach(subCat => {
-                const subOption = document.createElement('option');
-                subOption.value = subCat.id;
-                subOption.textContent = `  └─ ${subCat.name}`; // Indentation
-                select.appendChild(subOption);
-            });
-        }
+    const checkboxes = Array.from(container.querySelectorAll('.snapshot-prompt input'));
+    const restoreBtn = container.querySelector('#restoreSelectedBtn');
+    const updateButton = () => {
+        const count = checkboxes.filter(checkbox => checkbox.checked).length;
+        restoreBtn.disabled = count === 0;
+        restoreBtn.querySelector('span').textContent = count > 0
+            ? `Restore ${count} prompt${count === 1 ? '' : 's'}`
+            : 'Restore selected';
+    };
+    
+    checkboxes.forEach(checkbox => checkbox.addEventListener('change', updateButton));
+    container.querySelector('#snapshotSelectAll').addEventListener('change', (e) => {
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = e.target.checked;
+        });
+        updateButton();
+    });
+    
+    restoreBtn.addEventListener('click', async () => {
+        const ids = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+        await restoreSnapshotPrompts(entry, ids);
+        renderBackupsPanel();
     });
 }
 